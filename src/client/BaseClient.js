@@ -2,6 +2,8 @@
 
 const EventEmitter = require('node:events');
 const RESTManager = require('../rest/RESTManager');
+const { Events } = require('../util/Constants');
+const Logger = require('../util/Logger');
 const Options = require('../util/Options');
 const Util = require('../util/Util');
 
@@ -45,6 +47,24 @@ class BaseClient extends EventEmitter {
     if (this.rest.sweepInterval) clearInterval(this.rest.sweepInterval);
   }
 
+  /**
+   * Creates a log record, passing it to the {@link ClientOptions#logger} and emitting it formatted
+   * in the {@link BaseClient#event:debug} event.
+   * @param {LogLevel} level The severity of the record
+   * @param {LogComponent} component The part of the library the record comes from
+   * @param {string} message The human-readable message of the record
+   * @param {Object} [fields={}] The data attached to the record, including the `shardId` if any
+   * @private
+   */
+  log(level, component, message, fields = {}) {
+    const logger = this.options.logger;
+    if (!logger && !this.listenerCount(Events.DEBUG)) return;
+    const { shardId = null, ...data } = fields;
+    const record = { timestamp: new Date(), level, component, shardId, message, fields: data };
+    logger?.log(record);
+    this.emit(Events.DEBUG, Logger.format(record));
+  }
+
   /**
    * Increments max listeners by one, if they are not zero.
    * @private
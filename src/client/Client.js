@@ -21,9 +21,11 @@ const StickerPack = require('../structures/StickerPack');
 const VoiceRegion = require('../structures/VoiceRegion');
 const Webhook = require('../structures/Webhook');
 const Widget = require('../structures/Widget');
-const { Events, InviteScopes, Status } = require('../util/Constants');
+const ClientMetrics = require('../util/ClientMetrics');
+const { InviteScopes, Status } = require('../util/Constants');
 const DataResolver = require('../util/DataResolver');
 const Intents = require('../util/Intents');
+const MessageScheduler = require('../util/MessageScheduler');
 const Options = require('../util/Options');
 const Permissions = require('../util/Permissions');
 const Sweepers = require('../util/Sweepers');
@@ -143,6 +145,19 @@ class Client extends BaseClient {
      */
     this.sweepers = new Sweepers(this, this.options.sweepers);
 
+    /**
+     * The scheduler sending the messages scheduled with {@link TextBasedChannel#schedule}
+     * and {@link Webhook#schedule}
+     * @type {MessageScheduler}
+     */
+    this.scheduler = new MessageScheduler(this);
+
+    /**
+     * The metrics of the requests to the API, the shards and the caches of the client
+     * @type {ClientMetrics}
+     */
+    this.metrics = new ClientMetrics(this);
+
     /**
      * The presence of the Client
      * @private
@@ -224,8 +239,9 @@ class Client extends BaseClient {
   async login(token = this.token) {
     if (!token || typeof token !== 'string') throw new Error('TOKEN_INVALID');
     this.token = token = token.replace(/^(Bot|Bearer)\s*/i, '');
-    this.emit(
-      Events.DEBUG,
+    this.log(
+      'debug',
+      'client',
       `Provided token: ${token
         .split('.')
         .map((val, i) => (i > 1 ? val.replace(/./g, '*') : val))
@@ -236,7 +252,7 @@ class Client extends BaseClient {
       this.options.ws.presence = this.presence._parse(this.options.presence);
     }
 
-    this.emit(Events.DEBUG, 'Preparing to connect to the gateway...');
+    this.log('debug', 'client', 'Preparing to connect to the gateway...');
 
     try {
       await this.ws.connect();
@@ -247,6 +263,32 @@ class Client extends BaseClient {
     }
   }
 
+  /**
+   * Replays a recording made with {@link ClientOptions#gatewayRecording} instead of logging in. The recorded
+   * dispatches go through the same handlers, so the caches are rebuilt and the events are emitted in the order
+   * they were received, which reproduces the bugs depending on that order without a connection to Discord.
+   * <warn>The client has no token while replaying, requests to the API fail unless one is set.</warn>
+   * <info>The {@link Client#scheduler scheduled messages} are not sent while replaying.</info>
+   * @param {string} file Path to the recording
+   * @param {GatewayReplayOptions} [options] Options for the replay
+   * @returns {Promise<void>} Resolves once every dispatch has been replayed
+   * @example
+   * const client = new Client({ intents: [Intents.FLAGS.GUILDS] });
+   * client.on('threadListSync', threads => console.log(`Synced ${threads.size} threads`));
+   * await client.replay('./gateway.ndjson');
+   */
+  async replay(file, options) {
+    if (this.ws.shards.size) throw new Error('WS_CONNECTION_EXISTS');
+    this.log('info', 'client', `Replaying the gateway recording ${file}...`, { file });
+
+    try {
+      await this.ws.replay(file, options);
+    } catch (error) {
+      this.destroy();
+      throw error;
+    }
+  }
+
   /**
    * Returns whether the client has logged in, indicative of being able to access
    * properties such as `user` and `application`.
@@ -269,6 +311,7 @@ class Client extends BaseClient {
     if (this.sweepMessageInterval) clearInterval(this.sweepMessageInterval);
 
     this.sweepers.destroy();
+    this.scheduler.destroy();
     this.ws.destroy();
     this.token = null;
   }
@@ -381,10 +424,10 @@ class Client extends BaseClient {
       cleanup();
       this._cleanups.delete(cleanup);
       if (message) {
-        this.emit(Events.DEBUG, message);
+        this.log('debug', 'client', message);
       }
     } catch {
-      this.emit(Events.DEBUG, `Garbage collection failed on ${name ?? 'an unknown item'}.`);
+      this.log('warn', 'client', `Garbage collection failed on ${name ?? 'an unknown item'}.`);
     }
   }
 
@@ -404,12 +447,12 @@ class Client extends BaseClient {
       throw new TypeError('INVALID_TYPE', 'lifetime', 'number');
     }
     if (lifetime <= 0) {
-      this.emit(Events.DEBUG, "Didn't sweep messages - lifetime is unlimited");
+      this.log('debug', 'sweeper', "Didn't sweep messages - lifetime is unlimited");
       return -1;
     }
 
     const messages = this.sweepers.sweepMessages(Sweepers.outdatedMessageSweepFilter(lifetime)());
-    this.emit(Events.DEBUG, `Swept ${messages} messages older than ${lifetime} seconds`);
+    this.log('debug', 'sweeper', `Swept ${messages} messages older than ${lifetime} seconds`, { messages, lifetime });
     return messages;
   }
 
@@ -546,6 +589,9 @@ class Client extends BaseClient {
     if (typeof options.makeCache !== 'function') {
       throw new TypeError('CLIENT_INVALID_OPTION', 'makeCache', 'a function');
     }
+    if (typeof options.makeCacheAdapter !== 'undefined' && typeof options.makeCacheAdapter !== 'function') {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'makeCacheAdapter', 'a function');
+    }
     if (typeof options.sweepers !== 'object' || options.sweepers === null) {
       throw new TypeError('CLIENT_INVALID_OPTION', 'sweepers', 'an object');
     }
@@ -573,9 +619,30 @@ class Client extends BaseClient {
     if (typeof options.failIfNotExists !== 'boolean') {
       throw new TypeError('CLIENT_INVALID_OPTION', 'failIfNotExists', 'a boolean');
     }
+    if (typeof options.checkPermissions !== 'boolean') {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'checkPermissions', 'a boolean');
+    }
     if (!Array.isArray(options.userAgentSuffix)) {
       throw new TypeError('CLIENT_INVALID_OPTION', 'userAgentSuffix', 'an array of strings');
     }
+    if (
+      options.sessionStore != null && // eslint-disable-line eqeqeq
+      !['get', 'set', 'delete'].every(method => typeof options.sessionStore[method] === 'function')
+    ) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'sessionStore', 'a SessionStore');
+    }
+    if (typeof (options.gatewayRecording ?? '') !== 'string') {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'gatewayRecording', 'a string');
+    }
+    if (
+      options.logger != null && // eslint-disable-line eqeqeq
+      typeof options.logger.log !== 'function'
+    ) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'logger', 'a Logger');
+    }
+    if (!['list', 'set', 'delete'].every(method => typeof options.scheduleStore?.[method] === 'function')) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'scheduleStore', 'a ScheduleStore');
+    }
     if (
       typeof options.rejectOnRateLimit !== 'undefined' &&
       !(typeof options.rejectOnRateLimit === 'function' || Array.isArray(options.rejectOnRateLimit))
@@ -0,0 +1,264 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { finished } = require('node:stream/promises');
+const { clearTimeout, setTimeout } = require('node:timers');
+const { TypeError } = require('../errors');
+const { Events, InteractionResponseTypes, InteractionTypes } = require('../util/Constants');
+
+// The DER prefix turning a raw Ed25519 public key into a SubjectPublicKeyInfo structure
+const ed25519Prefix = Buffer.from('302a300506032b6570032100', 'hex');
+
+// The largest body accepted, far above the size of an interaction, so unverified requests cannot fill the memory
+const maxBodySize = 512 * 1024;
+
+/**
+ * Reads the full body of an incoming request.
+ * @param {IncomingMessage} req The incoming request
+ * @returns {Promise<?Buffer>} The body, or `null` if it is larger than the maximum size
+ * @private
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBodySize) {
+      resolve(null);
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        req.off('data', onData);
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Writes a JSON body to an outgoing response.
+ * @param {ServerResponse} res The outgoing response
+ * @param {number} status The HTTP status code of the response
+ * @param {*} data The data to send
+ * @returns {Promise<void>} Resolves once the response is written, rejects if the connection closes before
+ * @private
+ */
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+  return finished(res);
+}
+
+/**
+ * Options for an interactions server.
+ * @typedef {Object} InteractionServerOptions
+ * @property {string} publicKey The public key of the application, found in the developer portal
+ * @property {number} [responseTimeout=2500] How long to wait for the initial response to an interaction before
+ * answering its HTTP request without one, in milliseconds
+ * <info>Discord fails the interactions it does not get a response to within 3 seconds.</info>
+ */
+
+/**
+ * An HTTP server receiving the interactions Discord sends to the interactions endpoint URL of the application,
+ * so a bot only using interactions does not need a gateway connection.
+ * The interactions are emitted in the {@link Client#event:interactionCreate} event of the client, and their initial
+ * response, such as {@link CommandInteraction#reply} or {@link CommandInteraction#showModal}, is sent in the body of
+ * the HTTP response while Discord waits for it.
+ * <info>The client does not need to log in, but a token has to be set with {@link Client#token} to make requests
+ * other than responding to the interactions.</info>
+ * @example
+ * const client = new Client({ intents: [] });
+ * client.on('interactionCreate', interaction => {
+ *   if (interaction.isCommand() && interaction.commandName === 'ping') interaction.reply('Pong!');
+ * });
+ *
+ * const server = new InteractionServer(client, { publicKey: 'the public key of the application' });
+ * await server.listen(8080);
+ */
+class InteractionServer {
+  /**
+   * @param {Client} client The client to emit the interactions from
+   * @param {InteractionServerOptions} options Options for the server
+   */
+  constructor(client, { publicKey, responseTimeout = 2_500 } = {}) {
+    /**
+     * The client that emits the interactions
+     * @name InteractionServer#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    if (typeof publicKey !== 'string' || !/^[\da-f]{64}$/i.test(publicKey)) {
+      throw new TypeError('INVALID_TYPE', 'publicKey', 'hex encoded Ed25519 public key');
+    }
+
+    /**
+     * The public key the signatures of the requests are verified with
+     * @type {KeyObject}
+     * @private
+     */
+    this._publicKey = crypto.createPublicKey({
+      key: Buffer.concat([ed25519Prefix, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki',
+    });
+
+    /**
+     * How long to wait for the initial response to an interaction before answering its HTTP request without one,
+     * in milliseconds
+     * @type {number}
+     */
+    this.responseTimeout = responseTimeout;
+
+    /**
+     * The HTTP server started by {@link InteractionServer#listen}
+     * @type {?Server}
+     */
+    this.server = null;
+  }
+
+  /**
+   * Starts an HTTP server receiving the interactions.
+   * @param {number} port The port to listen on
+   * @param {string} [hostname] The hostname to listen on
+   * @returns {Promise<Server>}
+   */
+  listen(port, hostname) {
+    this.server ??= http.createServer((req, res) =>
+      this.handle(req, res).catch(error => {
+        this.client.log('warn', 'client', `Failed to handle an interaction request: ${error.message}`);
+        if (res.headersSent) {
+          res.destroy();
+        } else {
+          sendJSON(res, 400, { message: '400: Bad Request', code: 0 }).catch(() => res.destroy());
+        }
+      }),
+    );
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, hostname, () => {
+        this.server.off('error', reject);
+        resolve(this.server);
+      });
+    });
+  }
+
+  /**
+   * Stops the HTTP server started by {@link InteractionServer#listen}.
+   * @returns {Promise<void>}
+   */
+  close() {
+    const { server } = this;
+    this.server = null;
+    if (!server) return Promise.resolve();
+    return new Promise((resolve, reject) => server.close(err => (err ? reject(err) : resolve())));
+  }
+
+  /**
+   * Verifies that a request was sent by Discord.
+   * @param {Buffer} body The raw body of the request
+   * @param {string} signature The `X-Signature-Ed25519` header of the request
+   * @param {string} timestamp The `X-Signature-Timestamp` header of the request
+   * @returns {boolean}
+   */
+  verify(body, signature, timestamp) {
+    if (typeof signature !== 'string' || typeof timestamp !== 'string') return false;
+    const signatureBuffer = Buffer.from(signature, 'hex');
+    if (signatureBuffer.length !== 64) return false;
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), body]), this._publicKey, signatureBuffer);
+  }
+
+  /**
+   * Handles an interaction sent by Discord, emitting it and waiting for its initial response.
+   * This can be used as a request listener of an existing HTTP server, which has to handle the rejections,
+   * such as a client aborting the request.
+   * @param {IncomingMessage} req The incoming request
+   * @param {ServerResponse} res The outgoing response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    if (req.method !== 'POST') {
+      await sendJSON(res, 405, { message: '405: Method Not Allowed', code: 0 });
+      return;
+    }
+
+    const body = await readBody(req);
+    if (!body) {
+      res.setHeader('Connection', 'close');
+      await sendJSON(res, 413, { message: '413: Payload Too Large', code: 0 });
+      return;
+    }
+    if (!this.verify(body, req.headers['x-signature-ed25519'], req.headers['x-signature-timestamp'])) {
+      this.client.log('warn', 'client', 'Received an interaction with an invalid signature.');
+      await sendJSON(res, 401, { message: '401: Unauthorized', code: 0 });
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      await sendJSON(res, 400, { message: '400: Bad Request', code: 0 });
+      return;
+    }
+
+    if (data.type === InteractionTypes.PING) {
+      await sendJSON(res, 200, { type: InteractionResponseTypes.PONG });
+      return;
+    }
+
+    const interaction = this.client.actions.InteractionCreate.create(data);
+    if (!interaction) {
+      await sendJSON(res, 400, { message: '400: Bad Request', code: 0 });
+      return;
+    }
+
+    await new Promise(resolve => {
+      const respond = async response => {
+        clearTimeout(timeout);
+        try {
+          if (response) {
+            await sendJSON(res, 200, response);
+          } else {
+            // The response was sent through the API, or not at all
+            res.writeHead(202);
+            res.end();
+            await finished(res);
+          }
+        } finally {
+          resolve();
+        }
+      };
+      const timeout = setTimeout(() => {
+        interaction._httpResponse = null;
+        respond(null).catch(() => null);
+      }, this.responseTimeout).unref();
+      interaction._httpResponse = respond;
+
+      try {
+        this.client.emit(Events.INTERACTION_CREATE, interaction);
+      } catch (error) {
+        // The request is still answered, with the response sent before the listener threw or after the timeout
+        this.client.log('error', 'client', `An interactionCreate listener threw: ${error.message}`, {
+          interactionId: interaction.id,
+        });
+      }
+    });
+  }
+}
+
+module.exports = InteractionServer;
+
+/**
+ * @external KeyObject
+ * @see {@link https://nodejs.org/api/crypto.html#class-keyobject}
+ */
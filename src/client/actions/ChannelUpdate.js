@@ -18,6 +18,8 @@ class ChannelUpdateAction extends Action {
         channel = newChannel;
         this.client.channels.cache.set(channel.id, channel);
       }
+      client.channels._persist(channel.id, data);
+      channel.guild?.channels._persist(channel.id, data);
 
       return {
         old,
@@ -16,7 +16,7 @@ class GuildBanRemove extends Action {
      */
     if (guild) {
       const ban = guild.bans.cache.get(data.user.id) ?? new GuildBan(client, data, guild);
-      guild.bans.cache.delete(ban.user.id);
+      guild.bans._remove(ban.user.id);
       client.emit(Events.GUILD_BAN_REMOVE, ban);
     }
   }
@@ -10,7 +10,9 @@ class GuildChannelsPositionUpdate extends Action {
     if (guild) {
       for (const partialChannel of data.channels) {
         const channel = guild.channels.cache.get(partialChannel.id);
-        if (channel) channel.rawPosition = partialChannel.position;
+        if (!channel) continue;
+        channel.rawPosition = partialChannel.position;
+        if (typeof partialChannel.parent_id !== 'undefined') channel.parentId = partialChannel.parent_id;
       }
     }
 
@@ -31,7 +31,7 @@ class GuildDeleteAction extends Action {
       client.voice.adapters.get(data.id)?.destroy();
 
       // Delete guild
-      client.guilds.cache.delete(guild.id);
+      client.guilds._remove(guild.id);
 
       /**
        * Emitted whenever a guild kicks the client or the guild is deleted/left.
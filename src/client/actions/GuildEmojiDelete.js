@@ -5,7 +5,7 @@ const { Events } = require('../../util/Constants');
 
 class GuildEmojiDeleteAction extends Action {
   handle(emoji) {
-    emoji.guild.emojis.cache.delete(emoji.id);
+    emoji.guild.emojis._remove(emoji.id);
     /**
      * Emitted whenever a custom emoji is deleted in a guild.
      * @event Client#emojiDelete
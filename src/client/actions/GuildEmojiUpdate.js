@@ -6,6 +6,7 @@ const { Events } = require('../../util/Constants');
 class GuildEmojiUpdateAction extends Action {
   handle(current, data) {
     const old = current._update(data);
+    current.guild.emojis._persist(current.id, data);
     /**
      * Emitted whenever a custom emoji is updated in a guild.
      * @event Client#emojiUpdate
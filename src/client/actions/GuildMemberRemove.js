@@ -12,7 +12,7 @@ class GuildMemberRemoveAction extends Action {
       member = this.getMember({ user: data.user }, guild);
       guild.memberCount--;
       if (member) {
-        guild.members.cache.delete(member.id);
+        guild.members._remove(member.id);
         /**
          * Emitted whenever a member leaves a guild, or is kicked.
          * @event Client#guildMemberRemove
@@ -20,7 +20,7 @@ class GuildMemberRemoveAction extends Action {
          */
         if (shard.status === Status.READY) client.emit(Events.GUILD_MEMBER_REMOVE, member);
       }
-      guild.presences.cache.delete(data.user.id);
+      guild.presences._remove(data.user.id);
       guild.voiceStates.cache.delete(data.user.id);
     }
     return { guild, member };
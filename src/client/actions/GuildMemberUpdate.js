@@ -20,6 +20,7 @@ class GuildMemberUpdateAction extends Action {
       const member = this.getMember({ user: data.user }, guild);
       if (member) {
         const old = member._update(data);
+        guild.members._persist(member.id, data);
         /**
          * Emitted whenever a guild member changes - i.e. new role, removed role, nickname.
          * @event Client#guildMemberUpdate
@@ -12,7 +12,7 @@ class GuildRoleDeleteAction extends Action {
     if (guild) {
       role = guild.roles.cache.get(data.role_id);
       if (role) {
-        guild.roles.cache.delete(data.role_id);
+        guild.roles._remove(data.role_id);
         /**
          * Emitted whenever a guild role is deleted.
          * @event Client#roleDelete
@@ -14,6 +14,7 @@ class GuildRoleUpdateAction extends Action {
       const role = guild.roles.cache.get(data.role.id);
       if (role) {
         old = role._update(data.role);
+        guild.roles._persist(role.id, data.role);
         /**
          * Emitted whenever a guild role is updated.
          * @event Client#roleUpdate
@@ -11,7 +11,7 @@ class GuildScheduledEventDeleteAction extends Action {
     if (guild) {
       const guildScheduledEvent = this.getScheduledEvent(data, guild);
       if (guildScheduledEvent) {
-        guild.scheduledEvents.cache.delete(guildScheduledEvent.id);
+        guild.scheduledEvents._remove(guildScheduledEvent.id);
 
         /**
          * Emitted whenever a guild scheduled event is deleted.
@@ -5,7 +5,7 @@ const { Events } = require('../../util/Constants');
 
 class GuildStickerDeleteAction extends Action {
   handle(sticker) {
-    sticker.guild.stickers.cache.delete(sticker.id);
+    sticker.guild.stickers._remove(sticker.id);
     /**
      * Emitted whenever a custom sticker is deleted in a guild.
      * @event Client#stickerDelete
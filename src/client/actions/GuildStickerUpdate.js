@@ -6,6 +6,7 @@ const { Events } = require('../../util/Constants');
 class GuildStickerUpdateAction extends Action {
   handle(current, data) {
     const old = current._update(data);
+    current.guild?.stickers._persist(current.id, data);
     /**
      * Emitted whenever a custom sticker is updated in a guild.
      * @event Client#stickerUpdate
@@ -10,6 +10,7 @@ class GuildUpdateAction extends Action {
     const guild = client.guilds.cache.get(data.id);
     if (guild) {
       const old = guild._update(data);
+      client.guilds._persist(guild.id, data);
       /**
        * Emitted whenever a guild is updated - e.g. name change.
        * @event Client#guildUpdate
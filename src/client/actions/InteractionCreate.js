@@ -12,6 +12,23 @@ const { Events, InteractionTypes, MessageComponentTypes, ApplicationCommandTypes
 
 class InteractionCreateAction extends Action {
   handle(data) {
+    const interaction = this.create(data);
+    if (!interaction) return;
+
+    /**
+     * Emitted when an interaction is created.
+     * @event Client#interactionCreate
+     * @param {Interaction} interaction The interaction which was created
+     */
+    this.client.emit(Events.INTERACTION_CREATE, interaction);
+  }
+
+  /**
+   * Creates the structure of an interaction.
+   * @param {APIInteraction} data The raw data of the interaction
+   * @returns {?Interaction} The interaction, if its type is known
+   */
+  create(data) {
     const client = this.client;
 
     // Resolve and cache partial channels for Interaction#channel getter
@@ -30,19 +47,21 @@ class InteractionCreateAction extends Action {
             InteractionType = UserContextMenuInteraction;
             break;
           case ApplicationCommandTypes.MESSAGE:
-            if (channel && !channel.isText()) return;
+            if (channel && !channel.isText()) return null;
             InteractionType = MessageContextMenuInteraction;
             break;
           default:
-            client.emit(
-              Events.DEBUG,
+            client.log(
+              'debug',
+              'client',
               `[INTERACTION] Received application command interaction with unknown type: ${data.data.type}`,
+              { type: data.data.type },
             );
-            return;
+            return null;
         }
         break;
       case InteractionTypes.MESSAGE_COMPONENT:
-        if (channel && !channel.isText()) return;
+        if (channel && !channel.isText()) return null;
 
         switch (data.data.component_type) {
           case MessageComponentTypes.BUTTON:
@@ -52,11 +71,13 @@ class InteractionCreateAction extends Action {
             InteractionType = SelectMenuInteraction;
             break;
           default:
-            client.emit(
-              Events.DEBUG,
+            client.log(
+              'debug',
+              'client',
               `[INTERACTION] Received component interaction with unknown type: ${data.data.component_type}`,
+              { type: data.data.component_type },
             );
-            return;
+            return null;
         }
         break;
       case InteractionTypes.APPLICATION_COMMAND_AUTOCOMPLETE:
@@ -66,18 +87,13 @@ class InteractionCreateAction extends Action {
         InteractionType = ModalSubmitInteraction;
         break;
       default:
-        client.emit(Events.DEBUG, `[INTERACTION] Received interaction with unknown type: ${data.type}`);
-        return;
+        client.log('debug', 'client', `[INTERACTION] Received interaction with unknown type: ${data.type}`, {
+          type: data.type,
+        });
+        return null;
     }
 
-    const interaction = new InteractionType(client, data);
-
-    /**
-     * Emitted when an interaction is created.
-     * @event Client#interactionCreate
-     * @param {Interaction} interaction The interaction which was created
-     */
-    client.emit(Events.INTERACTION_CREATE, interaction);
+    return new InteractionType(client, data);
   }
 }
 
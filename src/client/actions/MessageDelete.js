@@ -13,7 +13,7 @@ class MessageDeleteAction extends Action {
 
       message = this.getMessage(data, channel);
       if (message) {
-        channel.messages.cache.delete(message.id);
+        channel.messages._remove(message.id);
         /**
          * Emitted whenever a message is deleted.
          * @event Client#messageDelete
@@ -25,7 +25,7 @@ class MessageDeleteBulkAction extends Action {
         );
         if (message) {
           messages.set(message.id, message);
-          channel.messages.cache.delete(id);
+          channel.messages._remove(id);
         }
       }
 
@@ -13,7 +13,7 @@ class MessageReactionRemoveEmoji extends Action {
 
     const reaction = this.getReaction(data, message);
     if (!reaction) return false;
-    if (!message.partial) message.reactions.cache.delete(reaction.emoji.id ?? reaction.emoji.name);
+    if (!message.partial) message.reactions._remove(reaction.emoji.id ?? reaction.emoji.name);
 
     /**
      * Emitted when a bot removes an emoji reaction from a cached message.
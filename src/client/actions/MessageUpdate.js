@@ -12,6 +12,7 @@ class MessageUpdateAction extends Action {
       const message = this.getMessage({ id, channel_id, guild_id, author, timestamp, type }, channel);
       if (message) {
         const old = message._update(data);
+        channel.messages._persist(message.id, data);
         return {
           old,
           updated: message,
@@ -11,7 +11,7 @@ class StageInstanceDeleteAction extends Action {
     if (channel) {
       const stageInstance = channel.guild.stageInstances._add(data);
       if (stageInstance) {
-        channel.guild.stageInstances.cache.delete(stageInstance.id);
+        channel.guild.stageInstances._remove(stageInstance.id);
 
         /**
          * Emitted whenever a stage instance is deleted.
@@ -15,6 +15,7 @@ class ThreadMemberUpdateAction extends Action {
         return { newMember };
       }
       const old = member._update(data);
+      thread.members._persist(member.id, data);
       /**
        * Emitted whenever the client user's thread member is updated.
        * @event Client#threadMemberUpdate
@@ -9,6 +9,7 @@ class UserUpdateAction extends Action {
 
     const newUser = data.id === client.user.id ? client.user : client.users.cache.get(data.id);
     const oldUser = newUser._update(data);
+    client.users._persist(newUser.id, data);
 
     if (!oldUser.equals(newUser)) {
       /**
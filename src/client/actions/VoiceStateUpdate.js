@@ -19,13 +19,14 @@ class VoiceStateUpdate extends Action {
       let member = guild.members.cache.get(data.user_id);
       if (member && data.member) {
         member._patch(data.member);
+        guild.members._persist(member.id, data.member);
       } else if (data.member?.user && data.member.joined_at) {
         member = guild.members._add(data.member);
       }
 
       // Emit event
       if (member?.user.id === client.user.id) {
-        client.emit('debug', `[VOICE] received voice state update: ${JSON.stringify(data)}`);
+        client.log('debug', 'client', `[VOICE] received voice state update: ${JSON.stringify(data)}`);
         client.voice.onVoiceStateUpdate(data);
       }
 
@@ -0,0 +1,61 @@
+'use strict';
+
+const path = require('node:path');
+const process = require('node:process');
+const SessionStore = require('./SessionStore');
+const JSONFile = require('../../util/JSONFile');
+
+/**
+ * A session store keeping the sessions of all shards in a JSON file.
+ * <info>The file is written synchronously, so the sessions saved while destroying the client
+ * are on disk before the process exits. Each change is merged into the file as it is on the disk, under a lock,
+ * so the file can be shared by the processes spawned by a {@link ShardingManager}.</info>
+ * @extends {SessionStore}
+ * @example
+ * const client = new Client({
+ *   intents: [Intents.FLAGS.GUILDS],
+ *   sessionStore: new FileSessionStore('./sessions.json'),
+ * });
+ */
+class FileSessionStore extends SessionStore {
+  /**
+   * @param {string} [file='sessions.json'] Path to the file to store the sessions in,
+   * relative to the current working directory
+   */
+  constructor(file = 'sessions.json') {
+    super();
+
+    /**
+     * The file the sessions are stored in
+     * @type {JSONFile}
+     * @private
+     */
+    this._file = new JSONFile(path.resolve(process.cwd(), file));
+  }
+
+  /**
+   * Absolute path to the file the sessions are stored in
+   * @type {string}
+   * @readonly
+   */
+  get file() {
+    return this._file.path;
+  }
+
+  async get(shardId) {
+    return this._file.read()[shardId] ?? null;
+  }
+
+  async set(shardId, session) {
+    this._file.update(sessions => {
+      sessions[shardId] = session;
+      return true;
+    });
+  }
+
+  async delete(shardId) {
+    this._file.update(sessions => shardId in sessions && delete sessions[shardId]);
+  }
+}
+
+module.exports = FileSessionStore;
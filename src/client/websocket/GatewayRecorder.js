@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const process = require('node:process');
+const readline = require('node:readline');
+const { Error } = require('../../errors');
+
+/**
+ * The first line of a gateway recording, describing the shards it was recorded from.
+ * @typedef {Object} GatewayRecordingHeader
+ * @property {number[]} shards The ids of the shards the client spawned
+ * @property {number} shardCount The total amount of shards of the bot
+ * @property {number} timestamp The time the recording started at
+ */
+
+/**
+ * A dispatch saved in a gateway recording.
+ * @typedef {Object} GatewayRecordingEntry
+ * @property {number} shard The id of the shard that received the dispatch
+ * @property {number} timestamp The time the dispatch was received at
+ * @property {Object} packet The raw dispatch packet
+ */
+
+/**
+ * Records the dispatches received by the shards of a client to a file, set up by
+ * {@link ClientOptions#gatewayRecording}. The recording can be fed back into a client with {@link Client#replay}.
+ * <info>The file is made of one JSON object per line, a {@link GatewayRecordingHeader}
+ * followed by a {@link GatewayRecordingEntry} for each dispatch.</info>
+ * <warn>The recording holds everything the bot receives, including the content of messages,
+ * and is rewritten each time the client logs in.</warn>
+ */
+class GatewayRecorder {
+  /**
+   * @param {string} file Path to the file to record the dispatches to, relative to the current working directory
+   * @param {?Client} [client=null] The client to log the errors of the recording with
+   */
+  constructor(file, client = null) {
+    /**
+     * The client the errors of the recording are logged with
+     * @name GatewayRecorder#client
+     * @type {?Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    /**
+     * Absolute path to the file the dispatches are recorded to
+     * @type {string}
+     */
+    this.file = path.resolve(process.cwd(), file);
+
+    /**
+     * The stream writing to the file, while recording
+     * @type {?WriteStream}
+     * @private
+     */
+    this._stream = null;
+  }
+
+  /**
+   * Starts a new recording, overwriting the file.
+   * @param {number[]} shards The ids of the shards the client spawned
+   * @param {number} shardCount The total amount of shards of the bot
+   */
+  open(shards, shardCount) {
+    this._stream?.end();
+    const stream = fs.createWriteStream(this.file);
+    stream.on('error', error => {
+      // Such as the directory of the file missing, the recording stops instead of crashing the process
+      this.client?.log('error', 'ws', `Stopped recording the gateway: ${error.message}`, { file: this.file });
+      if (this._stream === stream) this._stream = null;
+      stream.destroy();
+    });
+    this._stream = stream;
+    this._write({ shards, shardCount, timestamp: Date.now() });
+  }
+
+  /**
+   * Records a dispatch received by a shard.
+   * @param {number} shard The id of the shard
+   * @param {Object} packet The raw dispatch packet
+   */
+  record(shard, packet) {
+    if (this._stream) this._write({ shard, timestamp: Date.now(), packet });
+  }
+
+  /**
+   * Ends the recording, once the pending dispatches are written.
+   * @returns {Promise<void>}
+   */
+  close() {
+    const stream = this._stream;
+    this._stream = null;
+    if (!stream) return Promise.resolve();
+    return new Promise(resolve => stream.end(resolve));
+  }
+
+  /**
+   * Writes a line to the file.
+   * @param {Object} data The data of the line
+   * @private
+   */
+  _write(data) {
+    this._stream.write(`${JSON.stringify(data)}\n`);
+  }
+
+  /**
+   * Reads a recording line by line, yielding its header and then its entries.
+   * Blank lines are skipped, and a line that is not a valid header or entry throws an error with its line number.
+   * @param {string} file Path to the recording, relative to the current working directory
+   * @returns {AsyncGenerator<GatewayRecordingHeader|GatewayRecordingEntry>}
+   * @example
+   * // Count the dispatches of a recording by event
+   * const counts = {};
+   * for await (const entry of GatewayRecorder.read('./gateway.ndjson')) {
+   *   if (entry.packet) counts[entry.packet.t] = (counts[entry.packet.t] ?? 0) + 1;
+   * }
+   */
+  static async *read(file) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.resolve(process.cwd(), file)),
+      crlfDelay: Infinity,
+    });
+    let line = 0;
+    let header = true;
+    for await (const text of lines) {
+      line++;
+      if (!text.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(text);
+      } catch {
+        throw new Error('GATEWAY_RECORDING_INVALID', line);
+      }
+      const valid = header ? Array.isArray(entry?.shards) : entry?.packet && typeof entry.shard === 'number';
+      if (!valid) throw new Error('GATEWAY_RECORDING_INVALID', line);
+      header = false;
+      yield entry;
+    }
+  }
+}
+
+module.exports = GatewayRecorder;
+
+/**
+ * @external WriteStream
+ * @see {@link https://nodejs.org/api/fs.html#class-fswritestream}
+ */
@@ -0,0 +1,52 @@
+'use strict';
+
+const { Error } = require('../../errors');
+
+/**
+ * The data needed to resume the gateway session of a shard.
+ * @typedef {Object} SessionData
+ * @property {string} sessionId The id of the session
+ * @property {number} sequence The last sequence number received by the shard
+ * @property {?string} resumeURL The gateway URL to resume the session with
+ * @property {number} shardCount The total amount of shards the session was identified with
+ */
+
+/**
+ * Saves and loads the gateway sessions of the shards, so they can be resumed after the process restarts.
+ * Extend this class and implement its methods to store the sessions anywhere, or use {@link FileSessionStore}.
+ * @abstract
+ */
+class SessionStore {
+  /**
+   * Loads the session of a shard.
+   * @param {number} shardId The id of the shard
+   * @returns {Promise<?SessionData>}
+   * @abstract
+   */
+  get() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'get', this.constructor.name));
+  }
+
+  /**
+   * Saves the session of a shard.
+   * @param {number} shardId The id of the shard
+   * @param {SessionData} session The session to save
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  set() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'set', this.constructor.name));
+  }
+
+  /**
+   * Deletes the session of a shard, once it can no longer be resumed.
+   * @param {number} shardId The id of the shard
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  delete() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'delete', this.constructor.name));
+  }
+}
+
+module.exports = SessionStore;
@@ -2,9 +2,10 @@
 
 const EventEmitter = require('node:events');
 const { setImmediate } = require('node:timers');
-const { setTimeout: sleep } = require('node:timers/promises');
+const { setImmediate: nextLoop, setTimeout: sleep } = require('node:timers/promises');
 const { Collection } = require('@discordjs/collection');
 const { RPCErrorCodes } = require('discord-api-types/v9');
+const GatewayRecorder = require('./GatewayRecorder');
 const WebSocketShard = require('./WebSocketShard');
 const PacketHandlers = require('./handlers');
 const { Error } = require('../../errors');
@@ -99,6 +100,21 @@ class WebSocketManager extends EventEmitter {
      * @private
      */
     this.reconnecting = false;
+
+    /**
+     * The recorder saving the dispatches received by the shards, if {@link ClientOptions#gatewayRecording} is set
+     * @type {?GatewayRecorder}
+     */
+    this.recorder = client.options.gatewayRecording
+      ? new GatewayRecorder(client.options.gatewayRecording, client)
+      : null;
+
+    /**
+     * If this manager is replaying a recording instead of being connected to the gateway
+     * @type {boolean}
+     * @private
+     */
+    this.replaying = false;
   }
 
   /**
@@ -115,10 +131,24 @@ class WebSocketManager extends EventEmitter {
    * Emits a debug message.
    * @param {string} message The debug message
    * @param {?WebSocketShard} [shard] The shard that emitted this message, if any
+   * @param {Object} [fields] The data attached to the message
    * @private
    */
-  debug(message, shard) {
-    this.client.emit(Events.DEBUG, `[WS => ${shard ? `Shard ${shard.id}` : 'Manager'}] ${message}`);
+  debug(message, shard, fields) {
+    this.log('debug', message, shard, fields);
+  }
+
+  /**
+   * Creates a log record for this manager or one of its shards.
+   * @param {LogLevel} level The severity of the record
+   * @param {string} message The message of the record
+   * @param {?WebSocketShard} [shard] The shard the record is about, if any
+   * @param {Object} [fields={}] The data attached to the record
+   * @private
+   */
+  log(level, message, shard, fields = {}) {
+    if (shard) this.client.log(level, 'shard', message, { shardId: shard.id, ...fields });
+    else this.client.log(level, 'ws', message, fields);
   }
 
   /**
@@ -137,13 +167,21 @@ class WebSocketManager extends EventEmitter {
 
     const { total, remaining } = sessionStartLimit;
 
-    this.debug(`Fetched Gateway Information
+    this.debug(
+      `Fetched Gateway Information
     URL: ${gatewayURL}
-    Recommended Shards: ${recommendedShards}`);
+    Recommended Shards: ${recommendedShards}`,
+      null,
+      { url: gatewayURL, recommendedShards },
+    );
 
-    this.debug(`Session Limit Information
+    this.debug(
+      `Session Limit Information
     Total: ${total}
-    Remaining: ${remaining}`);
+    Remaining: ${remaining}`,
+      null,
+      { total, remaining },
+    );
 
     this.gateway = `${gatewayURL}/`;
 
@@ -156,12 +194,70 @@ class WebSocketManager extends EventEmitter {
     }
 
     this.totalShards = shards.length;
-    this.debug(`Spawning shards: ${shards.join(', ')}`);
+    this.log('info', `Spawning shards: ${shards.join(', ')}`, null, { shards });
     this.shardQueue = new Set(shards.map(id => new WebSocketShard(this, id)));
+    this.recorder?.open(shards, this.client.options.shardCount);
+
+    await this.restoreSessions();
 
     return this.createShards();
   }
 
+  /**
+   * Loads the sessions saved in the client's session store into the queued shards, so they resume them
+   * instead of identifying. A client replacing another process in a rolling restart takes over its sessions instead.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async restoreSessions() {
+    const { sessionStore, shardCount } = this.client.options;
+    const handover = this.client.shard?.handover;
+    if (!sessionStore && !handover) return;
+
+    let restored = 0;
+    for (const shard of this.shardQueue) {
+      let session;
+      if (handover) {
+        try {
+          session = await this.client.shard.takeOverSession(shard.id); // eslint-disable-line no-await-in-loop
+        } catch (error) {
+          // The shard identifies a new session instead
+          this.log('warn', `Could not take over the session of the replaced process: ${error.message}`, shard);
+          continue;
+        }
+      } else {
+        session = await sessionStore.get(shard.id); // eslint-disable-line no-await-in-loop
+      }
+      // A session is bound to the shard count it was identified with
+      if (!session || session.shardCount !== shardCount) continue;
+      shard.sessionId = session.sessionId;
+      shard.closeSequence = session.sequence;
+      shard.resumeURL = session.resumeURL;
+      restored++;
+    }
+    if (!restored) return;
+
+    this.log(
+      'info',
+      `Restored ${restored} session(s) from ${handover ? 'the replaced process' : 'the session store'}.`,
+      null,
+      { restored, handover: Boolean(handover) },
+    );
+
+    // Resumed sessions do not receive a READY payload, fetch what it would have provided
+    if (!this.client.user) {
+      const ClientUser = require('../../structures/ClientUser');
+      const data = await this.client.api.users('@me').get();
+      this.client.user = new ClientUser(this.client, data);
+      this.client.users.cache.set(this.client.user.id, this.client.user);
+    }
+    if (!this.client.application) {
+      const ClientApplication = require('../../structures/ClientApplication');
+      const data = await this.client.api.oauth2.applications('@me').get();
+      this.client.application = new ClientApplication(this.client, data);
+    }
+  }
+
   /**
    * Handles the creation of a shard.
    * @returns {Promise<boolean>}
@@ -190,7 +286,7 @@ class WebSocketManager extends EventEmitter {
       });
 
       shard.on(ShardEvents.CLOSE, event => {
-        if (event.code === 1_000 ? this.destroyed : UNRECOVERABLE_CLOSE_CODES.includes(event.code)) {
+        if (this.destroyed || UNRECOVERABLE_CLOSE_CODES.includes(event.code)) {
           /**
            * Emitted when a shard's WebSocket disconnects and will no longer reconnect.
            * @event Client#shardDisconnect
@@ -198,7 +294,7 @@ class WebSocketManager extends EventEmitter {
            * @param {number} id The shard id that disconnected
            */
           this.client.emit(Events.SHARD_DISCONNECT, event, shard.id);
-          this.debug(WSCodes[event.code], shard);
+          this.log('error', WSCodes[event.code], shard, { code: event.code });
           return;
         }
 
@@ -213,6 +309,7 @@ class WebSocketManager extends EventEmitter {
          * @param {number} id The shard id that is attempting to reconnect
          */
         this.client.emit(Events.SHARD_RECONNECTING, shard.id);
+        this.client.metrics.gatewayReconnects.inc({ shard: shard.id, reason: 'close' });
 
         this.shardQueue.add(shard);
 
@@ -222,12 +319,14 @@ class WebSocketManager extends EventEmitter {
 
       shard.on(ShardEvents.INVALID_SESSION, () => {
         this.client.emit(Events.SHARD_RECONNECTING, shard.id);
+        this.client.metrics.gatewayReconnects.inc({ shard: shard.id, reason: 'invalid_session' });
       });
 
       shard.on(ShardEvents.DESTROYED, () => {
         this.debug('Shard was destroyed but no WebSocket connection was present! Reconnecting...', shard);
 
         this.client.emit(Events.SHARD_RECONNECTING, shard.id);
+        this.client.metrics.gatewayReconnects.inc({ shard: shard.id, reason: 'destroyed' });
 
         this.shardQueue.add(shard);
         this.reconnect();
@@ -240,12 +339,14 @@ class WebSocketManager extends EventEmitter {
 
     try {
       await shard.connect();
+      // Shards resuming a restored session are ready without waiting for guilds
+      this.checkShardsReady();
     } catch (error) {
       if (error?.code && UNRECOVERABLE_CLOSE_CODES.includes(error.code)) {
         throw new Error(WSCodes[error.code]);
         // Undefined if session is invalid, error event for regular closes
       } else if (!error || error.code) {
-        this.debug('Failed to connect to the gateway, requeueing...', shard);
+        this.log('warn', 'Failed to connect to the gateway, requeueing...', shard, { code: error?.code ?? null });
         this.shardQueue.add(shard);
       } else {
         throw error;
@@ -272,9 +373,11 @@ class WebSocketManager extends EventEmitter {
     try {
       await this.createShards();
     } catch (error) {
-      this.debug(`Couldn't reconnect or fetch information about the gateway. ${error}`);
+      this.log('error', `Couldn't reconnect or fetch information about the gateway. ${error}`, null, {
+        status: error.httpStatus ?? null,
+      });
       if (error.httpStatus !== 401) {
-        this.debug(`Possible network error occurred. Retrying in 5s...`);
+        this.log('warn', `Possible network error occurred. Retrying in 5s...`);
         await sleep(5_000);
         this.reconnecting = false;
         return this.reconnect();
@@ -317,7 +420,122 @@ class WebSocketManager extends EventEmitter {
     this.debug(`Manager was destroyed. Called by:\n${new Error('MANAGER_DESTROYED').stack}`);
     this.destroyed = true;
     this.shardQueue.clear();
-    for (const shard of this.shards.values()) shard.destroy({ closeCode: 1_000, reset: true, emit: false, log: false });
+    // Closing with 1000 invalidates the sessions, keep them resumable when they are persisted
+    const persist = Boolean(this.client.options.sessionStore);
+    for (const shard of this.shards.values()) {
+      shard.destroy({ closeCode: persist ? 4_000 : 1_000, reset: !persist, emit: false, log: false });
+      // Replayed shards have no session of their own, they would delete the saved ones
+      if (!this.replaying) shard.saveSession();
+    }
+    this.recorder?.close().catch(error => this.log('warn', `Failed to close the gateway recording: ${error.message}`));
+  }
+
+  /**
+   * Closes the connection of a shard without invalidating its session, so the process replacing this one in a
+   * rolling restart resumes it. The shard does not reconnect afterwards.
+   * @param {number} id The id of the shard
+   * @returns {?SessionData} The session of the shard, if it can be resumed
+   * @private
+   */
+  detachSession(id) {
+    const shard = this.shards.get(id);
+    if (!shard?.sessionId || shard.status !== Status.READY) return null;
+    this.log('info', 'Handing the session over to another process.', shard, { sessionId: shard.sessionId });
+    // Dispatches received from now on belong to the other process, which gets them replayed when resuming
+    shard._cleanupConnection();
+    shard.destroy({ closeCode: 4_000, emit: false, log: false });
+    // Without its listeners the connection never reports being closed, it is not a zombie connection
+    shard.setWsCloseTimeout(-1);
+    const session = {
+      sessionId: shard.sessionId,
+      sequence: shard.closeSequence,
+      resumeURL: shard.resumeURL,
+      shardCount: this.client.options.shardCount,
+    };
+    shard.sessionId = null;
+    return session;
+  }
+
+  /**
+   * Options for replaying a gateway recording.
+   * @typedef {Object} GatewayReplayOptions
+   * @property {number} [speed=Infinity] How fast the dispatches are replayed, compared to the time between them
+   * in the recording, e.g. `1` to replay them at the pace they were received. They are replayed one after the
+   * other without waiting by default
+   */
+
+  /**
+   * Replays a gateway recording without connecting to the gateway, feeding each recorded dispatch to
+   * the packet handlers as if its shard had received it.
+   * @param {string} file Path to the recording
+   * @param {GatewayReplayOptions} [options] Options for the replay
+   * @returns {Promise<void>}
+   * @private
+   */
+  async replay(file, { speed = Infinity } = {}) {
+    const entries = GatewayRecorder.read(file);
+    // The entries are checked while reading, so the line numbers of the errors match the file
+    const { value: header } = await entries.next();
+    if (!header) throw new Error('GATEWAY_RECORDING_INVALID', 1);
+
+    this.replaying = true;
+    this.totalShards = header.shards.length;
+    this.client.options.shards = header.shards;
+    this.client.options.shardCount = header.shardCount;
+    this.debug(`Replaying a recording of the shards: ${header.shards.join(', ')}`);
+
+    let previous = null;
+    for await (const entry of entries) {
+      if (this.destroyed) break;
+      if (previous !== null && Number.isFinite(speed)) {
+        const delay = Math.max(entry.timestamp - previous, 0) / speed;
+        await sleep(delay); // eslint-disable-line no-await-in-loop
+      }
+      previous = entry.timestamp;
+      this.replayPacket(entry.packet, this.replayShard(entry.shard));
+      // Dispatches are received on separate ticks, which lets the queued packets be handled in between
+      await nextLoop(); // eslint-disable-line no-await-in-loop
+    }
+  }
+
+  /**
+   * Gets the shard a recorded dispatch is replayed on, creating it the first time.
+   * @param {number} id The id of the shard
+   * @returns {WebSocketShard}
+   * @private
+   */
+  replayShard(id) {
+    let shard = this.shards.get(id);
+    if (shard) return shard;
+    shard = new WebSocketShard(this, id);
+    shard.on(ShardEvents.ALL_READY, unavailableGuilds => {
+      this.client.emit(Events.SHARD_READY, shard.id, unavailableGuilds);
+      this.checkShardsReady();
+    });
+    this.shards.set(id, shard);
+    return shard;
+  }
+
+  /**
+   * Replays a recorded dispatch on a shard, updating its state the way {@link WebSocketShard#onPacket} does.
+   * @param {Object} packet The recorded dispatch
+   * @param {WebSocketShard} shard The shard that received the dispatch
+   * @private
+   */
+  replayPacket(packet, shard) {
+    if (packet.t === WSEvents.READY) {
+      shard.expectedGuilds = new Set(packet.d.guilds.map(guild => guild.id));
+      shard.status = Status.WAITING_FOR_GUILDS;
+    } else if (packet.t === WSEvents.RESUMED) {
+      shard.status = Status.READY;
+    }
+    if (packet.s > shard.sequence) shard.sequence = packet.s;
+
+    this.handlePacket(packet, shard);
+    if (shard.status === Status.WAITING_FOR_GUILDS && packet.t === WSEvents.GUILD_CREATE) {
+      shard.expectedGuilds.delete(packet.d.id);
+      shard.checkReady();
+    }
   }
 
   /**
@@ -371,6 +589,9 @@ class WebSocketManager extends EventEmitter {
 
     this.client.readyAt = new Date();
 
+    // A replay must not send the messages scheduled by the process it was recorded from
+    if (!this.replaying) this.client.scheduler.start().catch(error => this.client.emit(Events.ERROR, error));
+
     /**
      * Emitted when the client becomes ready to start working.
      * @event Client#ready
@@ -61,6 +61,13 @@ class WebSocketShard extends EventEmitter {
      */
     this.sessionId = null;
 
+    /**
+     * The gateway URL to resume the current session with
+     * @type {?string}
+     * @private
+     */
+    this.resumeURL = null;
+
     /**
      * The previous heartbeat ping of the shard
      * @type {number}
@@ -177,10 +184,22 @@ class WebSocketShard extends EventEmitter {
   /**
    * Emits a debug event.
    * @param {string} message The debug message
+   * @param {Object} [fields] The data attached to the message
    * @private
    */
-  debug(message) {
-    this.manager.debug(message, this);
+  debug(message, fields) {
+    this.manager.debug(message, this, fields);
+  }
+
+  /**
+   * Creates a log record for this shard.
+   * @param {LogLevel} level The severity of the record
+   * @param {string} message The message of the record
+   * @param {Object} [fields] The data attached to the record
+   * @private
+   */
+  log(level, message, fields) {
+    this.manager.log(level, message, this, fields);
   }
 
   /**
@@ -190,7 +209,9 @@ class WebSocketShard extends EventEmitter {
    * or reject if we couldn't connect
    */
   connect() {
-    const { gateway, client } = this.manager;
+    const { client } = this.manager;
+    // Sessions have to be resumed on the gateway they were given for
+    const gateway = this.sessionId && this.resumeURL ? `${this.resumeURL}/` : this.manager.gateway;
 
     if (this.connection?.readyState === WebSocket.OPEN && this.status === Status.READY) {
       return Promise.resolve();
@@ -261,6 +282,7 @@ class WebSocketShard extends EventEmitter {
     Version    : ${client.options.ws.version}
     Encoding   : ${WebSocket.encoding}
     Compression: ${zlib ? 'zlib-stream' : 'none'}`,
+        { gateway, version: client.options.ws.version, encoding: WebSocket.encoding, compress: Boolean(zlib) },
       );
 
       this.status = this.status === Status.DISCONNECTED ? Status.RECONNECTING : Status.CONNECTING;
@@ -282,7 +304,8 @@ class WebSocketShard extends EventEmitter {
    * @private
    */
   onOpen() {
-    this.debug(`[CONNECTED] Took ${Date.now() - this.connectedAt}ms`);
+    const duration = Date.now() - this.connectedAt;
+    this.debug(`[CONNECTED] Took ${duration}ms`, { duration });
     this.status = Status.NEARLY;
   }
 
@@ -385,10 +408,14 @@ class WebSocketShard extends EventEmitter {
       wasClean: false,
     },
   ) {
-    this.debug(`[CLOSE]
+    this.log(
+      event.wasClean ? 'debug' : 'warn',
+      `[CLOSE]
     Event Code: ${event.code}
     Clean     : ${event.wasClean}
-    Reason    : ${event.reason ?? 'No reason received'}`);
+    Reason    : ${event.reason ?? 'No reason received'}`,
+      { code: event.code, reason: event.reason ?? null, wasClean: event.wasClean, sequence: this.sequence },
+    );
     /**
      * Emitted when a shard's WebSocket closes.
      * @private
@@ -409,6 +436,11 @@ class WebSocketShard extends EventEmitter {
       return;
     }
 
+    if (packet.op === Opcodes.DISPATCH) {
+      this.manager.client.metrics.gatewayEvents.inc({ shard: this.id, event: packet.t });
+      this.manager.recorder?.record(this.id, packet);
+    }
+
     switch (packet.t) {
       case WSEvents.READY:
         /**
@@ -418,11 +450,17 @@ class WebSocketShard extends EventEmitter {
         this.emit(ShardEvents.READY);
 
         this.sessionId = packet.d.session_id;
+        this.resumeURL = packet.d.resume_gateway_url ?? null;
         this.expectedGuilds = new Set(packet.d.guilds.map(d => d.id));
         this.status = Status.WAITING_FOR_GUILDS;
-        this.debug(`[READY] Session ${this.sessionId}.`);
+        this.log('info', `[READY] Session ${this.sessionId}.`, {
+          sessionId: this.sessionId,
+          sequence: packet.s,
+          guilds: this.expectedGuilds.size,
+        });
         this.lastHeartbeatAcked = true;
         this.sendHeartbeat('ReadyHeartbeat');
+        this.saveSession();
         break;
       case WSEvents.RESUMED: {
         /**
@@ -433,9 +471,14 @@ class WebSocketShard extends EventEmitter {
 
         this.status = Status.READY;
         const replayed = packet.s - this.closeSequence;
-        this.debug(`[RESUMED] Session ${this.sessionId} | Replayed ${replayed} events.`);
+        this.log('info', `[RESUMED] Session ${this.sessionId} | Replayed ${replayed} events.`, {
+          sessionId: this.sessionId,
+          sequence: packet.s,
+          replayed,
+        });
         this.lastHeartbeatAcked = true;
         this.sendHeartbeat('ResumeHeartbeat');
+        this.saveSession();
         break;
       }
     }
@@ -449,11 +492,15 @@ class WebSocketShard extends EventEmitter {
         this.identify();
         break;
       case Opcodes.RECONNECT:
-        this.debug('[RECONNECT] Discord asked us to reconnect');
+        this.log('info', '[RECONNECT] Discord asked us to reconnect', { sequence: this.sequence });
         this.destroy({ closeCode: 4_000 });
         break;
       case Opcodes.INVALID_SESSION:
-        this.debug(`[INVALID SESSION] Resumable: ${packet.d}.`);
+        this.log('warn', `[INVALID SESSION] Resumable: ${packet.d}.`, {
+          sessionId: this.sessionId,
+          sequence: this.sequence,
+          resumable: packet.d,
+        });
         // If we can resume the session, do so immediately
         if (packet.d) {
           this.identifyResume();
@@ -463,6 +510,8 @@ class WebSocketShard extends EventEmitter {
         this.sequence = -1;
         // Reset the session id as it's invalid
         this.sessionId = null;
+        this.resumeURL = null;
+        this.saveSession();
         // Set the status to reconnecting
         this.status = Status.RECONNECTING;
         // Finally, emit the INVALID_SESSION event
@@ -523,11 +572,13 @@ class WebSocketShard extends EventEmitter {
 
     this.readyTimeout = setTimeout(
       () => {
-        this.debug(
+        this.log(
+          hasGuildsIntent ? 'warn' : 'debug',
           `Shard ${hasGuildsIntent ? 'did' : 'will'} not receive any more guild packets` +
             `${hasGuildsIntent ? ` in ${waitGuildTimeout} ms` : ''}.\nUnavailable guild count: ${
               this.expectedGuilds.size
             }`,
+          { unavailableGuilds: this.expectedGuilds.size },
         );
 
         this.readyTimeout = null;
@@ -556,7 +607,7 @@ class WebSocketShard extends EventEmitter {
     }
     this.debug('Setting a HELLO timeout for 20s.');
     this.helloTimeout = setTimeout(() => {
-      this.debug('Did not receive HELLO in time. Destroying and connecting again.');
+      this.log('warn', 'Did not receive HELLO in time. Destroying and connecting again.');
       this.destroy({ reset: true, closeCode: 4009 });
     }, 20_000).unref();
   }
@@ -591,7 +642,8 @@ class WebSocketShard extends EventEmitter {
         return;
       }
 
-      this.debug(
+      this.log(
+        'warn',
         // eslint-disable-next-line max-len
         `[WebSocket] did not close properly, assuming a zombie connection.\nEmitting close and reconnecting again.`,
       );
@@ -616,7 +668,7 @@ class WebSocketShard extends EventEmitter {
       }
       return;
     }
-    this.debug(`Setting a heartbeat interval for ${time}ms.`);
+    this.debug(`Setting a heartbeat interval for ${time}ms.`, { interval: time });
     // Sanity checks
     if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
     this.heartbeatInterval = setInterval(() => this.sendHeartbeat(), time).unref();
@@ -636,17 +688,19 @@ class WebSocketShard extends EventEmitter {
     if (ignoreHeartbeatAck && !this.lastHeartbeatAcked) {
       this.debug(`[${tag}] Didn't process heartbeat ack yet but we are still connected. Sending one now.`);
     } else if (!this.lastHeartbeatAcked) {
-      this.debug(
+      this.log(
+        'warn',
         `[${tag}] Didn't receive a heartbeat ack last time, assuming zombie connection. Destroying and reconnecting.
     Status          : ${STATUS_KEYS[this.status]}
     Sequence        : ${this.sequence}
     Connection State: ${this.connection ? CONNECTION_STATE[this.connection.readyState] : 'No Connection??'}`,
+        { tag, status: STATUS_KEYS[this.status], sequence: this.sequence },
       );
       this.destroy({ reset: true, closeCode: 4009 });
       return;
     }
 
-    this.debug(`[${tag}] Sending a heartbeat.`);
+    this.debug(`[${tag}] Sending a heartbeat.`, { tag, sequence: this.sequence });
     this.lastHeartbeatAcked = false;
     this.lastPingTimestamp = Date.now();
     this.send({ op: Opcodes.HEARTBEAT, d: this.sequence }, true);
@@ -659,8 +713,29 @@ class WebSocketShard extends EventEmitter {
   ackHeartbeat() {
     this.lastHeartbeatAcked = true;
     const latency = Date.now() - this.lastPingTimestamp;
-    this.debug(`Heartbeat acknowledged, latency of ${latency}ms.`);
+    this.debug(`Heartbeat acknowledged, latency of ${latency}ms.`, { latency });
     this.ping = latency;
+    this.manager.client.metrics.gatewayHeartbeatLatency.observe({ shard: this.id }, latency / 1_000);
+    this.saveSession();
+  }
+
+  /**
+   * Saves the current session to the client's session store, if any.
+   * Deletes it from the store if there is no session to resume anymore.
+   * @private
+   */
+  saveSession() {
+    const { sessionStore, shardCount } = this.manager.client.options;
+    if (!sessionStore) return;
+    const promise = this.sessionId
+      ? sessionStore.set(this.id, {
+          sessionId: this.sessionId,
+          sequence: this.sequence === -1 ? this.closeSequence : this.sequence,
+          resumeURL: this.resumeURL,
+          shardCount,
+        })
+      : sessionStore.delete(this.id);
+    promise.catch(error => this.log('warn', `Failed to save the session: ${error.message}`));
   }
 
   /**
@@ -679,7 +754,7 @@ class WebSocketShard extends EventEmitter {
   identifyNew() {
     const { client } = this.manager;
     if (!client.token) {
-      this.debug('[IDENTIFY] No token available to identify a new session.');
+      this.log('error', '[IDENTIFY] No token available to identify a new session.');
       return;
     }
 
@@ -693,7 +768,10 @@ class WebSocketShard extends EventEmitter {
       shard: [this.id, Number(client.options.shardCount)],
     };
 
-    this.debug(`[IDENTIFY] Shard ${this.id}/${client.options.shardCount} with intents: ${d.intents}`);
+    this.log('info', `[IDENTIFY] Shard ${this.id}/${client.options.shardCount} with intents: ${d.intents}`, {
+      shardCount: client.options.shardCount,
+      intents: d.intents,
+    });
     this.send({ op: Opcodes.IDENTIFY, d }, true);
   }
 
@@ -710,7 +788,10 @@ class WebSocketShard extends EventEmitter {
 
     this.status = Status.RESUMING;
 
-    this.debug(`[RESUME] Session ${this.sessionId}, sequence ${this.closeSequence}`);
+    this.log('info', `[RESUME] Session ${this.sessionId}, sequence ${this.closeSequence}`, {
+      sessionId: this.sessionId,
+      sequence: this.closeSequence,
+    });
 
     const d = {
       token: this.manager.client.token,
@@ -781,10 +862,13 @@ class WebSocketShard extends EventEmitter {
    */
   destroy({ closeCode = 1_000, reset = false, emit = true, log = true } = {}) {
     if (log) {
-      this.debug(`[DESTROY]
+      this.debug(
+        `[DESTROY]
     Close Code    : ${closeCode}
     Reset         : ${reset}
-    Emit DESTROYED: ${emit}`);
+    Emit DESTROYED: ${emit}`,
+        { closeCode, reset, emit },
+      );
     }
 
     // Step 0: Remove all timers
@@ -846,6 +930,7 @@ class WebSocketShard extends EventEmitter {
     if (reset) {
       this.sequence = -1;
       this.sessionId = null;
+      this.resumeURL = null;
     }
 
     // Step 6: reset the rate limit data
@@ -8,6 +8,7 @@ module.exports = (client, { d: data }, shard) => {
     if (!guild.available && !data.unavailable) {
       // A newly available guild
       guild._patch(data);
+      client.guilds._persist(guild.id, data);
     }
   } else {
     // A new guild
@@ -1,6 +1,6 @@
 'use strict';
 
 module.exports = (client, packet) => {
-  client.emit('debug', `[VOICE] received voice server: ${JSON.stringify(packet)}`);
+  client.log('debug', 'client', `[VOICE] received voice server: ${JSON.stringify(packet)}`);
   client.voice.onVoiceServer(packet.d);
 };
@@ -15,6 +15,7 @@ const Messages = {
   WS_CONNECTION_EXISTS: 'There is already an existing WebSocket connection.',
   WS_NOT_OPEN: (data = 'data') => `WebSocket not open to send ${data}`,
   MANAGER_DESTROYED: 'Manager was destroyed.',
+  GATEWAY_RECORDING_INVALID: line => `Line ${line} of the gateway recording is not a valid entry.`,
 
   BITFIELD_INVALID: bit => `Invalid bitfield flag or number: ${bit}.`,
 
@@ -33,9 +34,15 @@ const Messages = {
   SHARDING_READY_DISCONNECTED: id => `Shard ${id}'s Client disconnected before becoming ready.`,
   SHARDING_READY_DIED: id => `Shard ${id}'s process exited before its Client became ready.`,
   SHARDING_NO_CHILD_EXISTS: id => `Shard ${id} has no active process or worker.`,
+  SHARDING_HANDOVER_TIMEOUT: id => `Shard ${id}'s process took too long to hand its session over.`,
   SHARDING_SHARD_MISCALCULATION: (shard, guild, count) =>
     `Calculated invalid shard ${shard} for guild ${guild} with ${count} shards.`,
 
+  RATE_LIMIT_STORE_NOT_SHARDED: 'IPCRateLimitStore can only be used by clients spawned by a ShardingManager.',
+  RATE_LIMIT_STORE_INVALID_OPERATION: method => `Rate limit store operation ${method} is not supported.`,
+  RATE_LIMIT_STORE_TIMEOUT: method =>
+    `The sharding manager took too long to answer rate limit store operation ${method}.`,
+
   COLOR_RANGE: 'Color must be within the range 0 - 16777215 (0xFFFFFF).',
   COLOR_CONVERT: 'Unable to convert color to a number.',
 
@@ -101,7 +108,11 @@ const Messages = {
   GUILD_CHANNEL_UNOWNED: "The fetched channel does not belong to this manager's guild.",
   GUILD_OWNED: 'Guild is owned by the client.',
   GUILD_MEMBERS_TIMEOUT: "Members didn't arrive in time.",
+  GUILD_BACKUP_UNSUPPORTED_VERSION: version => `Guild backups of version ${version} are not supported.`,
   GUILD_UNCACHED_ME: 'The client user as a member of this guild is uncached.',
+  ROLE_POSITION_HIERARCHY: (name, id) =>
+    `Cannot move the ${name} role (${id}), only the roles below the highest role of the client user can be moved.`,
+  MISSING_PERMISSIONS: (missing, target) => `Missing permissions in ${target}: ${missing.join(', ')}.`,
   CHANNEL_NOT_CACHED: 'Could not find the channel where this message came from in the cache!',
   STAGE_CHANNEL_RESOLVE: 'Could not resolve channel to a stage channel.',
   GUILD_SCHEDULED_EVENT_RESOLVE: 'Could not resolve the guild scheduled event.',
@@ -154,8 +165,29 @@ const Messages = {
     `Required option "${name}" is of type: ${type}; expected a non-empty value.`,
   COMMAND_INTERACTION_OPTION_NO_SUB_COMMAND: 'No subcommand specified for interaction.',
   COMMAND_INTERACTION_OPTION_NO_SUB_COMMAND_GROUP: 'No subcommand group specified for interaction.',
+  OPTION_VALIDATION_FAILED: names => `Invalid options: ${names.join(', ')}.`,
   AUTOCOMPLETE_INTERACTION_OPTION_NO_FOCUSED_OPTION: 'No focused option for autocomplete interaction.',
 
+  COMMAND_ROUTER_DUPLICATE_COMMAND: (type, name) => `A ${type} command named "${name}" is already registered.`,
+  COMMAND_ROUTER_MISSING_HANDLER: path => `Command "${path}" has no run function.`,
+  COMMAND_ROUTER_DUPLICATE_CUSTOM_ID: customId => `A handler for custom id "${customId}" is already registered.`,
+
+  COMPONENT_REGISTRY_INVALID_NAME: name => `Handler name "${name}" must be a string of 1 to 64 characters without ":".`,
+  COMPONENT_REGISTRY_DUPLICATE_HANDLER: name => `A handler named "${name}" is already registered.`,
+  COMPONENT_REGISTRY_UNKNOWN_HANDLER: name => `No handler named "${name}" is registered.`,
+  COMPONENT_REGISTRY_STATE_TOO_LONG: name =>
+    `The custom id for handler "${name}" is longer than 100 characters, a store is needed to save its state.`,
+  COMPONENT_REGISTRY_STATE_NOT_FOUND: customId => `The state of custom id "${customId}" is not in the store.`,
+
+  PAGINATOR_NO_PAGES: 'A paginator needs at least one page.',
+  PAGINATOR_ALREADY_SENT: 'The paginator was already sent.',
+  PAGINATOR_NOT_SENT: 'The paginator has to be sent before showing a page.',
+  PAGINATOR_PAGE_OUT_OF_RANGE: (index, count) =>
+    `Page ${index} is out of range${count === null ? '' : `, the paginator has ${count} pages`}.`,
+
+  MODAL_WIZARD_STEP_FIELDS: step => `Step ${step} of the modal wizard must have between 1 and 5 fields.`,
+  MODAL_WIZARD_TIMEOUT: step => `The modal wizard timed out at step ${step}.`,
+
   MODAL_SUBMIT_INTERACTION_FIELD_NOT_FOUND: customId => `Required field with custom id "${customId}" not found.`,
   MODAL_SUBMIT_INTERACTION_FIELD_TYPE: (customId, type, expected) =>
     `Field with custom id "${customId}" is of type: ${type}; expected ${expected}.`,
@@ -164,6 +196,12 @@ const Messages = {
 
   NOT_IMPLEMENTED: (what, name) => `Method ${what} not implemented on ${name}.`,
 
+  ITERATION_ABORTED: 'The iteration was aborted.',
+  REPLAY_ABORTED: 'The replay was aborted.',
+  REPLAY_THREADS_WEBHOOK_CLIENT: 'Threads cannot be recreated with a WebhookClient, it has no client token.',
+
+  MOCK_NOT_LISTENING: 'The mock has to be listening before clients are created.',
+
   SWEEP_FILTER_RETURN: 'The return value of the sweepFilter function was not false or a Function',
 };
 
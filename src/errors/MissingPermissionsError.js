@@ -0,0 +1,35 @@
+'use strict';
+
+const { Error } = require('./DJSError');
+
+/**
+ * Represents an error thrown before a request is sent, because the client user is missing permissions for it.
+ * <info>This is thrown by the requests checked when {@link ClientOptions#checkPermissions} is enabled,
+ * and by the position planners such as {@link RoleManager#planPositions}.</info>
+ * @extends Error
+ */
+class MissingPermissionsError extends Error {
+  constructor(missing, guild, channel = null) {
+    super('MISSING_PERMISSIONS', missing, channel ? `channel ${channel.id}` : `guild ${guild.id}`);
+
+    /**
+     * The permissions the client user is missing
+     * @type {PermissionString[]}
+     */
+    this.missing = missing;
+
+    /**
+     * The guild the permissions are missing in
+     * @type {Guild}
+     */
+    this.guild = guild;
+
+    /**
+     * The channel the permissions are missing in, if they are not missing in the guild
+     * @type {?(GuildChannel|ThreadChannel)}
+     */
+    this.channel = channel;
+  }
+}
+
+module.exports = MissingPermissionsError;
@@ -0,0 +1,97 @@
+'use strict';
+
+const { Error } = require('./DJSError');
+
+/**
+ * A problem found with an option by {@link CommandInteractionOptionResolver#parse}.
+ * @typedef {Object} OptionValidationIssue
+ * @property {string} option The name of the option
+ * @property {OptionValidationIssueCode} code The kind of problem
+ * @property {*} value The value the option was given, `null` if it is missing
+ * @property {number} [min] The minimum value or length of the option, for `MIN_VALUE` and `MIN_LENGTH`
+ * @property {number} [max] The maximum value or length of the option, for `MAX_VALUE` and `MAX_LENGTH`
+ * @property {Array<string|number>} [choices] The values the option accepts, for `CHOICES`
+ * @property {ChannelType[]} [types] The channel types the option accepts, for `CHANNEL_TYPE`
+ */
+
+/**
+ * The kind of problem found with an option:
+ * * `REQUIRED`: the option is missing
+ * * `MIN_VALUE`: the number is below the minimum
+ * * `MAX_VALUE`: the number is above the maximum
+ * * `MIN_LENGTH`: the string is shorter than the minimum length
+ * * `MAX_LENGTH`: the string is longer than the maximum length
+ * * `CHOICES`: the value is not one of the choices
+ * * `CHANNEL_TYPE`: the channel is not of an accepted type
+ * * `NOT_MEMBER`: the user is not a member of the guild
+ * * `INVALID`: the value was rejected by the `validate` function of the option
+ * @typedef {string} OptionValidationIssueCode
+ */
+
+/**
+ * A function describing an issue to the user.
+ * @typedef {Function} OptionValidationMessage
+ * @param {OptionValidationIssue} issue The issue to describe
+ * @returns {string}
+ */
+
+/**
+ * Represents an error thrown by {@link CommandInteractionOptionResolver#parse}, when options do not match the schema.
+ * @extends Error
+ * @example
+ * try {
+ *   const { amount } = interaction.options.parse({ amount: { type: 'INTEGER', minValue: 1, required: true } });
+ * } catch (error) {
+ *   if (error instanceof OptionValidationError) return interaction.reply(error.toReply(messages[interaction.locale]));
+ *   throw error;
+ * }
+ */
+class OptionValidationError extends Error {
+  constructor(issues) {
+    super('OPTION_VALIDATION_FAILED', [...new Set(issues.map(issue => issue.option))]);
+
+    /**
+     * The problems found with the options
+     * @type {OptionValidationIssue[]}
+     */
+    this.issues = issues;
+  }
+
+  /**
+   * Describes the issues, one line each.
+   * @param {Object<OptionValidationIssueCode, OptionValidationMessage>} [messages={}] The messages describing the
+   * issues, for example in the locale of the user, {@link OptionValidationError.messages} being used for the others
+   * @returns {string[]}
+   */
+  format(messages = {}) {
+    return this.issues.map(issue => (messages[issue.code] ?? this.constructor.messages[issue.code])(issue));
+  }
+
+  /**
+   * Creates an ephemeral reply describing the issues.
+   * @param {Object<OptionValidationIssueCode, OptionValidationMessage>} [messages={}] The messages describing the
+   * issues, for example in the locale of the user, {@link OptionValidationError.messages} being used for the others
+   * @returns {InteractionReplyOptions}
+   */
+  toReply(messages = {}) {
+    return { content: this.format(messages).join('\n'), ephemeral: true };
+  }
+}
+
+/**
+ * The messages describing the issues in English.
+ * @type {Object<OptionValidationIssueCode, OptionValidationMessage>}
+ */
+OptionValidationError.messages = {
+  REQUIRED: ({ option }) => `\`${option}\` is required.`,
+  MIN_VALUE: ({ option, min }) => `\`${option}\` must be at least ${min}.`,
+  MAX_VALUE: ({ option, max }) => `\`${option}\` must be at most ${max}.`,
+  MIN_LENGTH: ({ option, min }) => `\`${option}\` must be at least ${min} characters long.`,
+  MAX_LENGTH: ({ option, max }) => `\`${option}\` must be at most ${max} characters long.`,
+  CHOICES: ({ option, choices }) => `\`${option}\` must be one of: ${choices.join(', ')}.`,
+  CHANNEL_TYPE: ({ option, types }) => `\`${option}\` must be a channel of type: ${types.join(', ')}.`,
+  NOT_MEMBER: ({ option }) => `\`${option}\` must be a member of this server.`,
+  INVALID: ({ option }) => `\`${option}\` is invalid.`,
+};
+
+module.exports = OptionValidationError;
@@ -2,3 +2,5 @@
 
 module.exports = require('./DJSError');
 module.exports.Messages = require('./Messages');
+module.exports.MissingPermissionsError = require('./MissingPermissionsError');
+module.exports.OptionValidationError = require('./OptionValidationError');
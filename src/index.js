@@ -3,6 +3,7 @@
 // "Root" classes (starting points)
 exports.BaseClient = require('./client/BaseClient');
 exports.Client = require('./client/Client');
+exports.InteractionServer = require('./client/InteractionServer');
 exports.Shard = require('./sharding/Shard');
 exports.ShardClientUtil = require('./sharding/ShardClientUtil');
 exports.ShardingManager = require('./sharding/ShardingManager');
@@ -13,18 +14,46 @@ exports.ActivityFlags = require('./util/ActivityFlags');
 exports.ApplicationFlags = require('./util/ApplicationFlags');
 exports.BaseManager = require('./managers/BaseManager');
 exports.BitField = require('./util/BitField');
+exports.CacheAdapter = require('./util/CacheAdapter');
+exports.ChannelExporter = require('./util/ChannelExporter');
+exports.ClientMetrics = require('./util/ClientMetrics');
 exports.Collection = require('@discordjs/collection').Collection;
+exports.ComponentStateStore = require('./util/ComponentStateStore');
 exports.Constants = require('./util/Constants');
 exports.DataResolver = require('./util/DataResolver');
 exports.DiscordAPIError = require('./rest/DiscordAPIError');
+exports.FileComponentStateStore = require('./util/FileComponentStateStore');
+exports.FileScheduleStore = require('./util/FileScheduleStore');
 exports.Formatters = require('./util/Formatters');
+exports.GuildBackup = require('./util/GuildBackup');
 exports.HTTPError = require('./rest/HTTPError');
+exports.IPCRateLimitStore = require('./rest/IPCRateLimitStore');
 exports.Intents = require('./util/Intents');
+exports.JSONLinesCacheAdapter = require('./util/JSONLinesCacheAdapter');
 exports.LimitedCollection = require('./util/LimitedCollection');
+exports.Logger = require('./util/Logger');
+exports.MemoryComponentStateStore = require('./util/MemoryComponentStateStore');
+exports.MemoryScheduleStore = require('./util/MemoryScheduleStore');
 exports.MessageFlags = require('./util/MessageFlags');
+exports.MessageReplayer = require('./util/MessageReplayer');
+exports.MessageScheduler = require('./util/MessageScheduler');
+exports.Metric = require('./util/Metric');
+exports.MetricCounter = require('./util/MetricCounter');
+exports.MetricGauge = require('./util/MetricGauge');
+exports.MetricHistogram = require('./util/MetricHistogram');
+exports.MockAPIError = require('./testing/MockAPIError');
+exports.MockDiscord = require('./testing/MockDiscord');
+exports.MockGateway = require('./testing/MockGateway');
+exports.MockRESTServer = require('./testing/MockRESTServer');
+exports.MissingPermissionsError = require('./errors/MissingPermissionsError');
+exports.OptionValidationError = require('./errors/OptionValidationError');
 exports.Options = require('./util/Options');
+exports.PermissionExplainer = require('./util/PermissionExplainer');
 exports.Permissions = require('./util/Permissions');
 exports.RateLimitError = require('./rest/RateLimitError');
+exports.RateLimitStore = require('./rest/RateLimitStore');
+exports.RESTProxy = require('./rest/RESTProxy');
+exports.ScheduleStore = require('./util/ScheduleStore');
 exports.SnowflakeUtil = require('./util/SnowflakeUtil');
 exports.Sweepers = require('./util/Sweepers');
 exports.SystemChannelFlags = require('./util/SystemChannelFlags');
@@ -41,6 +70,8 @@ exports.CachedManager = require('./managers/CachedManager');
 exports.ChannelManager = require('./managers/ChannelManager');
 exports.ClientVoiceManager = require('./client/voice/ClientVoiceManager');
 exports.DataManager = require('./managers/DataManager');
+exports.FileSessionStore = require('./client/websocket/FileSessionStore');
+exports.GatewayRecorder = require('./client/websocket/GatewayRecorder');
 exports.GuildApplicationCommandManager = require('./managers/GuildApplicationCommandManager');
 exports.GuildBanManager = require('./managers/GuildBanManager');
 exports.GuildChannelManager = require('./managers/GuildChannelManager');
@@ -58,6 +89,7 @@ exports.PresenceManager = require('./managers/PresenceManager');
 exports.ReactionManager = require('./managers/ReactionManager');
 exports.ReactionUserManager = require('./managers/ReactionUserManager');
 exports.RoleManager = require('./managers/RoleManager');
+exports.SessionStore = require('./client/websocket/SessionStore');
 exports.StageInstanceManager = require('./managers/StageInstanceManager');
 exports.ThreadManager = require('./managers/ThreadManager');
 exports.ThreadMemberManager = require('./managers/ThreadMemberManager');
@@ -88,12 +120,15 @@ exports.ClientUser = require('./structures/ClientUser');
 exports.Collector = require('./structures/interfaces/Collector');
 exports.CommandInteraction = require('./structures/CommandInteraction');
 exports.CommandInteractionOptionResolver = require('./structures/CommandInteractionOptionResolver');
+exports.CommandRouter = require('./structures/CommandRouter');
+exports.ComponentRegistry = require('./structures/ComponentRegistry');
 exports.ContextMenuInteraction = require('./structures/ContextMenuInteraction');
 exports.DMChannel = require('./structures/DMChannel');
 exports.Emoji = require('./structures/Emoji').Emoji;
 exports.Guild = require('./structures/Guild').Guild;
 exports.GuildAuditLogs = require('./structures/GuildAuditLogs');
 exports.GuildAuditLogsEntry = require('./structures/GuildAuditLogs').Entry;
+exports.GuildAuditLogsWatcher = require('./structures/GuildAuditLogsWatcher');
 exports.GuildBan = require('./structures/GuildBan');
 exports.GuildChannel = require('./structures/GuildChannel');
 exports.GuildEmoji = require('./structures/GuildEmoji');
@@ -124,8 +159,10 @@ exports.MessageReaction = require('./structures/MessageReaction');
 exports.MessageSelectMenu = require('./structures/MessageSelectMenu');
 exports.Modal = require('./structures/Modal');
 exports.ModalSubmitInteraction = require('./structures/ModalSubmitInteraction');
+exports.ModalWizard = require('./structures/ModalWizard');
 exports.NewsChannel = require('./structures/NewsChannel');
 exports.OAuth2Guild = require('./structures/OAuth2Guild');
+exports.Paginator = require('./structures/Paginator');
 exports.PartialGroupDMChannel = require('./structures/PartialGroupDMChannel');
 exports.PermissionOverwrites = require('./structures/PermissionOverwrites');
 exports.Presence = require('./structures/Presence').Presence;
@@ -9,6 +9,79 @@ const ApplicationCommand = require('../structures/ApplicationCommand');
 const { ApplicationCommandTypes } = require('../util/Constants');
 const Permissions = require('../util/Permissions');
 
+/**
+ * Brings an API application command option to a form where equal options are deeply equal,
+ * by filling in the values the API omits.
+ * @param {APIApplicationCommandOption} option The option to normalize
+ * @returns {Object}
+ * @private
+ */
+function normalizeOption(option) {
+  return {
+    type: option.type,
+    name: option.name,
+    name_localizations: option.name_localizations ?? {},
+    description: option.description,
+    description_localizations: option.description_localizations ?? {},
+    required: option.required ?? false,
+    autocomplete: option.autocomplete ?? false,
+    choices: (option.choices ?? []).map(choice => ({
+      name: choice.name,
+      name_localizations: choice.name_localizations ?? {},
+      value: choice.value,
+    })),
+    options: (option.options ?? []).map(normalizeOption),
+    channel_types: [...(option.channel_types ?? [])].sort(),
+    min_value: option.min_value ?? null,
+    max_value: option.max_value ?? null,
+    min_length: option.min_length ?? null,
+    max_length: option.max_length ?? null,
+  };
+}
+
+/**
+ * Brings an API application command to a form where equal commands are deeply equal,
+ * by filling in the values the API omits.
+ * @param {APIApplicationCommand} command The command to normalize
+ * @param {boolean} global Whether the command is a global command
+ * @returns {Object}
+ * @private
+ */
+function normalizeCommand(command, global) {
+  return {
+    type: command.type ?? ApplicationCommandTypes.CHAT_INPUT,
+    name: command.name,
+    name_localizations: command.name_localizations ?? {},
+    description: command.description ?? '',
+    description_localizations: command.description_localizations ?? {},
+    options: (command.options ?? []).map(normalizeOption),
+    default_member_permissions: command.default_member_permissions ?? null,
+    default_permission: command.default_permission ?? true,
+    // The DM permission only applies to global commands
+    dm_permission: global ? command.dm_permission ?? true : null,
+  };
+}
+
+/**
+ * Lists the paths of the values that differ between two normalized commands.
+ * @param {*} existing The existing value
+ * @param {*} wanted The wanted value
+ * @param {string} [path] The path of the values
+ * @returns {string[]}
+ * @private
+ */
+function diff(existing, wanted, path) {
+  if (Array.isArray(existing) && Array.isArray(wanted)) {
+    if (existing.length !== wanted.length) return [path];
+    return existing.flatMap((value, index) => diff(value, wanted[index], `${path}[${index}]`));
+  }
+  if (existing && wanted && typeof existing === 'object' && typeof wanted === 'object') {
+    const keys = new Set([...Object.keys(existing), ...Object.keys(wanted)]);
+    return [...keys].flatMap(key => diff(existing[key], wanted[key], path ? `${path}.${key}` : key));
+  }
+  return existing === wanted ? [] : [path];
+}
+
 /**
  * Manages API methods for application commands and stores their cache.
  * @extends {CachedManager}
@@ -165,6 +238,99 @@ class ApplicationCommandManager extends CachedManager {
     return data.reduce((coll, command) => coll.set(command.id, this._add(command, true, guildId)), new Collection());
   }
 
+  /**
+   * Options used to sync application commands
+   * @typedef {Object} ApplicationCommandSyncOptions
+   * @property {Snowflake} [guildId] The guild's id to sync the commands of,
+   * ignored when using a {@link GuildApplicationCommandManager}
+   * @property {boolean} [dryRun=false] Whether to only report the changes, without applying them
+   * @property {boolean} [deleteMissing=true] Whether to delete the existing commands that are not in the list
+   */
+
+  /**
+   * A change made to an application command by {@link ApplicationCommandManager#sync}.
+   * @typedef {Object} ApplicationCommandSyncChange
+   * @property {string} name The name of the command
+   * @property {ApplicationCommandType} type The type of the command
+   * @property {?ApplicationCommand} command The command after the sync, or the existing command if it was deleted
+   * or the change was skipped by a dry run (`null` for commands that were not created yet)
+   * @property {string[]} differences The paths of the API properties that differ between the existing command and
+   * the wanted one (e.g. `options[0].name_localizations.fr`)
+   */
+
+  /**
+   * The changes made by {@link ApplicationCommandManager#sync}.
+   * @typedef {Object} ApplicationCommandSyncReport
+   * @property {ApplicationCommandSyncChange[]} created The commands that were created
+   * @property {ApplicationCommandSyncChange[]} updated The commands that were edited
+   * @property {ApplicationCommandSyncChange[]} deleted The commands that were deleted
+   * @property {ApplicationCommandSyncChange[]} unchanged The commands that already matched
+   * @property {boolean} dryRun Whether the changes were only reported, and not applied
+   */
+
+  /**
+   * Makes the commands of this application or guild match a list of commands, by only creating, editing and
+   * deleting the commands that differ. Unlike {@link ApplicationCommandManager#set}, this keeps the ids of the
+   * commands that did not change.
+   * <info>Commands are matched by their type and name, renaming a command deletes it and creates a new one.</info>
+   * @param {ApplicationCommandDataResolvable[]} commands The commands
+   * @param {ApplicationCommandSyncOptions} [options] Options for the sync
+   * @returns {Promise<ApplicationCommandSyncReport>}
+   * @example
+   * // Check which commands would change in CI
+   * client.application.commands.sync(commands, { dryRun: true })
+   *   .then(report => console.log(`${report.created.length + report.updated.length} commands to deploy`))
+   *   .catch(console.error);
+   */
+  async sync(commands, { guildId, dryRun = false, deleteMissing = true } = {}) {
+    const global = !(this.guild ?? guildId);
+    const existing = await this.commandPath({ guildId }).get({ query: { with_localizations: true } });
+    const remaining = new Map(
+      existing.map(data => [`${data.type ?? ApplicationCommandTypes.CHAT_INPUT}:${data.name}`, data]),
+    );
+    const report = { created: [], updated: [], deleted: [], unchanged: [], dryRun };
+
+    for (const command of commands) {
+      const data = this.constructor.transformCommand(command);
+      const wanted = normalizeCommand(data, global);
+      const key = `${wanted.type}:${wanted.name}`;
+      const current = remaining.get(key);
+      remaining.delete(key);
+      const change = { name: wanted.name, type: ApplicationCommandTypes[wanted.type], command: null, differences: [] };
+
+      if (!current) {
+        if (!dryRun) change.command = await this.create(data, guildId); // eslint-disable-line no-await-in-loop
+        report.created.push(change);
+        continue;
+      }
+
+      change.differences = diff(normalizeCommand(current, global), wanted, '');
+      if (change.differences.length && !dryRun) {
+        change.command = await this.edit(current.id, data, guildId); // eslint-disable-line no-await-in-loop
+      } else {
+        change.command = this._add(current, true, guildId);
+      }
+      report[change.differences.length ? 'updated' : 'unchanged'].push(change);
+    }
+
+    for (const current of remaining.values()) {
+      const change = {
+        name: current.name,
+        type: ApplicationCommandTypes[current.type ?? ApplicationCommandTypes.CHAT_INPUT],
+        command: this._add(current, !deleteMissing, guildId),
+        differences: [],
+      };
+      if (!deleteMissing) {
+        report.unchanged.push(change);
+        continue;
+      }
+      if (!dryRun) await this.delete(current.id, guildId); // eslint-disable-line no-await-in-loop
+      report.deleted.push(change);
+    }
+
+    return report;
+  }
+
   /**
    * Edits an application command.
    * @param {ApplicationCommandResolvable} command The command to edit
@@ -209,7 +375,7 @@ class ApplicationCommandManager extends CachedManager {
     await this.commandPath({ id, guildId }).delete();
 
     const cached = this.cache.get(id);
-    this.cache.delete(id);
+    this._remove(id);
     return cached ?? null;
   }
 
@@ -1,7 +1,7 @@
 'use strict';
 
 const DataManager = require('./DataManager');
-const { _cleanupSymbol } = require('../util/Constants');
+const { _cleanupSymbol, Events } = require('../util/Constants');
 
 /**
  * Manages the API methods of a data model with a mutable cache of instances.
@@ -27,6 +27,27 @@ class CachedManager extends DataManager {
       });
     }
 
+    /**
+     * The adapter persisting the entries of this manager, created the first time it is needed
+     * @type {?CacheAdapter|undefined}
+     * @private
+     */
+    Object.defineProperty(this, '_adapter', { value: undefined, writable: true });
+
+    /**
+     * The last write to the adapter for each key, so writes to the same key are applied in order
+     * @type {Map<string, Promise<void>>}
+     * @private
+     */
+    Object.defineProperty(this, '_adapterWrites', { value: new Map() });
+
+    /**
+     * Whether an entry is being restored from the adapter, in which case it is not written back to it
+     * @type {boolean}
+     * @private
+     */
+    Object.defineProperty(this, '_restoring', { value: false, writable: true });
+
     if (iterable) {
       for (const item of iterable) {
         this._add(item);
@@ -43,11 +64,24 @@ class CachedManager extends DataManager {
     return this._cache;
   }
 
+  /**
+   * The adapter persisting the entries of this manager, created by {@link ClientOptions#makeCacheAdapter}
+   * <info>Entries are written to the adapter when they are added to, updated in or removed from the cache, and
+   * restored from it when they are fetched but no longer cached in memory.</info>
+   * @type {?CacheAdapter}
+   * @readonly
+   */
+  get adapter() {
+    if (this._adapter === undefined) this._adapter = this.client.options.makeCacheAdapter?.(this) ?? null;
+    return this._adapter;
+  }
+
   _add(data, cache = true, { id, extras = [] } = {}) {
     const existing = this.cache.get(id ?? data.id);
     if (existing) {
       if (cache) {
         existing._patch(data);
+        this._persist(id ?? data.id, data);
         return existing;
       }
       const clone = existing._clone();
@@ -56,9 +90,77 @@ class CachedManager extends DataManager {
     }
 
     const entry = this.holds ? new this.holds(this.client, data, ...extras) : data;
-    if (cache) this.cache.set(id ?? entry.id, entry);
+    if (cache) {
+      this.cache.set(id ?? entry.id, entry);
+      this._persist(id ?? entry.id, data);
+    }
     return entry;
   }
+
+  /**
+   * Removes an entry from the cache and from the adapter.
+   * <info>Use this when the entry no longer exists, entries evicted from the cache to save memory should only be
+   * deleted from {@link CachedManager#cache}.</info>
+   * @param {string} key The key of the entry
+   * @private
+   */
+  _remove(key) {
+    this.cache.delete(key);
+    if (this.adapter) this._queueAdapterWrite(key, () => this.adapter.delete(key));
+  }
+
+  /**
+   * Writes the raw data of an entry to the adapter, merged into the data already stored for it
+   * as updates only contain the changed properties.
+   * @param {string} key The key of the entry
+   * @param {Object} data The raw data of the entry
+   * @private
+   */
+  _persist(key, data) {
+    if (this._restoring || !this.adapter || (this.holds && data instanceof this.holds)) return;
+    this._queueAdapterWrite(key, async () => {
+      const stored = await this.adapter.get(key);
+      await this.adapter.set(key, stored ? { ...stored, ...data } : data);
+    });
+  }
+
+  /**
+   * Runs a write to the adapter after the previous writes to the same key.
+   * @param {string} key The key of the entry
+   * @param {Function} write The write to run
+   * @private
+   */
+  _queueAdapterWrite(key, write) {
+    const promise = (this._adapterWrites.get(key) ?? Promise.resolve())
+      .then(write)
+      .catch(error => this.client.emit(Events.WARN, `[${this.constructor.name}] Failed to persist ${key}: ${error}`))
+      .finally(() => {
+        if (this._adapterWrites.get(key) === promise) this._adapterWrites.delete(key);
+      });
+    this._adapterWrites.set(key, promise);
+  }
+
+  /**
+   * Restores an entry from the adapter when it is no longer cached in memory.
+   * @param {string} key The key of the entry
+   * @param {boolean} [cache=true] Whether to cache the restored entry in memory
+   * @returns {Promise<?Object>}
+   * @private
+   */
+  async _restore(key, cache = true) {
+    if (!this.adapter) return null;
+    await this._adapterWrites.get(key);
+    const data = await this.adapter.get(key);
+    if (!data) return null;
+    const existing = this.cache.get(key);
+    if (existing) return existing;
+    this._restoring = true;
+    try {
+      return this._add(data, cache);
+    } finally {
+      this._restoring = false;
+    }
+  }
 }
 
 module.exports = CachedManager;
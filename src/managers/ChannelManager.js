@@ -3,7 +3,7 @@
 const process = require('node:process');
 const CachedManager = require('./CachedManager');
 const { Channel } = require('../structures/Channel');
-const { Events, ThreadChannelTypes } = require('../util/Constants');
+const { ThreadChannelTypes } = require('../util/Constants');
 
 let cacheWarningEmitted = false;
 
@@ -47,7 +47,10 @@ class ChannelManager extends CachedManager {
     const channel = Channel.create(this.client, data, guild, { allowUnknownGuild, fromInteraction });
 
     if (!channel) {
-      this.client.emit(Events.DEBUG, `Failed to find guild, or unknown type for channel ${data.id} ${data.type}`);
+      this.client.log('debug', 'client', `Failed to find guild, or unknown type for channel ${data.id} ${data.type}`, {
+        channelId: data.id,
+        type: data.type,
+      });
       return null;
     }
 
@@ -58,9 +61,9 @@ class ChannelManager extends CachedManager {
 
   _remove(id) {
     const channel = this.cache.get(id);
-    channel?.guild?.channels.cache.delete(id);
-    channel?.parent?.threads?.cache.delete(id);
-    this.cache.delete(id);
+    channel?.guild?.channels._remove(id);
+    channel?.parent?.threads?._remove(id);
+    super._remove(id);
   }
 
   /**
@@ -5,6 +5,8 @@ const CachedManager = require('./CachedManager');
 const { TypeError, Error } = require('../errors');
 const GuildBan = require('../structures/GuildBan');
 const { GuildMember } = require('../structures/GuildMember');
+const Permissions = require('../util/Permissions');
+const { paginate } = require('../util/Util');
 
 /**
  * Manages API methods for GuildBans and stores their cache.
@@ -107,7 +109,7 @@ class GuildBanManager extends CachedManager {
 
   async _fetchSingle({ user, cache, force = false }) {
     if (!force) {
-      const existing = this.cache.get(user);
+      const existing = this.cache.get(user) ?? (await this._restore(user, cache));
       if (existing && !existing.partial) return existing;
     }
 
@@ -122,6 +124,46 @@ class GuildBanManager extends CachedManager {
 
     return data.reduce((col, ban) => col.set(ban.user.id, this._add(ban, options.cache)), new Collection());
   }
+
+  /**
+   * Options used to iterate over the bans of a guild.
+   * @typedef {BaseIterateOptions} GuildBanIterateOptions
+   * @property {UserResolvable} [before] Only return the bans of the users with an id lower than the id of this user
+   * @property {UserResolvable} [after] Only return the bans of the users with an id greater than the id of this user
+   */
+
+  /**
+   * Iterates over the bans of the guild, fetching them 1000 at a time.
+   * The bans are ordered by the id of the banned user, descending if `before` is set and ascending otherwise.
+   * @param {GuildBanIterateOptions} [options={}] Options for the iteration
+   * @returns {AsyncGenerator<GuildBan>}
+   * @example
+   * // Export the ids of the banned users
+   * const ids = [];
+   * for await (const ban of guild.bans.iterate({ cache: false })) ids.push(ban.user.id);
+   */
+  iterate({ before, after, limit, cache = true, signal } = {}) {
+    before = this.client.users.resolveId(before) ?? undefined;
+    after = this.client.users.resolveId(after) ?? undefined;
+    const ascending = !before;
+    return paginate({
+      cursor: ascending ? after : before,
+      pageSize: 1_000,
+      limit,
+      signal,
+      fetchPage: async (cursor, size) => {
+        let data = await this.client.api.guilds(this.guild.id).bans.get({
+          query: { [ascending ? 'after' : 'before']: cursor, limit: size },
+        });
+        data.sort((a, b) => (BigInt(a.user.id) > BigInt(b.user.id) ? 1 : -1) * (ascending ? 1 : -1));
+        // Walking back from `before` stops at `after`, the page ending early ends the iteration
+        if (after && !ascending) data = data.filter(ban => BigInt(ban.user.id) > BigInt(after));
+        return data.map(ban => this._add(ban, cache));
+      },
+      getCursor: ban => ban.user.id,
+    });
+  }
+
   /**
    * Options used to ban a user from a guild.
    * @typedef {Object} BanOptions
@@ -146,6 +188,7 @@ class GuildBanManager extends CachedManager {
     if (typeof options !== 'object') throw new TypeError('INVALID_TYPE', 'options', 'object', true);
     const id = this.client.users.resolveId(user);
     if (!id) throw new Error('BAN_RESOLVE_ID', true);
+    this.guild._checkPermissions(Permissions.FLAGS.BAN_MEMBERS);
     await this.client.api
       .guilds(this.guild.id)
       .bans(id)
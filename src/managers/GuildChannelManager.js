@@ -4,13 +4,14 @@ const process = require('node:process');
 const { Collection } = require('@discordjs/collection');
 const CachedManager = require('./CachedManager');
 const ThreadManager = require('./ThreadManager');
-const { Error, TypeError } = require('../errors');
+const { Error, TypeError, MissingPermissionsError } = require('../errors');
 const GuildChannel = require('../structures/GuildChannel');
 const PermissionOverwrites = require('../structures/PermissionOverwrites');
 const ThreadChannel = require('../structures/ThreadChannel');
 const Webhook = require('../structures/Webhook');
 const { ThreadChannelTypes, ChannelTypes, VideoQualityModes } = require('../util/Constants');
 const DataResolver = require('../util/DataResolver');
+const Permissions = require('../util/Permissions');
 const Util = require('../util/Util');
 const { resolveAutoArchiveMaxLimit } = require('../util/Util');
 
@@ -382,13 +383,14 @@ class GuildChannelManager extends CachedManager {
    * Batch-updates the guild's channels' positions.
    * <info>Only one channel's parent can be changed at a time</info>
    * @param {ChannelPosition[]} channelPositions Channel positions to update
+   * @param {string} [reason] Reason for updating the channel positions
    * @returns {Promise<Guild>}
    * @example
    * guild.channels.setPositions([{ channel: channelId, position: newChannelIndex }])
    *   .then(guild => console.log(`Updated channel positions for ${guild}`))
    *   .catch(console.error);
    */
-  async setPositions(channelPositions) {
+  async setPositions(channelPositions, reason) {
     channelPositions = channelPositions.map(r => ({
       id: this.client.channels.resolveId(r.channel),
       position: r.position,
@@ -396,13 +398,125 @@ class GuildChannelManager extends CachedManager {
       parent_id: typeof r.parent !== 'undefined' ? this.resolveId(r.parent) : undefined,
     }));
 
-    await this.client.api.guilds(this.guild.id).channels.patch({ data: channelPositions });
+    await this.client.api.guilds(this.guild.id).channels.patch({ data: channelPositions, reason });
     return this.client.actions.GuildChannelsPositionUpdate.handle({
       guild_id: this.guild.id,
       channels: channelPositions,
     }).guild;
   }
 
+  /**
+   * A channel to arrange, and optionally the category to move it to.
+   * @typedef {Object} ChannelOrderData
+   * @property {GuildChannelResolvable} channel The channel to arrange
+   * @property {?CategoryChannelResolvable} [parent] The category to move the channel to, `null` to move it out of
+   * its category
+   * @property {boolean} [lockPermissions] Whether to sync the overwrites of the channel with its new category
+   */
+
+  /**
+   * Plans the position updates arranging channels in the given order, without changing anything.
+   * The channels are arranged among the channels sharing their category and their kind (categories, text channels
+   * or voice channels, which are always listed below text channels). In each of those lists, the channels take the
+   * places they hold together, from the top to the bottom, in the given order, the other channels do not move.
+   * A channel moved to another category is added at the bottom of the list before it is arranged.
+   * The lists without any of the given channels are left as they are.
+   * <info>The plan only contains the channels whose position or category changes.</info>
+   * @param {Array<GuildChannelResolvable|ChannelOrderData>} order The channels to arrange, from the top to the bottom
+   * @returns {ChannelPosition[]}
+   * @example
+   * // Move a channel to the top of another category
+   * const category = guild.channels.resolve(categoryId);
+   * const plan = guild.channels.planPositions([
+   *   { channel: channelId, parent: category },
+   *   ...category.children.values(),
+   * ]);
+   */
+  planPositions(order) {
+    const entries = order.map(entry => {
+      const data = typeof entry === 'string' || entry instanceof GuildChannel ? { channel: entry } : entry;
+      const channel = this.resolve(data.channel);
+      if (!channel || channel.isThread()) throw new TypeError('INVALID_ELEMENT', 'Array', 'order', data.channel);
+      let parentId = channel.parentId;
+      if (typeof data.parent !== 'undefined') {
+        const parent = data.parent === null ? null : this.resolve(data.parent);
+        const valid = parent === null ? data.parent === null : parent.type === 'GUILD_CATEGORY';
+        if (!valid || (parent && channel.type === 'GUILD_CATEGORY')) {
+          throw new TypeError('INVALID_ELEMENT', 'Array', 'order', data.channel);
+        }
+        parentId = parent?.id ?? null;
+      }
+      return { channel, parentId, lockPermissions: data.lockPermissions };
+    });
+    const channels = entries.map(({ channel }) => channel);
+    const duplicate = channels.find((channel, i) => channels.indexOf(channel) !== i);
+    if (duplicate) throw new TypeError('INVALID_ELEMENT', 'Array', 'order', duplicate.id);
+
+    // Text and news channels share their positions, like in Guild#_sortedChannels
+    const kind = channel => (channel.type === 'GUILD_NEWS' ? 'GUILD_TEXT' : channel.type);
+    const moved = new Map(entries.filter(entry => entry.parentId !== entry.channel.parentId).map(e => [e.channel, e]));
+    const lists = new Map();
+    const listOf = (channel, parentId) => {
+      const key = `${parentId ?? ''}:${kind(channel)}`;
+      if (!lists.has(key)) lists.set(key, []);
+      return lists.get(key);
+    };
+    const sorted = Util.discordSort(this.cache.filter(channel => !channel.isThread()));
+    for (const channel of sorted.values()) {
+      if (!moved.has(channel)) listOf(channel, channel.parentId).push(channel);
+    }
+    for (const [channel, { parentId }] of moved) listOf(channel, parentId).push(channel);
+
+    const positions = [];
+    for (const list of lists.values()) {
+      const listed = new Set(list.filter(channel => channels.includes(channel)));
+      if (!listed.size) continue;
+      // The list keeps the positions it already uses, raised where they collide, so only the arranged channels move
+      const slots = [];
+      for (const channel of list) {
+        const next = (slots[slots.length - 1] ?? -1) + 1;
+        slots.push(moved.has(channel) ? next : Math.max(channel.rawPosition, next));
+      }
+      const queue = channels.filter(channel => listed.has(channel));
+      list.forEach((current, i) => {
+        const channel = listed.has(current) ? queue.shift() : current;
+        const move = moved.get(channel);
+        if (channel.rawPosition === slots[i] && !move) return;
+        positions.push({
+          channel: channel.id,
+          position: slots[i],
+          ...(move && { parent: move.parentId, lockPermissions: move.lockPermissions }),
+        });
+      });
+    }
+
+    const { me } = this.guild;
+    if (positions.length && me) {
+      const missing = me.permissions.missing(Permissions.FLAGS.MANAGE_CHANNELS);
+      if (missing.length) throw new MissingPermissionsError(missing, this.guild);
+    }
+    return positions;
+  }
+
+  /**
+   * Arranges channels in the given order, in a single request updating only the channels that move.
+   * See {@link GuildChannelManager#planPositions} for how the channels are arranged.
+   * @param {Array<GuildChannelResolvable|ChannelOrderData>} order The channels to arrange, from the top to the bottom
+   * @param {string} [reason] Reason for arranging the channels
+   * @returns {Promise<Guild>}
+   * @example
+   * // Sort the channels of a category by name
+   * const category = guild.channels.resolve(categoryId);
+   * guild.channels.reorder([...category.children.sorted((a, b) => a.name.localeCompare(b.name)).values()])
+   *   .then(guild => console.log(`Sorted the channels of ${category.name} in ${guild}`))
+   *   .catch(console.error);
+   */
+  async reorder(order, reason) {
+    const positions = this.planPositions(order);
+    if (!positions.length) return this.guild;
+    return this.setPositions(positions, reason);
+  }
+
   /**
    * Obtains all active thread channels in the guild from Discord
    * @param {boolean} [cache=true] Whether to cache the fetched data
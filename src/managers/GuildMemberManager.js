@@ -9,7 +9,9 @@ const BaseGuildVoiceChannel = require('../structures/BaseGuildVoiceChannel');
 const { GuildMember } = require('../structures/GuildMember');
 const { Role } = require('../structures/Role');
 const { Events, Opcodes } = require('../util/Constants');
+const Permissions = require('../util/Permissions');
 const SnowflakeUtil = require('../util/SnowflakeUtil');
+const { paginate } = require('../util/Util');
 
 /**
  * Manages API methods for GuildMembers and stores their cache.
@@ -239,6 +241,37 @@ class GuildMemberManager extends CachedManager {
     return data.reduce((col, member) => col.set(member.user.id, this._add(member, cache)), new Collection());
   }
 
+  /**
+   * Options used to iterate over the members of a guild.
+   * @typedef {BaseIterateOptions} GuildMemberIterateOptions
+   * @property {UserResolvable} [after] Only return the members with an id greater than the id of this user
+   */
+
+  /**
+   * Iterates over the members of the guild, fetching them 1000 at a time, ordered by id.
+   * <info>This requires the `GUILD_MEMBERS` privileged intent.</info>
+   * @param {GuildMemberIterateOptions} [options={}] Options for the iteration
+   * @returns {AsyncGenerator<GuildMember>}
+   * @example
+   * // Find the members without any role
+   * for await (const member of guild.members.iterate({ cache: false })) {
+   *   if (member.roles.cache.size === 1) console.log(member.user.tag);
+   * }
+   */
+  iterate({ after, limit, cache = true, signal } = {}) {
+    return paginate({
+      cursor: this.client.users.resolveId(after) ?? undefined,
+      pageSize: 1_000,
+      limit,
+      signal,
+      fetchPage: async (cursor, size) => {
+        const data = await this.client.api.guilds(this.guild.id).members.get({ query: { after: cursor, limit: size } });
+        return data.map(member => this._add(member, cache));
+      },
+      getCursor: member => member.id,
+    });
+  }
+
   /**
    * The data for editing a guild member.
    * @typedef {Object} GuildMemberEditData
@@ -373,6 +406,7 @@ class GuildMemberManager extends CachedManager {
   async kick(user, reason) {
     const id = this.client.users.resolveId(user);
     if (!id) return Promise.reject(new TypeError('INVALID_TYPE', 'user', 'UserResolvable'));
+    this.guild._checkPermissions(Permissions.FLAGS.KICK_MEMBERS);
 
     await this.client.api.guilds(this.guild.id).members(id).delete({ reason });
 
@@ -414,7 +448,7 @@ class GuildMemberManager extends CachedManager {
 
   async _fetchSingle({ user, cache, force = false }) {
     if (!force) {
-      const existing = this.cache.get(user);
+      const existing = this.cache.get(user) ?? (await this._restore(user, cache));
       if (existing && !existing.partial) return existing;
     }
 
@@ -6,6 +6,7 @@ const { TypeError, Error } = require('../errors');
 const { GuildScheduledEvent } = require('../structures/GuildScheduledEvent');
 const { PrivacyLevels, GuildScheduledEventEntityTypes, GuildScheduledEventStatuses } = require('../util/Constants');
 const DataResolver = require('../util/DataResolver');
+const { paginate } = require('../util/Util');
 
 /**
  * Manages API methods for GuildScheduledEvents and stores their cache.
@@ -138,7 +139,7 @@ class GuildScheduledEventManager extends CachedManager {
 
     if (id) {
       if (!options.force) {
-        const existing = this.cache.get(id);
+        const existing = this.cache.get(id) ?? (await this._restore(id, options.cache));
         if (existing) return existing;
       }
 
@@ -281,15 +282,67 @@ class GuildScheduledEventManager extends CachedManager {
       query: { limit, with_member: withMember, before, after },
     });
 
-    return data.reduce(
-      (coll, rawData) =>
-        coll.set(rawData.user.id, {
-          guildScheduledEventId: rawData.guild_scheduled_event_id,
-          user: this.client.users._add(rawData.user),
-          member: rawData.member ? this.guild.members._add({ ...rawData.member, user: rawData.user }) : null,
-        }),
-      new Collection(),
-    );
+    return data.reduce((coll, rawData) => coll.set(rawData.user.id, this._mapSubscriber(rawData)), new Collection());
+  }
+
+  /**
+   * Options used to iterate over the subscribers of a guild scheduled event.
+   * @typedef {BaseIterateOptions} GuildScheduledEventSubscriberIterateOptions
+   * @property {boolean} [withMember] Whether to fetch guild member data of the users
+   * @property {UserResolvable} [before] Only return the users with an id lower than the id of this user
+   * @property {UserResolvable} [after] Only return the users with an id greater than the id of this user
+   */
+
+  /**
+   * Iterates over the subscribers of a guild scheduled event, fetching them 100 at a time.
+   * The subscribers are ordered by user id, descending if `before` is set and ascending otherwise.
+   * @param {GuildScheduledEventResolvable} guildScheduledEvent The guild scheduled event to iterate the subscribers of
+   * @param {GuildScheduledEventSubscriberIterateOptions} [options={}] Options for the iteration
+   * @returns {AsyncGenerator<GuildScheduledEventUser>}
+   * @example
+   * // Remind every subscriber of an event
+   * for await (const { user } of guild.scheduledEvents.iterateSubscribers(event)) {
+   *   await user.send(`${event.name} starts soon!`);
+   * }
+   */
+  iterateSubscribers(guildScheduledEvent, { withMember, before, after, limit, cache = true, signal } = {}) {
+    const guildScheduledEventId = this.resolveId(guildScheduledEvent);
+    if (!guildScheduledEventId) throw new Error('GUILD_SCHEDULED_EVENT_RESOLVE');
+
+    before = this.client.users.resolveId(before) ?? undefined;
+    after = this.client.users.resolveId(after) ?? undefined;
+    const ascending = !before;
+    return paginate({
+      cursor: ascending ? after : before,
+      pageSize: 100,
+      limit,
+      signal,
+      fetchPage: async (cursor, size) => {
+        let data = await this.client.api.guilds(this.guild.id, 'scheduled-events', guildScheduledEventId).users.get({
+          query: { limit: size, with_member: withMember, [ascending ? 'after' : 'before']: cursor },
+        });
+        data.sort((a, b) => (BigInt(a.user.id) > BigInt(b.user.id) ? 1 : -1) * (ascending ? 1 : -1));
+        // Walking back from `before` stops at `after`, the page ending early ends the iteration
+        if (after && !ascending) data = data.filter(rawData => BigInt(rawData.user.id) > BigInt(after));
+        return data.map(rawData => this._mapSubscriber(rawData, cache));
+      },
+      getCursor: subscriber => subscriber.user.id,
+    });
+  }
+
+  /**
+   * Builds a subscriber of a guild scheduled event from its raw data.
+   * @param {Object} rawData The raw data of the subscriber
+   * @param {boolean} [cache=true] Whether to cache the user and the member
+   * @returns {GuildScheduledEventUser}
+   * @private
+   */
+  _mapSubscriber(rawData, cache = true) {
+    return {
+      guildScheduledEventId: rawData.guild_scheduled_event_id,
+      user: this.client.users._add(rawData.user, cache),
+      member: rawData.member ? this.guild.members._add({ ...rawData.member, user: rawData.user }, cache) : null,
+    };
   }
 }
 
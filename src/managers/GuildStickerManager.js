@@ -151,7 +151,7 @@ class GuildStickerManager extends CachedManager {
   async fetch(id, { cache = true, force = false } = {}) {
     if (id) {
       if (!force) {
-        const existing = this.cache.get(id);
+        const existing = this.cache.get(id) ?? (await this._restore(id, cache));
         if (existing) return existing;
       }
       const sticker = await this.client.api.guilds(this.guild.id).stickers(id).get();
@@ -88,6 +88,47 @@ class MessageManager extends CachedManager {
     return messages;
   }
 
+  /**
+   * Options used to iterate over the messages of a channel.
+   * @typedef {BaseIterateOptions} MessageIterateOptions
+   * @property {MessageResolvable} [before] Only return the messages posted before this message
+   * @property {MessageResolvable} [after] Only return the messages posted after this message
+   */
+
+  /**
+   * Iterates over the messages of this channel, fetching them 100 at a time.
+   * The messages are returned from newest to oldest, or from oldest to newest if only `after` is set.
+   * @param {MessageIterateOptions} [options={}] Options for the iteration
+   * @returns {AsyncGenerator<Message>}
+   * @example
+   * // Count the messages sent by a user, without caching them
+   * let count = 0;
+   * for await (const message of channel.messages.iterate({ cache: false })) {
+   *   if (message.author.id === '84484653687267328') count++;
+   * }
+   */
+  iterate({ before, after, limit, cache = true, signal } = {}) {
+    before = this.resolveId(before) ?? undefined;
+    after = this.resolveId(after) ?? undefined;
+    const ascending = Boolean(after) && !before;
+    return Util.paginate({
+      cursor: ascending ? after : before,
+      pageSize: 100,
+      limit,
+      signal,
+      fetchPage: async (cursor, size) => {
+        let data = await this.client.api.channels[this.channel.id].messages.get({
+          query: { [ascending ? 'after' : 'before']: cursor, limit: size },
+        });
+        data.sort((a, b) => (BigInt(a.id) > BigInt(b.id) ? 1 : -1) * (ascending ? 1 : -1));
+        // Walking back from `before` stops at `after`, the page ending early ends the iteration
+        if (after && !ascending) data = data.filter(message => BigInt(message.id) > BigInt(after));
+        return data.map(message => this._add(message, cache));
+      },
+      getCursor: message => message.id,
+    });
+  }
+
   /**
    * Data that can be resolved to a Message object. This can be:
    * * A Message
@@ -214,7 +255,7 @@ class MessageManager extends CachedManager {
 
   async _fetchId(messageId, cache, force) {
     if (!force) {
-      const existing = this.cache.get(messageId);
+      const existing = this.cache.get(messageId) ?? (await this._restore(messageId, cache));
       if (existing && !existing.partial) return existing;
     }
 
@@ -4,6 +4,7 @@ const { Collection } = require('@discordjs/collection');
 const CachedManager = require('./CachedManager');
 const { Error } = require('../errors');
 const User = require('../structures/User');
+const { paginate } = require('../util/Util');
 
 /**
  * Manages API methods for users who reacted to a reaction and stores their cache.
@@ -52,6 +53,44 @@ class ReactionUserManager extends CachedManager {
     return users;
   }
 
+  /**
+   * Options used to iterate over the users who gave a reaction.
+   * @typedef {BaseIterateOptions} ReactionUserIterateOptions
+   * @property {UserResolvable} [after] Only return the users with an id greater than the id of this user
+   */
+
+  /**
+   * Iterates over all the users that gave this reaction, fetching them 100 at a time, ordered by id.
+   * @param {ReactionUserIterateOptions} [options={}] Options for the iteration
+   * @returns {AsyncGenerator<User>}
+   * @example
+   * // Pick a giveaway winner among thousands of entries
+   * const entries = [];
+   * for await (const user of reaction.users.iterate({ cache: false })) {
+   *   if (!user.bot) entries.push(user);
+   * }
+   */
+  iterate({ after, limit, cache = true, signal } = {}) {
+    const message = this.reaction.message;
+    return paginate({
+      cursor: this.client.users.resolveId(after) ?? undefined,
+      pageSize: 100,
+      limit,
+      signal,
+      fetchPage: async (cursor, size) => {
+        const data = await this.client.api.channels[message.channelId].messages[message.id].reactions[
+          this.reaction.emoji.identifier
+        ].get({ query: { limit: size, after: cursor } });
+        return data.map(rawUser => {
+          const user = this.client.users._add(rawUser, cache);
+          if (cache) this.cache.set(user.id, user);
+          return user;
+        });
+      },
+      getCursor: user => user.id,
+    });
+  }
+
   /**
    * Removes a user from this reaction.
    * @param {UserResolvable} [user=this.client.user] The user to remove the reaction of
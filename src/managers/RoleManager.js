@@ -3,7 +3,7 @@
 const process = require('node:process');
 const { Collection } = require('@discordjs/collection');
 const CachedManager = require('./CachedManager');
-const { TypeError } = require('../errors');
+const { Error, TypeError, MissingPermissionsError } = require('../errors');
 const { Role } = require('../structures/Role');
 const DataResolver = require('../util/DataResolver');
 const Permissions = require('../util/Permissions');
@@ -62,7 +62,7 @@ class RoleManager extends CachedManager {
    */
   async fetch(id, { cache = true, force = false } = {}) {
     if (id && !force) {
-      const existing = this.cache.get(id);
+      const existing = this.cache.get(id) ?? (await this._restore(id, cache));
       if (existing) return existing;
     }
 
@@ -135,6 +135,7 @@ class RoleManager extends CachedManager {
    *   .catch(console.error);
    */
   async create(options = {}) {
+    this.guild._checkPermissions(Permissions.FLAGS.MANAGE_ROLES);
     let { name, color, hoist, permissions, position, mentionable, reason, icon, unicodeEmoji } = options;
     color &&= resolveColor(color);
     if (typeof permissions !== 'undefined') permissions = new Permissions(permissions);
@@ -264,13 +265,14 @@ class RoleManager extends CachedManager {
   /**
    * Batch-updates the guild's role positions
    * @param {GuildRolePosition[]} rolePositions Role positions to update
+   * @param {string} [reason] Reason for updating the role positions
    * @returns {Promise<Guild>}
    * @example
    * guild.roles.setPositions([{ role: roleId, position: updatedRoleIndex }])
    *  .then(guild => console.log(`Role positions updated for ${guild}`))
    *  .catch(console.error);
    */
-  async setPositions(rolePositions) {
+  async setPositions(rolePositions, reason) {
     // Make sure rolePositions are prepared for API
     rolePositions = rolePositions.map(o => ({
       id: this.resolveId(o.role),
@@ -280,6 +282,7 @@ class RoleManager extends CachedManager {
     // Call the API to update role positions
     await this.client.api.guilds(this.guild.id).roles.patch({
       data: rolePositions,
+      reason,
     });
     return this.client.actions.GuildRolesPositionUpdate.handle({
       guild_id: this.guild.id,
@@ -287,6 +290,73 @@ class RoleManager extends CachedManager {
     }).guild;
   }
 
+  /**
+   * Plans the position updates arranging roles in the given order, without changing anything.
+   * The roles take the places they hold together, from the highest to the lowest, in the given order,
+   * the other roles do not move.
+   * <info>The plan only contains the roles whose position changes, it is checked against the highest role of the
+   * client user, which cannot move the roles that are not below it.</info>
+   * @param {RoleResolvable[]} order The roles to arrange, from the highest to the lowest
+   * @returns {GuildRolePosition[]}
+   * @example
+   * // Check which roles would move before swapping two roles
+   * const plan = guild.roles.planPositions([memberRoleId, helperRoleId]);
+   * console.log(`${plan.length} roles would move`);
+   */
+  planPositions(order) {
+    const roles = order.map(role => {
+      const resolved = this.resolve(role);
+      if (!resolved || resolved.id === this.guild.id) throw new TypeError('INVALID_ELEMENT', 'Array', 'order', role);
+      return resolved;
+    });
+    const duplicate = roles.find((role, i) => roles.indexOf(role) !== i);
+    if (duplicate) throw new TypeError('INVALID_ELEMENT', 'Array', 'order', duplicate.id);
+
+    // The roles take the positions they already hold, raised where they collide, so the other roles do not move
+    const slots = [];
+    for (const role of this.guild._sortedRoles().values()) {
+      if (roles.includes(role)) slots.push(Math.max(role.rawPosition, (slots[slots.length - 1] ?? -1) + 1));
+    }
+    // Positions go from the lowest role to the highest, unlike the order
+    const positions = [];
+    [...roles].reverse().forEach((role, i) => {
+      if (role.rawPosition !== slots[i]) positions.push({ role: role.id, position: slots[i] });
+    });
+
+    if (positions.length && this.client.user.id !== this.guild.ownerId) {
+      const { me } = this.guild;
+      if (!me) throw new Error('GUILD_UNCACHED_ME');
+      const missing = me.permissions.missing(Permissions.FLAGS.MANAGE_ROLES);
+      if (missing.length) throw new MissingPermissionsError(missing, this.guild);
+      const highest = me.roles.highest;
+      for (const { role, position } of positions) {
+        const resolved = this.cache.get(role);
+        if (resolved.comparePositionTo(highest) >= 0 || position >= highest.rawPosition) {
+          throw new Error('ROLE_POSITION_HIERARCHY', resolved.name, resolved.id);
+        }
+      }
+    }
+    return positions;
+  }
+
+  /**
+   * Arranges roles in the given order, in a single request updating only the roles that move.
+   * See {@link RoleManager#planPositions} for how the roles are arranged.
+   * @param {RoleResolvable[]} order The roles to arrange, from the highest to the lowest
+   * @param {string} [reason] Reason for arranging the roles
+   * @returns {Promise<Guild>}
+   * @example
+   * // Put the moderator role right above the helper role, wherever they currently are
+   * guild.roles.reorder([moderatorRoleId, helperRoleId])
+   *   .then(guild => console.log(`Reordered the roles of ${guild}`))
+   *   .catch(console.error);
+   */
+  async reorder(order, reason) {
+    const positions = this.planPositions(order);
+    if (!positions.length) return this.guild;
+    return this.setPositions(positions, reason);
+  }
+
   /**
    * Compares the positions of two roles.
    * @param {RoleResolvable} role1 First role to compare
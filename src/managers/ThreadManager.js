@@ -5,7 +5,8 @@ const CachedManager = require('./CachedManager');
 const { TypeError } = require('../errors');
 const ThreadChannel = require('../structures/ThreadChannel');
 const { ChannelTypes } = require('../util/Constants');
-const { resolveAutoArchiveMaxLimit } = require('../util/Util');
+const Permissions = require('../util/Permissions');
+const { paginate, resolveAutoArchiveMaxLimit } = require('../util/Util');
 
 /**
  * Manages API methods for {@link ThreadChannel} objects and stores their cache.
@@ -123,6 +124,13 @@ class ThreadManager extends CachedManager {
     }
 
     if (autoArchiveDuration === 'MAX') autoArchiveDuration = resolveAutoArchiveMaxLimit(this.channel.guild);
+    this.channel.guild._checkPermissions(
+      Permissions.FLAGS.VIEW_CHANNEL |
+        (resolvedType === ChannelTypes.GUILD_PRIVATE_THREAD
+          ? Permissions.FLAGS.CREATE_PRIVATE_THREADS
+          : Permissions.FLAGS.CREATE_PUBLIC_THREADS),
+      this.channel,
+    );
 
     const data = await path.threads.post({
       data: {
@@ -201,10 +209,78 @@ class ThreadManager extends CachedManager {
    * @returns {Promise<FetchedThreads>}
    */
   async fetchArchived({ type = 'public', fetchAll = false, before, limit } = {}, cache = true) {
+    const raw = await this._archivedPath(type, fetchAll).get({
+      query: { before: this._resolveArchivedBefore(before, type, fetchAll), limit },
+    });
+    return this.constructor._mapThreads(raw, this.client, { parent: this.channel, cache });
+  }
+
+  /**
+   * Options used to iterate over the archived threads of a channel.
+   * @typedef {BaseIterateOptions} ArchivedThreadIterateOptions
+   * @property {string} [type='public'] The type of threads to return, either `public` or `private`
+   * @property {boolean} [fetchAll=false] Whether to return **all** archived threads when type is `private`.
+   * Requires `MANAGE_THREADS` if true
+   * @property {DateResolvable|ThreadChannelResolvable} [before] Only return threads that were archived before this
+   * Date or thread.
+   * <warn>Must be a {@link ThreadChannelResolvable} when type is `private` and fetchAll is `false`</warn>
+   */
+
+  /**
+   * Iterates over the archived threads of this channel, fetching them 100 at a time,
+   * requires `READ_MESSAGE_HISTORY` in the parent channel.
+   * The threads are returned from the most recently archived to the least recently archived,
+   * or from newest to oldest for the private threads the client joined.
+   * @param {ArchivedThreadIterateOptions} [options={}] Options for the iteration
+   * @returns {AsyncGenerator<ThreadChannel>}
+   * @example
+   * // Unarchive the public threads archived this week
+   * const before = Date.now() - 7 * 24 * 60 * 60 * 1_000;
+   * for await (const thread of channel.threads.iterateArchived()) {
+   *   if (thread.archiveTimestamp < before) break;
+   *   await thread.setArchived(false);
+   * }
+   */
+  iterateArchived({ type = 'public', fetchAll = false, before, limit, cache = true, signal } = {}) {
+    const joined = type === 'private' && !fetchAll;
+    const path = this._archivedPath(type, fetchAll);
+    return paginate({
+      cursor: this._resolveArchivedBefore(before, type, fetchAll),
+      pageSize: 100,
+      limit,
+      signal,
+      fetchPage: async (cursor, size) => {
+        const raw = await path.get({ query: { before: cursor, limit: size } });
+        return [...this.constructor._mapThreads(raw, this.client, { parent: this.channel, cache }).threads.values()];
+      },
+      getCursor: thread => (joined ? thread.id : thread.archivedAt.toISOString()),
+    });
+  }
+
+  /**
+   * Gets the route to fetch archived threads from.
+   * @param {string} type The type of threads to fetch
+   * @param {boolean} fetchAll Whether to fetch all the private threads, or only the joined ones
+   * @returns {Object}
+   * @private
+   */
+  _archivedPath(type, fetchAll) {
     let path = this.client.api.channels(this.channel.id);
     if (type === 'private' && !fetchAll) {
       path = path.users('@me');
     }
+    return path.threads.archived(type);
+  }
+
+  /**
+   * Resolves the `before` option used to fetch archived threads to its query value.
+   * @param {DateResolvable|ThreadChannelResolvable} [before] The option to resolve
+   * @param {string} type The type of threads to fetch
+   * @param {boolean} fetchAll Whether to fetch all the private threads, or only the joined ones
+   * @returns {?string}
+   * @private
+   */
+  _resolveArchivedBefore(before, type, fetchAll) {
     let timestamp;
     let id;
     if (typeof before !== 'undefined') {
@@ -219,10 +295,7 @@ class ThreadManager extends CachedManager {
         }
       }
     }
-    const raw = await path.threads
-      .archived(type)
-      .get({ query: { before: type === 'private' && !fetchAll ? id : timestamp, limit } });
-    return this.constructor._mapThreads(raw, this.client, { parent: this.channel, cache });
+    return type === 'private' && !fetchAll ? id : timestamp;
   }
 
   /**
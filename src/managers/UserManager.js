@@ -86,7 +86,7 @@ class UserManager extends CachedManager {
   async fetch(user, { cache = true, force = false } = {}) {
     const id = this.resolveId(user);
     if (!force) {
-      const existing = this.cache.get(id);
+      const existing = this.cache.get(id) ?? (await this._restore(id, cache));
       if (existing && !existing.partial) return existing;
     }
 
@@ -44,7 +44,8 @@ class APIRequest {
       'User-Agent': this.fullUserAgent,
     };
 
-    if (this.options.auth !== false) headers.Authorization = this.rest.getAuth();
+    // Proxied requests are authorized by the proxy itself
+    if (this.options.auth !== false && !this.client.options.http.proxied) headers.Authorization = this.rest.getAuth();
     if (this.options.reason) headers['X-Audit-Log-Reason'] = encodeURIComponent(this.options.reason);
     if (this.options.headers) headers = Object.assign(headers, this.options.headers);
 
@@ -66,6 +67,9 @@ class APIRequest {
     } else if (this.options.data != null) {
       body = JSON.stringify(this.options.data);
       headers['Content-Type'] = 'application/json';
+    } else if (this.options.body) {
+      // The body was already encoded, e.g. by a client of a RESTProxy
+      body = this.options.body;
     }
 
     const controller = new AbortController();
@@ -73,7 +77,8 @@ class APIRequest {
     return fetch(url, {
       method: this.method,
       headers,
-      agent,
+      // The API can be served over plain HTTP when it points to a RESTProxy
+      agent: url.startsWith('https:') ? agent : undefined,
       body,
       signal: controller.signal,
     }).finally(() => clearTimeout(timeout));
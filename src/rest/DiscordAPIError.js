@@ -35,6 +35,12 @@ class DiscordAPIError extends Error {
      */
     this.httpStatus = status;
 
+    /**
+     * The error returned by Discord, with the errors of each field of the request
+     * @type {APIError}
+     */
+    this.rawError = error;
+
     /**
      * The data associated with the request that caused this error
      * @type {HTTPErrorData}
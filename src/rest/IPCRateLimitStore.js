@@ -0,0 +1,158 @@
+'use strict';
+
+const process = require('node:process');
+const { clearTimeout, setTimeout } = require('node:timers');
+const RateLimitStore = require('./RateLimitStore');
+const { Error } = require('../errors');
+const Util = require('../util/Util');
+
+/**
+ * A rate limit store that routes every operation through the {@link ShardingManager} that spawned the client,
+ * so all of its shards share a single view of the global and route rate limits.
+ * The state itself is held by {@link ShardingManager#rateLimitStore}.
+ * @extends {RateLimitStore}
+ * @example
+ * const client = new Client({
+ *   intents: [Intents.FLAGS.GUILDS],
+ *   makeRateLimitStore: client => new IPCRateLimitStore(client),
+ * });
+ */
+class IPCRateLimitStore extends RateLimitStore {
+  /**
+   * @param {BaseClient} client The client that will use this store
+   * @param {Object} [options={}] Options for the store
+   * @param {number} [options.timeout=10000] The amount in milliseconds to wait for the sharding manager to answer
+   * an operation
+   */
+  constructor(client, { timeout = 10_000 } = {}) {
+    super();
+
+    /**
+     * The client that uses this store
+     * @type {BaseClient}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    /**
+     * The amount in milliseconds to wait for the sharding manager to answer an operation
+     * @type {number}
+     */
+    this.timeout = timeout;
+
+    /**
+     * The nonce of the last operation sent to the sharding manager
+     * @type {number}
+     * @private
+     */
+    this._nonce = 0;
+
+    /**
+     * The operations waiting for a response from the sharding manager, mapped by their nonce
+     * @type {Map<number, Object>}
+     * @private
+     */
+    this._pending = new Map();
+
+    /**
+     * Listener for the messages of the parent process/worker, attached once the first operation is sent
+     * @type {?Function}
+     * @private
+     */
+    this._listener = null;
+  }
+
+  async get(key) {
+    return IPCRateLimitStore.deserialize(await this._request('get', key));
+  }
+
+  set(key, state) {
+    return this._request('set', key, IPCRateLimitStore.serialize(state));
+  }
+
+  delete(key) {
+    return this._request('delete', key);
+  }
+
+  async decrement(key, fallback) {
+    return IPCRateLimitStore.deserialize(await this._request('decrement', key, IPCRateLimitStore.serialize(fallback)));
+  }
+
+  sweep() {
+    return this._request('sweep');
+  }
+
+  /**
+   * Sends an operation to the sharding manager and waits for its result.
+   * @param {string} method The name of the {@link RateLimitStore} method to run
+   * @param {...*} args The arguments to run the method with
+   * @returns {Promise<*>}
+   * @private
+   */
+  _request(method, ...args) {
+    const util = this.client.shard;
+    if (!util) return Promise.reject(new Error('RATE_LIMIT_STORE_NOT_SHARDED'));
+
+    if (!this._listener) {
+      this._listener = this._handleMessage.bind(this);
+      (util.parentPort ?? process).on('message', this._listener);
+    }
+
+    const nonce = ++this._nonce;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(nonce);
+        reject(new Error('RATE_LIMIT_STORE_TIMEOUT', method));
+      }, this.timeout);
+      this._pending.set(nonce, { resolve, reject, timer });
+      util.send({ _sRateLimit: nonce, method, args }).catch(err => {
+        clearTimeout(timer);
+        this._pending.delete(nonce);
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Handles a message received from the parent process/worker.
+   * @param {*} message Message received
+   * @private
+   */
+  _handleMessage(message) {
+    if (!message?._sRateLimit) return;
+    const pending = this._pending.get(message._sRateLimit);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this._pending.delete(message._sRateLimit);
+    if (message._error) pending.reject(Util.makeError(message._error));
+    else pending.resolve(message._result);
+  }
+
+  /**
+   * Makes a rate limit state safe to send over IPC, as child processes exchange messages as JSON.
+   * @param {?RateLimitState} state The state to serialize
+   * @returns {?Object}
+   * @private
+   */
+  static serialize(state) {
+    if (!state || typeof state !== 'object') return state;
+    return {
+      limit: Number.isFinite(state.limit) ? state.limit : null,
+      remaining: Number.isFinite(state.remaining) ? state.remaining : null,
+      reset: state.reset,
+    };
+  }
+
+  /**
+   * Restores a rate limit state serialized by {@link IPCRateLimitStore.serialize}.
+   * @param {?Object} data The data to deserialize
+   * @returns {?RateLimitState}
+   * @private
+   */
+  static deserialize(data) {
+    if (!data || typeof data !== 'object') return data;
+    return { limit: data.limit ?? Infinity, remaining: data.remaining ?? Infinity, reset: data.reset };
+  }
+}
+
+module.exports = IPCRateLimitStore;
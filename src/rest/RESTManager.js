@@ -4,6 +4,7 @@ const { setInterval } = require('node:timers');
 const { Collection } = require('@discordjs/collection');
 const APIRequest = require('./APIRequest');
 const routeBuilder = require('./APIRouter');
+const RateLimitStore = require('./RateLimitStore');
 const RequestHandler = require('./RequestHandler');
 const { Error } = require('../errors');
 const { Endpoints } = require('../util/Constants');
@@ -17,9 +18,13 @@ class RESTManager {
     this.globalRemaining = this.globalLimit;
     this.globalReset = null;
     this.globalDelay = null;
+    this.rateLimitStore = client.options.makeRateLimitStore?.(client) ?? new RateLimitStore();
     if (client.options.restSweepInterval > 0) {
       this.sweepInterval = setInterval(() => {
         this.handlers.sweep(handler => handler._inactive);
+        this.rateLimitStore.sweep().catch(err => {
+          this.client.log('warn', 'rest', `Failed to sweep the rate limit store: ${err.message}`);
+        });
       }, client.options.restSweepInterval * 1_000).unref();
     }
   }
@@ -43,7 +48,7 @@ class RESTManager {
     let handler = this.handlers.get(apiRequest.route);
 
     if (!handler) {
-      handler = new RequestHandler(this);
+      handler = new RequestHandler(this, apiRequest.route);
       this.handlers.set(apiRequest.route, handler);
     }
 
@@ -0,0 +1,232 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const http = require('node:http');
+const process = require('node:process');
+const DiscordAPIError = require('./DiscordAPIError');
+const HTTPError = require('./HTTPError');
+const RateLimitError = require('./RateLimitError');
+const BaseClient = require('../client/BaseClient');
+
+const methods = ['get', 'post', 'delete', 'patch', 'put'];
+
+// The largest body accepted, the size of the largest files Discord accepts, so a request cannot fill the memory
+const maxBodySize = 100 * 1024 * 1024;
+
+/**
+ * Reads the full body of an incoming request.
+ * @param {IncomingMessage} req The incoming request
+ * @returns {Promise<?Buffer>} The body, or `null` if it is larger than the maximum size
+ * @private
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBodySize) {
+      resolve(null);
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        req.off('data', onData);
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Writes a JSON body to an outgoing response.
+ * @param {ServerResponse} res The outgoing response
+ * @param {number} status The HTTP status code of the response
+ * @param {*} data The data to send
+ * @param {Object} [headers={}] Additional headers to send
+ * @private
+ */
+function sendJSON(res, status, data, headers = {}) {
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Options for a REST proxy.
+ * @typedef {ClientOptions} RESTProxyOptions
+ * @property {string} [token=process.env.DISCORD_TOKEN] Token of the bot to authorize the forwarded requests with
+ */
+
+/**
+ * An HTTP server forwarding Discord API requests from many clients through a single {@link RESTManager}, so the
+ * rate limits of the bot are enforced in one place.
+ * Clients send their requests to the proxy by setting {@link HTTPOptions#api} to its address and
+ * {@link HTTPOptions#proxied} to `true`, they do not need a token of their own.
+ * <warn>The proxy authorizes every request it receives with its token, it should only be reachable by
+ * trusted services.</warn>
+ * @extends {BaseClient}
+ * @example
+ * // On the proxy
+ * const proxy = new RESTProxy({ token: 'my token', restGlobalRateLimit: 50 });
+ * proxy.listen(8080);
+ * @example
+ * // On the clients
+ * const client = new Client({
+ *   intents: [],
+ *   http: { api: 'http://localhost:8080', proxied: true },
+ * });
+ */
+class RESTProxy extends BaseClient {
+  /**
+   * @param {RESTProxyOptions} [options] Options for the proxy
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * Token of the bot the forwarded requests are authorized with
+     * <warn>This should be kept private at all times.</warn>
+     * @type {?string}
+     */
+    Object.defineProperty(this, 'token', {
+      value: (options.token ?? process.env.DISCORD_TOKEN)?.replace(/^Bot\s*/i, '') ?? null,
+      writable: true,
+    });
+
+    /**
+     * The HTTP server started by {@link RESTProxy#listen}
+     * @type {?Server}
+     */
+    this.server = null;
+  }
+
+  /**
+   * Starts an HTTP server forwarding the requests it receives.
+   * @param {number} port The port to listen on
+   * @param {string} [hostname] The hostname to listen on
+   * @returns {Promise<Server>}
+   */
+  listen(port, hostname) {
+    this.server ??= http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, hostname, () => {
+        this.server.off('error', reject);
+        resolve(this.server);
+      });
+    });
+  }
+
+  /**
+   * Stops the HTTP server started by {@link RESTProxy#listen}.
+   * @returns {Promise<void>}
+   */
+  close() {
+    const { server } = this;
+    this.server = null;
+    if (!server) return Promise.resolve();
+    return new Promise((resolve, reject) => server.close(err => (err ? reject(err) : resolve())));
+  }
+
+  /**
+   * Forwards an incoming request to the Discord API and writes the result to the response.
+   * This can be used as a request listener of an existing HTTP server.
+   * <info>The path of the request is appended to {@link HTTPOptions#api} as is, including the API version.</info>
+   * @param {IncomingMessage} req The incoming request
+   * @param {ServerResponse} res The outgoing response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    const method = req.method.toLowerCase();
+    if (!methods.includes(method)) {
+      sendJSON(res, 405, { message: '405: Method Not Allowed', code: 0 });
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean);
+    const query = {};
+    for (const key of new Set(url.searchParams.keys())) {
+      const values = url.searchParams.getAll(key);
+      query[key] = values.length > 1 ? values : values[0];
+    }
+
+    const headers = {};
+    if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+    if (req.headers['x-audit-log-reason']) headers['X-Audit-Log-Reason'] = req.headers['x-audit-log-reason'];
+
+    // Going through the API router gives the request the same rate limit bucket as it has on the clients
+    const route = segments.reduce((builder, segment) => builder(segment), this.api);
+
+    let data;
+    try {
+      const body = await readBody(req);
+      if (!body) {
+        res.setHeader('Connection', 'close');
+        sendJSON(res, 413, { message: '413: Payload Too Large', code: 0 });
+        return;
+      }
+      data = await route[method]({
+        versioned: false,
+        query,
+        headers,
+        body: body.length ? body : undefined,
+      });
+    } catch (error) {
+      if (error instanceof DiscordAPIError) {
+        // The clients get the errors of each field, their own request data is attached to the errors they throw
+        sendJSON(res, error.httpStatus, error.rawError);
+      } else if (error instanceof RateLimitError) {
+        sendJSON(
+          res,
+          429,
+          { message: error.message, retry_after: error.timeout / 1_000, global: error.global },
+          { 'Retry-After': String(error.timeout / 1_000), ...(error.global && { 'X-RateLimit-Global': 'true' }) },
+        );
+      } else {
+        sendJSON(res, error instanceof HTTPError ? error.code : 500, { message: error.message, code: 0 });
+      }
+      return;
+    }
+
+    if (Buffer.isBuffer(data)) {
+      res.writeHead(data.length ? 200 : 204, { 'Content-Type': 'application/octet-stream' });
+      res.end(data);
+    } else if (data === null) {
+      res.writeHead(204, { 'Content-Type': 'application/octet-stream' });
+      res.end();
+    } else {
+      sendJSON(res, 200, data);
+    }
+  }
+
+  /**
+   * Stops the HTTP server and destroys all assets used by the proxy.
+   * @returns {void}
+   */
+  destroy() {
+    super.destroy();
+    this.close().catch(() => null);
+  }
+}
+
+module.exports = RESTProxy;
+
+/**
+ * @external Server
+ * @see {@link https://nodejs.org/api/http.html#class-httpserver}
+ */
+
+/**
+ * @external IncomingMessage
+ * @see {@link https://nodejs.org/api/http.html#class-httpincomingmessage}
+ */
+
+/**
+ * @external ServerResponse
+ * @see {@link https://nodejs.org/api/http.html#class-httpserverresponse}
+ */
@@ -0,0 +1,85 @@
+'use strict';
+
+const { Collection } = require('@discordjs/collection');
+
+/**
+ * The rate limit state of a route bucket, or of the global rate limit.
+ * @typedef {Object} RateLimitState
+ * @property {number} limit The maximum amount of requests allowed in the current window
+ * @property {number} remaining The amount of requests remaining in the current window
+ * @property {number} reset The timestamp at which the current window resets
+ */
+
+/**
+ * Stores the rate limit state read and written by the {@link RESTManager}'s request handlers.
+ * The default implementation keeps everything in memory, extend this class and override its methods
+ * to share rate limits with other processes (see {@link IPCRateLimitStore}).
+ * <info>The global rate limit is stored under the `global` key, route buckets are stored under their route.</info>
+ */
+class RateLimitStore {
+  constructor() {
+    /**
+     * The rate limit states held by this store, mapped by their key
+     * @type {Collection<string, RateLimitState>}
+     * @private
+     */
+    this.states = new Collection();
+  }
+
+  /**
+   * Gets the rate limit state stored for a key.
+   * @param {string} key The key of the state
+   * @returns {Promise<?RateLimitState>}
+   */
+  async get(key) {
+    const state = this.states.get(key);
+    return state ? { ...state } : null;
+  }
+
+  /**
+   * Stores the rate limit state of a key.
+   * @param {string} key The key of the state
+   * @param {RateLimitState} state The state to store
+   * @returns {Promise<void>}
+   */
+  async set(key, state) {
+    this.states.set(key, { limit: state.limit, remaining: state.remaining, reset: state.reset });
+  }
+
+  /**
+   * Deletes the rate limit state stored for a key.
+   * @param {string} key The key of the state
+   * @returns {Promise<boolean>}
+   */
+  async delete(key) {
+    return this.states.delete(key);
+  }
+
+  /**
+   * Takes one request out of the remaining requests of a key, as a single operation.
+   * @param {string} key The key of the state
+   * @param {RateLimitState} [fallback] The state to start from if none is stored or the stored one has reset
+   * @returns {Promise<?RateLimitState>} The updated state, or `null` if there was nothing to update
+   */
+  async decrement(key, fallback) {
+    let state = this.states.get(key);
+    if (fallback && (!state || state.reset <= Date.now())) {
+      state = { limit: fallback.limit, remaining: fallback.remaining, reset: fallback.reset };
+      this.states.set(key, state);
+    }
+    if (!state) return null;
+    state.remaining--;
+    return { ...state };
+  }
+
+  /**
+   * Removes all rate limit states whose window has reset.
+   * @returns {Promise<number>} The amount of states that were removed
+   */
+  async sweep() {
+    const now = Date.now();
+    return this.states.sweep(state => state.reset <= now);
+  }
+}
+
+module.exports = RateLimitStore;
@@ -6,8 +6,9 @@ const { AsyncQueue } = require('@sapphire/async-queue');
 const DiscordAPIError = require('./DiscordAPIError');
 const HTTPError = require('./HTTPError');
 const RateLimitError = require('./RateLimitError');
+const ClientMetrics = require('../util/ClientMetrics');
 const {
-  Events: { DEBUG, RATE_LIMIT, INVALID_REQUEST_WARNING, API_RESPONSE, API_REQUEST },
+  Events: { RATE_LIMIT, INVALID_REQUEST_WARNING, API_RESPONSE, API_REQUEST },
 } = require('../util/Constants');
 
 function parseResponse(res) {
@@ -36,9 +37,13 @@ function calculateReset(reset, resetAfter, serverDate) {
 let invalidCount = 0;
 let invalidCountResetTime = null;
 
+// The key the global rate limit is stored under in the rate limit store, routes always start with a slash
+const GLOBAL_KEY = 'global';
+
 class RequestHandler {
-  constructor(manager) {
+  constructor(manager, route) {
     this.manager = manager;
+    this.route = route;
     this.queue = new AsyncQueue();
     this.reset = -1;
     this.remaining = -1;
@@ -79,6 +84,45 @@ class RequestHandler {
     });
   }
 
+  /*
+   * Refreshes the rate limit information of this handler and its manager from the rate limit store
+   */
+  async syncRateLimits() {
+    const [global, bucket] = await Promise.all([
+      this.manager.rateLimitStore.get(GLOBAL_KEY),
+      this.manager.rateLimitStore.get(this.route),
+    ]);
+    if (global) {
+      this.manager.globalRemaining = global.remaining;
+      this.manager.globalReset = global.reset;
+    }
+    if (bucket) {
+      this.limit = bucket.limit;
+      this.remaining = bucket.remaining;
+      this.reset = bucket.reset;
+    }
+  }
+
+  /*
+   * Takes the request about to be sent out of the global and route budgets in the rate limit store
+   * Resolves with whether there was room left for it, as other processes sharing the store may have used it up
+   */
+  async consumeRateLimits() {
+    const { globalLimit, rateLimitStore } = this.manager;
+    const [global, bucket] = await Promise.all([
+      rateLimitStore.decrement(GLOBAL_KEY, { limit: globalLimit, remaining: globalLimit, reset: Date.now() + 1_000 }),
+      rateLimitStore.decrement(this.route),
+    ]);
+    this.manager.globalRemaining = global.remaining;
+    this.manager.globalReset = global.reset;
+    if (bucket) {
+      this.limit = bucket.limit;
+      this.remaining = bucket.remaining;
+      this.reset = bucket.reset;
+    }
+    return global.remaining >= 0 && (!bucket || bucket.remaining >= 0 || bucket.reset <= Date.now());
+  }
+
   /*
    * Determines whether the request should be queued or whether a RateLimitError should be thrown
    */
@@ -108,6 +152,7 @@ class RequestHandler {
      * After calculations have been done, pre-emptively stop further requests
      * Potentially loop until this task can run if e.g. the global rate limit is hit twice
      */
+    await this.syncRateLimits();
     while (this.limited) {
       const isGlobal = this.globalLimited;
       let limit, timeout, delayPromise;
@@ -154,14 +199,13 @@ class RequestHandler {
 
       // Wait for the timeout to expire in order to avoid an actual 429
       await delayPromise; // eslint-disable-line no-await-in-loop
-    }
 
-    // As the request goes out, update the global usage information
-    if (!this.manager.globalReset || this.manager.globalReset < Date.now()) {
-      this.manager.globalReset = Date.now() + 1_000;
-      this.manager.globalRemaining = this.manager.globalLimit;
+      // Other processes sharing the rate limit store may have updated it in the meantime
+      await this.syncRateLimits(); // eslint-disable-line no-await-in-loop
     }
-    this.manager.globalRemaining--;
+
+    // As the request goes out, update the global and route usage information
+    if (!(await this.consumeRateLimits())) return this.execute(request);
 
     /**
      * Represents a request that will or has been made to the Discord API
@@ -192,6 +236,9 @@ class RequestHandler {
     }
 
     // Perform the request
+    const { metrics } = this.manager.client;
+    const route = ClientMetrics.routeLabel(request.route);
+    const start = Date.now();
     let res;
     try {
       res = await request.make();
@@ -202,9 +249,22 @@ class RequestHandler {
       }
 
       request.retries++;
+      this.manager.client.log('warn', 'rest', `Retrying a request after a network error: ${error.message}`, {
+        method: request.method,
+        path: request.path,
+        route: request.route,
+        retries: request.retries,
+      });
+      metrics?.restRetries.inc({ route, reason: 'network' });
       return this.execute(request);
     }
 
+    const bucket = res.headers?.get('x-ratelimit-bucket') ?? '';
+    metrics?.restRequestDuration.observe(
+      { method: request.method.toUpperCase(), route, bucket, status: res.status },
+      (Date.now() - start) / 1_000,
+    );
+
     if (this.manager.client.listenerCount(API_RESPONSE)) {
       /**
        * Emitted after every API request has received a response.
@@ -245,6 +305,12 @@ class RequestHandler {
         this.reset = new Date(serverDate).getTime() - getAPIOffset(serverDate) + 250;
       }
 
+      await this.manager.rateLimitStore.set(this.route, {
+        limit: this.limit,
+        remaining: this.remaining,
+        reset: this.reset,
+      });
+
       // Handle retryAfter, which means we have actually hit a rate limit
       let retryAfter = res.headers.get('retry-after');
       retryAfter = retryAfter ? Number(retryAfter) * 1_000 : -1;
@@ -253,6 +319,11 @@ class RequestHandler {
         if (res.headers.get('x-ratelimit-global')) {
           this.manager.globalRemaining = 0;
           this.manager.globalReset = Date.now() + retryAfter;
+          await this.manager.rateLimitStore.set(GLOBAL_KEY, {
+            limit: this.manager.globalLimit,
+            remaining: this.manager.globalRemaining,
+            reset: this.manager.globalReset,
+          });
         } else if (!this.localLimited) {
           /*
            * This is a sublimit (e.g. 2 channel name changes/10 minutes) since the headers don't indicate a
@@ -318,8 +389,9 @@ class RequestHandler {
           timeout = this.reset + this.manager.client.options.restTimeOffset - Date.now();
         }
 
-        this.manager.client.emit(
-          DEBUG,
+        this.manager.client.log(
+          'warn',
+          'rest',
           `Hit a 429 while executing a request.
     Global  : ${isGlobal}
     Method  : ${request.method}
@@ -328,14 +400,27 @@ class RequestHandler {
     Limit   : ${limit}
     Timeout : ${timeout}ms
     Sublimit: ${sublimitTimeout ? `${sublimitTimeout}ms` : 'None'}`,
+          {
+            method: request.method,
+            path: request.path,
+            route: request.route,
+            status: res.status,
+            bucket,
+            global: isGlobal,
+            limit,
+            timeout,
+            sublimit: sublimitTimeout ?? null,
+          },
         );
 
+        metrics?.restRateLimits.inc({ route, bucket, global: isGlobal });
         await this.onRateLimit(request, limit, timeout, isGlobal);
 
         // If caused by a sublimit, wait it out here so other requests on the route can be handled
         if (sublimitTimeout) {
           await sleep(sublimitTimeout);
         }
+        metrics?.restRetries.inc({ route, reason: 'rate_limit' });
         return this.execute(request);
       }
 
@@ -358,6 +443,14 @@ class RequestHandler {
       }
 
       request.retries++;
+      this.manager.client.log('warn', 'rest', `Retrying a request after a ${res.status} response`, {
+        method: request.method,
+        path: request.path,
+        route: request.route,
+        status: res.status,
+        retries: request.retries,
+      });
+      metrics?.restRetries.inc({ route, reason: 'server_error' });
       return this.execute(request);
     }
 
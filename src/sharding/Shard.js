@@ -3,9 +3,10 @@
 const EventEmitter = require('node:events');
 const path = require('node:path');
 const process = require('node:process');
-const { setTimeout } = require('node:timers');
+const { clearTimeout, setTimeout } = require('node:timers');
 const { setTimeout: sleep } = require('node:timers/promises');
 const { Error } = require('../errors');
+const IPCRateLimitStore = require('../rest/IPCRateLimitStore');
 const Util = require('../util/Util');
 let childProcess = null;
 let Worker = null;
@@ -96,6 +97,20 @@ class Shard extends EventEmitter {
      * @private
      */
     this._exitListener = null;
+
+    /**
+     * The shard this one replaces in a rolling restart, taking over its session
+     * @type {?Shard}
+     * @private
+     */
+    this._predecessor = null;
+
+    /**
+     * Whether the session of the shard this one replaces was handed over
+     * @type {boolean}
+     * @private
+     */
+    this._handedOver = false;
   }
 
   /**
@@ -136,6 +151,7 @@ class Shard extends EventEmitter {
      * @param {ChildProcess|Worker} process Child process/worker that was created
      */
     this.emit('spawn', child);
+    this.manager.log('info', `Spawned shard ${this.id}`, { shardId: this.id, mode: this.manager.mode });
 
     if (timeout === -1 || timeout === Infinity) return Promise.resolve(child);
     return new Promise((resolve, reject) => {
@@ -328,6 +344,7 @@ class Shard extends EventEmitter {
          * @event Shard#ready
          */
         this.emit('ready');
+        this.manager.log('info', `Shard ${this.id} is ready`, { shardId: this.id });
         return;
       }
 
@@ -339,6 +356,7 @@ class Shard extends EventEmitter {
          * @event Shard#disconnect
          */
         this.emit('disconnect');
+        this.manager.log('warn', `Shard ${this.id} disconnected`, { shardId: this.id });
         return;
       }
 
@@ -350,6 +368,7 @@ class Shard extends EventEmitter {
          * @event Shard#reconnecting
          */
         this.emit('reconnecting');
+        this.manager.log('info', `Shard ${this.id} is reconnecting`, { shardId: this.id });
         return;
       }
 
@@ -373,10 +392,40 @@ class Shard extends EventEmitter {
         return;
       }
 
+      // Shard is requesting an operation on the shared rate limit store
+      if (message._sRateLimit) {
+        const { _sRateLimit: nonce, method, args } = message;
+        this._performRateLimitOperation(method, args)
+          .then(
+            result => this.send({ _sRateLimit: nonce, _result: IPCRateLimitStore.serialize(result) }),
+            err => this.send({ _sRateLimit: nonce, _error: Util.makePlainError(err) }),
+          )
+          .catch(err => {
+            // The process/worker exited before the result could be sent back
+            this.manager.log('warn', `Could not answer a rate limit operation: ${err.message}`, { shardId: this.id });
+          });
+        return;
+      }
+
+      // Shard is taking over the session of the shard it replaces
+      if (message._sHandover !== undefined) {
+        const shardId = message._sHandover;
+        this._takeOverSession(shardId)
+          .then(
+            session => this.send({ _sHandover: shardId, _result: session }),
+            err => this.send({ _sHandover: shardId, _error: Util.makePlainError(err) }),
+          )
+          .catch(err => {
+            // The replacement exited before the session could be sent to it
+            this.manager.log('warn', `Could not hand a session over: ${err.message}`, { shardId: this.id });
+          });
+        return;
+      }
+
       // Shard is requesting a respawn of all shards
       if (message._sRespawnAll) {
-        const { shardDelay, respawnDelay, timeout } = message._sRespawnAll;
-        this.manager.respawnAll({ shardDelay, respawnDelay, timeout }).catch(() => {
+        const { shardDelay, respawnDelay, timeout, rolling, handover } = message._sRespawnAll;
+        this.manager.respawnAll({ shardDelay, respawnDelay, timeout, rolling, handover }).catch(() => {
           // Do nothing
         });
         return;
@@ -391,20 +440,90 @@ class Shard extends EventEmitter {
     this.emit('message', message);
   }
 
+  /**
+   * Runs an operation requested by an {@link IPCRateLimitStore} on the manager's rate limit store.
+   * @param {string} method The name of the {@link RateLimitStore} method to run
+   * @param {Array<*>} args The serialized arguments to run the method with
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _performRateLimitOperation(method, args) {
+    if (!['get', 'set', 'delete', 'decrement', 'sweep'].includes(method)) {
+      throw new Error('RATE_LIMIT_STORE_INVALID_OPERATION', method);
+    }
+    return this.manager.rateLimitStore[method](...args.map(arg => IPCRateLimitStore.deserialize(arg)));
+  }
+
+  /**
+   * Takes over the session of a gateway shard from the shard this one replaces, if it is still running.
+   * @param {number} shardId The id of the gateway shard
+   * @returns {Promise<?SessionData>}
+   * @private
+   */
+  async _takeOverSession(shardId) {
+    const predecessor = this._predecessor;
+    if (!predecessor?.process && !predecessor?.worker) return null;
+    const session = await predecessor._detachSession(shardId);
+    if (session) this._handedOver = true;
+    return session;
+  }
+
+  /**
+   * Closes the connection of a gateway shard of the process/worker without invalidating its session.
+   * @param {number} shardId The id of the gateway shard
+   * @param {number} [timeout=10000] The amount in milliseconds to wait for the process/worker to answer
+   * @returns {Promise<?SessionData>} The session, if it can be resumed
+   * @private
+   */
+  _detachSession(shardId, timeout = 10_000) {
+    return new Promise((resolve, reject) => {
+      const child = this.process ?? this.worker;
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        child.removeListener('message', listener);
+        this.decrementMaxListeners(child);
+      };
+
+      const listener = message => {
+        if (message?._detachSession !== shardId) return;
+        cleanup();
+        if (!message._error) resolve(message._result);
+        else reject(Util.makeError(message._error));
+      };
+
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('SHARDING_HANDOVER_TIMEOUT', this.id));
+      }, timeout);
+
+      this.incrementMaxListeners(child);
+      child.on('message', listener);
+
+      this.send({ _detachSession: shardId }).catch(err => {
+        cleanup();
+        reject(err);
+      });
+    });
+  }
+
   /**
    * Handles the shard's process/worker exiting.
+   * <info>Shards that are not in the manager, such as a replacement that did not become ready yet,
+   * are not respawned.</info>
    * @param {boolean} [respawn=this.manager.respawn] Whether to spawn the shard again
    * @param {number} [timeout] The amount in milliseconds to wait until the {@link Client}
    * has become ready (`-1` or `Infinity` for no wait)
    * @private
    */
-  _handleExit(respawn = this.manager.respawn, timeout) {
+  _handleExit(respawn = this.manager.respawn && this.manager.shards.get(this.id) === this, timeout) {
     /**
      * Emitted upon the shard's child process/worker exiting.
      * @event Shard#death
      * @param {ChildProcess|Worker} process Child process/worker that exited
      */
     this.emit('death', this.process ?? this.worker);
+    this.manager.log(respawn ? 'warn' : 'error', `Shard ${this.id} exited`, { shardId: this.id, respawn });
 
     this.ready = false;
     this.process = null;
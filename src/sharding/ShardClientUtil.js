@@ -29,6 +29,14 @@ class ShardClientUtil {
      */
     this.parentPort = null;
 
+    const data = mode === 'worker' ? require('node:worker_threads').workerData : process.env;
+
+    /**
+     * Whether the client replaces another process in a rolling restart, taking over its sessions
+     * @type {boolean}
+     */
+    this.handover = String(data?.SHARD_HANDOVER) === 'true';
+
     if (mode === 'process') {
       process.on('message', this._handleMessage.bind(this));
       client.on('ready', () => {
@@ -169,8 +177,37 @@ class ShardClientUtil {
    * @returns {Promise<void>} Resolves upon the message being sent
    * @see {@link ShardingManager#respawnAll}
    */
-  respawnAll({ shardDelay = 5_000, respawnDelay = 500, timeout = 30_000 } = {}) {
-    return this.send({ _sRespawnAll: { shardDelay, respawnDelay, timeout } });
+  respawnAll({ shardDelay = 5_000, respawnDelay = 500, timeout = 30_000, rolling = false, handover = false } = {}) {
+    return this.send({ _sRespawnAll: { shardDelay, respawnDelay, timeout, rolling, handover } });
+  }
+
+  /**
+   * Takes over the session of a shard from the process this client replaces in a rolling restart,
+   * which closes its connection without invalidating the session.
+   * @param {number} shardId The id of the shard
+   * @returns {Promise<?SessionData>} The session to resume, if the replaced process had one
+   * @private
+   */
+  takeOverSession(shardId) {
+    return new Promise((resolve, reject) => {
+      const parent = this.parentPort ?? process;
+
+      const listener = message => {
+        if (message?._sHandover !== shardId) return;
+        parent.removeListener('message', listener);
+        this.decrementMaxListeners(parent);
+        if (!message._error) resolve(message._result);
+        else reject(Util.makeError(message._error));
+      };
+      this.incrementMaxListeners(parent);
+      parent.on('message', listener);
+
+      this.send({ _sHandover: shardId }).catch(err => {
+        parent.removeListener('message', listener);
+        this.decrementMaxListeners(parent);
+        reject(err);
+      });
+    });
   }
 
   /**
@@ -195,6 +232,9 @@ class ShardClientUtil {
       } catch (err) {
         this._respond('eval', { _eval: message._eval, _error: Util.makePlainError(err) });
       }
+    } else if (message._detachSession !== undefined) {
+      const session = this.client.ws.detachSession(message._detachSession);
+      this._respond('detachSession', { _detachSession: message._detachSession, _result: session });
     }
   }
 
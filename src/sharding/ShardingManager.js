@@ -8,6 +8,7 @@ const { setTimeout: sleep } = require('node:timers/promises');
 const { Collection } = require('@discordjs/collection');
 const Shard = require('./Shard');
 const { Error, TypeError, RangeError } = require('../errors');
+const RateLimitStore = require('../rest/RateLimitStore');
 const Util = require('../util/Util');
 
 /**
@@ -39,6 +40,9 @@ class ShardingManager extends EventEmitter {
    * @property {string[]} [execArgv=[]] Arguments to pass to the shard script executable when spawning
    * (only available when mode is set to 'process')
    * @property {string} [token] Token to use for automatic shard count and passing to shards
+   * @property {RateLimitStore} [rateLimitStore] The store holding the rate limits shared by shards using an
+   * {@link IPCRateLimitStore} (defaults to an in-memory store)
+   * @property {?Logger} [logger] Logger to pass the structured log records of the manager and its shards to
    */
 
   /**
@@ -137,6 +141,24 @@ class ShardingManager extends EventEmitter {
      */
     this.token = options.token?.replace(/^Bot\s*/i, '') ?? null;
 
+    /**
+     * The store holding the rate limits shared by shards using an {@link IPCRateLimitStore}
+     * @type {RateLimitStore}
+     */
+    this.rateLimitStore = options.rateLimitStore ?? new RateLimitStore();
+    if (!(this.rateLimitStore instanceof RateLimitStore)) {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'rateLimitStore', 'a RateLimitStore');
+    }
+
+    /**
+     * The logger receiving the structured log records of the manager and its shards
+     * @type {?Logger}
+     */
+    this.logger = options.logger ?? null;
+    if (this.logger && typeof this.logger.log !== 'function') {
+      throw new TypeError('CLIENT_INVALID_OPTION', 'logger', 'a Logger');
+    }
+
     /**
      * A collection of shards that this manager has spawned
      * @type {Collection<number, Shard>}
@@ -212,6 +234,10 @@ class ShardingManager extends EventEmitter {
     }
 
     // Spawn the shards
+    this.log('info', `Spawning shards: ${this.shardList.join(', ')}`, {
+      shards: this.shardList,
+      totalShards: this.totalShards,
+    });
     for (const shardId of this.shardList) {
       const promises = [];
       const shard = this.createShard(shardId);
@@ -297,22 +323,120 @@ class ShardingManager extends EventEmitter {
    * (in milliseconds)
    * @property {number} [timeout=30000] The amount in milliseconds to wait for a shard to become ready before
    * continuing to another (`-1` or `Infinity` for no wait)
+   * @property {boolean} [rolling=false] Whether to spawn a replacement for each shard and wait for it to become
+   * ready before killing the shard, instead of killing the shard first
+   * <warn>The old process is killed right away when not waiting for the replacement to become ready</warn>
+   * @property {boolean} [handover=false] Whether the replacements of a rolling restart take over the gateway sessions
+   * of the shards they replace, resuming them instead of identifying again
+   * <info>Without a handover, the shard and its replacement are both connected to the gateway and receive the same
+   * events until the shard is killed.</info>
+   * <warn>Resumed sessions do not receive the guilds again, the caches of the replacements are empty until they are
+   * filled by events or fetches. Without the `CHANNEL` partial, the events of uncached channels, such as messages,
+   * are not emitted.</warn>
+   */
+
+  /**
+   * Data about the progress of a {@link ShardingManager#respawnAll} call.
+   * @typedef {Object} ShardRespawnProgress
+   * @property {Shard} shard The shard that was respawned, or its replacement in a rolling restart
+   * @property {number} respawned The amount of shards respawned so far
+   * @property {number} total The amount of shards to respawn
    */
 
   /**
    * Kills all running shards and respawns them.
    * @param {MultipleShardRespawnOptions} [options] Options for respawning shards
    * @returns {Promise<Collection<number, Shard>>}
+   * @example
+   * // Restart the shards one by one, without taking them offline
+   * manager.on('respawnProgress', ({ respawned, total }) => console.log(`Restarted ${respawned}/${total} shards`));
+   * await manager.respawnAll({ rolling: true });
    */
-  async respawnAll({ shardDelay = 5_000, respawnDelay = 500, timeout = 30_000 } = {}) {
+  async respawnAll({
+    shardDelay = 5_000,
+    respawnDelay = 500,
+    timeout = 30_000,
+    rolling = false,
+    handover = false,
+  } = {}) {
+    this.log('info', `Respawning all ${this.shards.size} shards`, { shardDelay, respawnDelay, rolling });
+    const shards = [...this.shards.values()];
     let s = 0;
-    for (const shard of this.shards.values()) {
-      const promises = [shard.respawn({ delay: respawnDelay, timeout })];
-      if (++s < this.shards.size && shardDelay > 0) promises.push(sleep(shardDelay));
+    for (const shard of shards) {
+      const promises = [
+        rolling ? this._replaceShard(shard, { timeout, handover }) : shard.respawn({ delay: respawnDelay, timeout }),
+      ];
+      if (s + 1 < shards.length && shardDelay > 0) promises.push(sleep(shardDelay));
       await Promise.all(promises); // eslint-disable-line no-await-in-loop
+
+      /**
+       * Emitted each time a shard is respawned by {@link ShardingManager#respawnAll}.
+       * @event ShardingManager#respawnProgress
+       * @param {ShardRespawnProgress} progress The progress of the respawn
+       */
+      this.emit('respawnProgress', { shard: this.shards.get(shard.id), respawned: ++s, total: shards.length });
     }
     return this.shards;
   }
+
+  /**
+   * Spawns a replacement for a shard and kills the shard once the replacement is ready.
+   * If the replacement fails to become ready, it is killed and the shard is kept, or respawned if it already handed
+   * its session over.
+   * @param {Shard} shard The shard to replace
+   * @param {Object} options Options for the replacement
+   * @param {number} options.timeout The amount in milliseconds to wait until the replacement has become ready
+   * @param {boolean} options.handover Whether the replacement takes over the gateway session of the shard
+   * @returns {Promise<Shard>} The replacement
+   * @private
+   */
+  async _replaceShard(shard, { timeout, handover }) {
+    const replacement = new Shard(this, shard.id);
+    if (handover) {
+      replacement._predecessor = shard;
+      replacement.env.SHARD_HANDOVER = true;
+    }
+    this.emit('shardCreate', replacement);
+    this.log('info', `Spawning a replacement for shard ${shard.id}`, { shardId: shard.id, handover });
+
+    try {
+      await replacement.spawn(timeout);
+    } catch (error) {
+      this.log('error', `The replacement for shard ${shard.id} failed: ${error.message}`, { shardId: shard.id });
+      if (replacement.process || replacement.worker) replacement.kill();
+      // The shard closed its connection for the replacement, it has to connect again
+      if (replacement._handedOver) await shard.respawn({ delay: 0, timeout });
+      throw error;
+    } finally {
+      replacement._predecessor = null;
+      delete replacement.env.SHARD_HANDOVER;
+    }
+
+    this.shards.set(shard.id, replacement);
+    shard.kill();
+
+    /**
+     * Emitted when a shard was replaced by a rolling restart, once its replacement is ready.
+     * @event ShardingManager#shardReplace
+     * @param {Shard} replacement The shard replacing the old one
+     * @param {Shard} shard The old shard, whose process/worker was killed
+     */
+    this.emit('shardReplace', replacement, shard);
+    return replacement;
+  }
+
+  /**
+   * Passes a log record of the manager or one of its shards to the {@link ShardingManager#logger}, if any.
+   * @param {LogLevel} level The severity of the record
+   * @param {string} message The human-readable message of the record
+   * @param {Object} [fields={}] The data attached to the record, including the `shardId` if any
+   * @private
+   */
+  log(level, message, fields = {}) {
+    if (!this.logger) return;
+    const { shardId = null, ...data } = fields;
+    this.logger.log({ timestamp: new Date(), level, component: 'sharding', shardId, message, fields: data });
+  }
 }
 
 module.exports = ShardingManager;
@@ -92,14 +92,11 @@ class AutocompleteInteraction extends Interaction {
   async respond(options) {
     if (this.responded) throw new Error('INTERACTION_ALREADY_REPLIED');
 
-    await this.client.api.interactions(this.id, this.token).callback.post({
+    await this._sendResponse({
+      type: InteractionResponseTypes.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
       data: {
-        type: InteractionResponseTypes.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
-        data: {
-          choices: options,
-        },
+        choices: options,
       },
-      auth: false,
     });
     this.responded = true;
   }
@@ -1,7 +1,7 @@
 'use strict';
 
 const { TypeError } = require('../errors');
-const { MessageComponentTypes, Events } = require('../util/Constants');
+const { MessageComponentTypes } = require('../util/Constants');
 
 /**
  * Represents an interactive component of a Message or Modal. It should not be necessary to construct this directly.
@@ -88,7 +88,9 @@ class BaseMessageComponent {
       }
       default:
         if (client) {
-          client.emit(Events.DEBUG, `[BaseMessageComponent] Received component with unknown type: ${data.type}`);
+          client.log('debug', 'client', `[BaseMessageComponent] Received component with unknown type: ${data.type}`, {
+            type: data.type,
+          });
         } else {
           throw new TypeError('INVALID_TYPE', 'data.type', 'valid MessageComponentType');
         }
@@ -1,6 +1,77 @@
 'use strict';
 
-const { TypeError } = require('../errors');
+const { OptionValidationError, TypeError } = require('../errors');
+const { ChannelTypes } = require('../util/Constants');
+
+/**
+ * The type of an option in an option schema, the option types that can be parsed and `MEMBER`,
+ * which is a `USER` option resolved to a guild member:
+ * * STRING
+ * * INTEGER
+ * * BOOLEAN
+ * * USER
+ * * MEMBER
+ * * CHANNEL
+ * * ROLE
+ * * MENTIONABLE
+ * * NUMBER
+ * * ATTACHMENT
+ * @typedef {string} OptionSchemaType
+ */
+
+/**
+ * The constraints of an option, checked by {@link CommandInteractionOptionResolver#parse}.
+ * @typedef {Object} OptionSchemaRule
+ * @property {OptionSchemaType} type The type of the option
+ * @property {boolean} [required=false] Whether the option has to be given
+ * @property {*} [default] The value of the option when it is not given, `null` by default
+ * @property {Array<string|number|ApplicationCommandOptionChoiceData>} [choices] The values the option accepts
+ * @property {number} [minValue] The minimum value of an `INTEGER` or `NUMBER` option
+ * @property {number} [maxValue] The maximum value of an `INTEGER` or `NUMBER` option
+ * @property {number} [minLength] The minimum length of a `STRING` option
+ * @property {number} [maxLength] The maximum length of a `STRING` option
+ * @property {Array<ChannelType|number>} [channelTypes] The types of channels a `CHANNEL` option accepts
+ * @property {Function} [validate] A function checking the resolved value of the option, returning `false`
+ * to reject it
+ */
+
+/**
+ * An option schema, mapping the names of the options to their constraints.
+ * @typedef {Object<string, OptionSchemaRule>} OptionSchema
+ */
+
+/**
+ * Checks the value of an option against its rule.
+ * @param {*} value The resolved value of the option
+ * @param {OptionSchemaRule} rule The rule of the option
+ * @returns {?Object} The code and the details of the issue, if the value breaks the rule
+ * @private
+ */
+function checkOption(value, rule) {
+  if (rule.choices) {
+    const choices = rule.choices.map(choice => (typeof choice === 'object' ? choice.value : choice));
+    if (!choices.includes(value)) return { code: 'CHOICES', choices };
+  }
+  if (typeof value === 'number') {
+    if (typeof rule.minValue === 'number' && value < rule.minValue) return { code: 'MIN_VALUE', min: rule.minValue };
+    if (typeof rule.maxValue === 'number' && value > rule.maxValue) return { code: 'MAX_VALUE', max: rule.maxValue };
+  }
+  if (typeof value === 'string') {
+    if (typeof rule.minLength === 'number' && value.length < rule.minLength) {
+      return { code: 'MIN_LENGTH', min: rule.minLength };
+    }
+    if (typeof rule.maxLength === 'number' && value.length > rule.maxLength) {
+      return { code: 'MAX_LENGTH', max: rule.maxLength };
+    }
+  }
+  if (rule.type === 'CHANNEL' && rule.channelTypes) {
+    const resolveType = type => (typeof type === 'number' ? ChannelTypes[type] : type);
+    const types = rule.channelTypes.map(resolveType);
+    if (!types.includes(resolveType(value.type))) return { code: 'CHANNEL_TYPE', types };
+  }
+  if (rule.validate && rule.validate(value) === false) return { code: 'INVALID' };
+  return null;
+}
 
 /**
  * A resolver for command interaction options.
@@ -102,6 +173,69 @@ class CommandInteractionOptionResolver {
     return option;
   }
 
+  /**
+   * Parses the options against a schema, checking their constraints and resolving them all at once.
+   * @param {OptionSchema} schema The schema of the options
+   * @returns {Object<string, *>} The values of the options, mapped by their names
+   * @throws {OptionValidationError} If options do not match the schema, with all the issues found
+   * @example
+   * // Ban a member, replying with the problems found in the options if any
+   * try {
+   *   const { member, days, reason } = interaction.options.parse({
+   *     member: { type: 'MEMBER', required: true },
+   *     days: { type: 'INTEGER', minValue: 0, maxValue: 7, default: 0 },
+   *     reason: { type: 'STRING', maxLength: 512 },
+   *   });
+   *   await member.ban({ days, reason });
+   * } catch (error) {
+   *   if (error instanceof OptionValidationError) await interaction.reply(error.toReply());
+   *   else throw error;
+   * }
+   */
+  parse(schema) {
+    const values = {};
+    const issues = [];
+    for (const [name, rule] of Object.entries(schema)) {
+      const option = this._getTypedOption(name, rule.type === 'MEMBER' ? 'USER' : rule.type, [], false);
+      let value;
+      switch (rule.type) {
+        case 'USER':
+          value = option?.user;
+          break;
+        case 'MEMBER':
+          value = option?.member;
+          break;
+        case 'CHANNEL':
+          value = option?.channel;
+          break;
+        case 'ROLE':
+          value = option?.role;
+          break;
+        case 'MENTIONABLE':
+          value = option?.member ?? option?.user ?? option?.role;
+          break;
+        case 'ATTACHMENT':
+          value = option?.attachment;
+          break;
+        default:
+          value = option?.value;
+      }
+
+      if (value === undefined || value === null) {
+        if (rule.type === 'MEMBER' && option) issues.push({ option: name, code: 'NOT_MEMBER', value: option.user });
+        else if (rule.required) issues.push({ option: name, code: 'REQUIRED', value: null });
+        values[name] = rule.default ?? null;
+        continue;
+      }
+
+      const issue = checkOption(value, rule);
+      if (issue) issues.push({ option: name, value, ...issue });
+      values[name] = value;
+    }
+    if (issues.length) throw new OptionValidationError(issues);
+    return values;
+  }
+
   /**
    * Gets the selected subcommand.
    * @param {boolean} [required=true] Whether to throw an error if there is no subcommand.
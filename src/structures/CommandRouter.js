@@ -0,0 +1,298 @@
+'use strict';
+
+const EventEmitter = require('node:events');
+const { Collection } = require('@discordjs/collection');
+const { TypeError } = require('../errors');
+const ApplicationCommandManager = require('../managers/ApplicationCommandManager');
+const { ApplicationCommandOptionTypes, ApplicationCommandTypes, Events } = require('../util/Constants');
+
+/**
+ * A function handling the interactions routed to it.
+ * @typedef {Function} CommandRouterHandler
+ * @param {Interaction} interaction The interaction to handle
+ * @returns {*}
+ */
+
+/**
+ * A function responding to the autocomplete interactions of an option.
+ * @typedef {Function} CommandRouterAutocompleteHandler
+ * @param {AutocompleteInteraction} interaction The interaction to respond to
+ * @param {AutocompleteFocusedOption} focused The option being filled in by the user
+ * @returns {*}
+ */
+
+/**
+ * A function handling the component or modal submit interactions routed to it.
+ * @typedef {Function} CommandRouterCustomIdHandler
+ * @param {MessageComponentInteraction|ModalSubmitInteraction} interaction The interaction to handle
+ * @param {?Array<string>} match The result of matching the custom id against the pattern of the route,
+ * `null` if the pattern is a string
+ * @returns {*}
+ */
+
+/**
+ * The data of a command registered to a {@link CommandRouter}.
+ * @typedef {ApplicationCommandData} CommandRouterCommandData
+ * @property {CommandRouterHandler} [run] The function handling the command,
+ * required unless the command has subcommands
+ * @property {CommandRouterOptionData[]} [options] Options for the command
+ */
+
+/**
+ * The data of an option of a command registered to a {@link CommandRouter}.
+ * @typedef {ApplicationCommandOptionData} CommandRouterOptionData
+ * @property {CommandRouterHandler} [run] The function handling the subcommand,
+ * required for options of type `SUB_COMMAND`
+ * @property {boolean|CommandRouterAutocompleteHandler} [autocomplete] The function responding to the autocomplete
+ * interactions of the option, which enables autocomplete for it
+ * @property {CommandRouterOptionData[]} [options] Additional options if this option is a subcommand (group)
+ */
+
+/**
+ * Resolves the type of a command or option to its string form.
+ * @param {string|number} type The type to resolve
+ * @param {Object} types The enum of the type
+ * @returns {string}
+ * @private
+ */
+function resolveType(type, types) {
+  return typeof type === 'number' ? types[type] : type;
+}
+
+/**
+ * Whether an option is a subcommand or a subcommand group.
+ * @param {CommandRouterOptionData} option The option to check
+ * @returns {boolean}
+ * @private
+ */
+function isSubcommand(option) {
+  return ['SUB_COMMAND', 'SUB_COMMAND_GROUP'].includes(resolveType(option.type, ApplicationCommandOptionTypes));
+}
+
+/**
+ * Removes the handlers from command or option data, leaving the data to send to the API.
+ * @param {CommandRouterCommandData|CommandRouterOptionData} data The data to remove the handlers from
+ * @returns {ApplicationCommandData|ApplicationCommandOptionData}
+ * @private
+ */
+function removeHandlers(data) {
+  const rest = { ...data };
+  delete rest.run;
+  if (typeof rest.autocomplete === 'function') rest.autocomplete = true;
+  if (rest.options) rest.options = rest.options.map(removeHandlers);
+  return rest;
+}
+
+/**
+ * Maps application commands, their subcommands, autocomplete options, and the custom ids of components and modals
+ * to the functions handling them. The same definitions produce the data to register the commands with,
+ * so the registered commands and their handlers always match.
+ * @extends {EventEmitter}
+ * @example
+ * const router = new CommandRouter()
+ *   .command({
+ *     name: 'ping',
+ *     description: 'Replies with pong',
+ *     run: interaction => interaction.reply('Pong!'),
+ *   })
+ *   .command({
+ *     name: 'tag',
+ *     description: 'Manages tags',
+ *     options: [
+ *       {
+ *         type: 'SUB_COMMAND',
+ *         name: 'show',
+ *         description: 'Shows a tag',
+ *         options: [
+ *           {
+ *             type: 'STRING',
+ *             name: 'name',
+ *             description: 'The name of the tag',
+ *             required: true,
+ *             autocomplete: (interaction, focused) => interaction.respond(searchTags(focused.value)),
+ *           },
+ *         ],
+ *         run: interaction => interaction.reply(getTag(interaction.options.getString('name'))),
+ *       },
+ *     ],
+ *   })
+ *   .component(/^delete-tag:(\d+)$/, (interaction, [, id]) => deleteTag(id));
+ *
+ * router.listen(client);
+ * await client.application.commands.set(router.toJSON());
+ */
+class CommandRouter extends EventEmitter {
+  constructor() {
+    super();
+
+    /**
+     * The registered commands, mapped by their type and name
+     * @type {Collection<string, CommandRouterCommandData>}
+     * @private
+     */
+    this._commands = new Collection();
+
+    /**
+     * The handlers of message components, in the order they were registered
+     * @type {Array<Object>}
+     * @private
+     */
+    this._components = [];
+
+    /**
+     * The handlers of modal submits, in the order they were registered
+     * @type {Array<Object>}
+     * @private
+     */
+    this._modals = [];
+  }
+
+  /**
+   * Registers a command and the functions handling it.
+   * @param {CommandRouterCommandData} data The data of the command
+   * @returns {CommandRouter}
+   */
+  command(data) {
+    const type = resolveType(data.type, ApplicationCommandTypes) ?? 'CHAT_INPUT';
+    const key = `${type}:${data.name}`;
+    if (this._commands.has(key)) throw new TypeError('COMMAND_ROUTER_DUPLICATE_COMMAND', type, data.name);
+
+    const check = (route, path) => {
+      const subcommands = route.options?.filter(isSubcommand);
+      if (!subcommands?.length) {
+        if (typeof route.run !== 'function') throw new TypeError('COMMAND_ROUTER_MISSING_HANDLER', path);
+        return;
+      }
+      for (const subcommand of subcommands) check(subcommand, `${path} ${subcommand.name}`);
+    };
+    check(data, data.name);
+
+    this._commands.set(key, data);
+    return this;
+  }
+
+  /**
+   * Registers a function handling the message components with a matching custom id.
+   * @param {string|RegExp} customId The custom id of the components, or a pattern matching it
+   * @param {CommandRouterCustomIdHandler} run The function handling the components
+   * @returns {CommandRouter}
+   */
+  component(customId, run) {
+    this._addCustomIdRoute(this._components, customId, run);
+    return this;
+  }
+
+  /**
+   * Registers a function handling the modal submits with a matching custom id.
+   * @param {string|RegExp} customId The custom id of the modals, or a pattern matching it
+   * @param {CommandRouterCustomIdHandler} run The function handling the modal submits
+   * @returns {CommandRouter}
+   */
+  modal(customId, run) {
+    this._addCustomIdRoute(this._modals, customId, run);
+    return this;
+  }
+
+  /**
+   * Routes an interaction to the function handling it.
+   * @param {Interaction} interaction The interaction to route
+   * @returns {Promise<boolean>} Whether a function handled the interaction
+   */
+  async handle(interaction) {
+    if (interaction.isCommand() || interaction.isContextMenu()) {
+      const route = this._resolveCommand(interaction);
+      if (typeof route?.run !== 'function') return false;
+      await route.run(interaction);
+      return true;
+    }
+
+    if (interaction.isAutocomplete()) {
+      const focused = interaction.options.getFocused(true);
+      const option = this._resolveCommand(interaction)?.options?.find(o => o.name === focused.name);
+      if (typeof option?.autocomplete !== 'function') return false;
+      await option.autocomplete(interaction, focused);
+      return true;
+    }
+
+    let routes;
+    if (interaction.isMessageComponent()) routes = this._components;
+    else if (interaction.isModalSubmit()) routes = this._modals;
+    else return false;
+
+    for (const route of routes) {
+      const match = typeof route.customId === 'string' ? null : route.customId.exec(interaction.customId);
+      if (typeof route.customId === 'string' ? route.customId !== interaction.customId : !match) continue;
+      await route.run(interaction, match); // eslint-disable-line no-await-in-loop
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Routes the interactions received by a client.
+   * Errors thrown by the handlers are emitted as {@link CommandRouter#event:error error} events.
+   * @param {Client} client The client to route the interactions of
+   * @returns {CommandRouter}
+   */
+  listen(client) {
+    client.on(Events.INTERACTION_CREATE, interaction => {
+      this.handle(interaction).catch(error => {
+        /**
+         * Emitted when a handler throws.
+         * @event CommandRouter#error
+         * @param {Error} error The error thrown by the handler
+         * @param {Interaction} interaction The interaction that was being handled
+         */
+        this.emit('error', error, interaction);
+      });
+    });
+    return this;
+  }
+
+  /**
+   * The data of the registered commands, as accepted by {@link ApplicationCommandManager#set}.
+   * @returns {RESTPostAPIApplicationCommandsJSONBody[]}
+   */
+  toJSON() {
+    return this._commands.map(data => ApplicationCommandManager.transformCommand(removeHandlers(data)));
+  }
+
+  /**
+   * Finds the command or subcommand an interaction was used with.
+   * @param {CommandInteraction|ContextMenuInteraction|AutocompleteInteraction} interaction The interaction
+   * @returns {?(CommandRouterCommandData|CommandRouterOptionData)}
+   * @private
+   */
+  _resolveCommand(interaction) {
+    const type = interaction.isContextMenu() ? interaction.targetType : 'CHAT_INPUT';
+    let route = this._commands.get(`${type}:${interaction.commandName}`);
+    if (type !== 'CHAT_INPUT') return route ?? null;
+
+    const group = interaction.options.getSubcommandGroup(false);
+    if (group) route = route?.options?.find(option => option.name === group);
+    const subcommand = interaction.options.getSubcommand(false);
+    if (subcommand) route = route?.options?.find(option => option.name === subcommand);
+    return route ?? null;
+  }
+
+  /**
+   * Adds a custom id route to a list of routes.
+   * @param {Array<Object>} routes The routes to add to
+   * @param {string|RegExp} customId The custom id or pattern of the route
+   * @param {CommandRouterCustomIdHandler} run The function handling the route
+   * @private
+   */
+  _addCustomIdRoute(routes, customId, run) {
+    if (typeof customId === 'string' && routes.some(route => route.customId === customId)) {
+      throw new TypeError('COMMAND_ROUTER_DUPLICATE_CUSTOM_ID', customId);
+    }
+    routes.push({ customId, run });
+  }
+}
+
+module.exports = CommandRouter;
+
+/**
+ * @external RESTPostAPIApplicationCommandsJSONBody
+ * @see {@link https://discord-api-types.dev/api/discord-api-types-v9#RESTPostAPIApplicationCommandsJSONBody}
+ */
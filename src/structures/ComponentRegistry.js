@@ -0,0 +1,198 @@
+'use strict';
+
+const EventEmitter = require('node:events');
+const { Collection } = require('@discordjs/collection');
+const { Error, RangeError, TypeError } = require('../errors');
+const { Events } = require('../util/Constants');
+const SnowflakeUtil = require('../util/SnowflakeUtil');
+
+/**
+ * The maximum length of a custom id.
+ * @type {number}
+ * @private
+ */
+const maxCustomIdLength = 100;
+
+/**
+ * The maximum length of the name of a handler, leaving room for the key of a stored state.
+ * @type {number}
+ * @private
+ */
+const maxNameLength = 64;
+
+/**
+ * A function handling the interactions of the components created with a {@link ComponentRegistry}.
+ * @typedef {Function} ComponentHandler
+ * @param {MessageComponentInteraction|ModalSubmitInteraction} interaction The interaction to handle
+ * @param {*} state The state the custom id of the component was created with
+ * @returns {*}
+ */
+
+/**
+ * Options for a component registry.
+ * @typedef {Object} ComponentRegistryOptions
+ * @property {?ComponentStateStore} [store=null] The store saving the states too long to fit in a custom id,
+ * which can then not be created without it
+ */
+
+/**
+ * A custom id decoded by a {@link ComponentRegistry}.
+ * @typedef {Object} DecodedCustomId
+ * @property {string} name The name of the handler
+ * @property {*} state The state of the component
+ * @property {?string} key The key of the state in the store of the registry, if it was too long for the custom id
+ */
+
+/**
+ * Routes the interactions of message components and modals to handlers by name, with a state encoded in
+ * their custom ids. Unlike collectors, nothing is kept in memory for each message, so the components keep working
+ * after the process restarts.
+ * <info>Custom ids are made of the name of the handler and the state serialized to JSON, such as
+ * `vote:{"poll":12,"choice":"yes"}`. States that do not fit in the 100 characters of a custom id are saved to the
+ * {@link ComponentRegistryOptions#store store} of the registry, and the custom id references them instead.</info>
+ * @extends {EventEmitter}
+ * @example
+ * const registry = new ComponentRegistry({ store: new FileComponentStateStore() })
+ *   .register('vote', (interaction, { poll, choice }) => castVote(poll, interaction.user.id, choice))
+ *   .listen(client);
+ *
+ * const button = new MessageButton()
+ *   .setCustomId(await registry.customId('vote', { poll: 12, choice: 'yes' }))
+ *   .setLabel('Yes')
+ *   .setStyle('SUCCESS');
+ */
+class ComponentRegistry extends EventEmitter {
+  /**
+   * @param {ComponentRegistryOptions} [options={}] Options for the registry
+   */
+  constructor({ store = null } = {}) {
+    super();
+
+    /**
+     * The store saving the states too long to fit in a custom id
+     * @type {?ComponentStateStore}
+     */
+    this.store = store;
+
+    /**
+     * The registered handlers, mapped by their names
+     * @type {Collection<string, ComponentHandler>}
+     */
+    this.handlers = new Collection();
+  }
+
+  /**
+   * Registers a handler.
+   * @param {string} name The name of the handler, up to 64 characters and without `:`
+   * @param {ComponentHandler} run The function handling the interactions
+   * @returns {ComponentRegistry}
+   */
+  register(name, run) {
+    if (typeof name !== 'string' || !name || name.length > maxNameLength || name.includes(':')) {
+      throw new TypeError('COMPONENT_REGISTRY_INVALID_NAME', name);
+    }
+    if (this.handlers.has(name)) throw new TypeError('COMPONENT_REGISTRY_DUPLICATE_HANDLER', name);
+    if (typeof run !== 'function') throw new TypeError('INVALID_TYPE', 'run', 'function');
+    this.handlers.set(name, run);
+    return this;
+  }
+
+  /**
+   * Creates the custom id of a component routed to a handler.
+   * @param {string} name The name of the handler
+   * @param {*} [state=null] The state passed to the handler, which can be serialized to JSON
+   * @returns {Promise<string>}
+   */
+  async customId(name, state = null) {
+    if (!this.handlers.has(name)) throw new TypeError('COMPONENT_REGISTRY_UNKNOWN_HANDLER', name);
+
+    const json = JSON.stringify(state);
+    const inline = `${name}:${json}`;
+    if (inline.length <= maxCustomIdLength) return inline;
+
+    if (!this.store) throw new RangeError('COMPONENT_REGISTRY_STATE_TOO_LONG', name);
+    // Each custom id gets its own key, so releasing it does not delete the state of other components
+    const key = SnowflakeUtil.generate();
+    await this.store.set(key, JSON.parse(json));
+    return `${name}:@${key}`;
+  }
+
+  /**
+   * Decodes a custom id created with this registry.
+   * @param {string} customId The custom id to decode
+   * @returns {Promise<?DecodedCustomId>} The decoded custom id, or `null` if it was not created with this registry
+   */
+  async decode(customId) {
+    const separator = customId.indexOf(':');
+    if (separator === -1) return null;
+    const name = customId.slice(0, separator);
+    if (!this.handlers.has(name)) return null;
+
+    const payload = customId.slice(separator + 1);
+    if (payload.startsWith('@')) {
+      const key = payload.slice(1);
+      const state = await this.store?.get(key);
+      if (state === undefined) throw new Error('COMPONENT_REGISTRY_STATE_NOT_FOUND', customId);
+      return { name, state, key };
+    }
+
+    try {
+      return { name, state: JSON.parse(payload), key: null };
+    } catch {
+      // The custom id belongs to another component that happens to start with the name of a handler
+      return null;
+    }
+  }
+
+  /**
+   * Deletes the state of a custom id from the store, once its component is no longer used.
+   * @param {string} customId The custom id to release
+   * @returns {Promise<void>}
+   */
+  async release(customId) {
+    const separator = customId.indexOf(':');
+    if (separator === -1 || customId[separator + 1] !== '@') return;
+    await this.store?.delete(customId.slice(separator + 2));
+  }
+
+  /**
+   * Routes an interaction to the handler its custom id was created for.
+   * @param {Interaction} interaction The interaction to route
+   * @returns {Promise<boolean>} Whether a handler handled the interaction
+   */
+  async handle(interaction) {
+    if (!interaction.isMessageComponent() && !interaction.isModalSubmit()) return false;
+    const decoded = await this.decode(interaction.customId);
+    if (!decoded) return false;
+    await this.handlers.get(decoded.name)(interaction, decoded.state);
+    return true;
+  }
+
+  /**
+   * Routes the interactions received by a client.
+   * Errors thrown by the handlers or the store are emitted as {@link ComponentRegistry#event:error error} events,
+   * or logged as warnings of the client if there is no listener.
+   * @param {Client} client The client to route the interactions of
+   * @returns {ComponentRegistry}
+   */
+  listen(client) {
+    client.on(Events.INTERACTION_CREATE, interaction => {
+      this.handle(interaction).catch(error => {
+        if (!this.listenerCount('error')) {
+          client.log('warn', 'client', `A component handler failed for ${interaction.customId}: ${error.message}`);
+          return;
+        }
+        /**
+         * Emitted when a handler or the store throws.
+         * @event ComponentRegistry#error
+         * @param {Error} error The error that was thrown
+         * @param {Interaction} interaction The interaction that was being handled
+         */
+        this.emit('error', error, interaction);
+      });
+    });
+    return this;
+  }
+}
+
+module.exports = ComponentRegistry;
@@ -3,12 +3,13 @@
 const { Collection } = require('@discordjs/collection');
 const AnonymousGuild = require('./AnonymousGuild');
 const GuildAuditLogs = require('./GuildAuditLogs');
+const GuildAuditLogsWatcher = require('./GuildAuditLogsWatcher');
 const GuildPreview = require('./GuildPreview');
 const GuildTemplate = require('./GuildTemplate');
 const Integration = require('./Integration');
 const Webhook = require('./Webhook');
 const WelcomeScreen = require('./WelcomeScreen');
-const { Error } = require('../errors');
+const { Error, MissingPermissionsError } = require('../errors');
 const GuildApplicationCommandManager = require('../managers/GuildApplicationCommandManager');
 const GuildBanManager = require('../managers/GuildBanManager');
 const GuildChannelManager = require('../managers/GuildChannelManager');
@@ -32,6 +33,7 @@ const {
   PremiumTiers,
 } = require('../util/Constants');
 const DataResolver = require('../util/DataResolver');
+const GuildBackup = require('../util/GuildBackup');
 const SystemChannelFlags = require('../util/SystemChannelFlags');
 const Util = require('../util/Util');
 
@@ -599,6 +601,33 @@ class Guild extends AnonymousGuild {
     return templates.reduce((col, data) => col.set(data.code, new GuildTemplate(this.client, data)), new Collection());
   }
 
+  /**
+   * Creates a backup of the structure of this guild, which can be restored with {@link Guild#restoreBackup}.
+   * @param {GuildBackupOptions} [options] Options for the backup
+   * @returns {Promise<GuildBackupData>}
+   * @example
+   * // Save a backup of the guild
+   * const backup = await guild.backup();
+   * fs.writeFileSync(`backups/${guild.id}.json`, JSON.stringify(backup));
+   */
+  backup(options) {
+    return GuildBackup.create(this, options);
+  }
+
+  /**
+   * Restores a backup created by {@link Guild#backup} into this guild.
+   * @param {GuildBackupData} data The backup to restore
+   * @param {GuildBackupRestoreOptions} [options] Options for the restore
+   * @returns {Promise<GuildBackupRestoreResult>}
+   * @example
+   * // Rebuild a guild from its backup
+   * const backup = JSON.parse(fs.readFileSync('backups/222078108977594368.json', 'utf8'));
+   * await newGuild.restoreBackup(backup, { reason: 'Restoring the guild after a raid' });
+   */
+  restoreBackup(data, options) {
+    return GuildBackup.restore(this, data, options);
+  }
+
   /**
    * Fetches the welcome screen for this guild.
    * @returns {Promise<WelcomeScreen>}
@@ -724,6 +753,7 @@ class Guild extends AnonymousGuild {
    * Options used to fetch audit logs.
    * @typedef {Object} GuildAuditLogsFetchOptions
    * @property {Snowflake|GuildAuditLogsEntry} [before] Only return entries before this entry
+   * @property {Snowflake|GuildAuditLogsEntry} [after] Only return entries after this entry
    * @property {number} [limit] The number of entries to return
    * @property {UserResolvable} [user] Only return entries for actions made by this user
    * @property {AuditLogAction|number} [type] Only return entries for this action type
@@ -741,11 +771,13 @@ class Guild extends AnonymousGuild {
    */
   async fetchAuditLogs(options = {}) {
     if (options.before && options.before instanceof GuildAuditLogs.Entry) options.before = options.before.id;
+    if (options.after && options.after instanceof GuildAuditLogs.Entry) options.after = options.after.id;
     if (typeof options.type === 'string') options.type = GuildAuditLogs.Actions[options.type];
 
     const data = await this.client.api.guilds(this.id)['audit-logs'].get({
       query: {
         before: options.before,
+        after: options.after,
         limit: options.limit,
         user_id: this.client.users.resolveId(options.user),
         action_type: options.type,
@@ -754,6 +786,74 @@ class Guild extends AnonymousGuild {
     return GuildAuditLogs.build(this, data);
   }
 
+  /**
+   * Options used to iterate over audit logs.
+   * @typedef {Object} GuildAuditLogsIterateOptions
+   * @property {Snowflake|GuildAuditLogsEntry} [before] Only return entries before this entry
+   * @property {Snowflake|GuildAuditLogsEntry} [after] Only return entries after this entry
+   * @property {number} [limit=Infinity] The maximum number of entries to return
+   * @property {UserResolvable} [user] Only return entries for actions made by this user
+   * @property {AuditLogAction|number} [type] Only return entries for this action type
+   */
+
+  /**
+   * Iterates over the audit log entries of this guild, fetching them a page at a time.
+   * Entries are returned from newest to oldest, unless only `after` is set,
+   * in which case they are returned from oldest to newest.
+   * @param {GuildAuditLogsIterateOptions} [options={}] Options for iterating over audit logs
+   * @returns {AsyncGenerator<GuildAuditLogsEntry>}
+   * @example
+   * // Find who kicked a member
+   * for await (const entry of guild.iterateAuditLogs({ type: 'MEMBER_KICK' })) {
+   *   if (entry.target.id === member.id) {
+   *     console.log(`${member.user.tag} was kicked by ${entry.executor.tag}`);
+   *     break;
+   *   }
+   * }
+   */
+  async *iterateAuditLogs({ before, after, limit = Infinity, user, type } = {}) {
+    if (before instanceof GuildAuditLogs.Entry) before = before.id;
+    if (after instanceof GuildAuditLogs.Entry) after = after.id;
+    const ascending = Boolean(after) && !before;
+    let cursor = ascending ? after : before;
+
+    while (limit > 0) {
+      const pageSize = Math.min(limit, 100);
+      // eslint-disable-next-line no-await-in-loop
+      const { entries } = await this.fetchAuditLogs({
+        [ascending ? 'after' : 'before']: cursor,
+        limit: pageSize,
+        user,
+        type,
+      });
+      const page = [...entries.values()].sort((a, b) => {
+        const difference = BigInt(a.id) - BigInt(b.id);
+        return (ascending ? difference > 0n : difference < 0n) ? 1 : -1;
+      });
+
+      for (const entry of page) {
+        if (!ascending && after && BigInt(entry.id) <= BigInt(after)) return;
+        yield entry;
+        limit--;
+      }
+      if (page.length < pageSize) return;
+      cursor = page.at(-1).id;
+    }
+  }
+
+  /**
+   * Starts watching the audit logs of this guild for new entries.
+   * @param {GuildAuditLogsWatcherOptions} [options] Options for the watcher
+   * @returns {GuildAuditLogsWatcher}
+   * @example
+   * // Log the messages deleted by moderators
+   * guild.watchAuditLogs({ type: 'MESSAGE_DELETE' })
+   *   .on('entry', entry => console.log(`${entry.executor.tag} deleted a message of ${entry.target.tag}`));
+   */
+  watchAuditLogs(options) {
+    return new GuildAuditLogsWatcher(this, options).start();
+  }
+
   /**
    * The data for editing a guild.
    * @typedef {Object} GuildEditData
@@ -1025,6 +1125,23 @@ class Guild extends AnonymousGuild {
     };
   }
 
+  /**
+   * Throws if the cached permissions of the client user lack permissions required by a request,
+   * when {@link ClientOptions#checkPermissions} is enabled.
+   * @param {PermissionResolvable} permissions The permissions required
+   * @param {GuildChannel|ThreadChannel} [channel] The channel the permissions are required in
+   * @private
+   */
+  _checkPermissions(permissions, channel) {
+    if (!this.client.options.checkPermissions) return;
+    const { me } = this;
+    // Permissions that are not cached are left for the API to check
+    if (!me || me.partial || !this.roles.everyone) return;
+    const explanation = channel ? channel.explainPermissionsFor(me) : me.explainPermissions();
+    const missing = explanation?.permissions.missing(permissions);
+    if (missing?.length) throw new MissingPermissionsError(missing, this, channel);
+  }
+
   /**
    * Creates a collection of this guild's roles, sorted by their position and ids.
    * @returns {Collection<Snowflake, Role>}
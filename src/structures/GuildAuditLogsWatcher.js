@@ -0,0 +1,149 @@
+'use strict';
+
+const EventEmitter = require('node:events');
+const { clearTimeout, setTimeout } = require('node:timers');
+const GuildAuditLogs = require('./GuildAuditLogs');
+const { Events } = require('../util/Constants');
+const SnowflakeUtil = require('../util/SnowflakeUtil');
+
+/**
+ * Options for a guild audit logs watcher.
+ * @typedef {Object} GuildAuditLogsWatcherOptions
+ * @property {number} [interval=30_000] How often to fetch the audit logs, in milliseconds
+ * @property {Snowflake|GuildAuditLogsEntry} [after] Emit the entries after this entry,
+ * instead of the entries created after the watcher started
+ * @property {UserResolvable} [user] Only watch for entries for actions made by this user
+ * @property {AuditLogAction|number} [type] Only watch for entries for this action type
+ */
+
+/**
+ * Polls the audit logs of a guild and emits the entries that were added since the last poll.
+ * @extends {EventEmitter}
+ */
+class GuildAuditLogsWatcher extends EventEmitter {
+  /**
+   * @param {Guild} guild The guild to watch the audit logs of
+   * @param {GuildAuditLogsWatcherOptions} [options={}] Options for the watcher
+   */
+  constructor(guild, { interval = 30_000, after, user, type } = {}) {
+    super();
+
+    /**
+     * The client that instantiated this watcher
+     * @name GuildAuditLogsWatcher#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: guild.client });
+
+    /**
+     * The guild whose audit logs are watched
+     * @type {Guild}
+     */
+    this.guild = guild;
+
+    /**
+     * How often the audit logs are fetched, in milliseconds
+     * @type {number}
+     */
+    this.interval = interval;
+
+    /**
+     * The user whose actions are watched
+     * @type {?UserResolvable}
+     */
+    this.user = user ?? null;
+
+    /**
+     * The action type that is watched
+     * @type {?(AuditLogAction|number)}
+     */
+    this.type = type ?? null;
+
+    /**
+     * The id of the last entry that was emitted, the next poll emits the entries after it
+     * @type {?Snowflake}
+     */
+    this.lastEntryId = (after instanceof GuildAuditLogs.Entry ? after.id : after) ?? null;
+
+    /**
+     * Whether this watcher is stopped
+     * @type {boolean}
+     */
+    this.stopped = true;
+
+    /**
+     * The timeout of the next poll
+     * @type {?Timeout}
+     * @private
+     */
+    this._timeout = null;
+  }
+
+  /**
+   * Starts polling the audit logs.
+   * @returns {GuildAuditLogsWatcher}
+   */
+  start() {
+    if (!this.stopped) return this;
+    this.stopped = false;
+    this.lastEntryId ??= SnowflakeUtil.generate();
+    this._schedule();
+    return this;
+  }
+
+  /**
+   * Stops polling the audit logs.
+   * @returns {GuildAuditLogsWatcher}
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this._timeout);
+    this._timeout = null;
+    return this;
+  }
+
+  /**
+   * Fetches the entries added since the last poll and emits them, from oldest to newest.
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    const entries = this.guild.iterateAuditLogs({ after: this.lastEntryId, user: this.user, type: this.type });
+    for await (const entry of entries) {
+      if (this.stopped) break;
+      this.lastEntryId = entry.id;
+      /**
+       * Emitted whenever a new entry is added to the audit logs.
+       * @event GuildAuditLogsWatcher#entry
+       * @param {GuildAuditLogsEntry} entry The new entry
+       */
+      this.emit('entry', entry);
+    }
+  }
+
+  /**
+   * Schedules the next poll.
+   * @private
+   */
+  _schedule() {
+    this._timeout = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        if (this.listenerCount('error')) {
+          /**
+           * Emitted whenever a poll fails, if there are no listeners the error is emitted as a client warning.
+           * @event GuildAuditLogsWatcher#error
+           * @param {Error} error The error that occurred
+           */
+          this.emit('error', error);
+        } else {
+          this.client.emit(Events.WARN, `Failed to poll the audit logs of guild ${this.guild.id}: ${error}`);
+        }
+      }
+      if (!this.stopped) this._schedule();
+    }, this.interval).unref();
+  }
+}
+
+module.exports = GuildAuditLogsWatcher;
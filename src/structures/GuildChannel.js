@@ -4,6 +4,7 @@ const { Channel } = require('./Channel');
 const { Error } = require('../errors');
 const PermissionOverwriteManager = require('../managers/PermissionOverwriteManager');
 const { VoiceBasedChannelTypes } = require('../util/Constants');
+const PermissionExplainer = require('../util/PermissionExplainer');
 const Permissions = require('../util/Permissions');
 
 /**
@@ -160,6 +161,34 @@ class GuildChannel extends Channel {
     return role && this.rolePermissions(role, checkAdmin);
   }
 
+  /**
+   * Explains step by step how the permissions of a member or role in this channel are calculated,
+   * telling which role, overwrite or timeout granted or denied each permission.
+   * @param {GuildMemberResolvable|RoleResolvable} memberOrRole The member or role to explain the permissions of
+   * @param {boolean} [checkAdmin=true] Whether owning the guild or having `ADMINISTRATOR` grants all the permissions
+   * @returns {?PermissionExplanation}
+   * @example
+   * // Tell a member why they cannot send messages
+   * const step = channel.explainPermissionsFor(member).flags.SEND_MESSAGES;
+   * if (step?.layer === 'ROLE_OVERWRITE') {
+   *   const where = step.synced ? channel.parent : channel;
+   *   message.reply(`The overwrite of <@&${step.id}> in ${where} denies sending messages`);
+   * }
+   */
+  explainPermissionsFor(memberOrRole, checkAdmin = true) {
+    const overwrites = [...this.permissionOverwrites.cache.values()];
+    const parentOverwrites = this.parent && [...this.parent.permissionOverwrites.cache.values()];
+    const member = this.guild.members.resolve(memberOrRole);
+    if (member) {
+      const data = { ...member._permissionExplainData(), overwrites, parentOverwrites };
+      return PermissionExplainer.explain(data, checkAdmin);
+    }
+    const role = this.guild.roles.resolve(memberOrRole);
+    if (!role) return null;
+    const data = { guildId: this.guild.id, roles: [role], overwrites, parentOverwrites };
+    return PermissionExplainer.explain(data, checkAdmin);
+  }
+
   overwritesFor(member, verified = false, roles = null) {
     if (!verified) member = this.guild.members.resolve(member);
     if (!member) return [];
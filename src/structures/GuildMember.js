@@ -5,6 +5,7 @@ const VoiceState = require('./VoiceState');
 const TextBasedChannel = require('./interfaces/TextBasedChannel');
 const { Error } = require('../errors');
 const GuildMemberRoleManager = require('../managers/GuildMemberRoleManager');
+const PermissionExplainer = require('../util/PermissionExplainer');
 const Permissions = require('../util/Permissions');
 
 
@@ -298,6 +299,42 @@ class GuildMember extends Base {
     return channel.permissionsFor(this);
   }
 
+  /**
+   * Explains step by step how the permissions of this member are calculated, in the guild or in a channel,
+   * telling which role, overwrite or timeout granted or denied each permission.
+   * <info>Unlike {@link GuildMember#permissions}, the explanation takes timeouts into account.</info>
+   * @param {GuildChannelResolvable} [channel] The guild channel to use as context, the guild is used if left out
+   * @param {boolean} [checkAdmin=true] Whether owning the guild or having `ADMINISTRATOR` grants all the permissions
+   * @returns {PermissionExplanation}
+   * @example
+   * // Tell which role grants a member the permission to ban members
+   * const step = member.explainPermissions().flags.BAN_MEMBERS;
+   * if (step?.granted.has('BAN_MEMBERS', false)) console.log(`Granted by the ${step.layer} layer of ${step.id}`);
+   */
+  explainPermissions(channel, checkAdmin = true) {
+    if (typeof channel !== 'undefined') {
+      const resolved = this.guild.channels.resolve(channel);
+      if (!resolved) throw new Error('GUILD_CHANNEL_RESOLVE');
+      return resolved.explainPermissionsFor(this, checkAdmin);
+    }
+    return PermissionExplainer.explain(this._permissionExplainData(), checkAdmin);
+  }
+
+  /**
+   * The data the permissions of this member are calculated from, without the overwrites of any channel.
+   * @returns {PermissionExplainData}
+   * @private
+   */
+  _permissionExplainData() {
+    return {
+      guildId: this.guild.id,
+      ownerId: this.guild.ownerId,
+      memberId: this.id,
+      roles: [...this.roles.cache.values()].sort((a, b) => b.comparePositionTo(a)),
+      communicationDisabledUntil: this.communicationDisabledUntilTimestamp,
+    };
+  }
+
   /**
    * Edits this member.
    * @param {GuildMemberEditData} data The data to edit the member with
@@ -301,6 +301,15 @@ class GuildScheduledEvent extends Base {
     return this.guild.scheduledEvents.fetchSubscribers(this.id, options);
   }
 
+  /**
+   * Iterates over the subscribers of this guild scheduled event, fetching them 100 at a time.
+   * @param {GuildScheduledEventSubscriberIterateOptions} [options] Options for the iteration
+   * @returns {AsyncGenerator<GuildScheduledEventUser>}
+   */
+  iterateSubscribers(options) {
+    return this.guild.scheduledEvents.iterateSubscribers(this.id, options);
+  }
+
   /**
    * When concatenated with a string, this automatically concatenates the event's URL instead of the object.
    * @returns {string}
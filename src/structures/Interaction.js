@@ -128,6 +128,45 @@ class Interaction extends Base {
      * @type {?Locale}
      */
     this.guildLocale = data.guild_locale ?? null;
+
+    /**
+     * Answers the HTTP request this interaction was received with, while an {@link InteractionServer}
+     * is waiting for its initial response
+     * @type {?Function}
+     * @name Interaction#_httpResponse
+     * @private
+     */
+    Object.defineProperty(this, '_httpResponse', { value: null, writable: true });
+  }
+
+  /**
+   * Sends the initial response to this interaction, in the body of the HTTP request it was received with
+   * while an {@link InteractionServer} is waiting for it, or through the API otherwise, such as when the request
+   * was closed.
+   * <info>Responses with files are always sent through the API.</info>
+   * @param {Object} data The data of the response
+   * @param {Object[]} [files] The files to send with the response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendResponse(data, files) {
+    let respond = this._httpResponse;
+    this._httpResponse = null;
+    if (respond && !files?.length) {
+      try {
+        await respond(data);
+        return;
+      } catch {
+        // The HTTP request was closed before the response was written, it is sent through the API instead
+        respond = null;
+      }
+    }
+    try {
+      await this.client.api.interactions(this.id, this.token).callback.post({ data, files, auth: false });
+    } finally {
+      // Failing to answer the HTTP request does not fail the response sent through the API
+      await respond?.(null).catch(() => null);
+    }
   }
 
   /**
@@ -687,6 +687,7 @@ class Message extends Base {
    */
   async pin(reason) {
     if (!this.channel) throw new Error('CHANNEL_NOT_CACHED');
+    this.guild?._checkPermissions(Permissions.FLAGS.VIEW_CHANNEL | Permissions.FLAGS.MANAGE_MESSAGES, this.channel);
     await this.channel.messages.pin(this.id, reason);
     return this;
   }
@@ -703,6 +704,7 @@ class Message extends Base {
    */
   async unpin(reason) {
     if (!this.channel) throw new Error('CHANNEL_NOT_CACHED');
+    this.guild?._checkPermissions(Permissions.FLAGS.VIEW_CHANNEL | Permissions.FLAGS.MANAGE_MESSAGES, this.channel);
     await this.channel.messages.unpin(this.id, reason);
     return this;
   }
@@ -724,6 +726,17 @@ class Message extends Base {
    */
   async react(emoji) {
     if (!this.channel) throw new Error('CHANNEL_NOT_CACHED');
+    if (this.guild) {
+      // Adding to a reaction that is already on the message does not need ADD_REACTIONS
+      const resolved = Util.resolvePartialEmoji(emoji);
+      const existing = resolved && this.reactions.cache.get(resolved.id ?? resolved.name)?.count > 0;
+      this.guild._checkPermissions(
+        Permissions.FLAGS.VIEW_CHANNEL |
+          Permissions.FLAGS.READ_MESSAGE_HISTORY |
+          (existing ? Permissions.defaultBit : Permissions.FLAGS.ADD_REACTIONS),
+        this.channel,
+      );
+    }
     await this.channel.messages.react(this.id, emoji);
 
     return this.client.actions.MessageReactionAdd.handle(
@@ -748,6 +761,9 @@ class Message extends Base {
    */
   async delete() {
     if (!this.channel) throw new Error('CHANNEL_NOT_CACHED');
+    if (this.author?.id !== this.client.user.id) {
+      this.guild?._checkPermissions(Permissions.FLAGS.VIEW_CHANNEL | Permissions.FLAGS.MANAGE_MESSAGES, this.channel);
+    }
     await this.channel.messages.delete(this.id);
     return this;
   }
@@ -0,0 +1,279 @@
+'use strict';
+
+const InteractionCollector = require('./InteractionCollector');
+const MessageActionRow = require('./MessageActionRow');
+const MessageButton = require('./MessageButton');
+const Modal = require('./Modal');
+const { Error, RangeError, TypeError } = require('../errors');
+const { InteractionTypes } = require('../util/Constants');
+const SnowflakeUtil = require('../util/SnowflakeUtil');
+
+/**
+ * A step of a {@link ModalWizard}, shown as one modal.
+ * @typedef {Object} ModalWizardStep
+ * @property {string} [title] The title of the modal, defaults to {@link ModalWizardOptions#title}
+ * @property {TextInputComponentOptions[]} fields The text inputs of the modal, up to 5,
+ * their custom ids being the keys of the answers
+ * @property {Function} [validate] A function checking the submitted fields, receiving the
+ * {@link ModalSubmitFieldsResolver} of the modal and the answers so far, including those of this step.
+ * It returns or resolves with a message explaining why the step is invalid, which asks the user to fill it again,
+ * or nothing if it is valid.
+ */
+
+/**
+ * A function creating a step of a {@link ModalWizard} from the answers of the previous steps,
+ * so the step can depend on them.
+ * @typedef {Function} ModalWizardStepResolver
+ * @param {Object<string, string>} answers The answers of the previous steps
+ * @returns {Awaitable<ModalWizardStep>}
+ */
+
+/**
+ * Options for a modal wizard.
+ * @typedef {Object} ModalWizardOptions
+ * @property {Array<ModalWizardStep|ModalWizardStepResolver>} steps The steps of the wizard, in order
+ * @property {string} [title] The title of the modals of the steps without one
+ * @property {number} [time=300000] How long to wait for each modal to be submitted and each button to be clicked,
+ * in milliseconds
+ * @property {Function} [prompt] A function returning the message asking the user to continue after a step,
+ * receiving the amount of steps completed and the total amount of steps.
+ * Defaults to `Step <completed> of <total> completed.`
+ * @property {MessageButtonOptions} [continueButton] The button opening the next modal, merged with the default one
+ */
+
+/**
+ * The result of a {@link ModalWizard}.
+ * @typedef {Object} ModalWizardResult
+ * @property {Object<string, string>} answers The values of all the fields, mapped by their custom ids
+ * @property {ModalSubmitInteraction} interaction The submit of the last modal, which is not responded to yet
+ */
+
+/**
+ * Waits for the first interaction collected by a collector.
+ * @param {InteractionCollector} collector The collector, ending after one interaction
+ * @returns {Promise<?Interaction>} The interaction, or `null` if none was collected in time
+ * @private
+ */
+function awaitFirst(collector) {
+  return new Promise(resolve => collector.once('end', interactions => resolve(interactions.first() ?? null)));
+}
+
+/**
+ * Creates the default message asking the user to continue after a step.
+ * @param {number} completed The amount of steps completed
+ * @param {number} total The total amount of steps
+ * @returns {string}
+ * @private
+ */
+function defaultPrompt(completed, total) {
+  return `Step ${completed} of ${total} completed.`;
+}
+
+/**
+ * Asks for more fields than fit in a modal, by chaining several modals.
+ * As a modal cannot be shown in response to another one, each submitted step is answered with an ephemeral message
+ * holding a button that opens the next modal.
+ * <info>A step which is not valid is shown again with the values the user submitted, after the message returned
+ * by its {@link ModalWizardStep#validate} function.</info>
+ * @example
+ * const wizard = new ModalWizard({
+ *   title: 'Application',
+ *   steps: [
+ *     { fields: [{ customId: 'name', label: 'Name', style: 'SHORT', required: true }] },
+ *     {
+ *       fields: [{ customId: 'age', label: 'Age', style: 'SHORT', required: true }],
+ *       validate: fields => (/^\d+$/.test(fields.getTextInputValue('age')) ? null : 'Your age must be a number.'),
+ *     },
+ *     answers => ({
+ *       fields: [{ customId: 'why', label: `Why do you want to join, ${answers.name}?`, style: 'PARAGRAPH' }],
+ *     }),
+ *   ],
+ * });
+ *
+ * const { answers, interaction: submit } = await wizard.start(interaction);
+ * await submit.reply({ content: `Thanks for applying, ${answers.name}!`, ephemeral: true });
+ */
+class ModalWizard {
+  /**
+   * @param {ModalWizardOptions} options Options for the wizard
+   */
+  constructor(options) {
+    if (!Array.isArray(options?.steps) || !options.steps.length) {
+      throw new TypeError('INVALID_TYPE', 'steps', 'non-empty Array');
+    }
+
+    /**
+     * The steps of the wizard
+     * @type {Array<ModalWizardStep|ModalWizardStepResolver>}
+     */
+    this.steps = options.steps;
+
+    /**
+     * The title of the modals of the steps without one
+     * @type {?string}
+     */
+    this.title = options.title ?? null;
+
+    /**
+     * How long to wait for each modal to be submitted and each button to be clicked, in milliseconds
+     * @type {number}
+     */
+    this.time = options.time ?? 300_000;
+
+    /**
+     * The function returning the message asking the user to continue after a step
+     * @type {Function}
+     */
+    this.prompt = options.prompt ?? defaultPrompt;
+
+    /**
+     * The options of the button opening the next modal
+     * @type {MessageButtonOptions}
+     */
+    this.continueButton = { label: 'Continue', style: 'PRIMARY', ...options.continueButton };
+  }
+
+  /**
+   * Shows the steps one after the other to the user of an interaction.
+   * @param {CommandInteraction|MessageComponentInteraction} interaction The interaction to show the first modal
+   * in response to, which must not be responded to yet
+   * @returns {Promise<ModalWizardResult>}
+   * @throws {Error} `MODAL_WIZARD_TIMEOUT` if the user does not submit a modal or click a button in time
+   */
+  async start(interaction) {
+    if (typeof interaction?.showModal !== 'function') {
+      throw new TypeError('INVALID_TYPE', 'interaction', 'interaction able to show a modal');
+    }
+
+    const id = `modalwizard:${SnowflakeUtil.generate()}`;
+    const userId = interaction.user.id;
+    const answers = {};
+    let index = 0;
+    let prompt = null;
+    let submit = null;
+    // The modal of the step being filled, shown again each time the button of the prompt is clicked
+    let modal = null;
+    let submits = null;
+    let buttons = null;
+
+    const awaitSubmit = () => {
+      const { customId } = modal;
+      submits = new InteractionCollector(interaction.client, {
+        interactionType: InteractionTypes.MODAL_SUBMIT,
+        filter: i => i.customId === customId && i.user.id === userId,
+        time: this.time,
+        max: 1,
+      });
+      return awaitFirst(submits);
+    };
+
+    const onClick = click => {
+      if (!modal) {
+        // The next step is not ready yet
+        click.deferUpdate().catch(() => null);
+        return;
+      }
+      // Dismissing a modal does not send anything, so the user gets the full time to fill it again
+      click.showModal(modal).then(
+        () => submits?.resetTimer(),
+        () => null,
+      );
+    };
+
+    try {
+      let step = await this._resolveStep(index, answers);
+      modal = this._createModal(step, `${id}:${index}`, null);
+      let pending = awaitSubmit();
+      await interaction.showModal(modal);
+
+      /* eslint-disable no-await-in-loop */
+      for (;;) {
+        submit = await pending;
+        submits = null;
+        modal = null;
+        if (!submit) {
+          // Remove the button of the prompt, it would open a modal nobody is waiting for
+          await prompt?.editReply({ components: [] }).catch(() => null);
+          throw new Error('MODAL_WIZARD_TIMEOUT', index + 1);
+        }
+
+        const values = Object.fromEntries(
+          step.fields.map(field => [field.customId, submit.fields.getTextInputValue(field.customId)]),
+        );
+        const invalid = await step.validate?.(submit.fields, { ...answers, ...values });
+        if (!invalid) {
+          Object.assign(answers, values);
+          index++;
+          if (index === this.steps.length) break;
+          step = await this._resolveStep(index, answers);
+        }
+        modal = this._createModal(step, `${id}:${index}`, invalid ? values : null);
+        pending = awaitSubmit();
+
+        const options = {
+          content: invalid || this.prompt(index, this.steps.length),
+          components: [
+            new MessageActionRow().addComponents(new MessageButton({ ...this.continueButton, customId: `${id}:next` })),
+          ],
+          fetchReply: true,
+        };
+        // The prompt of the previous step is updated, so the user is left with a single message
+        const message = submit.isFromMessage()
+          ? await submit.update(options)
+          : await submit.reply({ ...options, ephemeral: true });
+        prompt = submit;
+
+        if (!buttons) {
+          buttons = new InteractionCollector(interaction.client, {
+            message,
+            interactionType: InteractionTypes.MESSAGE_COMPONENT,
+            filter: i => i.customId === `${id}:next` && i.user.id === userId,
+          });
+          buttons.on('collect', onClick);
+        }
+      }
+      /* eslint-enable no-await-in-loop */
+    } finally {
+      buttons?.stop();
+      submits?.stop();
+    }
+
+    // Remove the button of the last prompt, without delaying the response to the last submit
+    prompt?.editReply({ components: [] }).catch(() => null);
+    return { answers, interaction: submit };
+  }
+
+  /**
+   * Gets a step, creating it from the answers so far if needed.
+   * @param {number} index The index of the step
+   * @param {Object<string, string>} answers The answers of the previous steps
+   * @returns {Promise<ModalWizardStep>}
+   * @private
+   */
+  async _resolveStep(index, answers) {
+    const step = typeof this.steps[index] === 'function' ? await this.steps[index]({ ...answers }) : this.steps[index];
+    if (!step?.fields?.length || step.fields.length > 5) throw new RangeError('MODAL_WIZARD_STEP_FIELDS', index + 1);
+    return step;
+  }
+
+  /**
+   * Creates the modal of a step.
+   * @param {ModalWizardStep} step The step
+   * @param {string} customId The custom id of the modal
+   * @param {?Object<string, string>} values The values to fill the fields with, when the step is shown again
+   * @returns {Modal}
+   * @private
+   */
+  _createModal(step, customId, values) {
+    return new Modal({
+      customId,
+      title: step.title ?? this.title,
+      components: step.fields.map(field => ({
+        type: 'ACTION_ROW',
+        components: [{ ...field, type: 'TEXT_INPUT', value: values?.[field.customId] ?? field.value }],
+      })),
+    });
+  }
+}
+
+module.exports = ModalWizard;
@@ -0,0 +1,422 @@
+'use strict';
+
+const EventEmitter = require('node:events');
+const InteractionCollector = require('./InteractionCollector');
+const MessageActionRow = require('./MessageActionRow');
+const MessageButton = require('./MessageButton');
+const MessageEmbed = require('./MessageEmbed');
+const MessageSelectMenu = require('./MessageSelectMenu');
+const { Error, RangeError, TypeError } = require('../errors');
+const { APIErrors, InteractionTypes } = require('../util/Constants');
+const MessageFlags = require('../util/MessageFlags');
+const SnowflakeUtil = require('../util/SnowflakeUtil');
+
+/**
+ * A page of a {@link Paginator}, a string being used as the content of the message and an embed as its only embed.
+ * @typedef {string|MessageEmbed|MessageOptions} PaginatorPage
+ */
+
+/**
+ * A function providing the pages of a {@link Paginator} as they are shown.
+ * @typedef {Function} PaginatorPageProvider
+ * @param {number} index The index of the page, starting at 0
+ * @returns {Awaitable<?PaginatorPage>} The page, or `null` if there is no page at this index
+ */
+
+/**
+ * The navigation buttons of a {@link Paginator}, `null` hiding a button.
+ * @typedef {Object} PaginatorButtons
+ * @property {?MessageButtonOptions} [first] The button going to the first page
+ * @property {?MessageButtonOptions} [previous] The button going to the previous page
+ * @property {?MessageButtonOptions} [next] The button going to the next page
+ * @property {?MessageButtonOptions} [last] The button going to the last page
+ * @property {?MessageButtonOptions} [stop] The button stopping the paginator, hidden by default
+ */
+
+/**
+ * Options for a paginator.
+ * @typedef {Object} PaginatorOptions
+ * @property {number} [pageCount] The amount of pages, when they are provided by a {@link PaginatorPageProvider}.
+ * If unknown, the paginator goes forward until the provider returns `null`.
+ * @property {?UserResolvable[]} [users] The users allowed to navigate, defaulting to the user of the interaction
+ * the paginator is sent in response to, or anyone when sent to a channel. `null` allows anyone.
+ * @property {number} [idle=60000] How long to wait for an input before ending the paginator, in milliseconds
+ * @property {number} [time] How long to run the paginator for, in milliseconds
+ * @property {PaginatorButtons} [buttons] The navigation buttons, merged with the default ones
+ * @property {boolean} [jumpMenu=false] Whether to add a select menu jumping to a page, shown once the amount
+ * of pages is known
+ * @property {Function} [pageLabel] A function returning the label of the page at an index,
+ * used in the jump menu, defaults to `Page <index + 1>`
+ * @property {?(string|InteractionReplyOptions)} [deniedReply] The ephemeral reply sent to the users
+ * not allowed to navigate, `null` silently ignoring their input
+ */
+
+/**
+ * The reasons the collector of a paginator ends with when its message is gone.
+ * @type {string[]}
+ * @private
+ */
+const deletionReasons = ['messageDelete', 'channelDelete', 'threadDelete', 'guildDelete'];
+
+/**
+ * Navigates through pages of a message with buttons, and optionally a select menu jumping to a page.
+ * The components are removed from the message once the paginator ends, after being idle for
+ * {@link PaginatorOptions#idle} by default.
+ * @extends {EventEmitter}
+ * @example
+ * const embeds = chunks.map((chunk, i) => new MessageEmbed().setTitle(`Results ${i + 1}`).setDescription(chunk));
+ * await new Paginator(embeds, { jumpMenu: true }).send(interaction);
+ * @example
+ * // Fetch the pages as they are shown
+ * const paginator = new Paginator(index => fetchResults(index * 10, 10).then(formatPage), { pageCount: 20 });
+ * await paginator.send(channel);
+ */
+class Paginator extends EventEmitter {
+  /**
+   * @param {PaginatorPage[]|PaginatorPageProvider} pages The pages, or a function providing them
+   * @param {PaginatorOptions} [options={}] Options for the paginator
+   */
+  constructor(pages, options = {}) {
+    super();
+
+    if (!Array.isArray(pages) && typeof pages !== 'function') {
+      throw new TypeError('INVALID_TYPE', 'pages', 'Array or Function');
+    }
+    if (Array.isArray(pages) ? !pages.length : options.pageCount === 0) throw new RangeError('PAGINATOR_NO_PAGES');
+
+    /**
+     * The pages, or the function providing them
+     * @type {PaginatorPage[]|PaginatorPageProvider}
+     */
+    this.pages = pages;
+
+    /**
+     * The amount of pages, if known
+     * @type {?number}
+     */
+    this.pageCount = Array.isArray(pages) ? pages.length : options.pageCount ?? null;
+
+    /**
+     * The index of the page being shown
+     * @type {number}
+     */
+    this.index = 0;
+
+    /**
+     * The options of the paginator
+     * @type {PaginatorOptions}
+     */
+    this.options = {
+      idle: 60_000,
+      jumpMenu: false,
+      pageLabel: index => `Page ${index + 1}`,
+      deniedReply: 'You cannot use these controls.',
+      ...options,
+      buttons: {
+        first: { emoji: '⏮️' },
+        previous: { emoji: '◀️', style: 'PRIMARY' },
+        next: { emoji: '▶️', style: 'PRIMARY' },
+        last: { emoji: '⏭️' },
+        stop: null,
+        ...options.buttons,
+      },
+    };
+
+    /**
+     * The ids of the users allowed to navigate, `null` allowing anyone
+     * @type {?Snowflake[]}
+     */
+    this.users = null;
+
+    /**
+     * The message of the paginator, once sent
+     * @type {?(Message|APIMessage)}
+     */
+    this.message = null;
+
+    /**
+     * The collector receiving the inputs, once sent
+     * @type {?InteractionCollector}
+     */
+    this.collector = null;
+
+    /**
+     * The prefix of the custom ids of the components of the paginator
+     * @type {string}
+     * @private
+     */
+    this._prefix = `paginator:${SnowflakeUtil.generate()}:`;
+
+    /**
+     * The page being shown
+     * @type {?MessageOptions}
+     * @private
+     */
+    this._page = null;
+
+    /**
+     * The interaction the paginator was sent in response to, editing its message
+     * @type {?Interaction}
+     * @private
+     */
+    this._interaction = null;
+
+    /**
+     * The interaction that stopped the paginator, updating its message
+     * @type {?MessageComponentInteraction}
+     * @private
+     */
+    this._stopInteraction = null;
+  }
+
+  /**
+   * Sends the first page, and starts listening to the inputs.
+   * @param {TextBasedChannels|Interaction} target The channel to send the paginator to,
+   * or the interaction to respond to with it
+   * @returns {Promise<Message|APIMessage>}
+   */
+  async send(target) {
+    if (this.message) throw new Error('PAGINATOR_ALREADY_SENT');
+    const isInteraction = target?.isRepliable?.() ?? false;
+    if (!isInteraction && !target?.isText?.()) {
+      throw new TypeError('INVALID_TYPE', 'target', 'TextBasedChannel or repliable Interaction');
+    }
+
+    this._page = await this._fetchPage(0);
+    if (!this._page) throw new RangeError('PAGINATOR_NO_PAGES');
+    const options = this._render();
+
+    if (isInteraction) {
+      this._interaction = target;
+      this.message =
+        target.deferred || target.replied
+          ? await target.editReply(options)
+          : await target.reply({ ...options, fetchReply: true });
+    } else {
+      this.message = await target.send(options);
+    }
+
+    const users = this.options.users === undefined && isInteraction ? [target.user] : this.options.users;
+    this.users = users?.map(user => target.client.users.resolveId(user)) ?? null;
+
+    this.collector = new InteractionCollector(target.client, {
+      message: this.message,
+      interactionType: InteractionTypes.MESSAGE_COMPONENT,
+      filter: interaction => interaction.customId.startsWith(this._prefix),
+      idle: this.options.idle,
+      time: this.options.time,
+    });
+    this.collector.on('collect', interaction => {
+      this._handle(interaction).catch(error => this._error(error));
+    });
+    this.collector.once('end', (collected, reason) => this._end(reason));
+
+    return this.message;
+  }
+
+  /**
+   * Shows a page.
+   * @param {number} index The index of the page, starting at 0
+   * @param {MessageComponentInteraction} [interaction] The interaction to update the message with,
+   * instead of editing it
+   * @returns {Promise<void>}
+   */
+  async setPage(index, interaction) {
+    if (!this.message) throw new Error('PAGINATOR_NOT_SENT');
+    if (!Number.isInteger(index) || index < 0 || (this.pageCount !== null && index >= this.pageCount)) {
+      throw new RangeError('PAGINATOR_PAGE_OUT_OF_RANGE', index, this.pageCount);
+    }
+
+    // Pages provided by a function may take longer to fetch than the time given to respond to the interaction
+    const deferred = interaction && typeof this.pages === 'function';
+    if (deferred) await interaction.deferUpdate();
+
+    const page = await this._fetchPage(index);
+    if (page) {
+      this.index = index;
+      this._page = page;
+    } else {
+      // The provider ran out of pages, so the amount of pages is now known
+      this.pageCount = index;
+    }
+
+    const options = this._render();
+    if (deferred) await interaction.editReply(options);
+    else if (interaction) await interaction.update(options);
+    else await this._edit(options);
+
+    if (page) {
+      /**
+       * Emitted when a page is shown.
+       * @event Paginator#pageChange
+       * @param {number} index The index of the page
+       * @param {?MessageComponentInteraction} interaction The interaction that changed the page
+       */
+      this.emit('pageChange', index, interaction ?? null);
+    }
+  }
+
+  /**
+   * Stops the paginator, removing its components.
+   * @param {string} [reason='user'] The reason the paginator is stopped
+   */
+  stop(reason = 'user') {
+    this.collector?.stop(reason);
+  }
+
+  /**
+   * Handles an input on the components of the paginator.
+   * @param {MessageComponentInteraction} interaction The interaction of the input
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handle(interaction) {
+    if (this.users && !this.users.includes(interaction.user.id)) {
+      const { deniedReply } = this.options;
+      if (deniedReply === null) await interaction.deferUpdate();
+      else
+        await interaction.reply(
+          typeof deniedReply === 'string' ? { content: deniedReply, ephemeral: true } : deniedReply,
+        );
+      return;
+    }
+
+    switch (interaction.customId.slice(this._prefix.length)) {
+      case 'first':
+        await this.setPage(0, interaction);
+        break;
+      case 'previous':
+        await this.setPage(Math.max(this.index - 1, 0), interaction);
+        break;
+      case 'next':
+        await this.setPage(
+          this.pageCount === null ? this.index + 1 : Math.min(this.index + 1, this.pageCount - 1),
+          interaction,
+        );
+        break;
+      case 'last':
+        await this.setPage(this.pageCount - 1, interaction);
+        break;
+      case 'jump':
+        await this.setPage(Number(interaction.values[0]), interaction);
+        break;
+      case 'stop':
+        this._stopInteraction = interaction;
+        this.stop();
+        break;
+    }
+  }
+
+  /**
+   * Removes the components once the collector ends.
+   * @param {string} reason The reason the collector ended with
+   * @private
+   */
+  _end(reason) {
+    if (!deletionReasons.includes(reason)) {
+      const options = { components: [] };
+      const cleanup = this._stopInteraction ? this._stopInteraction.update(options) : this._edit(options);
+      cleanup.catch(error => {
+        // The message may have been deleted without the collector knowing, such as without the message intents
+        if (error.code !== APIErrors.UNKNOWN_MESSAGE) this._error(error);
+      });
+    }
+
+    /**
+     * Emitted when the paginator ends.
+     * @event Paginator#end
+     * @param {string} reason The reason the paginator ended, such as `idle`, `time`, `user` or `messageDelete`
+     */
+    this.emit('end', reason);
+  }
+
+  /**
+   * Reports an error that occurred while the paginator was running, in the {@link Paginator#event:error} event if
+   * it has listeners, or as a warning of the client otherwise.
+   * @param {Error} error The error that occurred
+   * @private
+   */
+  _error(error) {
+    if (this.listenerCount('error')) {
+      /**
+       * Emitted when showing a page or cleaning up the components fails.
+       * @event Paginator#error
+       * @param {Error} error The error that occurred
+       */
+      this.emit('error', error);
+    } else {
+      this.collector.client.log('warn', 'client', `A paginator failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Edits the message of the paginator.
+   * @param {MessageEditOptions} options The options to edit the message with
+   * @returns {Promise<Message|APIMessage>}
+   * @private
+   */
+  _edit(options) {
+    // The token of the interaction expires after 15 minutes, so only ephemeral messages are edited through it
+    const editable = this.message.channel && !new MessageFlags(this.message.flags).has(MessageFlags.FLAGS.EPHEMERAL);
+    return this._interaction && !editable ? this._interaction.editReply(options) : this.message.edit(options);
+  }
+
+  /**
+   * Fetches a page, resolving it to message options.
+   * @param {number} index The index of the page
+   * @returns {Promise<?MessageOptions>}
+   * @private
+   */
+  async _fetchPage(index) {
+    const page = typeof this.pages === 'function' ? await this.pages(index) : this.pages[index];
+    if (page === null || page === undefined) return null;
+    if (typeof page === 'string') return { content: page };
+    if (page instanceof MessageEmbed) return { embeds: [page] };
+    return page;
+  }
+
+  /**
+   * Renders the page being shown with the navigation components.
+   * @returns {MessageOptions}
+   * @private
+   */
+  _render() {
+    const { buttons, jumpMenu, pageLabel } = this.options;
+    const isFirst = this.index === 0;
+    const isLast = this.index === this.pageCount - 1;
+    const states = {
+      first: isFirst,
+      previous: isFirst,
+      next: isLast,
+      last: isLast || this.pageCount === null,
+      stop: false,
+    };
+
+    const navigation = Object.entries(states)
+      .filter(([name]) => buttons[name])
+      .map(
+        ([name, disabled]) =>
+          new MessageButton({ style: 'SECONDARY', ...buttons[name], customId: `${this._prefix}${name}`, disabled }),
+      );
+    const components = [...(this._page.components ?? []), new MessageActionRow({ components: navigation })];
+
+    if (jumpMenu && this.pageCount > 1) {
+      // A select menu holds up to 25 options, so only the pages around the current one are listed
+      const start = Math.max(0, Math.min(this.index - 12, this.pageCount - 25));
+      const end = Math.min(start + 25, this.pageCount);
+      const options = [];
+      for (let index = start; index < end; index++) {
+        options.push({ label: pageLabel(index), value: String(index), default: index === this.index });
+      }
+      components.push(
+        new MessageActionRow({
+          components: [new MessageSelectMenu({ customId: `${this._prefix}jump`, options })],
+        }),
+      );
+    }
+
+    return { content: null, embeds: [], attachments: [], ...this._page, components };
+  }
+}
+
+module.exports = Paginator;
@@ -261,6 +261,16 @@ class ThreadChannel extends Channel {
     return this.parent?.permissionsFor(memberOrRole, checkAdmin) ?? null;
   }
 
+  /**
+   * Explains step by step how the permissions of a member or role in this thread's parent channel are calculated.
+   * @param {GuildMemberResolvable|RoleResolvable} memberOrRole The member or role to explain the permissions of
+   * @param {boolean} [checkAdmin=true] Whether owning the guild or having `ADMINISTRATOR` grants all the permissions
+   * @returns {?PermissionExplanation}
+   */
+  explainPermissionsFor(memberOrRole, checkAdmin) {
+    return this.parent?.explainPermissionsFor(memberOrRole, checkAdmin) ?? null;
+  }
+
   /**
    * Fetches the owner of this thread. If the thread member object isn't needed,
    * use {@link ThreadChannel#ownerId} instead.
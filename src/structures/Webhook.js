@@ -231,6 +231,22 @@ class Webhook {
     return data.toString() === 'ok';
   }
 
+  /**
+   * Schedules a message to be sent with this webhook at a later time.
+   * See {@link MessageScheduler} for how scheduled messages are sent.
+   * @param {string|MessagePayload|WebhookMessageOptions} options The options for the message
+   * @param {DateResolvable} date The time to send the message at
+   * @returns {Promise<ScheduledMessage>}
+   * @example
+   * // Announce an event an hour before it starts
+   * webhook.schedule(`${event.name} starts in an hour!`, event.scheduledStartTimestamp - 3_600_000)
+   *   .then(scheduled => console.log(`Scheduled message ${scheduled.id}`))
+   *   .catch(console.error);
+   */
+  schedule(options, date) {
+    return this.client.scheduler.schedule(this, options, date);
+  }
+
   /**
    * Options used to edit a {@link Webhook}.
    * @typedef {Object} WebhookEditData
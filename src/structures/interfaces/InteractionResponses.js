@@ -58,14 +58,11 @@ class InteractionResponses {
   async deferReply(options = {}) {
     if (this.deferred || this.replied) throw new Error('INTERACTION_ALREADY_REPLIED');
     this.ephemeral = options.ephemeral ?? false;
-    await this.client.api.interactions(this.id, this.token).callback.post({
+    await this._sendResponse({
+      type: InteractionResponseTypes.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        type: InteractionResponseTypes.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          flags: options.ephemeral ? MessageFlags.FLAGS.EPHEMERAL : undefined,
-        },
+        flags: options.ephemeral ? MessageFlags.FLAGS.EPHEMERAL : undefined,
       },
-      auth: false,
     });
     this.deferred = true;
 
@@ -100,14 +97,13 @@ class InteractionResponses {
 
     const { data, files } = await messagePayload.resolveData().resolveFiles();
 
-    await this.client.api.interactions(this.id, this.token).callback.post({
-      data: {
+    await this._sendResponse(
+      {
         type: InteractionResponseTypes.CHANNEL_MESSAGE_WITH_SOURCE,
         data,
       },
       files,
-      auth: false,
-    });
+    );
     this.replied = true;
 
     return options.fetchReply ? this.fetchReply() : undefined;
@@ -182,11 +178,8 @@ class InteractionResponses {
    */
   async deferUpdate(options = {}) {
     if (this.deferred || this.replied) throw new Error('INTERACTION_ALREADY_REPLIED');
-    await this.client.api.interactions(this.id, this.token).callback.post({
-      data: {
-        type: InteractionResponseTypes.DEFERRED_MESSAGE_UPDATE,
-      },
-      auth: false,
+    await this._sendResponse({
+      type: InteractionResponseTypes.DEFERRED_MESSAGE_UPDATE,
     });
     this.deferred = true;
 
@@ -215,14 +208,13 @@ class InteractionResponses {
 
     const { data, files } = await messagePayload.resolveData().resolveFiles();
 
-    await this.client.api.interactions(this.id, this.token).callback.post({
-      data: {
+    await this._sendResponse(
+      {
         type: InteractionResponseTypes.UPDATE_MESSAGE,
         data,
       },
       files,
-      auth: false,
-    });
+    );
     this.replied = true;
 
     return options.fetchReply ? this.fetchReply() : undefined;
@@ -237,11 +229,9 @@ class InteractionResponses {
     if (this.deferred || this.replied) throw new Error('INTERACTION_ALREADY_REPLIED');
 
     const _modal = modal instanceof Modal ? modal : new Modal(modal);
-    await this.client.api.interactions(this.id, this.token).callback.post({
-      data: {
-        type: InteractionResponseTypes.MODAL,
-        data: _modal.toJSON(),
-      },
+    await this._sendResponse({
+      type: InteractionResponseTypes.MODAL,
+      data: _modal.toJSON(),
     });
     this.replied = true;
   }
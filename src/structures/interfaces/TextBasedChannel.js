@@ -6,6 +6,7 @@ const MessagePayload = require('../MessagePayload');
 const SnowflakeUtil = require('../../util/SnowflakeUtil');
 const { Collection } = require('@discordjs/collection');
 const { InteractionTypes } = require('../../util/Constants');
+const Permissions = require('../../util/Permissions');
 const { TypeError, Error } = require('../../errors');
 const InteractionCollector = require('../InteractionCollector');
 
@@ -173,11 +174,38 @@ class TextBasedChannel {
     }
 
     const { data, files } = await messagePayload.resolveFiles();
+    this.guild?._checkPermissions(
+      Permissions.FLAGS.VIEW_CHANNEL |
+        (this.isThread() ? Permissions.FLAGS.SEND_MESSAGES_IN_THREADS : Permissions.FLAGS.SEND_MESSAGES) |
+        (data.embeds?.length ? Permissions.FLAGS.EMBED_LINKS : Permissions.defaultBit) |
+        (files?.length ? Permissions.FLAGS.ATTACH_FILES : Permissions.defaultBit) |
+        (data.message_reference ? Permissions.FLAGS.READ_MESSAGE_HISTORY : Permissions.defaultBit),
+      this,
+    );
     const d = await this.client.api.channels[this.id].messages.post({ data, files });
 
     return this.messages.cache.get(d.id) ?? this.messages._add(d);
   }
 
+  /**
+   * Schedules a message to be sent in the channel at a later time.
+   * See {@link MessageScheduler} for how scheduled messages are sent.
+   * @param {string|MessagePayload|MessageOptions} options The options for the message
+   * @param {DateResolvable} date The time to send the message at
+   * @returns {Promise<ScheduledMessage>}
+   * @example
+   * // Send a reminder tomorrow
+   * channel.schedule('Stand-up in 5 minutes!', Date.now() + 86_400_000)
+   *   .then(scheduled => console.log(`Scheduled message ${scheduled.id}`))
+   *   .catch(console.error);
+   * @example
+   * // Cancel it
+   * client.scheduler.cancel(scheduled.id);
+   */
+  schedule(options, date) {
+    return this.client.scheduler.schedule(this, options, date);
+  }
+
   /**
    * Sends a typing indicator in the channel.
    * @returns {Promise<void>} Resolves upon the typing status being sent
@@ -375,6 +403,7 @@ class TextBasedChannel {
         'lastMessage',
         'lastPinAt',
         'bulkDelete',
+        'schedule',
         'sendTyping',
         'createMessageCollector',
         'awaitMessages',
@@ -0,0 +1,46 @@
+'use strict';
+
+const { APIErrors } = require('../util/Constants');
+
+/**
+ * An error of the state of a {@link MockDiscord}, which its REST server answers with a Discord API error body.
+ * @extends Error
+ */
+class MockAPIError extends Error {
+  constructor(status, code, message) {
+    super(message);
+
+    /**
+     * The name of the error
+     * @type {string}
+     */
+    this.name = 'MockAPIError';
+
+    /**
+     * The HTTP status code the error is answered with
+     * @type {number}
+     */
+    this.status = status;
+
+    /**
+     * The Discord error code of the error
+     * @type {number}
+     */
+    this.code = code;
+  }
+
+  /**
+   * Creates the error of an unknown item, e.g. `Unknown Channel`.
+   * @param {string} kind The kind of the item, as named in {@link APIError}, e.g. `CHANNEL` for `UNKNOWN_CHANNEL`
+   * @returns {MockAPIError}
+   */
+  static unknown(kind) {
+    const name = kind
+      .split('_')
+      .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+      .join(' ');
+    return new this(404, APIErrors[`UNKNOWN_${kind}`], `Unknown ${name}`);
+  }
+}
+
+module.exports = MockAPIError;
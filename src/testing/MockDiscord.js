@@ -0,0 +1,1098 @@
+'use strict';
+
+const { randomBytes } = require('node:crypto');
+const EventEmitter = require('node:events');
+const { Collection } = require('@discordjs/collection');
+const MockAPIError = require('./MockAPIError');
+const MockGateway = require('./MockGateway');
+const MockRESTServer = require('./MockRESTServer');
+const Client = require('../client/Client');
+const { Error } = require('../errors');
+const {
+  ChannelTypes,
+  InteractionResponseTypes,
+  InteractionTypes,
+  MessageTypes,
+  WSEvents,
+} = require('../util/Constants');
+const MessageFlags = require('../util/MessageFlags');
+const PermissionExplainer = require('../util/PermissionExplainer');
+const Permissions = require('../util/Permissions');
+const SnowflakeUtil = require('../util/SnowflakeUtil');
+
+const threadTypes = [
+  ChannelTypes.GUILD_NEWS_THREAD,
+  ChannelTypes.GUILD_PUBLIC_THREAD,
+  ChannelTypes.GUILD_PRIVATE_THREAD,
+];
+const { EPHEMERAL, LOADING } = MessageFlags.FLAGS;
+
+/**
+ * Copies an object without some of its keys.
+ * @param {Object} object The object to copy
+ * @param {...string} keys The keys to leave out
+ * @returns {Object}
+ * @private
+ */
+function omit(object, ...keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * Options for a mock of Discord.
+ * @typedef {Object} MockDiscordOptions
+ * @property {string} [token] The token the bot authenticates with, a random one by default
+ * @property {APIUser} [user] Data of the user of the bot
+ * @property {number} [shards=1] The amount of shards recommended by `GET /gateway/bot`
+ * @property {number} [version=9] The gateway version sent in READY
+ * @property {number} [heartbeatInterval=41_250] The heartbeat interval of the gateway, in milliseconds
+ * @property {MockRateLimitOptions} [rateLimit] The rate limit of the REST routes
+ */
+
+/**
+ * The data of an interaction created on a mock, the missing fields are filled in.
+ * @typedef {Object} MockInteractionData
+ * @property {number} [type=2] The type of the interaction, see {@link InteractionTypes}
+ * @property {Snowflake} channel_id The id of the channel the interaction is triggered in
+ * @property {APIUser|Snowflake} user The user triggering the interaction
+ * @property {Object} [data] The data of the interaction, e.g. the name and options of the command
+ * @property {APIMessage} [message] The message of the component, for component interactions
+ */
+
+/**
+ * A local mock of Discord, a gateway and a REST server sharing an in-memory state, to write deterministic
+ * integration tests of bots without reaching the real API.
+ * <info>The state is made of raw API data. Creating, editing and deleting things through the helpers
+ * of the mock dispatches their events to the connected clients, the same way requests to the REST server do.</info>
+ * @extends {EventEmitter}
+ * @example
+ * const mock = new MockDiscord();
+ * await mock.listen();
+ * const guild = mock.createGuild({ name: 'Test' });
+ * const channel = mock.createChannel({ guild_id: guild.id, name: 'general' });
+ * const user = mock.createUser({ username: 'Tester' });
+ * mock.addMember(guild.id, user);
+ *
+ * const client = mock.createClient({ intents: [Intents.FLAGS.GUILDS, Intents.FLAGS.GUILD_MESSAGES] });
+ * client.on('messageCreate', message => {
+ *   if (message.content === '!ping') message.reply('pong');
+ * });
+ * await client.login();
+ *
+ * mock.createMessage(channel.id, { author: user, content: '!ping' });
+ * const [request] = await once(mock, 'request');
+ * assert.equal(request.body.content, 'pong');
+ *
+ * client.destroy();
+ * await mock.close();
+ */
+class MockDiscord extends EventEmitter {
+  /**
+   * @param {MockDiscordOptions} [options] Options for the mock
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * The options of the mock
+     * @type {MockDiscordOptions}
+     */
+    this.options = { shards: 1, version: 9, ...options };
+
+    /**
+     * The token the bot authenticates with
+     * @type {string}
+     */
+    Object.defineProperty(this, 'token', { value: options.token ?? randomBytes(24).toString('base64url') });
+
+    /**
+     * The users of the mock, mapped by their ids
+     * @type {Collection<Snowflake, APIUser>}
+     */
+    this.users = new Collection();
+
+    /**
+     * The user of the bot
+     * @type {APIUser}
+     */
+    this.user = this.createUser({ username: 'Mock Bot', bot: true, ...options.user });
+
+    /**
+     * The application of the bot
+     * @type {Object}
+     */
+    this.application = {
+      id: this.user.id,
+      name: this.user.username,
+      icon: null,
+      description: '',
+      bot_public: true,
+      bot_require_code_grant: false,
+      owner: this.createUser({ username: 'Mock Owner' }),
+      flags: 0,
+    };
+
+    /**
+     * The guilds of the mock, mapped by their ids
+     * @type {Collection<Snowflake, APIGuild>}
+     */
+    this.guilds = new Collection();
+
+    /**
+     * The roles of the guilds, mapped by the ids of their guilds, then by their ids
+     * @type {Collection<Snowflake, Collection<Snowflake, APIRole>>}
+     */
+    this.roles = new Collection();
+
+    /**
+     * The members of the guilds, mapped by the ids of their guilds, then by the ids of their users
+     * @type {Collection<Snowflake, Collection<Snowflake, APIGuildMember>>}
+     */
+    this.members = new Collection();
+
+    /**
+     * The bans of the guilds, mapped by the ids of their guilds, then by the ids of their users
+     * @type {Collection<Snowflake, Collection<Snowflake, Object>>}
+     */
+    this.bans = new Collection();
+
+    /**
+     * The channels of the mock, including DM channels and threads, mapped by their ids
+     * @type {Collection<Snowflake, APIChannel>}
+     */
+    this.channels = new Collection();
+
+    /**
+     * The messages of the channels, mapped by the ids of their channels, then by their ids
+     * @type {Collection<Snowflake, Collection<Snowflake, APIMessage>>}
+     */
+    this.messages = new Collection();
+
+    /**
+     * The webhooks of the mock, mapped by their ids
+     * @type {Collection<Snowflake, Object>}
+     */
+    this.webhooks = new Collection();
+
+    /**
+     * The interactions of the mock, mapped by their tokens
+     * @type {Collection<string, Object>}
+     * @private
+     */
+    this.interactions = new Collection();
+
+    /**
+     * The application commands of the bot, mapped by the ids of their guilds (`global` for global commands),
+     * then by their ids
+     * @type {Collection<string, Collection<Snowflake, Object>>}
+     * @private
+     */
+    this._applicationCommands = new Collection();
+
+    /**
+     * The local gateway of the mock
+     * @type {MockGateway}
+     */
+    this.gateway = new MockGateway(this, { heartbeatInterval: options.heartbeatInterval });
+
+    /**
+     * The local REST server of the mock
+     * @type {MockRESTServer}
+     */
+    this.rest = new MockRESTServer(this, options.rateLimit);
+  }
+
+  /**
+   * Starts the gateway and the REST server, on random ports.
+   * @param {string} [hostname='127.0.0.1'] The hostname to listen on
+   * @returns {Promise<void>}
+   */
+  async listen(hostname = '127.0.0.1') {
+    await this.gateway.listen(0, hostname);
+    await this.rest.listen(0, hostname);
+  }
+
+  /**
+   * Stops the gateway and the REST server.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all([this.gateway.close(), this.rest.close()]);
+  }
+
+  /**
+   * Creates a client connecting to this mock, log it in with {@link Client#login} without a token.
+   * @param {ClientOptions} options Options for the client, {@link HTTPOptions#api} is set to the REST server
+   * @returns {Client}
+   */
+  createClient(options) {
+    if (!this.rest.url) throw new Error('MOCK_NOT_LISTENING');
+    const client = new Client({ ...options, http: { ...options.http, api: this.rest.url } });
+    client.token = this.token;
+    return client;
+  }
+
+  /**
+   * Sends a dispatch to the connected clients, see {@link MockGateway#dispatch}.
+   * @param {string} event The name of the event, e.g. `MESSAGE_CREATE`
+   * @param {*} data The data of the event
+   */
+  dispatch(event, data) {
+    this.gateway.dispatch(event, data);
+  }
+
+  /**
+   * Creates a user.
+   * @param {Object} [data={}] Data of the user
+   * @returns {APIUser}
+   */
+  createUser(data = {}) {
+    const user = {
+      id: SnowflakeUtil.generate(),
+      username: 'User',
+      discriminator: String(this.users.size + 1).padStart(4, '0'),
+      avatar: null,
+      bot: false,
+      ...data,
+    };
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  /**
+   * Edits a user, which dispatches `USER_UPDATE` if it is the user of the bot.
+   * @param {Snowflake} id The id of the user
+   * @param {Object} data The data to edit
+   * @returns {APIUser}
+   */
+  editUser(id, data) {
+    const user = Object.assign(this._get(this.users, id, 'USER'), data);
+    if (user.id === this.user.id) this.dispatch(WSEvents.USER_UPDATE, user);
+    return user;
+  }
+
+  /**
+   * Creates a guild with its `@everyone` role, the bot is added to it and owns it unless `owner_id` is set.
+   * Dispatches `GUILD_CREATE`.
+   * @param {Object} [data={}] Data of the guild
+   * @returns {APIGuild}
+   */
+  createGuild(data = {}) {
+    const guild = {
+      id: SnowflakeUtil.generate(),
+      name: 'Guild',
+      icon: null,
+      splash: null,
+      discovery_splash: null,
+      banner: null,
+      description: null,
+      owner_id: this.user.id,
+      afk_channel_id: null,
+      afk_timeout: 300,
+      verification_level: 0,
+      default_message_notifications: 0,
+      explicit_content_filter: 0,
+      features: [],
+      mfa_level: 0,
+      application_id: null,
+      system_channel_id: null,
+      system_channel_flags: 0,
+      rules_channel_id: null,
+      public_updates_channel_id: null,
+      vanity_url_code: null,
+      premium_tier: 0,
+      premium_subscription_count: 0,
+      preferred_locale: 'en-US',
+      nsfw_level: 0,
+      premium_progress_bar_enabled: false,
+      emojis: [],
+      stickers: [],
+      ...data,
+    };
+    const everyone = {
+      id: guild.id,
+      name: '@everyone',
+      color: 0,
+      hoist: false,
+      icon: null,
+      unicode_emoji: null,
+      position: 0,
+      permissions: String(Permissions.DEFAULT),
+      managed: false,
+      mentionable: false,
+    };
+    this.guilds.set(guild.id, guild);
+    this.roles.set(guild.id, new Collection([[everyone.id, everyone]]));
+    this.members.set(guild.id, new Collection());
+    this.bans.set(guild.id, new Collection());
+    this._addMember(guild.id, this.user, {});
+    this.dispatch(WSEvents.GUILD_CREATE, this._guildCreateData(guild.id));
+    return guild;
+  }
+
+  /**
+   * Edits a guild. Dispatches `GUILD_UPDATE`.
+   * @param {Snowflake} id The id of the guild
+   * @param {Object} data The data to edit
+   * @returns {APIGuild}
+   */
+  editGuild(id, data) {
+    const guild = Object.assign(this._get(this.guilds, id, 'GUILD'), data);
+    this.dispatch(WSEvents.GUILD_UPDATE, { ...guild, roles: [...this.roles.get(id).values()] });
+    return guild;
+  }
+
+  /**
+   * Creates a channel, a guild channel if `guild_id` is set, a thread if its type is one of a thread,
+   * and a DM channel otherwise. Dispatches `CHANNEL_CREATE` or `THREAD_CREATE`.
+   * @param {Object} [data={}] Data of the channel
+   * @returns {APIChannel}
+   */
+  createChannel(data = {}) {
+    const { auto_archive_duration = 1_440, invitable, ...rest } = data;
+    const id = rest.id ?? SnowflakeUtil.generate();
+    let channel;
+    if (!rest.guild_id) {
+      channel = { id, type: ChannelTypes.DM, recipients: [], last_message_id: null, ...rest };
+    } else if (threadTypes.includes(rest.type)) {
+      this._get(this.channels, rest.parent_id, 'CHANNEL');
+      channel = {
+        id,
+        type: ChannelTypes.GUILD_PUBLIC_THREAD,
+        name: 'thread',
+        owner_id: this.user.id,
+        last_message_id: null,
+        message_count: 0,
+        member_count: 1,
+        rate_limit_per_user: 0,
+        thread_metadata: {
+          archived: false,
+          auto_archive_duration,
+          archive_timestamp: new Date().toISOString(),
+          locked: false,
+          ...(rest.type === ChannelTypes.GUILD_PRIVATE_THREAD && { invitable: invitable ?? true }),
+        },
+        ...rest,
+      };
+    } else {
+      this._get(this.guilds, rest.guild_id, 'GUILD');
+      const type = rest.type ?? ChannelTypes.GUILD_TEXT;
+      channel = {
+        id,
+        type,
+        name: 'channel',
+        position: this.channels.filter(other => other.guild_id === rest.guild_id && other.type === type).size,
+        permission_overwrites: [],
+        parent_id: null,
+        ...([ChannelTypes.GUILD_TEXT, ChannelTypes.GUILD_NEWS].includes(type) && {
+          topic: null,
+          nsfw: false,
+          rate_limit_per_user: 0,
+          last_message_id: null,
+        }),
+        ...([ChannelTypes.GUILD_VOICE, ChannelTypes.GUILD_STAGE_VOICE].includes(type) && {
+          bitrate: 64_000,
+          user_limit: 0,
+          rtc_region: null,
+        }),
+        ...rest,
+      };
+    }
+    this.channels.set(channel.id, channel);
+    this.messages.set(channel.id, new Collection());
+    if (channel.guild_id) {
+      this.dispatch(threadTypes.includes(channel.type) ? WSEvents.THREAD_CREATE : WSEvents.CHANNEL_CREATE, channel);
+    }
+    return channel;
+  }
+
+  /**
+   * Edits a channel. Dispatches `CHANNEL_UPDATE` or `THREAD_UPDATE`.
+   * @param {Snowflake} id The id of the channel
+   * @param {Object} data The data to edit
+   * @returns {APIChannel}
+   */
+  editChannel(id, data) {
+    const channel = this._get(this.channels, id, 'CHANNEL');
+    const { archived, auto_archive_duration, locked, invitable, ...rest } = data;
+    Object.assign(channel, rest);
+    if (channel.thread_metadata) {
+      const metadata = { archived, auto_archive_duration, locked, invitable };
+      for (const [key, value] of Object.entries(metadata))
+        if (value !== undefined) channel.thread_metadata[key] = value;
+      if (archived !== undefined) channel.thread_metadata.archive_timestamp = new Date().toISOString();
+    }
+    if (channel.guild_id) {
+      this.dispatch(threadTypes.includes(channel.type) ? WSEvents.THREAD_UPDATE : WSEvents.CHANNEL_UPDATE, channel);
+    }
+    return channel;
+  }
+
+  /**
+   * Deletes a channel with its messages. Dispatches `CHANNEL_DELETE` or `THREAD_DELETE`.
+   * @param {Snowflake} id The id of the channel
+   * @returns {APIChannel}
+   */
+  deleteChannel(id) {
+    const channel = this._get(this.channels, id, 'CHANNEL');
+    this.channels.delete(id);
+    this.messages.delete(id);
+    if (threadTypes.includes(channel.type)) {
+      const { guild_id, parent_id, type } = channel;
+      this.dispatch(WSEvents.THREAD_DELETE, { id, guild_id, parent_id, type });
+    } else if (channel.guild_id) {
+      this.dispatch(WSEvents.CHANNEL_DELETE, channel);
+    }
+    return channel;
+  }
+
+  /**
+   * Creates a role. Dispatches `GUILD_ROLE_CREATE`.
+   * @param {Snowflake} guildId The id of the guild
+   * @param {Object} [data={}] Data of the role
+   * @returns {APIRole}
+   */
+  createRole(guildId, data = {}) {
+    const roles = this._get(this.roles, guildId, 'GUILD');
+    const role = {
+      id: SnowflakeUtil.generate(),
+      name: 'new role',
+      color: 0,
+      hoist: false,
+      icon: null,
+      unicode_emoji: null,
+      position: roles.size,
+      permissions: '0',
+      managed: false,
+      mentionable: false,
+      ...data,
+    };
+    roles.set(role.id, role);
+    this.dispatch(WSEvents.GUILD_ROLE_CREATE, { guild_id: guildId, role });
+    return role;
+  }
+
+  /**
+   * Edits a role. Dispatches `GUILD_ROLE_UPDATE`.
+   * @param {Snowflake} guildId The id of the guild
+   * @param {Snowflake} id The id of the role
+   * @param {Object} data The data to edit
+   * @returns {APIRole}
+   */
+  editRole(guildId, id, data) {
+    const role = Object.assign(this._get(this._get(this.roles, guildId, 'GUILD'), id, 'ROLE'), data);
+    this.dispatch(WSEvents.GUILD_ROLE_UPDATE, { guild_id: guildId, role });
+    return role;
+  }
+
+  /**
+   * Deletes a role, and removes it from the members having it. Dispatches `GUILD_ROLE_DELETE`.
+   * @param {Snowflake} guildId The id of the guild
+   * @param {Snowflake} id The id of the role
+   */
+  deleteRole(guildId, id) {
+    const roles = this._get(this.roles, guildId, 'GUILD');
+    this._get(roles, id, 'ROLE');
+    roles.delete(id);
+    for (const member of this.members.get(guildId).values()) member.roles = member.roles.filter(role => role !== id);
+    this.dispatch(WSEvents.GUILD_ROLE_DELETE, { guild_id: guildId, role_id: id });
+  }
+
+  /**
+   * Adds a user to a guild. Dispatches `GUILD_MEMBER_ADD`.
+   * @param {Snowflake} guildId The id of the guild
+   * @param {APIUser|Snowflake} user The user to add, it is created if it is not a user of the mock
+   * @param {Object} [data={}] Data of the member
+   * @returns {APIGuildMember}
+   */
+  addMember(guildId, user, data = {}) {
+    const member = this._addMember(guildId, this._user(user), data);
+    this.dispatch(WSEvents.GUILD_MEMBER_ADD, { ...member, guild_id: guildId });
+    return member;
+  }
+
+  /**
+   * Edits a member. Dispatches `GUILD_MEMBER_UPDATE`.
+   * @param {Snowflake} guildId The id of the guild
+   * @param {Snowflake} userId The id of the user of the member
+   * @param {Object} data The data to edit
+   * @returns {APIGuildMember}
+   */
+  editMember(guildId, userId, data) {
+    // Moving the member to a voice channel is not part of the member itself
+    const member = Object.assign(
+      this._get(this._get(this.members, guildId, 'GUILD'), userId, 'MEMBER'),
+      omit(data, 'channel_id'),
+    );
+    this.dispatch(WSEvents.GUILD_MEMBER_UPDATE, { ...member, guild_id: guildId });
+    return member;
+  }
+
+  /**
+   * Removes a member from a guild. Dispatches `GUILD_MEMBER_REMOVE`.
+   * @param {Snowflake} guildId The id of the guild
+   * @param {Snowflake} userId The id of the user of the member
+   */
+  removeMember(guildId, userId) {
+    const members = this._get(this.members, guildId, 'GUILD');
+    const { user } = this._get(members, userId, 'MEMBER');
+    members.delete(userId);
+    this.dispatch(WSEvents.GUILD_MEMBER_REMOVE, { guild_id: guildId, user });
+  }
+
+  /**
+   * Bans a user from a guild, removing its member. Dispatches `GUILD_BAN_ADD`.
+   * @param {Snowflake} guildId The id of the guild
+   * @param {Snowflake} userId The id of the user
+   * @param {?string} [reason=null] The reason of the ban
+   */
+  ban(guildId, userId, reason = null) {
+    const bans = this._get(this.bans, guildId, 'GUILD');
+    const user = this._get(this.users, userId, 'USER');
+    if (this.members.get(guildId).has(userId)) this.removeMember(guildId, userId);
+    bans.set(userId, { user, reason });
+    this.dispatch(WSEvents.GUILD_BAN_ADD, { guild_id: guildId, user });
+  }
+
+  /**
+   * Unbans a user from a guild. Dispatches `GUILD_BAN_REMOVE`.
+   * @param {Snowflake} guildId The id of the guild
+   * @param {Snowflake} userId The id of the user
+   */
+  unban(guildId, userId) {
+    const bans = this._get(this.bans, guildId, 'GUILD');
+    const { user } = this._get(bans, userId, 'BAN');
+    bans.delete(userId);
+    this.dispatch(WSEvents.GUILD_BAN_REMOVE, { guild_id: guildId, user });
+  }
+
+  /**
+   * Creates a message, sent by the bot unless `author` is set. Dispatches `MESSAGE_CREATE`.
+   * <info>The mentions of users and roles are parsed from the content.</info>
+   * @param {Snowflake} channelId The id of the channel
+   * @param {Object} [data={}] Data of the message, `author` can be a user of the mock or the id of one
+   * @returns {APIMessage}
+   */
+  createMessage(channelId, data = {}) {
+    const channel = this._get(this.channels, channelId, 'CHANNEL');
+    const message = this._buildMessage(channel, data);
+    this.messages.get(channel.id).set(message.id, message);
+    channel.last_message_id = message.id;
+    if (threadTypes.includes(channel.type)) channel.message_count++;
+    this.dispatch(WSEvents.MESSAGE_CREATE, this._messageEventData(message));
+    return message;
+  }
+
+  /**
+   * Edits a message. Dispatches `MESSAGE_UPDATE`.
+   * @param {Snowflake} channelId The id of the channel
+   * @param {Snowflake} id The id of the message
+   * @param {Object} data The data to edit
+   * @returns {APIMessage}
+   */
+  editMessage(channelId, id, data) {
+    const message = this._get(this._get(this.messages, channelId, 'CHANNEL'), id, 'MESSAGE');
+    this._patchMessage(message, data);
+    this.dispatch(WSEvents.MESSAGE_UPDATE, this._messageEventData(message));
+    return message;
+  }
+
+  /**
+   * Deletes a message. Dispatches `MESSAGE_DELETE`.
+   * @param {Snowflake} channelId The id of the channel
+   * @param {Snowflake} id The id of the message
+   */
+  deleteMessage(channelId, id) {
+    const messages = this._get(this.messages, channelId, 'CHANNEL');
+    const { guild_id } = this._get(messages, id, 'MESSAGE');
+    messages.delete(id);
+    this.dispatch(WSEvents.MESSAGE_DELETE, { id, channel_id: channelId, guild_id });
+  }
+
+  /**
+   * Deletes messages of a channel at once. Dispatches `MESSAGE_DELETE_BULK`.
+   * @param {Snowflake} channelId The id of the channel
+   * @param {Snowflake[]} ids The ids of the messages
+   */
+  deleteMessages(channelId, ids) {
+    const messages = this._get(this.messages, channelId, 'CHANNEL');
+    const deleted = ids.filter(id => messages.delete(id));
+    const { guild_id } = this.channels.get(channelId);
+    this.dispatch(WSEvents.MESSAGE_DELETE_BULK, { ids: deleted, channel_id: channelId, guild_id });
+  }
+
+  /**
+   * Makes a user react to a message. Dispatches `MESSAGE_REACTION_ADD`.
+   * @param {Snowflake} channelId The id of the channel
+   * @param {Snowflake} messageId The id of the message
+   * @param {Snowflake} userId The id of the user
+   * @param {string} emoji The emoji, a unicode emoji or `name:id` for custom emojis
+   */
+  addReaction(channelId, messageId, userId, emoji) {
+    const message = this._get(this._get(this.messages, channelId, 'CHANNEL'), messageId, 'MESSAGE');
+    this._get(this.users, userId, 'USER');
+    const data = this._emoji(emoji);
+    let reaction = message.reactions.find(({ emoji: { id, name } }) => (data.id ? id === data.id : name === data.name));
+    if (!reaction) {
+      reaction = { emoji: data, count: 0, me: false, users: [] };
+      message.reactions.push(reaction);
+    }
+    if (reaction.users.includes(userId)) return;
+    reaction.users.push(userId);
+    reaction.count++;
+    if (userId === this.user.id) reaction.me = true;
+    const member = message.guild_id ? this.members.get(message.guild_id).get(userId) : undefined;
+    this.dispatch(WSEvents.MESSAGE_REACTION_ADD, {
+      user_id: userId,
+      channel_id: channelId,
+      message_id: messageId,
+      guild_id: message.guild_id,
+      member,
+      emoji: data,
+    });
+  }
+
+  /**
+   * Removes the reaction of a user to a message. Dispatches `MESSAGE_REACTION_REMOVE`.
+   * @param {Snowflake} channelId The id of the channel
+   * @param {Snowflake} messageId The id of the message
+   * @param {Snowflake} userId The id of the user
+   * @param {string} emoji The emoji, a unicode emoji or `name:id` for custom emojis
+   */
+  removeReaction(channelId, messageId, userId, emoji) {
+    const message = this._get(this._get(this.messages, channelId, 'CHANNEL'), messageId, 'MESSAGE');
+    const data = this._emoji(emoji);
+    const reaction = message.reactions.find(({ emoji: { id, name } }) =>
+      data.id ? id === data.id : name === data.name,
+    );
+    if (!reaction?.users.includes(userId)) return;
+    reaction.users = reaction.users.filter(id => id !== userId);
+    reaction.count--;
+    if (userId === this.user.id) reaction.me = false;
+    if (!reaction.count) message.reactions = message.reactions.filter(other => other !== reaction);
+    this.dispatch(WSEvents.MESSAGE_REACTION_REMOVE, {
+      user_id: userId,
+      channel_id: channelId,
+      message_id: messageId,
+      guild_id: message.guild_id,
+      emoji: data,
+    });
+  }
+
+  /**
+   * Pins or unpins a message. Dispatches `CHANNEL_PINS_UPDATE` and `MESSAGE_UPDATE`.
+   * @param {Snowflake} channelId The id of the channel
+   * @param {Snowflake} id The id of the message
+   * @param {boolean} [pinned=true] Whether the message is pinned
+   */
+  pinMessage(channelId, id, pinned = true) {
+    const message = this._get(this._get(this.messages, channelId, 'CHANNEL'), id, 'MESSAGE');
+    message.pinned = pinned;
+    const pins = this.messages.get(channelId).filter(other => other.pinned);
+    const last = pins.reduce((latest, other) => (BigInt(other.id) > BigInt(latest?.id ?? 0) ? other : latest), null);
+    this.dispatch(WSEvents.CHANNEL_PINS_UPDATE, {
+      guild_id: message.guild_id,
+      channel_id: channelId,
+      last_pin_timestamp: last ? new Date().toISOString() : null,
+    });
+    this.dispatch(WSEvents.MESSAGE_UPDATE, this._messageEventData(message));
+  }
+
+  /**
+   * Creates an incoming webhook. Dispatches `WEBHOOKS_UPDATE`.
+   * @param {Snowflake} channelId The id of the channel
+   * @param {Object} [data={}] Data of the webhook
+   * @returns {Object}
+   */
+  createWebhook(channelId, data = {}) {
+    const channel = this._get(this.channels, channelId, 'CHANNEL');
+    const webhook = {
+      id: SnowflakeUtil.generate(),
+      type: 1,
+      guild_id: channel.guild_id,
+      channel_id: channel.id,
+      user: this.user,
+      name: 'Webhook',
+      avatar: null,
+      token: randomBytes(32).toString('base64url'),
+      application_id: null,
+      ...data,
+    };
+    this.webhooks.set(webhook.id, webhook);
+    this.dispatch(WSEvents.WEBHOOKS_UPDATE, { guild_id: channel.guild_id, channel_id: channel.id });
+    return webhook;
+  }
+
+  /**
+   * Deletes a webhook. Dispatches `WEBHOOKS_UPDATE`.
+   * @param {Snowflake} id The id of the webhook
+   */
+  deleteWebhook(id) {
+    const webhook = this._get(this.webhooks, id, 'WEBHOOK');
+    this.webhooks.delete(id);
+    this.dispatch(WSEvents.WEBHOOKS_UPDATE, { guild_id: webhook.guild_id, channel_id: webhook.channel_id });
+  }
+
+  /**
+   * Creates an interaction, as if a user used a command or a component. Dispatches `INTERACTION_CREATE`.
+   * The responses of the client are emitted in {@link MockDiscord#event:interactionResponse}.
+   * @param {MockInteractionData} data Data of the interaction
+   * @returns {APIInteraction}
+   * @example
+   * // Use a slash command
+   * mock.createInteraction({
+   *   channel_id: channel.id,
+   *   user,
+   *   data: { id: command.id, name: 'ping', type: 1, options: [] },
+   * });
+   * const [interaction, response] = await once(mock, 'interactionResponse');
+   * assert.equal(response.data.content, 'pong');
+   */
+  createInteraction({ user, ...data }) {
+    const channel = this._get(this.channels, data.channel_id, 'CHANNEL');
+    const author = this._user(user);
+    const interaction = {
+      id: SnowflakeUtil.generate(),
+      application_id: this.application.id,
+      type: InteractionTypes.APPLICATION_COMMAND,
+      token: randomBytes(32).toString('base64url'),
+      version: 1,
+      locale: 'en-US',
+      guild_id: channel.guild_id,
+      ...data,
+    };
+    if (channel.guild_id) {
+      const guild = this.guilds.get(channel.guild_id);
+      const member = this._get(this.members.get(guild.id), author.id, 'MEMBER');
+      const roles = this.roles.get(guild.id).filter(role => role.id === guild.id || member.roles.includes(role.id));
+      const { permissions } = PermissionExplainer.explain({
+        guildId: guild.id,
+        ownerId: guild.owner_id,
+        memberId: author.id,
+        roles: [...roles.values()],
+      });
+      interaction.member = { ...member, permissions: permissions.bitfield.toString() };
+      interaction.guild_locale = guild.preferred_locale;
+    } else {
+      interaction.user = author;
+    }
+    this.interactions.set(interaction.token, {
+      interaction,
+      acknowledged: false,
+      messages: new Collection(),
+    });
+    this.dispatch(WSEvents.INTERACTION_CREATE, interaction);
+    return interaction;
+  }
+
+  /**
+   * Answers an interaction callback.
+   * @param {Object} state The state of the interaction
+   * @param {Object} body The body of the callback
+   * @param {Object[]} files The files of the callback
+   * @private
+   */
+  _respondToInteraction(state, body, files) {
+    const { interaction } = state;
+    const data = { ...body.data, ...(files.length && { attachments: files }) };
+    switch (body.type) {
+      case InteractionResponseTypes.CHANNEL_MESSAGE_WITH_SOURCE:
+        this._sendInteractionMessage(state, data, true);
+        break;
+      case InteractionResponseTypes.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE:
+        this._sendInteractionMessage(state, { content: '', flags: LOADING | (data.flags & EPHEMERAL) }, true);
+        break;
+      case InteractionResponseTypes.DEFERRED_MESSAGE_UPDATE:
+      case InteractionResponseTypes.UPDATE_MESSAGE: {
+        const message = this._get(this.messages.get(interaction.channel_id), interaction.message?.id, 'MESSAGE');
+        state.messages.set('@original', message);
+        if (body.type === InteractionResponseTypes.UPDATE_MESSAGE)
+          this.editMessage(message.channel_id, message.id, data);
+        break;
+      }
+    }
+    state.acknowledged = true;
+
+    /**
+     * Emitted whenever a client responds to an interaction created on the mock.
+     * @event MockDiscord#interactionResponse
+     * @param {APIInteraction} interaction The interaction
+     * @param {Object} response The body of the response, with the files as attachment data
+     */
+    this.emit('interactionResponse', interaction, { ...body, data: body.data && data });
+  }
+
+  /**
+   * Sends the response or a follow-up message of an interaction.
+   * @param {Object} state The state of the interaction
+   * @param {Object} data Data of the message
+   * @param {boolean} [original=false] Whether the message is the response of the interaction
+   * @returns {APIMessage}
+   * @private
+   */
+  _sendInteractionMessage(state, data, original = false) {
+    const { interaction } = state;
+    const isCommand = interaction.type === InteractionTypes.APPLICATION_COMMAND;
+    const type = interaction.data?.type === 1 ? 'APPLICATION_COMMAND' : 'CONTEXT_MENU_COMMAND';
+    const messageData = {
+      ...data,
+      author: this.user,
+      webhook_id: this.application.id,
+      application_id: this.application.id,
+      type: MessageTypes.indexOf(original && isCommand ? type : 'DEFAULT'),
+      interaction: {
+        id: interaction.id,
+        type: interaction.type,
+        name: interaction.data?.name ?? interaction.data?.custom_id,
+        user: interaction.member?.user ?? interaction.user,
+      },
+    };
+    let message;
+    if (data.flags & EPHEMERAL) {
+      message = this._buildMessage(this.channels.get(interaction.channel_id), messageData);
+    } else {
+      message = this.createMessage(interaction.channel_id, messageData);
+    }
+    state.messages.set(message.id, message);
+    if (original) state.messages.set('@original', message);
+    return message;
+  }
+
+  /**
+   * Edits a message, including the ephemeral messages which are not in their channels.
+   * @param {APIMessage} message The message
+   * @param {Object} data The data to edit
+   * @returns {APIMessage}
+   * @private
+   */
+  _editAnyMessage(message, data) {
+    if (this.messages.get(message.channel_id)?.get(message.id) === message) {
+      return this.editMessage(message.channel_id, message.id, data);
+    }
+    return this._patchMessage(message, data);
+  }
+
+  /**
+   * The application commands of the bot in a guild, or the global ones.
+   * @param {?Snowflake} guildId The id of the guild, `null` for the global commands
+   * @returns {Collection<Snowflake, Object>}
+   * @private
+   */
+  _commands(guildId) {
+    if (guildId) this._get(this.guilds, guildId, 'GUILD');
+    const key = guildId ?? 'global';
+    if (!this._applicationCommands.has(key)) this._applicationCommands.set(key, new Collection());
+    return this._applicationCommands.get(key);
+  }
+
+  /**
+   * Creates an application command, or replaces the one with the same name and type.
+   * @param {?Snowflake} guildId The id of the guild, `null` for a global command
+   * @param {Object} data Data of the command
+   * @returns {Object}
+   * @private
+   */
+  _setCommand(guildId, data) {
+    const commands = this._commands(guildId);
+    const type = data.type ?? 1;
+    const existing = data.id ? null : commands.find(command => command.name === data.name && command.type === type);
+    const command = {
+      id: existing?.id ?? SnowflakeUtil.generate(),
+      application_id: this.application.id,
+      ...(guildId && { guild_id: guildId }),
+      type,
+      description: '',
+      options: [],
+      default_member_permissions: null,
+      dm_permission: guildId ? undefined : true,
+      version: SnowflakeUtil.generate(),
+      ...data,
+    };
+    commands.set(command.id, command);
+    return command;
+  }
+
+  /**
+   * Replaces all the application commands of a guild, or the global ones.
+   * @param {?Snowflake} guildId The id of the guild, `null` for the global commands
+   * @param {Object[]} data Data of the commands
+   * @returns {Object[]}
+   * @private
+   */
+  _setCommands(guildId, data) {
+    const previous = this._commands(guildId).clone();
+    this._commands(guildId).clear();
+    return data.map(command => {
+      const existing = previous.find(other => other.name === command.name && other.type === (command.type ?? 1));
+      return this._setCommand(guildId, { ...command, id: existing?.id ?? SnowflakeUtil.generate() });
+    });
+  }
+
+  /**
+   * The data of the `GUILD_CREATE` of a guild.
+   * @param {Snowflake} id The id of the guild
+   * @returns {Object}
+   * @private
+   */
+  _guildCreateData(id) {
+    const guild = this.guilds.get(id);
+    const channels = this.channels.filter(channel => channel.guild_id === id);
+    const members = this.members.get(id);
+    return {
+      ...guild,
+      roles: [...this.roles.get(id).values()],
+      channels: [...channels.filter(channel => !threadTypes.includes(channel.type)).values()],
+      threads: [...channels.filter(channel => threadTypes.includes(channel.type)).values()],
+      members: [...members.values()],
+      member_count: members.size,
+      presences: [],
+      voice_states: [],
+      stage_instances: [],
+      guild_scheduled_events: [],
+      joined_at: members.get(this.user.id)?.joined_at ?? new Date().toISOString(),
+      large: false,
+      unavailable: false,
+    };
+  }
+
+  /**
+   * Adds a member to a guild without dispatching it.
+   * @param {Snowflake} guildId The id of the guild
+   * @param {APIUser} user The user
+   * @param {Object} data Data of the member
+   * @returns {APIGuildMember}
+   * @private
+   */
+  _addMember(guildId, user, data) {
+    const member = {
+      user,
+      nick: null,
+      avatar: null,
+      roles: [],
+      joined_at: new Date().toISOString(),
+      premium_since: null,
+      deaf: false,
+      mute: false,
+      pending: false,
+      communication_disabled_until: null,
+      ...data,
+    };
+    this._get(this.members, guildId, 'GUILD').set(user.id, member);
+    return member;
+  }
+
+  /**
+   * Builds a message without storing it.
+   * @param {APIChannel} channel The channel of the message
+   * @param {Object} data Data of the message
+   * @returns {APIMessage}
+   * @private
+   */
+  _buildMessage(channel, data) {
+    const { author = this.user, message_reference, ...rest } = omit(data, 'allowed_mentions', 'sticker_ids');
+    const message = {
+      id: SnowflakeUtil.generate(),
+      channel_id: channel.id,
+      guild_id: channel.guild_id,
+      author: this._user(author),
+      content: '',
+      timestamp: new Date().toISOString(),
+      edited_timestamp: null,
+      tts: false,
+      mention_everyone: false,
+      mentions: [],
+      mention_roles: [],
+      attachments: [],
+      embeds: [],
+      reactions: [],
+      pinned: false,
+      type: MessageTypes.indexOf(message_reference ? 'REPLY' : 'DEFAULT'),
+      flags: 0,
+      components: [],
+      sticker_items: [],
+      ...rest,
+    };
+    if (message_reference) {
+      message.message_reference = { channel_id: channel.id, guild_id: channel.guild_id, ...message_reference };
+      message.referenced_message =
+        this.messages.get(message.message_reference.channel_id)?.get(message_reference.message_id) ?? null;
+    }
+    return this._parseMentions(message);
+  }
+
+  /**
+   * Applies an edit to a message.
+   * @param {APIMessage} message The message
+   * @param {Object} data The data to edit
+   * @returns {APIMessage}
+   * @private
+   */
+  _patchMessage(message, data) {
+    Object.assign(message, omit(data, 'allowed_mentions'), { edited_timestamp: new Date().toISOString() });
+    return this._parseMentions(message);
+  }
+
+  /**
+   * Sets the mentions of a message from its content.
+   * @param {APIMessage} message The message
+   * @returns {APIMessage}
+   * @private
+   */
+  _parseMentions(message) {
+    const { content } = message;
+    message.mention_everyone = /@(everyone|here)/.test(content);
+    message.mentions = [...content.matchAll(/<@!?(\d{17,19})>/g)].map(([, id]) => this.users.get(id)).filter(Boolean);
+    message.mention_roles = [...content.matchAll(/<@&(\d{17,19})>/g)].map(([, id]) => id);
+    return message;
+  }
+
+  /**
+   * The data of a message event, with the member of the author in guilds.
+   * @param {APIMessage} message The message
+   * @returns {Object}
+   * @private
+   */
+  _messageEventData(message) {
+    const member = message.guild_id && this.members.get(message.guild_id)?.get(message.author.id);
+    if (!member) return message;
+    return { ...message, member: omit(member, 'user') };
+  }
+
+  /**
+   * Parses an emoji of a reaction route.
+   * @param {string} emoji A unicode emoji or `name:id` for custom emojis
+   * @returns {Object}
+   * @private
+   */
+  _emoji(emoji) {
+    const [name, id = null] = emoji.split(':');
+    return { id, name };
+  }
+
+  /**
+   * Resolves a user of the mock, creating it if it is new.
+   * @param {APIUser|Snowflake} user The user or its id
+   * @returns {APIUser}
+   * @private
+   */
+  _user(user) {
+    if (typeof user === 'string') return this._get(this.users, user, 'USER');
+    return this.users.get(user.id) ?? this.createUser(user);
+  }
+
+  /**
+   * Gets an item of the state, or throws the unknown error of its kind.
+   * @param {?Collection} collection The collection the item is in
+   * @param {string} id The id of the item
+   * @param {string} kind The kind of the item, e.g. `CHANNEL`
+   * @returns {Object}
+   * @private
+   */
+  _get(collection, id, kind) {
+    const item = collection?.get(id);
+    if (!item) throw MockAPIError.unknown(kind);
+    return item;
+  }
+}
+
+module.exports = MockDiscord;
@@ -0,0 +1,393 @@
+'use strict';
+
+const { randomBytes } = require('node:crypto');
+const zlib = require('node:zlib');
+const { Collection } = require('@discordjs/collection');
+const { GatewayCloseCodes } = require('discord-api-types/v9');
+const { WebSocketServer } = require('ws');
+const WebSocket = require('../WebSocket');
+const { Opcodes, WSEvents } = require('../util/Constants');
+
+// The amount of dispatches kept per session to be replayed when it is resumed
+const replayLimit = 1_000;
+
+/**
+ * A session identified on a {@link MockGateway}.
+ * @typedef {Object} MockGatewaySession
+ * @property {string} id The id of the session
+ * @property {number[]} shard The shard the session was identified for, as `[shardId, shardCount]`
+ * @property {number} intents The intents the session was identified with
+ * @property {number} sequence The sequence of the last dispatch sent to the session
+ * @property {boolean} connected Whether a connection is attached to the session, it can be resumed otherwise
+ */
+
+/**
+ * A local WebSocket gateway speaking the opcodes a {@link WebSocketShard} handles, started by a {@link MockDiscord}.
+ * <info>Sessions closed with the codes 1000 or 1001 are invalidated like on Discord,
+ * the others can be resumed and get the dispatches they missed.</info>
+ */
+class MockGateway {
+  constructor(mock, { heartbeatInterval = 41_250 } = {}) {
+    /**
+     * The mock this gateway belongs to
+     * @name MockGateway#mock
+     * @type {MockDiscord}
+     * @readonly
+     */
+    Object.defineProperty(this, 'mock', { value: mock });
+
+    /**
+     * The heartbeat interval sent to the shards in HELLO, in milliseconds
+     * @type {number}
+     */
+    this.heartbeatInterval = heartbeatInterval;
+
+    /**
+     * The WebSocket server started by {@link MockGateway#listen}
+     * @type {?WebSocketServer}
+     */
+    this.server = null;
+
+    /**
+     * The sessions identified on this gateway, mapped by their ids
+     * @type {Collection<string, Object>}
+     * @private
+     */
+    this._sessions = new Collection();
+
+    /**
+     * The hostname the server listens on
+     * @type {?string}
+     * @private
+     */
+    this._hostname = null;
+  }
+
+  /**
+   * The URL of the gateway, once it is listening
+   * @type {?string}
+   * @readonly
+   */
+  get url() {
+    const address = this.server?.address();
+    return address ? `ws://${this._hostname}:${address.port}` : null;
+  }
+
+  /**
+   * The sessions identified on this gateway, mapped by their ids
+   * @type {Collection<string, MockGatewaySession>}
+   * @readonly
+   */
+  get sessions() {
+    return this._sessions.mapValues(({ id, shard, intents, sequence, connection }) => ({
+      id,
+      shard,
+      intents,
+      sequence,
+      connected: Boolean(connection),
+    }));
+  }
+
+  /**
+   * Starts the WebSocket server.
+   * @param {number} [port=0] The port to listen on, a random one is used by default
+   * @param {string} [hostname='127.0.0.1'] The hostname to listen on
+   * @returns {Promise<void>}
+   */
+  listen(port = 0, hostname = '127.0.0.1') {
+    this._hostname = hostname;
+    return new Promise((resolve, reject) => {
+      const server = new WebSocketServer({ port, host: hostname });
+      server.once('error', reject);
+      server.once('listening', () => {
+        server.off('error', reject);
+        this.server = server;
+        resolve();
+      });
+      server.on('connection', (socket, req) => this._onConnection(socket, req));
+    });
+  }
+
+  /**
+   * Closes the open connections and stops the WebSocket server, all the sessions are invalidated.
+   * @returns {Promise<void>}
+   */
+  close() {
+    const { server } = this;
+    this.server = null;
+    this._sessions.clear();
+    if (!server) return Promise.resolve();
+    for (const socket of server.clients) socket.terminate();
+    return new Promise((resolve, reject) => server.close(err => (err ? reject(err) : resolve())));
+  }
+
+  /**
+   * Sends a dispatch to the sessions, as Discord does when something happens.
+   * @param {string} event The name of the event, e.g. `MESSAGE_CREATE`
+   * @param {*} data The data of the event
+   * @param {?Snowflake} [guildId=data.guild_id] The guild the event is for, only the sessions of its shard get it
+   * @example
+   * // Make a user start typing
+   * mock.gateway.dispatch('TYPING_START', {
+   *   channel_id: channel.id,
+   *   guild_id: channel.guild_id,
+   *   user_id: user.id,
+   *   timestamp: Math.floor(Date.now() / 1_000),
+   * });
+   */
+  dispatch(event, data, guildId = data?.guild_id) {
+    for (const session of this._sessions.values()) {
+      if (guildId && this.constructor.shardIdOf(guildId, session.shard[1]) !== session.shard[0]) continue;
+      this._dispatchTo(session, event, data);
+    }
+  }
+
+  /**
+   * Asks the connected shards to reconnect, which makes them resume their sessions.
+   */
+  reconnect() {
+    for (const session of this._sessions.values()) {
+      if (session.connection) this._send(session.connection, { op: Opcodes.RECONNECT, d: null });
+    }
+  }
+
+  /**
+   * Invalidates the sessions of the connected shards.
+   * @param {boolean} [resumable=false] Whether the shards can resume their sessions, they identify again otherwise
+   */
+  invalidate(resumable = false) {
+    for (const session of this._sessions.values()) {
+      if (!session.connection) continue;
+      this._send(session.connection, { op: Opcodes.INVALID_SESSION, d: resumable });
+      if (!resumable) this._detach(session, true);
+    }
+  }
+
+  /**
+   * Calculates the id of the shard receiving the events of a guild.
+   * @param {Snowflake} guildId The id of the guild
+   * @param {number} shardCount The amount of shards
+   * @returns {number}
+   */
+  static shardIdOf(guildId, shardCount) {
+    return Number((BigInt(guildId) >> 22n) % BigInt(shardCount));
+  }
+
+  /**
+   * Sets up a new connection and greets it with HELLO.
+   * @param {WebSocket} socket The socket of the connection
+   * @param {IncomingMessage} req The upgrade request of the connection
+   * @private
+   */
+  _onConnection(socket, req) {
+    const query = new URL(req.url, 'ws://localhost').searchParams;
+    const connection = {
+      socket,
+      encoding: query.get('encoding') === 'etf' ? 'etf' : 'json',
+      deflate: null,
+      session: null,
+    };
+    if (query.get('compress') === 'zlib-stream') {
+      // A single zlib context is used for the whole connection, each packet is flushed with a sync flush
+      connection.deflate = zlib.createDeflate({ flush: zlib.constants.Z_SYNC_FLUSH });
+      connection.deflate.on('data', chunk => socket.send(chunk));
+    }
+
+    socket.on('message', data => this._onMessage(connection, data));
+    socket.on('close', code => {
+      connection.deflate?.close();
+      const { session } = connection;
+      if (session?.connection === connection) this._detach(session, code === 1_000 || code === 1_001);
+    });
+
+    this._send(connection, { op: Opcodes.HELLO, d: { heartbeat_interval: this.heartbeatInterval } });
+  }
+
+  /**
+   * Handles a packet sent by a shard.
+   * @param {Object} connection The connection the packet was received on
+   * @param {Buffer} data The raw packet
+   * @private
+   */
+  _onMessage(connection, data) {
+    let packet;
+    try {
+      packet = connection.encoding === 'json' ? WebSocket.unpack(data, 'json') : WebSocket.unpack(data);
+    } catch {
+      connection.socket.close(GatewayCloseCodes.DecodeError, 'Error while decoding payload.');
+      return;
+    }
+
+    switch (packet?.op) {
+      case Opcodes.HEARTBEAT:
+        this._send(connection, { op: Opcodes.HEARTBEAT_ACK });
+        break;
+      case Opcodes.IDENTIFY:
+        this._identify(connection, packet.d);
+        break;
+      case Opcodes.RESUME:
+        this._resume(connection, packet.d);
+        break;
+      case Opcodes.STATUS_UPDATE:
+      case Opcodes.VOICE_STATE_UPDATE:
+      case Opcodes.REQUEST_GUILD_MEMBERS:
+        if (!connection.session) {
+          connection.socket.close(GatewayCloseCodes.NotAuthenticated, 'Not authenticated.');
+        } else if (packet.op === Opcodes.REQUEST_GUILD_MEMBERS) {
+          this._requestMembers(connection.session, packet.d);
+        }
+        break;
+      default:
+        connection.socket.close(GatewayCloseCodes.UnknownOpcode, 'Unknown opcode.');
+    }
+  }
+
+  /**
+   * Identifies a new session, sending READY and a GUILD_CREATE for each guild of its shard.
+   * @param {Object} connection The connection identifying
+   * @param {Object} data The data of the IDENTIFY packet
+   * @private
+   */
+  _identify(connection, data) {
+    if (connection.session) {
+      connection.socket.close(GatewayCloseCodes.AlreadyAuthenticated, 'Already authenticated.');
+      return;
+    }
+    if (data?.token !== this.mock.token) {
+      connection.socket.close(GatewayCloseCodes.AuthenticationFailed, 'Authentication failed.');
+      return;
+    }
+    const shard = data.shard ?? [0, 1];
+    if (!(shard[1] > 0 && shard[0] >= 0 && shard[0] < shard[1])) {
+      connection.socket.close(GatewayCloseCodes.InvalidShard, 'Invalid shard.');
+      return;
+    }
+
+    const session = {
+      id: randomBytes(16).toString('hex'),
+      shard,
+      intents: data.intents ?? 0,
+      sequence: 0,
+      packets: [],
+      connection,
+    };
+    connection.session = session;
+    this._sessions.set(session.id, session);
+
+    const guilds = this.mock.guilds.filter(guild => this.constructor.shardIdOf(guild.id, shard[1]) === shard[0]);
+    this._dispatchTo(session, WSEvents.READY, {
+      v: this.mock.options.version,
+      user: this.mock.user,
+      guilds: guilds.map(guild => ({ id: guild.id, unavailable: true })),
+      session_id: session.id,
+      resume_gateway_url: this.url,
+      shard,
+      application: { id: this.mock.application.id, flags: this.mock.application.flags },
+    });
+    for (const guild of guilds.values()) {
+      this._dispatchTo(session, WSEvents.GUILD_CREATE, this.mock._guildCreateData(guild.id));
+    }
+  }
+
+  /**
+   * Resumes a session, replaying the dispatches it missed.
+   * @param {Object} connection The connection resuming
+   * @param {Object} data The data of the RESUME packet
+   * @private
+   */
+  _resume(connection, data) {
+    if (connection.session) {
+      connection.socket.close(GatewayCloseCodes.AlreadyAuthenticated, 'Already authenticated.');
+      return;
+    }
+    const session = this._sessions.get(data?.session_id);
+    const missed = session?.packets.filter(packet => packet.s > data.seq);
+    // The session cannot be resumed if some of the dispatches it missed were dropped
+    if (!session || data.token !== this.mock.token || missed[0]?.s > data.seq + 1) {
+      this._send(connection, { op: Opcodes.INVALID_SESSION, d: false });
+      return;
+    }
+
+    if (session.connection) {
+      session.connection.session = null;
+      session.connection.socket.close(GatewayCloseCodes.UnknownError, 'Session resumed elsewhere.');
+    }
+    session.connection = connection;
+    connection.session = session;
+    for (const packet of missed) this._send(connection, packet);
+    this._dispatchTo(session, WSEvents.RESUMED, {});
+  }
+
+  /**
+   * Answers a REQUEST_GUILD_MEMBERS packet with a single GUILD_MEMBERS_CHUNK per guild.
+   * @param {Object} session The session requesting the members
+   * @param {Object} data The data of the REQUEST_GUILD_MEMBERS packet
+   * @private
+   */
+  _requestMembers(session, data) {
+    const query = data.query?.toLowerCase();
+    const userIds = data.user_ids === undefined ? null : [data.user_ids].flat();
+    for (const guildId of [data.guild_id].flat()) {
+      const members = this.mock.members.get(guildId);
+      if (!members) continue;
+      let found = [...members.values()].filter(member =>
+        userIds ? userIds.includes(member.user.id) : member.user.username.toLowerCase().startsWith(query ?? ''),
+      );
+      if (data.limit) found = found.slice(0, data.limit);
+      this._dispatchTo(session, WSEvents.GUILD_MEMBERS_CHUNK, {
+        guild_id: guildId,
+        members: found,
+        chunk_index: 0,
+        chunk_count: 1,
+        not_found: userIds?.filter(id => !members.has(id)) ?? [],
+        nonce: data.nonce,
+      });
+    }
+  }
+
+  /**
+   * Sends a dispatch to a session, keeping it to be replayed if the session is resumed.
+   * @param {Object} session The session to send the dispatch to
+   * @param {string} event The name of the event
+   * @param {*} data The data of the event
+   * @private
+   */
+  _dispatchTo(session, event, data) {
+    const packet = { op: Opcodes.DISPATCH, t: event, s: ++session.sequence, d: data };
+    session.packets.push(packet);
+    if (session.packets.length > replayLimit) session.packets.shift();
+    if (session.connection) this._send(session.connection, packet);
+  }
+
+  /**
+   * Detaches the connection of a session.
+   * @param {Object} session The session
+   * @param {boolean} invalidate Whether the session is invalidated, so it cannot be resumed
+   * @private
+   */
+  _detach(session, invalidate) {
+    if (session.connection) session.connection.session = null;
+    session.connection = null;
+    if (invalidate) this._sessions.delete(session.id);
+  }
+
+  /**
+   * Sends a packet on a connection, in the encoding and compression it asked for.
+   * @param {Object} connection The connection
+   * @param {Object} packet The packet to send
+   * @private
+   */
+  _send(connection, packet) {
+    if (connection.socket.readyState !== WebSocket.OPEN) return;
+    const data = connection.encoding === 'json' ? JSON.stringify(packet) : WebSocket.pack(packet);
+    if (connection.deflate) connection.deflate.write(data);
+    else connection.socket.send(data);
+  }
+}
+
+module.exports = MockGateway;
+
+/**
+ * @external WebSocketServer
+ * @see {@link https://github.com/websockets/ws/blob/master/doc/ws.md#class-websocketserver}
+ */
@@ -0,0 +1,812 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { createHash } = require('node:crypto');
+const http = require('node:http');
+const { Collection } = require('@discordjs/collection');
+const MockAPIError = require('./MockAPIError');
+const { APIErrors, ChannelTypes } = require('../util/Constants');
+const MessageFlags = require('../util/MessageFlags');
+const SnowflakeUtil = require('../util/SnowflakeUtil');
+
+/**
+ * Checks that a message has something to show.
+ * @param {Object} body The body of the message
+ * @param {Object[]} files The files of the message
+ * @private
+ */
+function assertNotEmpty(body, files) {
+  if (!body.content && !body.embeds?.length && !body.sticker_ids?.length && !body.components?.length && !files.length) {
+    throw new MockAPIError(400, APIErrors.CANNOT_SEND_EMPTY_MESSAGE, 'Cannot send an empty message');
+  }
+}
+
+/**
+ * Gets the interaction of a token, for the webhook routes of interactions.
+ * @param {MockDiscord} mock The mock
+ * @param {Object} params The parameters of the route
+ * @returns {?Object}
+ * @private
+ */
+function interactionOf(mock, params) {
+  const state = mock.interactions.get(params.token);
+  return state && params.webhook === state.interaction.application_id ? state : null;
+}
+
+/**
+ * Gets a message sent by a webhook or an interaction.
+ * @param {MockDiscord} mock The mock
+ * @param {Object} params The parameters of the route
+ * @returns {Object}
+ * @private
+ */
+function webhookMessage(mock, params) {
+  const state = interactionOf(mock, params);
+  if (state) return mock._get(state.messages, params.message, 'MESSAGE');
+  const webhook = mock._get(mock.webhooks, params.webhook, 'WEBHOOK');
+  if (webhook.token !== params.token)
+    throw new MockAPIError(401, APIErrors.INVALID_WEBHOOK_TOKEN, 'Invalid Webhook Token');
+  const channelId = params.query.thread_id ?? webhook.channel_id;
+  const message = mock._get(mock.messages.get(channelId), params.message, 'MESSAGE');
+  if (message.webhook_id !== webhook.id) throw MockAPIError.unknown('MESSAGE');
+  return message;
+}
+
+/**
+ * The messages of a channel, from the newest to the oldest.
+ * @param {MockDiscord} mock The mock
+ * @param {Snowflake} channelId The id of the channel
+ * @returns {Object[]}
+ * @private
+ */
+function sortedMessages(mock, channelId) {
+  mock._get(mock.channels, channelId, 'CHANNEL');
+  const compare = (a, b) => (BigInt(a.id) < BigInt(b.id) ? 1 : -1);
+  return [...(mock.messages.get(channelId)?.values() ?? [])].sort(compare);
+}
+
+// The routes of the mock, as `[method, path, handler]`, handlers return the body of the response or null for a 204
+const routes = [
+  ['GET', '/gateway', ({ mock }) => ({ url: mock.gateway.url })],
+  [
+    'GET',
+    '/gateway/bot',
+    ({ mock }) => ({
+      url: mock.gateway.url,
+      shards: mock.options.shards,
+      session_start_limit: { total: 1_000, remaining: 1_000, reset_after: 0, max_concurrency: 1 },
+    }),
+  ],
+  ['GET', '/oauth2/applications/@me', ({ mock }) => mock.application],
+
+  // Users
+  ['GET', '/users/@me', ({ mock }) => mock.user],
+  ['PATCH', '/users/@me', ({ mock, body }) => mock.editUser(mock.user.id, body)],
+  ['GET', '/users/:user', ({ mock, params }) => mock._get(mock.users, params.user, 'USER')],
+  [
+    'POST',
+    '/users/@me/channels',
+    ({ mock, body }) => {
+      const user = mock._get(mock.users, body.recipient_id, 'USER');
+      return (
+        mock.channels.find(channel => channel.type === ChannelTypes.DM && channel.recipients[0].id === user.id) ??
+        mock.createChannel({ type: ChannelTypes.DM, recipients: [user] })
+      );
+    },
+  ],
+
+  // Guilds
+  [
+    'GET',
+    '/guilds/:guild',
+    ({ mock, params }) => ({
+      ...mock._get(mock.guilds, params.guild, 'GUILD'),
+      roles: [...mock.roles.get(params.guild).values()],
+    }),
+  ],
+  ['PATCH', '/guilds/:guild', ({ mock, params, body }) => mock.editGuild(params.guild, body)],
+  [
+    'GET',
+    '/guilds/:guild/channels',
+    ({ mock, params }) => [
+      ...mock.channels
+        .filter(channel => channel.guild_id === mock._get(mock.guilds, params.guild, 'GUILD').id)
+        .values(),
+    ],
+  ],
+  [
+    'POST',
+    '/guilds/:guild/channels',
+    ({ mock, params, body }) => mock.createChannel({ ...body, guild_id: params.guild }),
+  ],
+  [
+    'PATCH',
+    '/guilds/:guild/channels',
+    ({ mock, params, body }) => {
+      for (const { id, ...data } of body) {
+        if (mock._get(mock.channels, id, 'CHANNEL').guild_id !== params.guild) continue;
+        delete data.lock_permissions;
+        mock.editChannel(id, data);
+      }
+      return null;
+    },
+  ],
+  ['GET', '/guilds/:guild/roles', ({ mock, params }) => [...mock._get(mock.roles, params.guild, 'GUILD').values()]],
+  ['POST', '/guilds/:guild/roles', ({ mock, params, body }) => mock.createRole(params.guild, body)],
+  [
+    'PATCH',
+    '/guilds/:guild/roles',
+    ({ mock, params, body }) => {
+      for (const { id, position } of body) mock.editRole(params.guild, id, { position });
+      return [...mock.roles.get(params.guild).values()];
+    },
+  ],
+  ['PATCH', '/guilds/:guild/roles/:role', ({ mock, params, body }) => mock.editRole(params.guild, params.role, body)],
+  [
+    'DELETE',
+    '/guilds/:guild/roles/:role',
+    ({ mock, params }) => {
+      mock.deleteRole(params.guild, params.role);
+      return null;
+    },
+  ],
+  [
+    'GET',
+    '/guilds/:guild/members',
+    ({ mock, params, query }) => {
+      const limit = Math.min(Number(query.limit ?? 1), 1_000);
+      const after = BigInt(query.after ?? 0);
+      return [...mock._get(mock.members, params.guild, 'GUILD').values()]
+        .filter(member => BigInt(member.user.id) > after)
+        .sort((a, b) => (BigInt(a.user.id) > BigInt(b.user.id) ? 1 : -1))
+        .slice(0, limit);
+    },
+  ],
+  [
+    'GET',
+    '/guilds/:guild/members/:user',
+    ({ mock, params }) => mock._get(mock._get(mock.members, params.guild, 'GUILD'), params.user, 'MEMBER'),
+  ],
+  [
+    'PATCH',
+    '/guilds/:guild/members/:user',
+    ({ mock, params, body }) => mock.editMember(params.guild, params.user === '@me' ? mock.user.id : params.user, body),
+  ],
+  [
+    'DELETE',
+    '/guilds/:guild/members/:user',
+    ({ mock, params }) => {
+      mock.removeMember(params.guild, params.user);
+      return null;
+    },
+  ],
+  [
+    'PUT',
+    '/guilds/:guild/members/:user/roles/:role',
+    ({ mock, params }) => {
+      const member = mock._get(mock._get(mock.members, params.guild, 'GUILD'), params.user, 'MEMBER');
+      mock._get(mock.roles.get(params.guild), params.role, 'ROLE');
+      if (!member.roles.includes(params.role)) {
+        mock.editMember(params.guild, params.user, { roles: [...member.roles, params.role] });
+      }
+      return null;
+    },
+  ],
+  [
+    'DELETE',
+    '/guilds/:guild/members/:user/roles/:role',
+    ({ mock, params }) => {
+      const member = mock._get(mock._get(mock.members, params.guild, 'GUILD'), params.user, 'MEMBER');
+      mock.editMember(params.guild, params.user, { roles: member.roles.filter(id => id !== params.role) });
+      return null;
+    },
+  ],
+  ['GET', '/guilds/:guild/bans', ({ mock, params }) => [...mock._get(mock.bans, params.guild, 'GUILD').values()]],
+  [
+    'GET',
+    '/guilds/:guild/bans/:user',
+    ({ mock, params }) => mock._get(mock.bans.get(params.guild), params.user, 'BAN'),
+  ],
+  [
+    'PUT',
+    '/guilds/:guild/bans/:user',
+    ({ mock, params, body, reason }) => {
+      mock.ban(params.guild, params.user, reason);
+      if (body.delete_message_days) {
+        const since = Date.now() - body.delete_message_days * 86_400_000;
+        for (const channel of mock.channels.filter(({ guild_id }) => guild_id === params.guild).values()) {
+          for (const message of sortedMessages(mock, channel.id)) {
+            if (message.author.id === params.user && Date.parse(message.timestamp) >= since) {
+              mock.deleteMessage(channel.id, message.id);
+            }
+          }
+        }
+      }
+      return null;
+    },
+  ],
+  [
+    'DELETE',
+    '/guilds/:guild/bans/:user',
+    ({ mock, params }) => {
+      mock.unban(params.guild, params.user);
+      return null;
+    },
+  ],
+
+  // Channels
+  ['GET', '/channels/:channel', ({ mock, params }) => mock._get(mock.channels, params.channel, 'CHANNEL')],
+  ['PATCH', '/channels/:channel', ({ mock, params, body }) => mock.editChannel(params.channel, body)],
+  ['DELETE', '/channels/:channel', ({ mock, params }) => mock.deleteChannel(params.channel)],
+  [
+    'POST',
+    '/channels/:channel/typing',
+    ({ mock, params }) => {
+      mock._get(mock.channels, params.channel, 'CHANNEL');
+      return null;
+    },
+  ],
+  [
+    'GET',
+    '/channels/:channel/messages',
+    ({ mock, params, query }) => {
+      const limit = Math.min(Number(query.limit ?? 50), 100);
+      const messages = sortedMessages(mock, params.channel);
+      if (query.before) return messages.filter(message => BigInt(message.id) < BigInt(query.before)).slice(0, limit);
+      if (query.after) return messages.filter(message => BigInt(message.id) > BigInt(query.after)).slice(-limit);
+      if (query.around) {
+        const index = Math.max(
+          messages.findIndex(message => BigInt(message.id) <= BigInt(query.around)),
+          0,
+        );
+        const start = Math.max(index - Math.floor(limit / 2), 0);
+        return messages.slice(start, start + limit);
+      }
+      return messages.slice(0, limit);
+    },
+  ],
+  [
+    'POST',
+    '/channels/:channel/messages',
+    ({ mock, params, body, files }) => {
+      assertNotEmpty(body, files);
+      return mock.createMessage(params.channel, { ...body, author: mock.user, attachments: files });
+    },
+  ],
+  [
+    'POST',
+    '/channels/:channel/messages/bulk-delete',
+    ({ mock, params, body }) => {
+      mock.deleteMessages(params.channel, body.messages);
+      return null;
+    },
+  ],
+  [
+    'GET',
+    '/channels/:channel/messages/:message',
+    ({ mock, params }) => mock._get(mock.messages.get(params.channel), params.message, 'MESSAGE'),
+  ],
+  [
+    'PATCH',
+    '/channels/:channel/messages/:message',
+    ({ mock, params, body, files }) =>
+      mock.editMessage(params.channel, params.message, files.length ? { ...body, attachments: files } : body),
+  ],
+  [
+    'DELETE',
+    '/channels/:channel/messages/:message',
+    ({ mock, params }) => {
+      mock.deleteMessage(params.channel, params.message);
+      return null;
+    },
+  ],
+  [
+    'PUT',
+    '/channels/:channel/messages/:message/reactions/:emoji/@me',
+    ({ mock, params }) => {
+      mock.addReaction(params.channel, params.message, mock.user.id, params.emoji);
+      return null;
+    },
+  ],
+  [
+    'DELETE',
+    '/channels/:channel/messages/:message/reactions/:emoji/:user',
+    ({ mock, params }) => {
+      mock.removeReaction(
+        params.channel,
+        params.message,
+        params.user === '@me' ? mock.user.id : params.user,
+        params.emoji,
+      );
+      return null;
+    },
+  ],
+  [
+    'GET',
+    '/channels/:channel/pins',
+    ({ mock, params }) => sortedMessages(mock, params.channel).filter(message => message.pinned),
+  ],
+  [
+    'PUT',
+    '/channels/:channel/pins/:message',
+    ({ mock, params }) => {
+      mock.pinMessage(params.channel, params.message, true);
+      return null;
+    },
+  ],
+  [
+    'DELETE',
+    '/channels/:channel/pins/:message',
+    ({ mock, params }) => {
+      mock.pinMessage(params.channel, params.message, false);
+      return null;
+    },
+  ],
+  [
+    'POST',
+    '/channels/:channel/threads',
+    ({ mock, params, body }) => {
+      const parent = mock._get(mock.channels, params.channel, 'CHANNEL');
+      return mock.createChannel({
+        type: ChannelTypes.GUILD_PUBLIC_THREAD,
+        ...body,
+        guild_id: parent.guild_id,
+        parent_id: parent.id,
+      });
+    },
+  ],
+  [
+    'POST',
+    '/channels/:channel/messages/:message/threads',
+    ({ mock, params, body }) => {
+      const parent = mock._get(mock.channels, params.channel, 'CHANNEL');
+      mock._get(mock.messages.get(params.channel), params.message, 'MESSAGE');
+      return mock.createChannel({
+        ...body,
+        id: params.message,
+        type: ChannelTypes[parent.type === ChannelTypes.GUILD_NEWS ? 'GUILD_NEWS_THREAD' : 'GUILD_PUBLIC_THREAD'],
+        guild_id: parent.guild_id,
+        parent_id: parent.id,
+      });
+    },
+  ],
+  [
+    'GET',
+    '/channels/:channel/webhooks',
+    ({ mock, params }) => [
+      ...mock.webhooks
+        .filter(webhook => webhook.channel_id === mock._get(mock.channels, params.channel, 'CHANNEL').id)
+        .values(),
+    ],
+  ],
+  ['POST', '/channels/:channel/webhooks', ({ mock, params, body }) => mock.createWebhook(params.channel, body)],
+
+  // Webhooks and interactions
+  ['GET', '/webhooks/:webhook', ({ mock, params }) => mock._get(mock.webhooks, params.webhook, 'WEBHOOK')],
+  [
+    'DELETE',
+    '/webhooks/:webhook',
+    ({ mock, params }) => {
+      mock.deleteWebhook(mock._get(mock.webhooks, params.webhook, 'WEBHOOK').id);
+      return null;
+    },
+  ],
+  [
+    'POST',
+    '/webhooks/:webhook/:token',
+    ({ mock, params, body, files, query }) => {
+      assertNotEmpty(body, files);
+      const state = interactionOf(mock, params);
+      if (state) {
+        if (!state.acknowledged) throw MockAPIError.unknown('WEBHOOK');
+        return mock._sendInteractionMessage(state, { ...body, attachments: files });
+      }
+      const webhook = mock._get(mock.webhooks, params.webhook, 'WEBHOOK');
+      if (webhook.token !== params.token)
+        throw new MockAPIError(401, APIErrors.INVALID_WEBHOOK_TOKEN, 'Invalid Webhook Token');
+      const message = mock.createMessage(query.thread_id ?? webhook.channel_id, {
+        ...body,
+        author: {
+          id: webhook.id,
+          username: body.username ?? webhook.name,
+          avatar: null,
+          discriminator: '0000',
+          bot: true,
+        },
+        attachments: files,
+        webhook_id: webhook.id,
+      });
+      return query.wait === 'true' ? message : null;
+    },
+  ],
+  [
+    'GET',
+    '/webhooks/:webhook/:token/messages/:message',
+    ({ mock, params, query }) => webhookMessage(mock, { ...params, query }),
+  ],
+  [
+    'PATCH',
+    '/webhooks/:webhook/:token/messages/:message',
+    ({ mock, params, body, files, query }) => {
+      const message = webhookMessage(mock, { ...params, query });
+      const data = { ...body, flags: (body.flags ?? message.flags) & ~MessageFlags.FLAGS.LOADING };
+      if (files.length) data.attachments = files;
+      return mock._editAnyMessage(message, data);
+    },
+  ],
+  [
+    'DELETE',
+    '/webhooks/:webhook/:token/messages/:message',
+    ({ mock, params, query }) => {
+      const message = webhookMessage(mock, { ...params, query });
+      const state = interactionOf(mock, params);
+      state?.messages.delete(params.message);
+      state?.messages.delete(message.id);
+      if (mock.messages.get(message.channel_id)?.has(message.id)) mock.deleteMessage(message.channel_id, message.id);
+      return null;
+    },
+  ],
+  [
+    'POST',
+    '/interactions/:interaction/:token/callback',
+    ({ mock, params, body, files }) => {
+      const state = mock.interactions.get(params.token);
+      if (state?.interaction.id !== params.interaction) {
+        throw MockAPIError.unknown('INTERACTION');
+      }
+      if (state.acknowledged) {
+        // Interaction has already been acknowledged
+        throw new MockAPIError(400, 40060, 'Interaction has already been acknowledged.');
+      }
+      mock._respondToInteraction(state, body, files);
+      return null;
+    },
+  ],
+
+  // Application commands
+  ['GET', '/applications/:application/commands', ({ mock }) => [...mock._commands(null).values()]],
+  ['POST', '/applications/:application/commands', ({ mock, body }) => mock._setCommand(null, body)],
+  ['PUT', '/applications/:application/commands', ({ mock, body }) => mock._setCommands(null, body)],
+  [
+    'GET',
+    '/applications/:application/commands/:command',
+    ({ mock, params }) => mock._get(mock._commands(null), params.command, 'APPLICATION_COMMAND'),
+  ],
+  [
+    'PATCH',
+    '/applications/:application/commands/:command',
+    ({ mock, params, body }) =>
+      mock._setCommand(null, { ...mock._get(mock._commands(null), params.command, 'APPLICATION_COMMAND'), ...body }),
+  ],
+  [
+    'DELETE',
+    '/applications/:application/commands/:command',
+    ({ mock, params }) => {
+      mock._get(mock._commands(null), params.command, 'APPLICATION_COMMAND');
+      mock._commands(null).delete(params.command);
+      return null;
+    },
+  ],
+  [
+    'GET',
+    '/applications/:application/guilds/:guild/commands',
+    ({ mock, params }) => [...mock._commands(params.guild).values()],
+  ],
+  [
+    'POST',
+    '/applications/:application/guilds/:guild/commands',
+    ({ mock, params, body }) => mock._setCommand(params.guild, body),
+  ],
+  [
+    'PUT',
+    '/applications/:application/guilds/:guild/commands',
+    ({ mock, params, body }) => mock._setCommands(params.guild, body),
+  ],
+  [
+    'GET',
+    '/applications/:application/guilds/:guild/commands/:command',
+    ({ mock, params }) => mock._get(mock._commands(params.guild), params.command, 'APPLICATION_COMMAND'),
+  ],
+  [
+    'PATCH',
+    '/applications/:application/guilds/:guild/commands/:command',
+    ({ mock, params, body }) =>
+      mock._setCommand(params.guild, {
+        ...mock._get(mock._commands(params.guild), params.command, 'APPLICATION_COMMAND'),
+        ...body,
+      }),
+  ],
+  [
+    'DELETE',
+    '/applications/:application/guilds/:guild/commands/:command',
+    ({ mock, params }) => {
+      mock._get(mock._commands(params.guild), params.command, 'APPLICATION_COMMAND');
+      mock._commands(params.guild).delete(params.command);
+      return null;
+    },
+  ],
+].map(([method, path, handler]) => ({
+  method,
+  path,
+  handler,
+  // The major parameters of a route get their own rate limit buckets, like on Discord
+  major: ['channel', 'guild', 'webhook'].find(param => path.includes(`:${param}`)) ?? null,
+  pattern: new RegExp(`^${path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`),
+}));
+
+// Routes with these prefixes are authorized by the token in their path, not by the bot token
+const unauthenticated = ['/webhooks/', '/interactions/'];
+
+/**
+ * Parses a multipart/form-data body into its fields.
+ * @param {Buffer} body The body
+ * @param {string} boundary The boundary between the fields
+ * @returns {Array<{ name: string, filename: ?string, contentType: ?string, data: Buffer }>}
+ * @private
+ */
+function parseMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = [];
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const headersStart = start + delimiter.length + 2;
+    const end = body.indexOf(delimiter, headersStart);
+    if (end === -1) break;
+    const headersEnd = body.indexOf('\r\n\r\n', headersStart);
+    const headers = body.subarray(headersStart, headersEnd).toString();
+    fields.push({
+      name: /name="([^"]*)"/.exec(headers)?.[1],
+      filename: /filename="([^"]*)"/.exec(headers)?.[1] ?? null,
+      contentType: /content-type:\s*(.+)/i.exec(headers)?.[1].trim() ?? null,
+      // The data of a field is followed by a line break before the next delimiter
+      data: body.subarray(headersEnd + 4, end - 2),
+    });
+    start = end;
+  }
+  return fields;
+}
+
+/**
+ * The rate limit of the routes of a {@link MockRESTServer}, each route has its own bucket per major parameter.
+ * @typedef {Object} MockRateLimitOptions
+ * @property {number} [limit=50] The amount of requests a bucket allows per window
+ * @property {number} [resetAfter=1_000] The duration of a window, in milliseconds
+ */
+
+/**
+ * A request received by a {@link MockRESTServer}.
+ * @typedef {Object} MockRESTRequest
+ * @property {string} method The HTTP method of the request
+ * @property {string} path The path of the request, without the API prefix and version
+ * @property {?string} route The route the request matched, e.g. `/channels/:channel/messages`
+ * @property {Object<string, string>} query The query of the request
+ * @property {?Object} body The body of the request, the `payload_json` field of multipart bodies
+ * @property {Object[]} files The files of the request, as attachment data
+ * @property {?string} reason The audit log reason of the request
+ * @property {number} status The HTTP status code of the response
+ * @property {?Object} response The body of the response
+ */
+
+/**
+ * A local HTTP server emulating the main routes of the Discord API on the state of a {@link MockDiscord},
+ * started by it. The responses have the rate limit headers of the API, and requests over the limit get 429s.
+ * <info>Permissions are not checked, the bot can do anything in the guilds of the mock.</info>
+ */
+class MockRESTServer {
+  constructor(mock, { limit = 50, resetAfter = 1_000 } = {}) {
+    /**
+     * The mock this server belongs to
+     * @name MockRESTServer#mock
+     * @type {MockDiscord}
+     * @readonly
+     */
+    Object.defineProperty(this, 'mock', { value: mock });
+
+    /**
+     * The rate limit of the routes
+     * @type {MockRateLimitOptions}
+     */
+    this.rateLimit = { limit, resetAfter };
+
+    /**
+     * The HTTP server started by {@link MockRESTServer#listen}
+     * @type {?Server}
+     */
+    this.server = null;
+
+    /**
+     * The rate limit buckets, mapped by the route and major parameter they are for
+     * @type {Collection<string, Object>}
+     * @private
+     */
+    this._buckets = new Collection();
+
+    /**
+     * The hostname the server listens on
+     * @type {?string}
+     * @private
+     */
+    this._hostname = null;
+  }
+
+  /**
+   * The URL to set as {@link HTTPOptions#api}, once the server is listening
+   * @type {?string}
+   * @readonly
+   */
+  get url() {
+    const address = this.server?.address();
+    return address ? `http://${this._hostname}:${address.port}/api` : null;
+  }
+
+  /**
+   * Starts the HTTP server.
+   * @param {number} [port=0] The port to listen on, a random one is used by default
+   * @param {string} [hostname='127.0.0.1'] The hostname to listen on
+   * @returns {Promise<void>}
+   */
+  listen(port = 0, hostname = '127.0.0.1') {
+    this._hostname = hostname;
+    // Reading a request fails when its connection breaks, there is nobody left to answer then
+    const server = http.createServer((req, res) => this.handle(req, res).catch(() => res.destroy()));
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, hostname, () => {
+        server.off('error', reject);
+        this.server = server;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stops the HTTP server.
+   * @returns {Promise<void>}
+   */
+  close() {
+    const { server } = this;
+    this.server = null;
+    this._buckets.clear();
+    if (!server) return Promise.resolve();
+    server.closeAllConnections?.();
+    return new Promise((resolve, reject) => server.close(err => (err ? reject(err) : resolve())));
+  }
+
+  /**
+   * Answers a request to the API.
+   * @param {IncomingMessage} req The incoming request
+   * @param {ServerResponse} res The outgoing response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    const raw = await new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/^\/api(\/v\d+)?/, '').replace(/\/$/, '');
+    const query = Object.fromEntries(url.searchParams);
+    const reason = req.headers['x-audit-log-reason'] ? decodeURIComponent(req.headers['x-audit-log-reason']) : null;
+    const request = { method: req.method, path, route: null, query, body: null, files: [], reason };
+
+    let status = 200;
+    let response = null;
+    const headers = { 'Content-Type': 'application/json' };
+    try {
+      let params;
+      const route = routes.find(({ method, pattern }) => method === req.method && (params = pattern.exec(path)));
+      if (!route) throw new MockAPIError(404, 0, '404: Not Found');
+      request.route = route.path;
+      params = Object.fromEntries(
+        Object.entries(params.groups ?? {}).map(([key, value]) => [key, decodeURIComponent(value)]),
+      );
+
+      if (
+        !unauthenticated.some(prefix => path.startsWith(prefix)) &&
+        req.headers.authorization !== `Bot ${this.mock.token}`
+      ) {
+        throw new MockAPIError(401, 0, '401: Unauthorized');
+      }
+
+      const bucket = this._consume(route, params, headers);
+      if (bucket.remaining < 0) {
+        const retryAfter = (bucket.reset - Date.now()) / 1_000;
+        headers['Retry-After'] = String(Math.ceil(retryAfter));
+        headers['X-RateLimit-Scope'] = 'user';
+        status = 429;
+        response = { message: 'You are being rate limited.', retry_after: retryAfter, global: false };
+      } else {
+        this._parseBody(req.headers['content-type'], raw, request);
+        response = route.handler({
+          mock: this.mock,
+          params,
+          query,
+          body: request.body ?? {},
+          files: request.files,
+          reason,
+        });
+        if (response === null) status = 204;
+      }
+    } catch (error) {
+      status = error instanceof MockAPIError ? error.status : 500;
+      response = { message: error.message, code: error.code ?? 0 };
+    }
+
+    // Empty responses are not JSON, they still need a content type to be parsed by the client
+    if (status === 204) headers['Content-Type'] = 'application/octet-stream';
+    res.writeHead(status, headers);
+    res.end(status === 204 ? undefined : JSON.stringify(response));
+
+    /**
+     * Emitted whenever the REST server of the mock answers a request.
+     * @event MockDiscord#request
+     * @param {MockRESTRequest} request The request
+     */
+    this.mock.emit('request', { ...request, status, response });
+  }
+
+  /**
+   * Counts a request in the rate limit bucket of its route, and sets the rate limit headers.
+   * @param {Object} route The route of the request
+   * @param {Object} params The parameters of the request
+   * @param {Object} headers The headers of the response
+   * @returns {Object} The bucket
+   * @private
+   */
+  _consume(route, params, headers) {
+    const key = `${route.method} ${route.path} ${route.major ? params[route.major] : ''}`;
+    let bucket = this._buckets.get(key);
+    if (!bucket || bucket.reset <= Date.now()) {
+      bucket = { remaining: this.rateLimit.limit, reset: Date.now() + this.rateLimit.resetAfter };
+      this._buckets.set(key, bucket);
+    }
+    bucket.remaining--;
+    Object.assign(headers, {
+      'X-RateLimit-Limit': String(this.rateLimit.limit),
+      'X-RateLimit-Remaining': String(Math.max(bucket.remaining, 0)),
+      'X-RateLimit-Reset': String(bucket.reset / 1_000),
+      'X-RateLimit-Reset-After': String((bucket.reset - Date.now()) / 1_000),
+      'X-RateLimit-Bucket': createHash('sha1').update(`${route.method} ${route.path}`).digest('hex').slice(0, 16),
+    });
+    return bucket;
+  }
+
+  /**
+   * Parses the body of a request, JSON or multipart with a `payload_json` field.
+   * @param {?string} contentType The content type of the request
+   * @param {Buffer} raw The raw body
+   * @param {Object} request The request to set the body and files of
+   * @private
+   */
+  _parseBody(contentType, raw, request) {
+    if (!raw.length) return;
+    try {
+      if (!contentType?.startsWith('multipart/form-data')) {
+        request.body = JSON.parse(raw.toString());
+        return;
+      }
+      const fields = parseMultipart(raw, /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType).slice(1).find(Boolean));
+      const payload = fields.find(field => field.name === 'payload_json');
+      request.body = payload ? JSON.parse(payload.data.toString()) : {};
+      for (const field of fields) {
+        if (field.filename === null) continue;
+        const id = SnowflakeUtil.generate();
+        request.files.push({
+          id,
+          filename: field.filename,
+          size: field.data.length,
+          content_type: field.contentType,
+          url: `${this.url.replace(/\/api$/, '')}/attachments/${id}/${encodeURIComponent(field.filename)}`,
+          proxy_url: `${this.url.replace(/\/api$/, '')}/attachments/${id}/${encodeURIComponent(field.filename)}`,
+        });
+      }
+    } catch {
+      throw new MockAPIError(400, APIErrors.INVALID_FORM_BODY, 'Invalid Form Body');
+    }
+  }
+}
+
+module.exports = MockRESTServer;
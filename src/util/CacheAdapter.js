@@ -0,0 +1,65 @@
+'use strict';
+
+const { Error } = require('../errors');
+
+/**
+ * Persists the entries of a {@link CachedManager} outside of its in-memory cache, so they survive restarts and can
+ * outgrow the memory of the process. Extend this class and implement its methods to store the entries anywhere,
+ * or use {@link JSONLinesCacheAdapter}.
+ * <info>Adapters hold the raw API data the entries were built from, keyed the same way as the manager's cache.
+ * Entries removed from memory by a limited cache or a sweeper are kept by the adapter, and restored when they
+ * are fetched again.</info>
+ * @abstract
+ */
+class CacheAdapter {
+  /**
+   * Gets the data stored for a key.
+   * @param {string} key The key of the entry
+   * @returns {Promise<?Object>}
+   * @abstract
+   */
+  get() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'get', this.constructor.name));
+  }
+
+  /**
+   * Stores the data of a key, replacing the previous data.
+   * @param {string} key The key of the entry
+   * @param {Object} data The data to store
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  set() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'set', this.constructor.name));
+  }
+
+  /**
+   * Deletes the data stored for a key.
+   * @param {string} key The key of the entry
+   * @returns {Promise<boolean>} Whether there was data to delete
+   * @abstract
+   */
+  delete() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'delete', this.constructor.name));
+  }
+
+  /**
+   * Iterates over all the stored entries.
+   * @returns {AsyncIterableIterator<Array<string|Object>>} The key and data of each entry
+   * @abstract
+   */
+  iterate() {
+    throw new Error('NOT_IMPLEMENTED', 'iterate', this.constructor.name);
+  }
+
+  /**
+   * Deletes all the stored entries.
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  clear() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'clear', this.constructor.name));
+  }
+}
+
+module.exports = CacheAdapter;
@@ -0,0 +1,539 @@
+'use strict';
+
+const { once } = require('node:events');
+const { TypeError } = require('../errors');
+
+/**
+ * Escapes the characters of a string that have a meaning in HTML.
+ * @param {string} text The text to escape
+ * @returns {string}
+ * @private
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Writes a chunk to a stream, waiting for it to drain if its buffer is full.
+ * @param {WritableStream} stream The stream to write to
+ * @param {string} chunk The chunk to write
+ * @returns {Promise<void>}
+ * @private
+ */
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+const styles = `
+body {
+  margin: 0;
+  padding: 16px;
+  background: #36393f;
+  color: #dcddde;
+  font: 16px/1.375 'Helvetica Neue', Helvetica, Arial, sans-serif;
+}
+header { border-bottom: 1px solid #4f545c; margin-bottom: 16px; padding-bottom: 8px; }
+header h1 { margin: 0; color: #fff; font-size: 20px; }
+header p { margin: 4px 0 0; color: #a3a6aa; font-size: 14px; }
+a { color: #00aff4; }
+.message { display: flex; padding: 4px 0; }
+.avatar { width: 40px; height: 40px; border-radius: 50%; margin-right: 16px; flex-shrink: 0; }
+.body { min-width: 0; flex-grow: 1; }
+.author { color: #fff; font-weight: 500; }
+.bot {
+  background: #5865f2;
+  color: #fff;
+  border-radius: 3px;
+  font-size: 10px;
+  padding: 1px 4px;
+  margin-left: 4px;
+  vertical-align: middle;
+}
+.timestamp, .edited, .note { color: #a3a6aa; font-size: 12px; margin-left: 4px; }
+.reference { color: #b9bbbe; font-size: 13px; }
+.content { white-space: pre-wrap; word-wrap: break-word; }
+.mention { background: rgba(88, 101, 242, 0.3); color: #dee0fc; border-radius: 3px; padding: 0 2px; }
+code { background: #2f3136; border-radius: 3px; padding: 0 2px; font-size: 85%; }
+pre { background: #2f3136; border: 1px solid #202225; border-radius: 4px; padding: 8px; white-space: pre-wrap; }
+.spoiler { background: #202225; color: transparent; border-radius: 3px; }
+.spoiler:hover { color: inherit; }
+.embed {
+  background: #2f3136;
+  border-left: 4px solid #202225;
+  border-radius: 4px;
+  padding: 8px 16px;
+  margin-top: 4px;
+  max-width: 520px;
+}
+.embed-title { color: #fff; font-weight: 600; }
+.embed-field-name { color: #fff; font-weight: 600; font-size: 14px; margin-top: 8px; }
+.embed-footer { color: #a3a6aa; font-size: 12px; margin-top: 8px; }
+.embed img { max-width: 100%; border-radius: 4px; margin-top: 8px; }
+.attachment, .sticker { display: block; margin-top: 4px; }
+.attachment img { max-width: 400px; max-height: 300px; border-radius: 4px; }
+.components { margin-top: 4px; }
+.component {
+  display: inline-block;
+  background: #4f545c;
+  color: #fff;
+  border-radius: 3px;
+  padding: 2px 12px;
+  margin: 2px 4px 2px 0;
+  font-size: 14px;
+}
+.reactions { margin-top: 4px; }
+.reaction {
+  display: inline-block;
+  background: #2f3136;
+  border-radius: 8px;
+  padding: 0 6px;
+  margin-right: 4px;
+  font-size: 14px;
+}
+.reaction img { width: 16px; height: 16px; vertical-align: middle; }
+.thread { color: #00aff4; font-size: 13px; margin-top: 4px; }
+`;
+
+/**
+ * A message serialized by a {@link ChannelExporter}.
+ * @typedef {Object} ExportedMessage
+ * @property {Snowflake} id The id of the message
+ * @property {MessageType} type The type of the message
+ * @property {Snowflake} channelId The id of the channel the message was sent in
+ * @property {?Snowflake} guildId The id of the guild the message was sent in, if any
+ * @property {Object} author The author of the message
+ * @property {Snowflake} author.id The id of the author
+ * @property {string} author.username The username of the author
+ * @property {string} author.discriminator The discriminator of the author
+ * @property {string} author.displayName The name displayed for the author, their nickname if they have one
+ * @property {string} author.avatarURL The URL of the avatar displayed for the author
+ * @property {boolean} author.bot Whether the author is a bot
+ * @property {?Snowflake} webhookId The id of the webhook that sent the message, if any
+ * @property {string} content The content of the message
+ * @property {number} createdTimestamp The time the message was sent at
+ * @property {?number} editedTimestamp The time the message was last edited at, if it was
+ * @property {boolean} pinned Whether the message is pinned
+ * @property {boolean} tts Whether the message was sent with text-to-speech
+ * @property {MessageFlagsString[]} flags The flags of the message
+ * @property {APIEmbed[]} embeds The embeds of the message
+ * @property {ExportedAttachment[]} attachments The metadata of the attachments of the message
+ * @property {Object[]} stickers The stickers of the message, with their `id`, `name`, `format` and `url`
+ * @property {APIActionRowComponent[]} components The action rows of the message
+ * @property {Object[]} reactions The reactions to the message, with their `emoji` (`id`, `name` and `animated`)
+ * and `count`
+ * @property {?MessageReference} reference The message this message references, if any
+ * @property {?Object} thread The thread started by the message, if any, with its `id` and `name`
+ * @property {Object} mentions The mentions of the message, with their `users` (`id` and `username`),
+ * `roles` (`id` and `name`) and `channels` (`id` and `name`)
+ */
+
+/**
+ * The metadata of an attachment serialized by a {@link ChannelExporter}.
+ * @typedef {Object} ExportedAttachment
+ * @property {Snowflake} id The id of the attachment
+ * @property {?string} name The name of the attachment
+ * @property {string} url The URL of the attachment
+ * @property {string} proxyURL The proxy URL of the attachment
+ * @property {number} size The size of the attachment, in bytes
+ * @property {?string} contentType The media type of the attachment
+ * @property {?number} width The width of the attachment, if it is an image or a video
+ * @property {?number} height The height of the attachment, if it is an image or a video
+ * @property {boolean} spoiler Whether the attachment is a spoiler
+ */
+
+/**
+ * Options for a channel exporter.
+ * @typedef {Object} ChannelExporterOptions
+ * @property {MessageResolvable} [after] Only export the messages sent after this message
+ * @property {MessageResolvable} [before] Only export the messages sent before this message
+ * @property {number} [limit=Infinity] The maximum number of messages to export
+ * @property {boolean} [cache=false] Whether to cache the fetched messages
+ * @property {AbortSignal} [signal] A signal to stop the export with
+ */
+
+/**
+ * Exports the history of a text-based channel, from its oldest message to its newest, as JSON-lines or as a
+ * self-contained HTML transcript.
+ * <info>Exporting a thread that started from a message also exports that message first,
+ * its `thread` property is set to the thread.</info>
+ * @example
+ * // Save the transcript of a ticket before deleting it
+ * const exporter = new ChannelExporter(channel);
+ * await exporter.toJSONLines(fs.createWriteStream(`tickets/${channel.id}.jsonl`));
+ * await exporter.toHTML(fs.createWriteStream(`tickets/${channel.id}.html`));
+ */
+class ChannelExporter {
+  /**
+   * @param {TextBasedChannels} channel The channel to export
+   * @param {ChannelExporterOptions} [options={}] Options for the exporter
+   */
+  constructor(channel, { after, before, limit = Infinity, cache = false, signal } = {}) {
+    if (!channel?.messages) throw new TypeError('INVALID_TYPE', 'channel', 'TextBasedChannels');
+
+    /**
+     * The channel that is exported
+     * @type {TextBasedChannels}
+     */
+    this.channel = channel;
+
+    /**
+     * The id of the message the export starts after
+     * @type {?Snowflake}
+     */
+    this.after = channel.messages.resolveId(after) ?? null;
+
+    /**
+     * The id of the message the export stops before
+     * @type {?Snowflake}
+     */
+    this.before = channel.messages.resolveId(before) ?? null;
+
+    /**
+     * The maximum number of messages to export
+     * @type {number}
+     */
+    this.limit = limit;
+
+    /**
+     * Whether the fetched messages are cached
+     * @type {boolean}
+     */
+    this.cache = cache;
+
+    /**
+     * The signal the export can be stopped with
+     * @type {?AbortSignal}
+     */
+    this.signal = signal ?? null;
+  }
+
+  /**
+   * Iterates over the exported messages, from oldest to newest.
+   * @returns {AsyncGenerator<Message>}
+   */
+  async *messages() {
+    let { limit } = this;
+    if (this.channel.isThread() && !this.after && limit > 0) {
+      let starter = null;
+      try {
+        starter = await this.channel.fetchStarterMessage({ cache: this.cache });
+      } catch {
+        // The thread did not start from a message, or the message was deleted
+      }
+      if (starter) {
+        yield starter;
+        limit--;
+      }
+    }
+
+    const messages = this.channel.messages.iterate({
+      after: this.after ?? '0',
+      limit,
+      cache: this.cache,
+      signal: this.signal ?? undefined,
+    });
+    for await (const message of messages) {
+      if (this.before && BigInt(message.id) >= BigInt(this.before)) return;
+      yield message;
+    }
+  }
+
+  /**
+   * Writes the exported messages to a stream, one {@link ExportedMessage} per line.
+   * @param {WritableStream} stream The stream to write to, it is not ended
+   * @returns {Promise<number>} The number of exported messages
+   */
+  async toJSONLines(stream) {
+    let count = 0;
+    for await (const message of this.messages()) {
+      await write(stream, `${JSON.stringify(this.constructor.serializeMessage(message))}\n`);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Writes an HTML transcript of the exported messages to a stream.
+   * @param {WritableStream} stream The stream to write to, it is not ended
+   * @returns {Promise<number>} The number of exported messages
+   */
+  async toHTML(stream) {
+    await write(stream, this.constructor._renderHeader(this.constructor._describeChannel(this.channel)));
+    let count = 0;
+    for await (const message of this.messages()) {
+      await write(stream, this.constructor._renderMessage(this.constructor.serializeMessage(message)));
+      count++;
+    }
+    await write(stream, this.constructor._renderFooter(count));
+    return count;
+  }
+
+  /**
+   * Serializes a message to plain data that can be stored as JSON.
+   * @param {Message} message The message to serialize
+   * @returns {ExportedMessage}
+   */
+  static serializeMessage(message) {
+    return {
+      id: message.id,
+      type: message.type,
+      channelId: message.channelId,
+      guildId: message.guildId,
+      author: {
+        id: message.author.id,
+        username: message.author.username,
+        discriminator: message.author.discriminator,
+        displayName: message.member?.displayName ?? message.author.username,
+        avatarURL: message.member?.displayAvatarURL() ?? message.author.displayAvatarURL(),
+        bot: message.author.bot,
+      },
+      webhookId: message.webhookId,
+      content: message.content,
+      createdTimestamp: message.createdTimestamp,
+      editedTimestamp: message.editedTimestamp,
+      pinned: message.pinned,
+      tts: message.tts,
+      flags: message.flags.toArray(),
+      embeds: message.embeds.map(embed => ({ ...embed.toJSON(), type: embed.type })),
+      attachments: message.attachments.map(attachment => ({
+        id: attachment.id,
+        name: attachment.name,
+        url: attachment.url,
+        proxyURL: attachment.proxyURL,
+        size: attachment.size,
+        contentType: attachment.contentType,
+        width: attachment.width,
+        height: attachment.height,
+        spoiler: attachment.spoiler,
+      })),
+      stickers: message.stickers.map(sticker => ({
+        id: sticker.id,
+        name: sticker.name,
+        format: sticker.format,
+        url: sticker.url,
+      })),
+      components: message.components.map(row => row.toJSON()),
+      reactions: message.reactions.cache.map(reaction => ({
+        emoji: { id: reaction.emoji.id, name: reaction.emoji.name, animated: reaction.emoji.animated ?? false },
+        count: reaction.count,
+      })),
+      reference: message.reference,
+      thread: message.hasThread ? { id: message.id, name: message.thread?.name ?? null } : null,
+      mentions: {
+        users: message.mentions.users.map(user => ({ id: user.id, username: user.username })),
+        roles: message.mentions.roles.map(role => ({ id: role.id, name: role.name })),
+        channels: message.mentions.channels.map(channel => ({ id: channel.id, name: channel.name ?? null })),
+      },
+    };
+  }
+
+  /**
+   * Renders a self-contained HTML transcript of messages that were exported as JSON-lines.
+   * @param {Iterable<ExportedMessage>} messages The messages to render, from oldest to newest
+   * @param {Object} [options={}] Options for the transcript
+   * @param {string} [options.title='Transcript'] The title of the transcript
+   * @param {string} [options.description] A description displayed under the title
+   * @returns {string}
+   * @example
+   * const messages = fs.readFileSync('ticket.jsonl', 'utf8').split('\n').filter(Boolean).map(JSON.parse);
+   * fs.writeFileSync('ticket.html', ChannelExporter.renderHTML(messages, { title: 'Ticket #42' }));
+   */
+  static renderHTML(messages, { title = 'Transcript', description } = {}) {
+    let html = this._renderHeader({ title, description });
+    let count = 0;
+    for (const message of messages) {
+      html += this._renderMessage(message);
+      count++;
+    }
+    return html + this._renderFooter(count);
+  }
+
+  /**
+   * Gets the title and description of the transcript of a channel.
+   * @param {TextBasedChannels} channel The channel
+   * @returns {Object}
+   * @private
+   */
+  static _describeChannel(channel) {
+    if (channel.type === 'DM') {
+      return { title: `Direct messages with ${channel.recipient?.tag ?? channel.id}`, description: null };
+    }
+    const path =
+      channel.isThread() && channel.parent ? `#${channel.parent.name} › ${channel.name}` : `#${channel.name}`;
+    return { title: path, description: channel.guild?.name ?? null };
+  }
+
+  /**
+   * Renders the start of a transcript.
+   * @param {Object} options The title and description of the transcript
+   * @returns {string}
+   * @private
+   */
+  static _renderHeader({ title, description }) {
+    return (
+      `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n` +
+      `<meta name="viewport" content="width=device-width, initial-scale=1">\n` +
+      `<title>${escapeHTML(title)}</title>\n<style>${styles}</style>\n</head>\n<body>\n` +
+      `<header><h1>${escapeHTML(title)}</h1>${description ? `<p>${escapeHTML(description)}</p>` : ''}</header>\n` +
+      `<main>\n`
+    );
+  }
+
+  /**
+   * Renders the end of a transcript.
+   * @param {number} count The number of rendered messages
+   * @returns {string}
+   * @private
+   */
+  static _renderFooter(count) {
+    return (
+      `</main>\n<footer><p class="note">${count} message${count === 1 ? '' : 's'}, ` +
+      `exported ${escapeHTML(new Date().toUTCString())}</p></footer>\n</body>\n</html>\n`
+    );
+  }
+
+  /**
+   * Renders a message of a transcript.
+   * @param {ExportedMessage} message The message to render
+   * @returns {string}
+   * @private
+   */
+  static _renderMessage(message) {
+    const { author } = message;
+    let html = `<div class="message" id="m${message.id}">`;
+    html += `<img class="avatar" src="${escapeHTML(author.avatarURL)}" alt="">`;
+    html += '<div class="body">';
+    if (message.reference?.messageId) {
+      html += `<div class="reference">↪ <a href="#m${message.reference.messageId}">Replying to a message</a></div>`;
+    }
+    html += `<span class="author" title="${escapeHTML(`${author.username}#${author.discriminator}`)}">`;
+    html += `${escapeHTML(author.displayName)}</span>`;
+    if (author.bot) html += '<span class="bot">BOT</span>';
+    html += `<span class="timestamp">${escapeHTML(new Date(message.createdTimestamp).toUTCString())}</span>`;
+    if (message.editedTimestamp) html += '<span class="edited">(edited)</span>';
+    if (message.content) html += `<div class="content">${this._renderContent(message.content, message.mentions)}</div>`;
+
+    for (const embed of message.embeds) html += this._renderEmbed(embed, message.mentions);
+    for (const attachment of message.attachments) {
+      const url = escapeHTML(attachment.url);
+      html += `<a class="attachment" href="${url}">`;
+      html += attachment.contentType?.startsWith('image/')
+        ? `<img src="${url}" alt="${escapeHTML(attachment.name ?? '')}">`
+        : `📎 ${escapeHTML(attachment.name ?? attachment.id)} (${attachment.size} bytes)`;
+      html += '</a>';
+    }
+    for (const sticker of message.stickers) {
+      html += `<span class="sticker">[Sticker: ${escapeHTML(sticker.name)}]</span>`;
+    }
+
+    const components = message.components.flatMap(row => row.components);
+    if (components.length) {
+      html += '<div class="components">';
+      for (const component of components) {
+        const label = component.label ?? component.placeholder ?? component.custom_id ?? '';
+        const emoji = component.emoji?.name ? `${escapeHTML(component.emoji.name)} ` : '';
+        html += component.url
+          ? `<a class="component" href="${escapeHTML(component.url)}">${emoji}${escapeHTML(label)}</a>`
+          : `<span class="component">${emoji}${escapeHTML(label)}</span>`;
+      }
+      html += '</div>';
+    }
+
+    if (message.reactions.length) {
+      html += '<div class="reactions">';
+      for (const { emoji, count } of message.reactions) {
+        const image = emoji.id
+          ? `<img src="https://cdn.discordapp.com/emojis/${emoji.id}.${emoji.animated ? 'gif' : 'png'}" ` +
+            `alt="${escapeHTML(emoji.name ?? '')}">`
+          : escapeHTML(emoji.name);
+        html += `<span class="reaction">${image} ${count}</span>`;
+      }
+      html += '</div>';
+    }
+
+    if (message.thread) {
+      html += `<div class="thread">🧵 Thread${message.thread.name ? `: ${escapeHTML(message.thread.name)}` : ''}</div>`;
+    }
+    return `${html}</div></div>\n`;
+  }
+
+  /**
+   * Renders an embed of a message.
+   * @param {APIEmbed} embed The embed to render
+   * @param {Object} mentions The mentions of the message
+   * @returns {string}
+   * @private
+   */
+  static _renderEmbed(embed, mentions) {
+    const color = typeof embed.color === 'number' ? `#${embed.color.toString(16).padStart(6, '0')}` : null;
+    let html = `<div class="embed"${color ? ` style="border-left-color: ${color}"` : ''}>`;
+    if (embed.author?.name) html += `<div class="embed-author">${escapeHTML(embed.author.name)}</div>`;
+    if (embed.title) {
+      const title = escapeHTML(embed.title);
+      html += `<div class="embed-title">${embed.url ? `<a href="${escapeHTML(embed.url)}">${title}</a>` : title}</div>`;
+    }
+    if (embed.description) html += `<div class="content">${this._renderContent(embed.description, mentions)}</div>`;
+    for (const field of embed.fields ?? []) {
+      html += `<div class="embed-field-name">${escapeHTML(field.name)}</div>`;
+      html += `<div class="content">${this._renderContent(field.value, mentions)}</div>`;
+    }
+    if (embed.image?.url) html += `<img src="${escapeHTML(embed.image.url)}" alt="">`;
+    if (embed.footer?.text) html += `<div class="embed-footer">${escapeHTML(embed.footer.text)}</div>`;
+    return `${html}</div>`;
+  }
+
+  /**
+   * Renders text formatted with markdown and mentions.
+   * @param {string} text The text to render
+   * @param {Object} mentions The mentions of the message
+   * @returns {string}
+   * @private
+   */
+  static _renderContent(text, mentions) {
+    // Code is set aside first so the formatting inside it is left as is
+    const blocks = [];
+    const setAside = html => `\uE000${blocks.push(html) - 1}\uE000`;
+    let html = escapeHTML(text)
+      .replace(/```(?:[\w+-]*\n)?([\s\S]+?)```/g, (match, code) => setAside(`<pre>${code}</pre>`))
+      .replace(/`([^`\n]+)`/g, (match, code) => setAside(`<code>${code}</code>`))
+      .replace(/\*\*(.+?)\*\*/gs, '<strong>$1</strong>')
+      .replace(/__(.+?)__/gs, '<u>$1</u>')
+      .replace(/\*(.+?)\*/gs, '<em>$1</em>')
+      .replace(/\b_(.+?)_\b/gs, '<em>$1</em>')
+      .replace(/~~(.+?)~~/gs, '<s>$1</s>')
+      .replace(/\|\|(.+?)\|\|/gs, '<span class="spoiler">$1</span>')
+      .replace(/&lt;@!?(\d{17,19})&gt;/g, (match, id) => {
+        const user = mentions?.users.find(u => u.id === id);
+        return `<span class="mention">@${escapeHTML(user?.username ?? id)}</span>`;
+      })
+      .replace(/&lt;@&amp;(\d{17,19})&gt;/g, (match, id) => {
+        const role = mentions?.roles.find(r => r.id === id);
+        return `<span class="mention">@${escapeHTML(role?.name ?? id)}</span>`;
+      })
+      .replace(/&lt;#(\d{17,19})&gt;/g, (match, id) => {
+        const channel = mentions?.channels.find(c => c.id === id);
+        return `<span class="mention">#${escapeHTML(channel?.name ?? id)}</span>`;
+      })
+      .replace(/&lt;(a?):(\w+):(\d{17,19})&gt;/g, (match, animated, name) => `:${name}:`)
+      .replace(/https?:\/\/[^\s<]+[^\s<.,:;"')\]]/g, url => `<a href="${url}">${url}</a>`);
+    html = html.replace(/\uE000(\d+)\uE000/g, (match, index) => blocks[index]);
+    return html;
+  }
+}
+
+module.exports = ChannelExporter;
+
+/**
+ * @external APIActionRowComponent
+ * @see {@link https://discord-api-types.dev/api/discord-api-types-v9#APIActionRowComponent}
+ */
+
+/**
+ * @external WritableStream
+ * @see {@link https://nodejs.org/api/stream.html#class-streamwritable}
+ */
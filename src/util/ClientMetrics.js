@@ -0,0 +1,165 @@
+'use strict';
+
+const { Collection } = require('@discordjs/collection');
+const MetricCounter = require('./MetricCounter');
+const MetricGauge = require('./MetricGauge');
+const MetricHistogram = require('./MetricHistogram');
+const CachedManager = require('../managers/CachedManager');
+
+/**
+ * The metrics of a client, covering its requests to the API, its shards and its caches.
+ * They are kept in memory since the client was instantiated, and can be exported with
+ * {@link ClientMetrics#toPrometheus}.
+ * @example
+ * // Expose the metrics to Prometheus
+ * http
+ *   .createServer((req, res) => {
+ *     res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+ *     res.end(client.metrics.toPrometheus());
+ *   })
+ *   .listen(9100);
+ */
+class ClientMetrics {
+  constructor(client) {
+    /**
+     * The client that instantiated this
+     * @name ClientMetrics#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    /**
+     * The duration of the requests to the API, in seconds,
+     * labelled by `method`, `route`, rate limit `bucket` and `status`
+     * @type {MetricHistogram}
+     */
+    this.restRequestDuration = new MetricHistogram(
+      'discordjs_rest_request_duration_seconds',
+      'Duration of the requests to the API.',
+      ['method', 'route', 'bucket', 'status'],
+    );
+
+    /**
+     * The amount of 429 responses received from the API, labelled by `route`, rate limit `bucket` and `global`
+     * @type {MetricCounter}
+     */
+    this.restRateLimits = new MetricCounter(
+      'discordjs_rest_rate_limits_total',
+      'Rate limited responses received from the API.',
+      ['route', 'bucket', 'global'],
+    );
+
+    /**
+     * The amount of requests to the API that were retried, labelled by `route` and `reason`,
+     * which is one of `rate_limit`, `server_error` and `network`
+     * @type {MetricCounter}
+     */
+    this.restRetries = new MetricCounter('discordjs_rest_retries_total', 'Requests to the API that were retried.', [
+      'route',
+      'reason',
+    ]);
+
+    /**
+     * The latency of the heartbeats of the shards, in seconds, labelled by `shard`
+     * @type {MetricHistogram}
+     */
+    this.gatewayHeartbeatLatency = new MetricHistogram(
+      'discordjs_gateway_heartbeat_latency_seconds',
+      'Latency of the heartbeats of the shards.',
+      ['shard'],
+    );
+
+    /**
+     * The amount of times the shards reconnected, labelled by `shard` and `reason`,
+     * which is one of `close`, `invalid_session` and `destroyed`
+     * @type {MetricCounter}
+     */
+    this.gatewayReconnects = new MetricCounter('discordjs_gateway_reconnects_total', 'Reconnections of the shards.', [
+      'shard',
+      'reason',
+    ]);
+
+    /**
+     * The amount of dispatches received by the shards, labelled by `shard` and `event`
+     * @type {MetricCounter}
+     */
+    this.gatewayEvents = new MetricCounter('discordjs_gateway_events_total', 'Dispatches received by the shards.', [
+      'shard',
+      'event',
+    ]);
+
+    /**
+     * The amount of entries cached by the managers, labelled by `manager`, updated when the metrics are exported
+     * @type {MetricGauge}
+     */
+    this.cacheSize = new MetricGauge('discordjs_cache_size', 'Entries cached by the managers.', ['manager']);
+  }
+
+  /**
+   * Counts the entries cached by the managers of the client, its guilds and its channels,
+   * summed for each kind of manager.
+   * @returns {Collection<string, number>}
+   * @example
+   * // Log the amount of cached members
+   * console.log(client.metrics.cacheSizes().get('GuildMemberManager'));
+   */
+  cacheSizes() {
+    const sizes = new Collection();
+    const count = holder => {
+      for (const value of Object.values(holder)) {
+        if (!(value instanceof CachedManager)) continue;
+        const name = value.constructor.name;
+        sizes.set(name, (sizes.get(name) ?? 0) + value.cache.size);
+      }
+    };
+    count(this.client);
+    for (const guild of this.client.guilds.cache.values()) count(guild);
+    for (const channel of this.client.channels.cache.values()) count(channel);
+    return sizes;
+  }
+
+  /**
+   * Serializes the metrics to the Prometheus text format, updating the cache sizes first.
+   * @returns {string}
+   */
+  toPrometheus() {
+    this.cacheSize.reset();
+    for (const [manager, size] of this.cacheSizes()) this.cacheSize.set({ manager }, size);
+
+    const metrics = [
+      this.restRequestDuration,
+      this.restRateLimits,
+      this.restRetries,
+      this.gatewayHeartbeatLatency,
+      this.gatewayReconnects,
+      this.gatewayEvents,
+      this.cacheSize,
+    ];
+    return `${metrics.map(metric => metric.toPrometheus()).join('\n')}\n`;
+  }
+
+  /**
+   * Removes the samples of all the metrics.
+   */
+  reset() {
+    this.restRequestDuration.reset();
+    this.restRateLimits.reset();
+    this.restRetries.reset();
+    this.gatewayHeartbeatLatency.reset();
+    this.gatewayReconnects.reset();
+    this.gatewayEvents.reset();
+    this.cacheSize.reset();
+  }
+
+  /**
+   * Turns the route of a request into a label, replacing the ids and the tokens it contains.
+   * @param {string} route The route of the request, e.g. `/channels/222197033908436994/messages`
+   * @returns {string} The route label, e.g. `/channels/:id/messages`
+   */
+  static routeLabel(route) {
+    return route.replace(/\d{16,19}/g, ':id').replace(/\/(webhooks|interactions)\/:id\/[^/]+/, '/$1/:id/:token');
+  }
+}
+
+module.exports = ClientMetrics;
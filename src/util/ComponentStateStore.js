@@ -0,0 +1,45 @@
+'use strict';
+
+const { Error } = require('../errors');
+
+/**
+ * Saves the states of the components of a {@link ComponentRegistry} that are too long to fit in their custom ids.
+ * Extend this class and implement its methods to store the states anywhere, or use {@link FileComponentStateStore}
+ * or {@link MemoryComponentStateStore}.
+ * <info>The states are kept until they are released with {@link ComponentRegistry#release}.</info>
+ * @abstract
+ */
+class ComponentStateStore {
+  /**
+   * Loads a state.
+   * @param {string} key The key of the state
+   * @returns {Promise<*>} The state, or `undefined` if it is unknown
+   * @abstract
+   */
+  get() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'get', this.constructor.name));
+  }
+
+  /**
+   * Saves a state.
+   * @param {string} key The key of the state
+   * @param {*} state The state to save, which can be serialized to JSON
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  set() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'set', this.constructor.name));
+  }
+
+  /**
+   * Deletes a state.
+   * @param {string} key The key of the state
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  delete() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'delete', this.constructor.name));
+  }
+}
+
+module.exports = ComponentStateStore;
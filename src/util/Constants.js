@@ -232,6 +232,8 @@ exports.Opcodes = {
  * * GUILD_SCHEDULED_EVENT_DELETE: guildScheduledEventDelete
  * * GUILD_SCHEDULED_EVENT_USER_ADD: guildScheduledEventUserAdd
  * * GUILD_SCHEDULED_EVENT_USER_REMOVE: guildScheduledEventUserRemove
+ * * SCHEDULED_MESSAGE_SEND: scheduledMessageSend
+ * * SCHEDULED_MESSAGE_ERROR: scheduledMessageError
  * @typedef {Object<string, string>} Events
  */
 exports.Events = {
@@ -307,6 +309,8 @@ exports.Events = {
   GUILD_SCHEDULED_EVENT_DELETE: 'guildScheduledEventDelete',
   GUILD_SCHEDULED_EVENT_USER_ADD: 'guildScheduledEventUserAdd',
   GUILD_SCHEDULED_EVENT_USER_REMOVE: 'guildScheduledEventUserRemove',
+  SCHEDULED_MESSAGE_SEND: 'scheduledMessageSend',
+  SCHEDULED_MESSAGE_ERROR: 'scheduledMessageError',
 };
 
 /**
@@ -487,6 +491,28 @@ exports.InviteScopes = [
   'webhook.incoming',
 ];
 
+/**
+ * The severity of a {@link LogRecord}, from the least to the most severe:
+ * * `debug`
+ * * `info`
+ * * `warn`
+ * * `error`
+ * @typedef {string} LogLevel
+ */
+exports.LogLevels = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * The part of the library a {@link LogRecord} comes from:
+ * * `client` - the client itself and the structures it manages
+ * * `rest` - the requests to the API
+ * * `ws` - the WebSocketManager
+ * * `shard` - a WebSocketShard
+ * * `sweeper` - the sweepers of the caches
+ * * `sharding` - the ShardingManager and its shards
+ * @typedef {string} LogComponent
+ */
+exports.LogComponents = ['client', 'rest', 'ws', 'shard', 'sweeper', 'sharding'];
+
 /**
  * The behavior of expiring subscribers for Integrations. This can be:
  * * REMOVE_ROLE
@@ -1407,6 +1433,8 @@ function createEnum(keys) {
  * @property {Object<InteractionResponseType, number>} InteractionResponseTypes The type of an interaction response.
  * @property {Object<InteractionType, number>} InteractionTypes The type of an {@link Interaction} object.
  * @property {InviteScope[]} InviteScopes The scopes of an invite.
+ * @property {LogComponent[]} LogComponents The parts of the library a log record can come from.
+ * @property {LogLevel[]} LogLevels The severities of a log record, from the least to the most severe.
  * @property {Object<MembershipState, number>} MembershipStates The value set for a team members membership state.
  * @property {Object<MessageButtonStyle, number>} MessageButtonStyles The style of a message button.
  * @property {Object<MessageComponentType, number>} MessageComponentTypes The type of a message component.
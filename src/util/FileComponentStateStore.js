@@ -0,0 +1,57 @@
+'use strict';
+
+const path = require('node:path');
+const process = require('node:process');
+const ComponentStateStore = require('./ComponentStateStore');
+const JSONFile = require('./JSONFile');
+
+/**
+ * A component state store keeping the states in a JSON file.
+ * <info>The file is only created once a state is saved. Each change is merged into the file as it is on the disk,
+ * under a lock, so the file can be shared by several processes, such as the shards of a bot.</info>
+ * @extends {ComponentStateStore}
+ * @example
+ * const registry = new ComponentRegistry({ store: new FileComponentStateStore('./data/component-states.json') });
+ */
+class FileComponentStateStore extends ComponentStateStore {
+  /**
+   * @param {string} [file='component-states.json'] Path to the file to store the states in,
+   * relative to the current working directory
+   */
+  constructor(file = 'component-states.json') {
+    super();
+
+    /**
+     * The file the states are stored in
+     * @type {JSONFile}
+     * @private
+     */
+    this._file = new JSONFile(path.resolve(process.cwd(), file));
+  }
+
+  /**
+   * Absolute path to the file the states are stored in
+   * @type {string}
+   * @readonly
+   */
+  get file() {
+    return this._file.path;
+  }
+
+  async get(key) {
+    return this._file.read()[key];
+  }
+
+  async set(key, state) {
+    this._file.update(states => {
+      states[key] = state;
+      return true;
+    });
+  }
+
+  async delete(key) {
+    this._file.update(states => key in states && delete states[key]);
+  }
+}
+
+module.exports = FileComponentStateStore;
@@ -0,0 +1,63 @@
+'use strict';
+
+const path = require('node:path');
+const process = require('node:process');
+const JSONFile = require('./JSONFile');
+const ScheduleStore = require('./ScheduleStore');
+
+/**
+ * A schedule store keeping the scheduled messages in a JSON file.
+ * <info>The file is only created once a message is scheduled. Each change is merged into the file as it is on the
+ * disk, under a lock, so the messages scheduled by several processes, such as the shards of a bot, never overwrite
+ * each other.</info>
+ * <warn>Each process using the file sends all the messages in it, so a message scheduled by a shard is sent by every
+ * shard sharing the file. The tokens of the webhooks sending messages are saved in it in plain text.</warn>
+ * @extends {ScheduleStore}
+ * @example
+ * const client = new Client({
+ *   intents: [Intents.FLAGS.GUILDS],
+ *   scheduleStore: new FileScheduleStore('./data/scheduled-messages.json'),
+ * });
+ */
+class FileScheduleStore extends ScheduleStore {
+  /**
+   * @param {string} [file='scheduled-messages.json'] Path to the file to store the scheduled messages in,
+   * relative to the current working directory
+   */
+  constructor(file = 'scheduled-messages.json') {
+    super();
+
+    /**
+     * The file the scheduled messages are stored in
+     * @type {JSONFile}
+     * @private
+     */
+    this._file = new JSONFile(path.resolve(process.cwd(), file));
+  }
+
+  /**
+   * Absolute path to the file the scheduled messages are stored in
+   * @type {string}
+   * @readonly
+   */
+  get file() {
+    return this._file.path;
+  }
+
+  async list() {
+    return Object.values(this._file.read());
+  }
+
+  async set(id, message) {
+    this._file.update(messages => {
+      messages[id] = message;
+      return true;
+    });
+  }
+
+  async delete(id) {
+    this._file.update(messages => id in messages && delete messages[id]);
+  }
+}
+
+module.exports = FileScheduleStore;
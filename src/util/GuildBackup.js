@@ -0,0 +1,373 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { Collection } = require('@discordjs/collection');
+const DataResolver = require('./DataResolver');
+const { Error } = require('../errors');
+
+// The version of the backups created by this module, restoring newer backups is refused
+const version = 1;
+
+const mimeTypes = {
+  png: 'image/png',
+  gif: 'image/gif',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  json: 'application/json',
+};
+
+const stickerExtensions = {
+  PNG: 'png',
+  APNG: 'png',
+  LOTTIE: 'json',
+  GIF: 'gif',
+};
+
+/**
+ * Downloads an image and encodes it as a data URI.
+ * @param {?string} url The URL of the image
+ * @returns {Promise<?string>}
+ * @private
+ */
+async function download(url) {
+  if (!url) return null;
+  const buffer = await DataResolver.resolveFileAsBuffer(url);
+  const extension = new URL(url).pathname.split('.').pop();
+  return `data:${mimeTypes[extension] ?? 'application/octet-stream'};base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * Decodes a data URI to the data it contains.
+ * @param {string} uri The data URI
+ * @returns {Buffer}
+ * @private
+ */
+function decode(uri) {
+  return Buffer.from(uri.slice(uri.indexOf(',') + 1), 'base64');
+}
+
+/**
+ * The data of a guild backup, which can be stored as JSON. Images are encoded as data URIs.
+ * @typedef {Object} GuildBackupData
+ * @property {number} version The version of the backup format
+ * @property {number} createdTimestamp The time the backup was created at
+ * @property {Snowflake} id The id of the backed up guild, which is also the id of its `@everyone` role
+ * @property {Object} settings The settings of the guild, as used by {@link Guild#edit}, with the ids of the channels
+ * (`afkChannelId`, `systemChannelId`, `rulesChannelId` and `publicUpdatesChannelId`) instead of the channels
+ * @property {Object[]} roles The roles of the guild, from the lowest to the highest
+ * @property {Object[]} channels The channels of the guild except threads, with their permission overwrites,
+ * categories first
+ * @property {Object[]} emojis The emojis of the guild
+ * @property {Object[]} stickers The stickers of the guild
+ * @property {?Object} welcomeScreen The welcome screen of the guild, if it has one
+ */
+
+/**
+ * Options used to create a guild backup.
+ * @typedef {Object} GuildBackupOptions
+ * @property {boolean} [images=true] Whether to include the images of the guild, its roles, emojis and stickers.
+ * Emojis and stickers without images are not restored
+ */
+
+/**
+ * Options used to restore a guild backup.
+ * @typedef {Object} GuildBackupRestoreOptions
+ * @property {boolean} [clear=false] Whether to delete the channels, roles, emojis and stickers of the guild
+ * before restoring the backup
+ * @property {string} [reason] The reason for the changes, shown in the audit logs
+ */
+
+/**
+ * The structures created by restoring a guild backup, mapped by their ids in the backup.
+ * @typedef {Object} GuildBackupRestoreResult
+ * @property {Collection<Snowflake, Role>} roles The restored roles, including the `@everyone` role
+ * @property {Collection<Snowflake, GuildChannel>} channels The restored channels
+ * @property {Collection<Snowflake, GuildEmoji>} emojis The restored emojis
+ * @property {Collection<Snowflake, Sticker>} stickers The restored stickers
+ */
+
+/**
+ * Creates and restores snapshots of the structure of guilds: their settings, roles, channels with their permission
+ * overwrites, emojis, stickers and welcome screen. Unlike {@link GuildTemplate guild templates},
+ * backups include emojis and stickers.
+ * <info>Restoring a backup creates new roles and channels, the ids they had in the backup are remapped
+ * to the ids of the new ones in permission overwrites, emoji roles and the settings of the guild.
+ * Roles managed by integrations are not restored, and overwrites for them are left out.</info>
+ */
+class GuildBackup extends null {
+  /**
+   * Creates a backup of a guild.
+   * @param {Guild} guild The guild to back up
+   * @param {GuildBackupOptions} [options={}] Options for the backup
+   * @returns {Promise<GuildBackupData>}
+   */
+  static async create(guild, { images = true } = {}) {
+    const image = url => (images ? download(url) : null);
+    await Promise.all([guild.roles.fetch(), guild.channels.fetch(), guild.emojis.fetch(), guild.stickers.fetch()]);
+
+    let welcomeScreen = null;
+    if (guild.features.includes('WELCOME_SCREEN_ENABLED') || guild.features.includes('COMMUNITY')) {
+      const screen = await guild.fetchWelcomeScreen();
+      welcomeScreen = {
+        enabled: screen.enabled,
+        description: screen.description,
+        welcomeChannels: screen.welcomeChannels.map(welcomeChannel => ({
+          channelId: welcomeChannel.channelId,
+          description: welcomeChannel.description,
+          emojiId: welcomeChannel.emoji.id,
+          emojiName: welcomeChannel.emoji.name,
+        })),
+      };
+    }
+
+    const roles = [...guild.roles.cache.values()].sort((a, b) => a.comparePositionTo(b));
+    const channels = [...guild.channels.cache.filter(channel => !channel.isThread()).values()].sort(
+      (a, b) => (b.type === 'GUILD_CATEGORY') - (a.type === 'GUILD_CATEGORY') || a.rawPosition - b.rawPosition,
+    );
+
+    return {
+      version,
+      createdTimestamp: Date.now(),
+      id: guild.id,
+      settings: {
+        name: guild.name,
+        icon: await image(guild.iconURL({ format: 'png', dynamic: true })),
+        banner: await image(guild.bannerURL({ format: 'png' })),
+        splash: await image(guild.splashURL({ format: 'png' })),
+        discoverySplash: await image(guild.discoverySplashURL({ format: 'png' })),
+        description: guild.description,
+        verificationLevel: guild.verificationLevel,
+        explicitContentFilter: guild.explicitContentFilter,
+        defaultMessageNotifications: guild.defaultMessageNotifications,
+        afkChannelId: guild.afkChannelId,
+        afkTimeout: guild.afkTimeout,
+        systemChannelId: guild.systemChannelId,
+        systemChannelFlags: guild.systemChannelFlags.toArray(),
+        rulesChannelId: guild.rulesChannelId,
+        publicUpdatesChannelId: guild.publicUpdatesChannelId,
+        preferredLocale: guild.preferredLocale,
+        premiumProgressBarEnabled: guild.premiumProgressBarEnabled,
+      },
+      roles: await Promise.all(
+        roles.map(async role => ({
+          id: role.id,
+          name: role.name,
+          color: role.color,
+          hoist: role.hoist,
+          mentionable: role.mentionable,
+          permissions: role.permissions.bitfield.toString(),
+          position: role.rawPosition,
+          managed: role.managed,
+          icon: await image(role.iconURL({ format: 'png' })),
+          unicodeEmoji: role.unicodeEmoji,
+        })),
+      ),
+      channels: channels.map(channel => ({
+        id: channel.id,
+        type: channel.type,
+        name: channel.name,
+        parentId: channel.parentId,
+        position: channel.rawPosition,
+        topic: channel.topic ?? null,
+        nsfw: channel.nsfw ?? false,
+        rateLimitPerUser: channel.rateLimitPerUser ?? null,
+        bitrate: channel.bitrate ?? null,
+        userLimit: channel.userLimit ?? null,
+        rtcRegion: channel.rtcRegion ?? null,
+        permissionOverwrites: channel.permissionOverwrites.cache.map(overwrite => ({
+          id: overwrite.id,
+          type: overwrite.type,
+          allow: overwrite.allow.bitfield.toString(),
+          deny: overwrite.deny.bitfield.toString(),
+        })),
+      })),
+      emojis: await Promise.all(
+        guild.emojis.cache
+          .filter(emoji => !emoji.managed)
+          .map(async emoji => ({
+            id: emoji.id,
+            name: emoji.name,
+            animated: emoji.animated,
+            roles: [...emoji.roles.cache.keys()],
+            image: await image(emoji.url),
+          })),
+      ),
+      stickers: await Promise.all(
+        guild.stickers.cache.map(async sticker => ({
+          id: sticker.id,
+          name: sticker.name,
+          description: sticker.description,
+          tags: sticker.tags?.join(', ') ?? '',
+          format: sticker.format,
+          image: await image(sticker.url),
+        })),
+      ),
+      welcomeScreen,
+    };
+  }
+
+  /**
+   * Restores a backup into a guild, creating its roles, channels, emojis and stickers, then applying its settings
+   * and welcome screen.
+   * <warn>Settings that require a feature the guild does not have, such as its banner or its rules channel,
+   * are not restored. Announcement and stage channels are restored as text and voice channels
+   * in guilds without the `COMMUNITY` feature.</warn>
+   * @param {Guild} guild The guild to restore the backup into
+   * @param {GuildBackupData} data The backup to restore
+   * @param {GuildBackupRestoreOptions} [options={}] Options for the restore
+   * @returns {Promise<GuildBackupRestoreResult>}
+   */
+  static async restore(guild, data, { clear = false, reason } = {}) {
+    if (!(data?.version <= version)) throw new Error('GUILD_BACKUP_UNSUPPORTED_VERSION', data?.version);
+    const result = {
+      roles: new Collection(),
+      channels: new Collection(),
+      emojis: new Collection(),
+      stickers: new Collection(),
+    };
+    const has = feature => guild.features.includes(feature);
+    const community = has('COMMUNITY');
+    const { settings } = data;
+
+    /* eslint-disable no-await-in-loop */
+    if (clear) await this._clear(guild, reason);
+
+    // Settings referencing channels are applied once the channels exist
+    await guild.edit(
+      {
+        name: settings.name,
+        icon: settings.icon,
+        ...(has('BANNER') && { banner: settings.banner }),
+        ...(has('INVITE_SPLASH') && { splash: settings.splash }),
+        ...(has('DISCOVERABLE') && { discoverySplash: settings.discoverySplash }),
+        ...(community && { description: settings.description, preferredLocale: settings.preferredLocale }),
+        verificationLevel: settings.verificationLevel,
+        explicitContentFilter: settings.explicitContentFilter,
+        defaultMessageNotifications: settings.defaultMessageNotifications,
+        afkTimeout: settings.afkTimeout,
+        systemChannelFlags: settings.systemChannelFlags,
+        premiumProgressBarEnabled: settings.premiumProgressBarEnabled,
+      },
+      reason,
+    );
+
+    const everyone = data.roles.find(role => role.id === data.id);
+    if (everyone) {
+      await guild.roles.everyone.edit({ permissions: BigInt(everyone.permissions) }, reason);
+      result.roles.set(everyone.id, guild.roles.everyone);
+    }
+    // New roles are created right above @everyone, creating the highest first keeps them in order
+    const roles = data.roles.filter(role => role.id !== data.id && !role.managed).reverse();
+    for (const role of roles) {
+      const created = await guild.roles.create({
+        name: role.name,
+        color: role.color,
+        hoist: role.hoist,
+        mentionable: role.mentionable,
+        permissions: BigInt(role.permissions),
+        ...(has('ROLE_ICONS') && { icon: role.icon, unicodeEmoji: role.unicodeEmoji }),
+        reason,
+      });
+      result.roles.set(role.id, created);
+    }
+
+    for (const channel of data.channels) {
+      let { type } = channel;
+      if (!community && type === 'GUILD_NEWS') type = 'GUILD_TEXT';
+      if (!community && type === 'GUILD_STAGE_VOICE') type = 'GUILD_VOICE';
+      const created = await guild.channels.create(channel.name, {
+        type,
+        topic: channel.topic ?? undefined,
+        nsfw: channel.nsfw,
+        bitrate: channel.bitrate ? Math.min(channel.bitrate, guild.maximumBitrate) : undefined,
+        userLimit: channel.userLimit ?? undefined,
+        parent: result.channels.get(channel.parentId),
+        permissionOverwrites: channel.permissionOverwrites.flatMap(overwrite => {
+          const id = overwrite.type === 'role' ? result.roles.get(overwrite.id)?.id : overwrite.id;
+          if (!id) return [];
+          return [{ id, type: overwrite.type, allow: BigInt(overwrite.allow), deny: BigInt(overwrite.deny) }];
+        }),
+        position: channel.position,
+        rateLimitPerUser: channel.rateLimitPerUser ?? undefined,
+        rtcRegion: channel.rtcRegion ?? undefined,
+        reason,
+      });
+      result.channels.set(channel.id, created);
+    }
+
+    const channelId = id => result.channels.get(id)?.id ?? null;
+    await guild.edit(
+      {
+        afkChannel: channelId(settings.afkChannelId),
+        systemChannel: channelId(settings.systemChannelId),
+        ...(community && {
+          rulesChannel: channelId(settings.rulesChannelId),
+          publicUpdatesChannel: channelId(settings.publicUpdatesChannelId),
+        }),
+      },
+      reason,
+    );
+
+    for (const emoji of data.emojis) {
+      if (!emoji.image) continue;
+      const created = await guild.emojis.create(emoji.image, emoji.name, {
+        roles: emoji.roles.map(id => result.roles.get(id)?.id).filter(Boolean),
+        reason,
+      });
+      result.emojis.set(emoji.id, created);
+    }
+
+    for (const sticker of data.stickers) {
+      if (!sticker.image) continue;
+      const file = { attachment: decode(sticker.image), name: `sticker.${stickerExtensions[sticker.format] ?? 'png'}` };
+      const created = await guild.stickers.create(file, sticker.name, sticker.tags, {
+        description: sticker.description,
+        reason,
+      });
+      result.stickers.set(sticker.id, created);
+    }
+    /* eslint-enable no-await-in-loop */
+
+    if (community && data.welcomeScreen) {
+      await guild.editWelcomeScreen({
+        enabled: data.welcomeScreen.enabled,
+        description: data.welcomeScreen.description,
+        welcomeChannels: data.welcomeScreen.welcomeChannels
+          .filter(welcomeChannel => result.channels.has(welcomeChannel.channelId))
+          .map(welcomeChannel => ({
+            channel: result.channels.get(welcomeChannel.channelId),
+            description: welcomeChannel.description,
+            emoji: welcomeChannel.emojiId
+              ? result.emojis.get(welcomeChannel.emojiId)
+              : welcomeChannel.emojiName ?? undefined,
+          })),
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Deletes the channels, roles, emojis and stickers of a guild that the client can delete.
+   * @param {Guild} guild The guild to clear
+   * @param {string} [reason] The reason for the deletions
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _clear(guild, reason) {
+    await Promise.all([guild.roles.fetch(), guild.channels.fetch(), guild.emojis.fetch(), guild.stickers.fetch()]);
+    /* eslint-disable no-await-in-loop */
+    for (const channel of guild.channels.cache.filter(c => !c.isThread() && c.deletable).values()) {
+      await channel.delete(reason);
+    }
+    for (const role of guild.roles.cache.filter(r => r.id !== guild.id && r.editable && !r.managed).values()) {
+      await role.delete(reason);
+    }
+    for (const emoji of guild.emojis.cache.filter(e => !e.managed).values()) await emoji.delete(reason);
+    for (const sticker of guild.stickers.cache.values()) await sticker.delete(reason);
+    /* eslint-enable no-await-in-loop */
+  }
+}
+
+module.exports = GuildBackup;
@@ -0,0 +1,112 @@
+'use strict';
+
+const fs = require('node:fs');
+
+// How long a lock can be held before it is considered left behind by a process that exited
+const staleLockTime = 10_000;
+
+// Waited on to sleep synchronously while the lock is held by another process
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * A JSON file holding an object, used by the file stores.
+ * Every change is made synchronously, under a lock, to the object as it is on the disk, so the file can be shared by
+ * several processes, such as the shards of a bot, and the changes made right before a process exits are not lost.
+ * The file is written to a temporary file first, then renamed, so a process exiting while writing never corrupts it.
+ * @private
+ */
+class JSONFile {
+  /**
+   * @param {string} path Absolute path to the file
+   */
+  constructor(path) {
+    /**
+     * Absolute path to the file
+     * @type {string}
+     */
+    this.path = path;
+
+    /**
+     * The object last read from the file
+     * @type {?Object}
+     */
+    this._data = null;
+
+    /**
+     * The modification time and size of the file when it was last read, to know when to read it again
+     * @type {?string}
+     */
+    this._version = null;
+  }
+
+  /**
+   * Reads the object from the file, unless it did not change since it was last read.
+   * A missing or invalid file holds an empty object.
+   * @returns {Object}
+   */
+  read() {
+    let stats;
+    try {
+      stats = fs.statSync(this.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this._version = null;
+      return (this._data = {});
+    }
+
+    const version = `${stats.mtimeMs}:${stats.size}`;
+    if (this._data && this._version === version) return this._data;
+    try {
+      this._data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+      this._data = {};
+    }
+    this._version = version;
+    return this._data;
+  }
+
+  /**
+   * Changes the object in the file while holding its lock, so the changes of other processes are kept.
+   * @param {Function} change A function changing the object, returning whether it has to be written
+   */
+  update(change) {
+    const lock = `${this.path}.lock`;
+    acquireLock(lock);
+    try {
+      const data = this.read();
+      if (!change(data)) return;
+      this._version = null;
+      const temporary = `${this.path}.tmp`;
+      fs.writeFileSync(temporary, JSON.stringify(data));
+      fs.renameSync(temporary, this.path);
+    } finally {
+      fs.rmSync(lock, { force: true });
+    }
+  }
+}
+
+/**
+ * Creates a lock file, waiting for it to be removed if another process holds it.
+ * @param {string} lock Path to the lock file
+ * @private
+ */
+function acquireLock(lock) {
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, 'wx'));
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    try {
+      if (Date.now() - fs.statSync(lock).mtimeMs > staleLockTime) fs.rmSync(lock, { force: true });
+    } catch (error) {
+      // The lock was released in the meantime
+      if (error.code !== 'ENOENT') throw error;
+    }
+    Atomics.wait(sleeper, 0, 0, 10);
+  }
+}
+
+module.exports = JSONFile;
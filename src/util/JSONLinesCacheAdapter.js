@@ -0,0 +1,285 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const fs = require('node:fs');
+const path = require('node:path');
+const process = require('node:process');
+const readline = require('node:readline');
+const CacheAdapter = require('./CacheAdapter');
+
+/**
+ * A cache adapter appending its entries to a JSON-lines file, one `{ "key", "data" }` object per line.
+ * Only the position of each entry in the file is kept in memory, the data is read back from the file when needed.
+ * Updating or deleting an entry appends a new line, the file is rewritten without the outdated lines once
+ * they take up more than half of it (see {@link JSONLinesCacheAdapter#compact}).
+ * @extends {CacheAdapter}
+ * @example
+ * const client = new Client({
+ *   intents: [Intents.FLAGS.GUILDS, Intents.FLAGS.GUILD_MEMBERS],
+ *   makeCacheAdapter: manager => {
+ *     if (manager instanceof GuildMemberManager) return new JSONLinesCacheAdapter(`cache/${manager.guild.id}.jsonl`);
+ *     return null;
+ *   },
+ * });
+ */
+class JSONLinesCacheAdapter extends CacheAdapter {
+  /**
+   * @param {string} file Path to the file to store the entries in, relative to the current working directory
+   */
+  constructor(file) {
+    super();
+
+    /**
+     * Absolute path to the file the entries are stored in
+     * @type {string}
+     */
+    this.file = path.resolve(process.cwd(), file);
+
+    /**
+     * The position of the last line written for each entry, mapped by key
+     * @type {?Map<string, Object>}
+     * @private
+     */
+    this._index = null;
+
+    /**
+     * The open handle of the file
+     * @type {?FileHandle}
+     * @private
+     */
+    this._handle = null;
+
+    /**
+     * The size of the file, in bytes
+     * @type {number}
+     * @private
+     */
+    this._size = 0;
+
+    /**
+     * The amount of bytes taken by outdated lines
+     * @type {number}
+     * @private
+     */
+    this._stale = 0;
+
+    /**
+     * The last queued operation, operations run one at a time so lines are never interleaved
+     * @type {Promise<*>}
+     * @private
+     */
+    this._queue = Promise.resolve();
+  }
+
+  get(key) {
+    return this._enqueue(() => this._read(key));
+  }
+
+  set(key, data) {
+    return this._enqueue(async () => {
+      this._discard(key);
+      this._index.set(key, await this._append({ key, data }));
+      await this._compactIfNeeded();
+    });
+  }
+
+  delete(key) {
+    return this._enqueue(async () => {
+      if (!this._index.has(key)) return false;
+      this._discard(key);
+      this._index.delete(key);
+      const line = await this._append({ key, deleted: true });
+      this._stale += line.length;
+      await this._compactIfNeeded();
+      return true;
+    });
+  }
+
+  async *iterate() {
+    const keys = await this._enqueue(() => [...this._index.keys()]);
+    for (const key of keys) {
+      const data = await this.get(key); // eslint-disable-line no-await-in-loop
+      if (data !== null) yield [key, data];
+    }
+  }
+
+  clear() {
+    return this._enqueue(async () => {
+      await this._handle.truncate(0);
+      this._index.clear();
+      this._size = 0;
+      this._stale = 0;
+    });
+  }
+
+  /**
+   * Rewrites the file with only the current line of each entry.
+   * @returns {Promise<void>}
+   */
+  compact() {
+    return this._enqueue(() => this._compact());
+  }
+
+  /**
+   * Closes the file, it is opened again by the next operation.
+   * @returns {Promise<void>}
+   */
+  close() {
+    const result = this._queue.then(async () => {
+      if (!this._handle) return;
+      await this._handle.close();
+      this._handle = null;
+      this._index = null;
+    });
+    this._queue = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * Queues an operation, opening the file first if needed.
+   * @param {Function} operation The operation to run
+   * @returns {Promise<*>}
+   * @private
+   */
+  _enqueue(operation) {
+    const result = this._queue.then(async () => {
+      if (!this._handle) await this._open();
+      return operation();
+    });
+    this._queue = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * Opens the file and indexes the lines it contains.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _open() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const handle = await fs.promises.open(this.file, 'a+');
+    const index = new Map();
+    let offset = 0;
+    let stale = 0;
+    let last = 0;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(this.file) });
+    for await (const line of lines) {
+      const length = Buffer.byteLength(line) + 1;
+      last = length;
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        stale += length;
+      }
+      if (entry) {
+        if (index.has(entry.key)) stale += index.get(entry.key).length;
+        if (entry.deleted) {
+          index.delete(entry.key);
+          stale += length;
+        } else {
+          index.set(entry.key, { offset, length });
+        }
+      }
+      offset += length;
+    }
+
+    // A line without a newline was left half-written, drop it so the next line is not appended to it
+    const { size } = await handle.stat();
+    if (offset > size) {
+      offset -= last;
+      await handle.truncate(offset);
+    }
+
+    this._handle = handle;
+    this._index = index;
+    this._size = offset;
+    this._stale = stale;
+  }
+
+  /**
+   * Reads the data stored for a key.
+   * @param {string} key The key of the entry
+   * @returns {Promise<?Object>}
+   * @private
+   */
+  async _read(key) {
+    const position = this._index.get(key);
+    if (!position) return null;
+    const buffer = Buffer.alloc(position.length - 1);
+    await this._handle.read(buffer, 0, buffer.length, position.offset);
+    return JSON.parse(buffer.toString()).data;
+  }
+
+  /**
+   * Appends a line to the file.
+   * @param {Object} entry The entry to write on the line
+   * @returns {Promise<Object>} The position of the line
+   * @private
+   */
+  async _append(entry) {
+    const line = Buffer.from(`${JSON.stringify(entry)}\n`);
+    await this._handle.write(line);
+    const position = { offset: this._size, length: line.length };
+    this._size += line.length;
+    return position;
+  }
+
+  /**
+   * Marks the current line of a key as outdated.
+   * @param {string} key The key of the entry
+   * @private
+   */
+  _discard(key) {
+    const position = this._index.get(key);
+    if (position) this._stale += position.length;
+  }
+
+  /**
+   * Compacts the file if outdated lines take up more than half of it.
+   * @returns {Promise<void>}
+   * @private
+   */
+  _compactIfNeeded() {
+    return this._stale > 1_024 && this._stale * 2 > this._size ? this._compact() : Promise.resolve();
+  }
+
+  /**
+   * Rewrites the file with only the current line of each entry, going through a temporary file
+   * so it is never left half-written.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _compact() {
+    const temporary = `${this.file}.tmp`;
+    const output = await fs.promises.open(temporary, 'w');
+    const index = new Map();
+    let offset = 0;
+    try {
+      for (const [key, position] of this._index) {
+        const buffer = Buffer.alloc(position.length);
+        await this._handle.read(buffer, 0, buffer.length, position.offset); // eslint-disable-line no-await-in-loop
+        await output.write(buffer); // eslint-disable-line no-await-in-loop
+        index.set(key, { offset, length: position.length });
+        offset += position.length;
+      }
+    } finally {
+      await output.close();
+    }
+
+    await fs.promises.rename(temporary, this.file);
+    await this._handle.close();
+    this._handle = await fs.promises.open(this.file, 'a+');
+    this._index = index;
+    this._size = offset;
+    this._stale = 0;
+  }
+}
+
+module.exports = JSONLinesCacheAdapter;
+
+/**
+ * @external FileHandle
+ * @see {@link https://nodejs.org/api/fs.html#class-filehandle}
+ */
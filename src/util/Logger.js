@@ -0,0 +1,67 @@
+'use strict';
+
+const { Error } = require('../errors');
+
+/**
+ * A structured log record, passed to the {@link ClientOptions#logger} of a client.
+ * @typedef {Object} LogRecord
+ * @property {Date} timestamp The time the record was created at
+ * @property {LogLevel} level The severity of the record
+ * @property {LogComponent} component The part of the library the record comes from
+ * @property {?number} shardId The id of the shard the record is about, if any
+ * @property {string} message The human-readable message of the record
+ * @property {Object} fields The data attached to the record, such as a `route`, a `status`,
+ * a `sequence` or a close `code`
+ */
+
+/**
+ * Receives the structured log records of a client, set up by {@link ClientOptions#logger}.
+ * Extend this class to route the records to a logging library.
+ * <info>The records are still emitted as strings in the {@link Client#event:debug} event,
+ * formatted by {@link Logger.format}.</info>
+ * @abstract
+ * @example
+ * // Route the records to pino
+ * class PinoLogger extends Logger {
+ *   log({ level, component, shardId, message, fields }) {
+ *     pino[level]({ component, shardId, ...fields }, message);
+ *   }
+ * }
+ *
+ * const client = new Client({ intents: [Intents.FLAGS.GUILDS], logger: new PinoLogger() });
+ */
+class Logger {
+  /**
+   * Handles a log record.
+   * @param {LogRecord} record The record to handle
+   * @abstract
+   */
+  log() {
+    throw new Error('NOT_IMPLEMENTED', 'log', this.constructor.name);
+  }
+
+  /**
+   * Formats a log record into the string emitted in the {@link Client#event:debug} event.
+   * @param {LogRecord} record The record to format
+   * @returns {string}
+   * @example
+   * // Print the records like the debug event does
+   * class ConsoleLogger extends Logger {
+   *   log(record) {
+   *     console[record.level](Logger.format(record));
+   *   }
+   * }
+   */
+  static format(record) {
+    switch (record.component) {
+      case 'shard':
+        return `[WS => Shard ${record.shardId}] ${record.message}`;
+      case 'ws':
+        return `[WS => Manager] ${record.message}`;
+      default:
+        return record.message;
+    }
+  }
+}
+
+module.exports = Logger;
@@ -0,0 +1,36 @@
+'use strict';
+
+const ComponentStateStore = require('./ComponentStateStore');
+
+/**
+ * A component state store keeping the states in memory, they are lost when the process exits.
+ * @extends {ComponentStateStore}
+ * @example
+ * const registry = new ComponentRegistry({ store: new MemoryComponentStateStore() });
+ */
+class MemoryComponentStateStore extends ComponentStateStore {
+  constructor() {
+    super();
+
+    /**
+     * The states, mapped by their keys
+     * @type {Map<string, *>}
+     * @private
+     */
+    this._states = new Map();
+  }
+
+  async get(key) {
+    return this._states.get(key);
+  }
+
+  async set(key, state) {
+    this._states.set(key, state);
+  }
+
+  async delete(key) {
+    this._states.delete(key);
+  }
+}
+
+module.exports = MemoryComponentStateStore;
@@ -0,0 +1,39 @@
+'use strict';
+
+const ScheduleStore = require('./ScheduleStore');
+
+/**
+ * A schedule store keeping the scheduled messages in memory, they are lost when the process exits.
+ * @extends {ScheduleStore}
+ * @example
+ * const client = new Client({
+ *   intents: [Intents.FLAGS.GUILDS],
+ *   scheduleStore: new MemoryScheduleStore(),
+ * });
+ */
+class MemoryScheduleStore extends ScheduleStore {
+  constructor() {
+    super();
+
+    /**
+     * The scheduled messages, mapped by their ids
+     * @type {Map<string, ScheduledMessage>}
+     * @private
+     */
+    this._messages = new Map();
+  }
+
+  async list() {
+    return [...this._messages.values()];
+  }
+
+  async set(id, message) {
+    this._messages.set(id, message);
+  }
+
+  async delete(id) {
+    this._messages.delete(id);
+  }
+}
+
+module.exports = MemoryScheduleStore;
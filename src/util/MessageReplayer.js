@@ -0,0 +1,176 @@
+'use strict';
+
+const EventEmitter = require('node:events');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { SystemMessageTypes } = require('./Constants');
+const Util = require('./Util');
+const { Error, TypeError } = require('../errors');
+
+/**
+ * The progress of a {@link MessageReplayer}, which can be stored as JSON to resume the replay later.
+ * @typedef {Object} MessageReplayProgress
+ * @property {Object<Snowflake, ?Snowflake>} messages The ids of the replayed messages, mapped by the ids of the
+ * exported messages, `null` for the exported messages that had nothing that could be replayed
+ * @property {Object<Snowflake, Snowflake>} threads The ids of the recreated threads, mapped by the ids of the
+ * exported threads
+ */
+
+/**
+ * Options for a message replayer.
+ * @typedef {Object} MessageReplayerOptions
+ * @property {number} [interval=2_000] The time to wait between two messages, in milliseconds.
+ * Webhooks can send about 30 messages per minute to a channel before being rate limited
+ * @property {boolean} [files=true] Whether to upload the attachments of the messages again,
+ * they are otherwise left out
+ * @property {boolean} [threads] Whether to recreate the threads started from the messages,
+ * and replay the messages of those threads in them, defaults to `true` unless the webhook is a {@link WebhookClient}
+ * @property {MessageReplayProgress} [progress] The progress of a previous replay to resume
+ */
+
+/**
+ * Replays messages exported by a {@link ChannelExporter} into another channel through a webhook,
+ * keeping the names and avatars of their authors, their embeds, their files and the threads started from them.
+ * <info>The messages are sent without mentioning anyone. Recreating threads requires a webhook
+ * belonging to a {@link Client} that can create threads in the channel, a {@link WebhookClient} cannot.</info>
+ * <info>A replay that failed can be resumed by a new replayer created with the
+ * {@link MessageReplayer#progress progress} of the failed one and the same messages,
+ * the messages that were already replayed are skipped.</info>
+ * @extends {EventEmitter}
+ * @example
+ * const messages = fs.readFileSync('channel.jsonl', 'utf8').split('\n').filter(Boolean).map(JSON.parse);
+ * const webhook = await channel.createWebhook('Migration');
+ * const replayer = new MessageReplayer(webhook);
+ * try {
+ *   await replayer.replay(messages);
+ * } finally {
+ *   // Resume with `new MessageReplayer(webhook, { progress: JSON.parse(fs.readFileSync('progress.json')) })`
+ *   fs.writeFileSync('progress.json', JSON.stringify(replayer.progress));
+ * }
+ */
+class MessageReplayer extends EventEmitter {
+  /**
+   * @param {Webhook|WebhookClient} webhook The webhook to send the messages with
+   * @param {MessageReplayerOptions} [options={}] Options for the replayer
+   */
+  constructor(webhook, { interval = 2_000, files = true, threads, progress } = {}) {
+    super();
+
+    // Threads are created through the API with the token of a client, which a webhook client does not have
+    const WebhookClient = require('../client/WebhookClient');
+    const tokenless = webhook instanceof WebhookClient;
+    if (threads && tokenless) throw new TypeError('REPLAY_THREADS_WEBHOOK_CLIENT');
+
+    /**
+     * The webhook the messages are sent with
+     * @type {Webhook|WebhookClient}
+     */
+    this.webhook = webhook;
+
+    /**
+     * The time waited between two messages, in milliseconds
+     * @type {number}
+     */
+    this.interval = interval;
+
+    /**
+     * Whether the attachments of the messages are uploaded again
+     * @type {boolean}
+     */
+    this.files = files;
+
+    /**
+     * Whether the threads started from the messages are recreated
+     * @type {boolean}
+     */
+    this.threads = threads ?? !tokenless;
+
+    /**
+     * The progress of the replay
+     * @type {MessageReplayProgress}
+     */
+    this.progress = { messages: { ...progress?.messages }, threads: { ...progress?.threads } };
+  }
+
+  /**
+   * Replays messages, in the given order. Messages of exported threads are sent in the threads recreated from
+   * their starter messages, or in the channel if their thread was not recreated.
+   * @param {Iterable<ExportedMessage>|AsyncIterable<ExportedMessage>} messages The messages to replay,
+   * from oldest to newest
+   * @param {Object} [options={}] Options for the replay
+   * @param {AbortSignal} [options.signal] A signal to stop the replay with, it throws before the next message
+   * @returns {Promise<MessageReplayProgress>}
+   */
+  async replay(messages, { signal } = {}) {
+    let paced = false;
+    for await (const message of messages) {
+      if (signal?.aborted) throw new Error('REPLAY_ABORTED');
+
+      let id = this.progress.messages[message.id];
+      if (typeof id === 'undefined') {
+        if (paced) await sleep(this.interval); // eslint-disable-line no-await-in-loop
+        id = await this._send(message); // eslint-disable-line no-await-in-loop
+        paced = id !== null;
+        this.progress.messages[message.id] = id;
+
+        /**
+         * Emitted whenever an exported message is replayed, or skipped because it had nothing that can be replayed.
+         * @event MessageReplayer#message
+         * @param {ExportedMessage} message The exported message
+         * @param {?Snowflake} id The id of the message that was sent, `null` if the message was skipped
+         */
+        this.emit('message', message, id);
+      }
+
+      // Threads are also recreated for messages replayed before a failure happened
+      if (this.threads && message.thread && id && !this.progress.threads[message.thread.id]) {
+        const thread = await this.webhook.client.api // eslint-disable-line no-await-in-loop
+          .channels(this.webhook.channelId)
+          .messages(id)
+          .threads.post({ data: { name: message.thread.name ?? 'Thread' } });
+        this.progress.threads[message.thread.id] = thread.id;
+
+        /**
+         * Emitted whenever a thread is recreated.
+         * @event MessageReplayer#thread
+         * @param {ExportedMessage} message The exported message the thread started from
+         * @param {Snowflake} id The id of the recreated thread
+         */
+        this.emit('thread', message, thread.id);
+      }
+    }
+    return this.progress;
+  }
+
+  /**
+   * Sends an exported message with the webhook.
+   * @param {ExportedMessage} message The message to send
+   * @returns {Promise<?Snowflake>} The id of the last message that was sent, `null` if nothing was sent
+   * @private
+   */
+  async _send(message) {
+    if (SystemMessageTypes.includes(message.type)) return null;
+
+    // Link previews and other embeds generated by Discord are not sent again
+    const embeds = message.embeds.filter(embed => (embed.type ?? 'rich') === 'rich');
+    const files = this.files
+      ? message.attachments.map(attachment => ({ attachment: attachment.url, name: attachment.name ?? undefined }))
+      : [];
+    if (!message.content && !embeds.length && !files.length) return null;
+
+    const options = {
+      username: message.author.displayName.slice(0, 80) || 'Unknown',
+      avatarURL: message.author.avatarURL,
+      threadId: this.progress.threads[message.channelId],
+      allowedMentions: { parse: [] },
+    };
+    const contents = message.content ? Util.splitMessage(message.content, { char: ['\n', ' ', ''] }) : [''];
+    const last = contents.pop();
+    for (const content of contents) {
+      await this.webhook.send({ ...options, content }); // eslint-disable-line no-await-in-loop
+    }
+    const sent = await this.webhook.send({ ...options, content: last || undefined, embeds, files });
+    return sent.id;
+  }
+}
+
+module.exports = MessageReplayer;
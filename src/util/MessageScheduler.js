@@ -0,0 +1,261 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { clearTimeout, setTimeout } = require('node:timers');
+const { Collection } = require('@discordjs/collection');
+const { Events } = require('./Constants');
+const DataResolver = require('./DataResolver');
+const SnowflakeUtil = require('./SnowflakeUtil');
+const { Error, TypeError } = require('../errors');
+const MessagePayload = require('../structures/MessagePayload');
+const Webhook = require('../structures/Webhook');
+
+// Longer delays make timers fire right away, the next message is checked again once this delay is over
+const maxDelay = 2 ** 31 - 1;
+
+/**
+ * A file of a scheduled message.
+ * @typedef {Object} ScheduledMessageFile
+ * @property {string} name The name of the file
+ * @property {string} [key] The form field of the file
+ * @property {string} data The content of the file, encoded in base64
+ */
+
+/**
+ * A message waiting to be sent by a {@link MessageScheduler}, as saved in its {@link ScheduleStore}.
+ * @typedef {Object} ScheduledMessage
+ * @property {string} id The id of the scheduled message
+ * @property {number} timestamp The time the message is sent at
+ * @property {?Snowflake} channelId The id of the channel the message is sent in, if it is not sent by a webhook
+ * @property {?Snowflake} webhookId The id of the webhook the message is sent by
+ * @property {?string} webhookToken The token of the webhook the message is sent by
+ * @property {?Snowflake} threadId The id of the thread the webhook sends the message in
+ * @property {Object} body The body of the message, as sent to the API
+ * @property {ScheduledMessageFile[]} files The files of the message
+ */
+
+/**
+ * Sends messages at a later time, saving them in the {@link ClientOptions#scheduleStore} in the meantime.
+ * Messages are scheduled with {@link TextBasedChannel#schedule} or {@link Webhook#schedule}.
+ * <info>The scheduled messages saved by a previous process are loaded once the client is ready,
+ * the ones that are past due are sent right away.</info>
+ * <info>A message is deleted from the store right before it is sent, so it is never sent twice,
+ * and is not retried if sending it fails.</info>
+ */
+class MessageScheduler {
+  constructor(client) {
+    /**
+     * The client that instantiated this
+     * @name MessageScheduler#client
+     * @type {Client}
+     * @readonly
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    /**
+     * The scheduled messages, mapped by their ids, once they are loaded from the store
+     * @type {?Collection<string, ScheduledMessage>}
+     * @private
+     */
+    this._messages = null;
+
+    /**
+     * The promise loading the scheduled messages from the store
+     * @type {?Promise<Collection<string, ScheduledMessage>>}
+     * @private
+     */
+    this._loading = null;
+
+    /**
+     * The timeout sending the next scheduled messages
+     * @type {?Timeout}
+     * @private
+     */
+    this._timeout = null;
+  }
+
+  /**
+   * The store the scheduled messages are saved in
+   * @type {ScheduleStore}
+   * @readonly
+   */
+  get store() {
+    return this.client.options.scheduleStore;
+  }
+
+  /**
+   * Schedules a message to be sent in a channel or by a webhook.
+   * @param {TextBasedChannels|Webhook} target The channel to send the message in, or the webhook to send it with
+   * @param {string|MessagePayload|MessageOptions|WebhookMessageOptions} options The options of the message
+   * @param {DateResolvable} date The time to send the message at
+   * @returns {Promise<ScheduledMessage>}
+   */
+  async schedule(target, options, date) {
+    const timestamp = date instanceof Date ? date.getTime() : typeof date === 'string' ? Date.parse(date) : date;
+    if (!Number.isFinite(timestamp)) throw new TypeError('INVALID_TYPE', 'date', 'DateResolvable');
+
+    const payload = options instanceof MessagePayload ? options : MessagePayload.create(target, options);
+    const { isWebhook } = payload.resolveData();
+    if (isWebhook && !target.token) throw new Error('WEBHOOK_TOKEN_UNAVAILABLE');
+    const { data, files } = await payload.resolveFiles();
+
+    const message = {
+      id: SnowflakeUtil.generate(),
+      timestamp,
+      channelId: isWebhook ? null : target.id,
+      webhookId: isWebhook ? target.id : null,
+      webhookToken: isWebhook ? target.token : null,
+      threadId: (isWebhook && payload.options.threadId) || null,
+      body: data,
+      files: await Promise.all(
+        files.map(async file => ({
+          name: file.name,
+          key: file.key,
+          data: (await DataResolver.resolveFileAsBuffer(file.file)).toString('base64'),
+        })),
+      ),
+    };
+
+    const messages = await this._load();
+    await this.store.set(message.id, message);
+    messages.set(message.id, message);
+    this._arm();
+    return message;
+  }
+
+  /**
+   * Cancels a scheduled message.
+   * @param {string} id The id of the scheduled message
+   * @returns {Promise<boolean>} Whether the message was still scheduled
+   */
+  async cancel(id) {
+    const messages = await this._load();
+    if (!messages.delete(id)) return false;
+    await this.store.delete(id);
+    this._arm();
+    return true;
+  }
+
+  /**
+   * Lists the scheduled messages, from the soonest to the latest.
+   * @param {TextBasedChannels|Webhook|Snowflake} [target] Only list the messages sent in this channel or thread,
+   * or by this webhook
+   * @returns {Promise<Collection<string, ScheduledMessage>>}
+   * @example
+   * // List the reminders of a channel
+   * const scheduled = await client.scheduler.list(channel);
+   * console.log(scheduled.map(message => `<t:${Math.floor(message.timestamp / 1_000)}:R>`).join('\n'));
+   */
+  async list(target) {
+    const id = typeof target === 'string' ? target : target?.id;
+    const messages = await this._load();
+    return messages
+      .filter(message => !id || [message.channelId, message.webhookId, message.threadId].includes(id))
+      .sorted((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Loads the scheduled messages from the store and starts sending them when they are due.
+   * This is done by the client once it is ready.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this._load();
+    this._arm();
+  }
+
+  /**
+   * Stops sending the scheduled messages, they stay in the store.
+   */
+  destroy() {
+    clearTimeout(this._timeout);
+    this._timeout = null;
+  }
+
+  /**
+   * Loads the scheduled messages from the store, the first time they are needed.
+   * @returns {Promise<Collection<string, ScheduledMessage>>}
+   * @private
+   */
+  _load() {
+    this._loading ??= this.store.list().then(
+      messages => (this._messages = new Collection(messages.map(message => [message.id, message]))),
+      error => {
+        this._loading = null;
+        throw error;
+      },
+    );
+    return this._loading;
+  }
+
+  /**
+   * Sets the timeout sending the next scheduled messages.
+   * @private
+   */
+  _arm() {
+    clearTimeout(this._timeout);
+    this._timeout = null;
+    const next = this._messages.reduce((soonest, message) => Math.min(soonest, message.timestamp), Infinity);
+    if (next === Infinity) return;
+    const delay = Math.min(Math.max(next - Date.now(), 0), maxDelay);
+    this._timeout = setTimeout(() => this._flush(), delay).unref();
+  }
+
+  /**
+   * Sends the scheduled messages that are due.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _flush() {
+    this._timeout = null;
+    const now = Date.now();
+    const due = this._messages.filter(message => message.timestamp <= now).sorted((a, b) => a.timestamp - b.timestamp);
+    for (const message of due.values()) {
+      // The message may have been canceled, or sent by a flush that started earlier
+      if (!this._messages.delete(message.id)) continue;
+      try {
+        await this.store.delete(message.id); // eslint-disable-line no-await-in-loop
+        const sent = await this._send(message); // eslint-disable-line no-await-in-loop
+
+        /**
+         * Emitted whenever a scheduled message is sent.
+         * @event Client#scheduledMessageSend
+         * @param {ScheduledMessage} scheduledMessage The scheduled message
+         * @param {Message|APIMessage} message The message that was sent
+         */
+        this.client.emit(Events.SCHEDULED_MESSAGE_SEND, message, sent);
+      } catch (error) {
+        /**
+         * Emitted whenever a scheduled message fails to be sent, it is not retried.
+         * @event Client#scheduledMessageError
+         * @param {ScheduledMessage} scheduledMessage The scheduled message
+         * @param {Error} error The error that occurred
+         */
+        this.client.emit(Events.SCHEDULED_MESSAGE_ERROR, message, error);
+      }
+    }
+    if (!this._timeout) this._arm();
+  }
+
+  /**
+   * Sends a scheduled message.
+   * @param {ScheduledMessage} message The scheduled message
+   * @returns {Promise<Message|APIMessage>}
+   * @private
+   */
+  async _send(message) {
+    const target = message.webhookId
+      ? new Webhook(this.client, { id: message.webhookId, token: message.webhookToken })
+      : await this.client.channels.fetch(message.channelId, { allowUnknownGuild: true });
+    const payload = new MessagePayload(target, { threadId: message.threadId ?? undefined });
+    payload.data = message.body;
+    payload.files = message.files.map(file => ({
+      name: file.name,
+      key: file.key,
+      file: Buffer.from(file.data, 'base64'),
+    }));
+    return target.send(payload);
+  }
+}
+
+module.exports = MessageScheduler;
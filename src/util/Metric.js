@@ -0,0 +1,128 @@
+'use strict';
+
+const { Error } = require('../errors');
+
+/**
+ * The labels of a metric sample, mapped by their names.
+ * @typedef {Object<string, string|number|boolean>} MetricLabels
+ */
+
+/**
+ * A metric of a {@link ClientMetrics}, with a sample for each combination of labels.
+ * @abstract
+ */
+class Metric {
+  /**
+   * @param {string} name The name of the metric, in the Prometheus format
+   * @param {string} help The description of the metric
+   * @param {string[]} [labelNames=[]] The names of the labels of the metric
+   */
+  constructor(name, help, labelNames = []) {
+    /**
+     * The name of the metric, in the Prometheus format
+     * @type {string}
+     */
+    this.name = name;
+
+    /**
+     * The description of the metric
+     * @type {string}
+     */
+    this.help = help;
+
+    /**
+     * The names of the labels of the metric
+     * @type {string[]}
+     */
+    this.labelNames = labelNames;
+
+    /**
+     * The samples of the metric, mapped by their serialized labels
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this._samples = new Map();
+  }
+
+  /**
+   * Removes all the samples of the metric.
+   */
+  reset() {
+    this._samples.clear();
+  }
+
+  /**
+   * Serializes the metric to the Prometheus text format.
+   * @returns {string}
+   * @abstract
+   */
+  toPrometheus() {
+    throw new Error('NOT_IMPLEMENTED', 'toPrometheus', this.constructor.name);
+  }
+
+  /**
+   * Gets the sample of some labels, creating it the first time.
+   * @param {MetricLabels} labels The labels of the sample
+   * @returns {Object}
+   * @private
+   */
+  _sample(labels) {
+    const key = this._key(labels);
+    let sample = this._samples.get(key);
+    if (!sample) {
+      sample = { labels: Object.fromEntries(this.labelNames.map(name => [name, String(labels[name] ?? '')])) };
+      this._create(sample);
+      this._samples.set(key, sample);
+    }
+    return sample;
+  }
+
+  /**
+   * Sets the initial values of a new sample.
+   * @param {Object} sample The sample
+   * @private
+   * @abstract
+   */
+  _create() {
+    throw new Error('NOT_IMPLEMENTED', '_create', this.constructor.name);
+  }
+
+  /**
+   * Serializes labels to the key of their sample.
+   * @param {MetricLabels} labels The labels
+   * @returns {string}
+   * @private
+   */
+  _key(labels) {
+    return this.labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+  }
+
+  /**
+   * The `HELP` and `TYPE` lines of the metric in the Prometheus text format.
+   * @param {string} type The Prometheus type of the metric
+   * @returns {string[]}
+   * @private
+   */
+  _header(type) {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${type}`,
+    ];
+  }
+
+  /**
+   * Formats labels in the Prometheus text format, e.g. `{route="/gateway/bot"}`.
+   * @param {Object<string, string>} labels The labels
+   * @returns {string}
+   */
+  static formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    const formatted = entries.map(
+      ([name, value]) => `${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`,
+    );
+    return `{${formatted.join(',')}}`;
+  }
+}
+
+module.exports = Metric;
@@ -0,0 +1,41 @@
+'use strict';
+
+const Metric = require('./Metric');
+
+/**
+ * A counter only going up, such as an amount of requests.
+ * @extends {Metric}
+ */
+class MetricCounter extends Metric {
+  /**
+   * Increments the counter.
+   * @param {MetricLabels} [labels={}] The labels of the sample to increment
+   * @param {number} [value=1] The amount to increment by
+   */
+  inc(labels = {}, value = 1) {
+    this._sample(labels).value += value;
+  }
+
+  /**
+   * Gets the value of a sample of the counter.
+   * @param {MetricLabels} [labels={}] The labels of the sample
+   * @returns {number}
+   */
+  get(labels = {}) {
+    return this._samples.get(this._key(labels))?.value ?? 0;
+  }
+
+  toPrometheus() {
+    const lines = this._header('counter');
+    for (const { labels, value } of this._samples.values()) {
+      lines.push(`${this.name}${this.constructor.formatLabels(labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+
+  _create(sample) {
+    sample.value = 0;
+  }
+}
+
+module.exports = MetricCounter;
@@ -0,0 +1,41 @@
+'use strict';
+
+const Metric = require('./Metric');
+
+/**
+ * A gauge going up and down, such as the size of a cache.
+ * @extends {Metric}
+ */
+class MetricGauge extends Metric {
+  /**
+   * Sets the value of the gauge.
+   * @param {MetricLabels} labels The labels of the sample to set
+   * @param {number} value The value
+   */
+  set(labels, value) {
+    this._sample(labels).value = value;
+  }
+
+  /**
+   * Gets the value of a sample of the gauge.
+   * @param {MetricLabels} [labels={}] The labels of the sample
+   * @returns {number}
+   */
+  get(labels = {}) {
+    return this._samples.get(this._key(labels))?.value ?? 0;
+  }
+
+  toPrometheus() {
+    const lines = this._header('gauge');
+    for (const { labels, value } of this._samples.values()) {
+      lines.push(`${this.name}${this.constructor.formatLabels(labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+
+  _create(sample) {
+    sample.value = 0;
+  }
+}
+
+module.exports = MetricGauge;
@@ -0,0 +1,78 @@
+'use strict';
+
+const Metric = require('./Metric');
+
+// The default upper bounds of the buckets, in seconds, the same as the Prometheus clients
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * A histogram counting observations, such as durations, in buckets of upper bounds.
+ * @extends {Metric}
+ */
+class MetricHistogram extends Metric {
+  /**
+   * @param {string} name The name of the histogram, in the Prometheus format
+   * @param {string} help The description of the histogram
+   * @param {string[]} [labelNames=[]] The names of the labels of the histogram
+   * @param {number[]} [buckets] The upper bounds of the buckets, in ascending order,
+   * from 5 milliseconds to 10 seconds by default
+   */
+  constructor(name, help, labelNames = [], buckets = defaultBuckets) {
+    super(name, help, labelNames);
+
+    /**
+     * The upper bounds of the buckets, in ascending order
+     * @type {number[]}
+     */
+    this.buckets = buckets;
+  }
+
+  /**
+   * Records an observation.
+   * @param {MetricLabels} labels The labels of the sample to record the observation in
+   * @param {number} value The observed value
+   */
+  observe(labels, value) {
+    const sample = this._sample(labels);
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) sample.counts[index]++;
+    sample.sum += value;
+    sample.count++;
+  }
+
+  /**
+   * Gets the sum and the amount of the observations of a sample.
+   * @param {MetricLabels} [labels={}] The labels of the sample
+   * @returns {{ sum: number, count: number }}
+   */
+  get(labels = {}) {
+    const sample = this._samples.get(this._key(labels));
+    return { sum: sample?.sum ?? 0, count: sample?.count ?? 0 };
+  }
+
+  toPrometheus() {
+    const lines = this._header('histogram');
+    for (const { labels, counts, sum, count } of this._samples.values()) {
+      // Buckets are cumulative, each one counts the observations of the previous ones
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index];
+        lines.push(
+          `${this.name}_bucket${this.constructor.formatLabels({ ...labels, le: String(bound) })} ${cumulative}`,
+        );
+      });
+      lines.push(`${this.name}_bucket${this.constructor.formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${this.constructor.formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${this.constructor.formatLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+
+  _create(sample) {
+    sample.counts = this.buckets.map(() => 0);
+    sample.sum = 0;
+    sample.count = 0;
+  }
+}
+
+module.exports = MetricHistogram;
@@ -27,6 +27,18 @@ const process = require('node:process');
  * @returns {Collection} A Collection used to store the cache of the manager.
  */
 
+/**
+ * @typedef {Function} CacheAdapterFactory
+ * @param {CachedManager} manager The manager the adapter is being requested for.
+ * @returns {?CacheAdapter} The adapter persisting the entries of the manager, or `null` to only keep them in memory.
+ */
+
+/**
+ * @typedef {Function} RateLimitStoreFactory
+ * @param {BaseClient} client The client the store is being requested for.
+ * @returns {RateLimitStore} The store holding the rate limits of the client's REST manager.
+ */
+
 /**
  * Options for a client.
  * @typedef {Object} ClientOptions
@@ -42,6 +54,9 @@ const process = require('node:process');
  * You can use your own function, or the {@link Options} class to customize the Collection used for the cache.
  * <warn>Overriding the cache used in `GuildManager`, `ChannelManager`, `GuildChannelManager`, `RoleManager`,
  * and `PermissionOverwriteManager` is unsupported and **will** break functionality</warn>
+ * @property {CacheAdapterFactory} [makeCacheAdapter] Function to create the adapter persisting the entries of a
+ * manager, called with the manager the first time its adapter is needed (e.g. returning a
+ * {@link JSONLinesCacheAdapter}). If not specified, the entries are only kept in memory
  * @property {MessageMentionOptions} [allowedMentions] Default value for {@link MessageOptions#allowedMentions}
  * @property {number} [invalidRequestWarningInterval=0] The number of invalid REST requests (those that return
  * 401, 403, or 429) in a 10 minute window between emitted warnings (0 for no warnings). That is, if set to 500,
@@ -61,9 +76,16 @@ const process = require('node:process');
  * should be handled. If this option is an array containing the prefix of the request route (e.g. /channels to match any
  * route starting with /channels, such as /channels/222197033908436994/messages) or a function returning true, a
  * {@link RateLimitError} will be thrown. Otherwise the request will be queued for later
+ * @property {RateLimitStoreFactory} [makeRateLimitStore] Function to create the store holding the REST rate limits.
+ * If not specified, they are kept in memory. Use an {@link IPCRateLimitStore} to share them across all the shards of
+ * a {@link ShardingManager}
  * @property {number} [retryLimit=1] How many times to retry on 5XX errors
  * (Infinity for an indefinite amount of retries)
  * @property {boolean} [failIfNotExists=true] Default value for {@link ReplyMessageOptions#failIfNotExists}
+ * @property {boolean} [checkPermissions=false] Whether to check the cached permissions of the client user before
+ * deleting, pinning or reacting to messages, sending messages, creating threads and roles, and kicking or banning
+ * members, throwing a {@link MissingPermissionsError} instead of sending a request the API would reject.
+ * This avoids invalid requests, which can get the IP address of the bot banned (see `invalidRequestWarningInterval`)
  * @property {string[]} [userAgentSuffix] An array of additional bot info to be appended to the end of the required
  * [User Agent](https://discord.com/developers/docs/reference#user-agent) header
  * @property {PresenceData} [presence={}] Presence data to use upon login
@@ -71,6 +93,18 @@ const process = require('node:process');
  * @property {number} [waitGuildTimeout=15_000] Time in milliseconds that Clients with the GUILDS intent should wait for
  * missing guilds to be received before starting the bot. If not specified, the default is 15 seconds.
  * @property {SweeperOptions} [sweepers={}] Options for cache sweeping
+ * @property {?SessionStore} [sessionStore] Store to save the gateway sessions of the shards in, so they are resumed
+ * instead of identifying again after the process restarts (e.g. a {@link FileSessionStore})
+ * <warn>Resumed sessions do not receive the guilds again, the caches will be empty until they are
+ * filled by events or fetches</warn>
+ * @property {ScheduleStore} [scheduleStore=new MemoryScheduleStore()] Store to save the messages scheduled with
+ * {@link TextBasedChannel#schedule} and {@link Webhook#schedule} in. Use a persistent store such as a
+ * {@link FileScheduleStore} for them to still be sent after the process restarts
+ * @property {?string} [gatewayRecording] Path to a file to record the dispatches received by the shards to,
+ * relative to the current working directory. The recording is replayed with {@link Client#replay}
+ * <warn>Every spawned client rewrites the file when it logs in, use a different path for each process</warn>
+ * @property {?Logger} [logger] Logger to pass the structured log records of the client to, such as the requests
+ * to the API and the lifecycle of the shards
  * @property {WebsocketOptions} [ws] Options for the WebSocket
  * @property {HTTPOptions} [http] HTTP options
  */
@@ -116,6 +150,8 @@ const process = require('node:process');
  * @property {string} [template='https://discord.new'] Base URL of templates
  * @property {Object} [headers] Additional headers to send for all API requests
  * @property {string} [scheduledEvent='https://discord.com/events'] Base URL of guild scheduled events
+ * @property {boolean} [proxied=false] Whether `api` points to a {@link RESTProxy}, in which case requests are sent
+ * without the client's token and authorized by the proxy instead
  */
 
 /**
@@ -140,6 +176,8 @@ class Options extends null {
       restTimeOffset: 500,
       restSweepInterval: 60,
       failIfNotExists: true,
+      checkPermissions: false,
+      scheduleStore: new (require('./MemoryScheduleStore'))(),
       userAgentSuffix: [],
       presence: {},
       sweepers: {},
@@ -161,6 +199,7 @@ class Options extends null {
         invite: 'https://discord.gg',
         template: 'https://discord.new',
         scheduledEvent: 'https://discord.com/events',
+        proxied: false,
       },
     };
   }
@@ -0,0 +1,225 @@
+'use strict';
+
+const { OverwriteTypes } = require('./Constants');
+const Permissions = require('./Permissions');
+
+// Timed out members keep these permissions, and lose all the others
+const timeoutPermissions = Permissions.FLAGS.VIEW_CHANNEL | Permissions.FLAGS.READ_MESSAGE_HISTORY;
+
+/**
+ * The layer of a permission calculation a step of a {@link PermissionExplanation} is for. This can be:
+ * * `OWNER` - the member owns the guild, and has all the permissions
+ * * `EVERYONE_ROLE` - the permissions of the `@everyone` role
+ * * `ROLE` - the permissions of a role
+ * * `ADMINISTRATOR` - a role grants `ADMINISTRATOR`, which grants all the permissions
+ * * `EVERYONE_OVERWRITE` - the overwrite of the channel for the `@everyone` role
+ * * `ROLE_OVERWRITE` - the overwrite of the channel for a role
+ * * `MEMBER_OVERWRITE` - the overwrite of the channel for the member
+ * * `TIMEOUT` - the member is timed out, and only keeps `VIEW_CHANNEL` and `READ_MESSAGE_HISTORY`
+ * @typedef {string} PermissionExplanationLayer
+ */
+
+/**
+ * A step of a {@link PermissionExplanation}.
+ * @typedef {Object} PermissionExplanationStep
+ * @property {PermissionExplanationLayer} layer The layer of the step
+ * @property {?Snowflake} id The id of the role or member of the layer, `null` for the layers of neither
+ * @property {boolean} synced Whether the layer is an overwrite of a channel whose overwrites are synced with its
+ * category, which is where the overwrite has to be edited
+ * @property {Readonly<Permissions>} granted The permissions this step granted, that would otherwise be missing
+ * @property {Readonly<Permissions>} denied The permissions this step took away
+ * @property {Readonly<Permissions>} permissions The permissions after this step
+ */
+
+/**
+ * A step-by-step trace of a permission calculation.
+ * @typedef {Object} PermissionExplanation
+ * @property {Readonly<Permissions>} permissions The resulting permissions
+ * @property {PermissionExplanationStep[]} steps The layers of the calculation in the order they were applied,
+ * including the layers that did not change anything
+ * @property {Object<PermissionString, ?PermissionExplanationStep>} flags The last step that granted or denied each
+ * permission, which decided whether it is granted, `null` for the permissions no step granted
+ */
+
+/**
+ * The role data a permission calculation is made from. {@link Role}s can be used.
+ * @typedef {Object} PermissionExplainRoleData
+ * @property {Snowflake} id The id of the role
+ * @property {PermissionResolvable} permissions The permissions of the role
+ */
+
+/**
+ * The overwrite data a permission calculation is made from. {@link PermissionOverwrites} can be used.
+ * @typedef {Object} PermissionExplainOverwriteData
+ * @property {Snowflake} id The id of the role or member the overwrite is for
+ * @property {OverwriteType|number} type The type of the overwrite
+ * @property {PermissionResolvable} [allow] The permissions the overwrite allows
+ * @property {PermissionResolvable} [deny] The permissions the overwrite denies
+ */
+
+/**
+ * The data a permission calculation is made from.
+ * @typedef {Object} PermissionExplainData
+ * @property {Snowflake} guildId The id of the guild, which is also the id of its `@everyone` role
+ * @property {Snowflake} [ownerId] The id of the owner of the guild
+ * @property {Snowflake} [memberId] The id of the member whose permissions are calculated,
+ * leave it out to calculate the permissions of roles alone
+ * @property {PermissionExplainRoleData[]} roles The roles of the member, including the `@everyone` role
+ * @property {PermissionExplainOverwriteData[]} [overwrites] The overwrites of the channel,
+ * leave them out to calculate the permissions in the guild
+ * @property {PermissionExplainOverwriteData[]} [parentOverwrites] The overwrites of the category of the channel
+ * @property {DateResolvable} [communicationDisabledUntil] When the timeout of the member ends
+ */
+
+/**
+ * Explains permission calculations, telling which layer granted or denied each permission.
+ */
+class PermissionExplainer extends null {
+  /**
+   * Calculates permissions from raw data, and explains the calculation step by step.
+   * <info>This works without any cached structure, see {@link GuildChannel#explainPermissionsFor} and
+   * {@link GuildMember#explainPermissions} to explain the permissions of cached members and roles.</info>
+   * @param {PermissionExplainData} data The data to calculate the permissions from
+   * @param {boolean} [checkAdmin=true] Whether owning the guild or having `ADMINISTRATOR` grants all the permissions
+   * @returns {PermissionExplanation}
+   * @example
+   * // Tell which step blocks a member from sending messages, from raw API data
+   * const { flags } = PermissionExplainer.explain({
+   *   guildId: guild.id,
+   *   ownerId: guild.owner_id,
+   *   memberId: member.user.id,
+   *   roles: guild.roles.filter(role => role.id === guild.id || member.roles.includes(role.id)),
+   *   overwrites: channel.permission_overwrites,
+   *   communicationDisabledUntil: member.communication_disabled_until,
+   * });
+   * const step = flags.SEND_MESSAGES;
+   * if (!step) console.log('No role grants SEND_MESSAGES');
+   * else if (step.denied.has('SEND_MESSAGES', false)) console.log(`Denied by the ${step.layer} layer of ${step.id}`);
+   */
+  static explain(
+    { guildId, ownerId, memberId, roles, overwrites, parentOverwrites, communicationDisabledUntil },
+    checkAdmin = true,
+  ) {
+    const steps = [];
+    let permissions = Permissions.defaultBit;
+    const addStep = (layer, id, granted, denied, synced = false) => {
+      permissions = (permissions & ~denied) | granted;
+      steps.push({
+        layer,
+        id,
+        synced,
+        granted: new Permissions(granted).freeze(),
+        denied: new Permissions(denied).freeze(),
+        permissions: new Permissions(permissions).freeze(),
+      });
+    };
+
+    const isOwner = Boolean(memberId) && memberId === ownerId;
+    if (checkAdmin && isOwner) {
+      addStep('OWNER', memberId, Permissions.ALL, Permissions.defaultBit);
+      return this._finish(steps, permissions);
+    }
+
+    const everyone = roles.find(role => role.id === guildId);
+    if (everyone) {
+      addStep('EVERYONE_ROLE', everyone.id, Permissions.resolve(everyone.permissions), Permissions.defaultBit);
+    }
+    for (const role of roles) {
+      if (role === everyone) continue;
+      addStep('ROLE', role.id, Permissions.resolve(role.permissions) & ~permissions, Permissions.defaultBit);
+    }
+
+    const isAdmin = (permissions & Permissions.FLAGS.ADMINISTRATOR) === Permissions.FLAGS.ADMINISTRATOR;
+    if (checkAdmin && isAdmin) {
+      addStep('ADMINISTRATOR', null, Permissions.ALL & ~permissions, Permissions.defaultBit);
+      return this._finish(steps, permissions);
+    }
+
+    if (overwrites) {
+      const synced = Boolean(parentOverwrites) && this._synced(overwrites, parentOverwrites);
+      const roleIds = new Set(roles.map(role => role.id));
+      const isMember = overwrite => overwrite.type === 'member' || overwrite.type === OverwriteTypes.member;
+      const groups = [
+        ['EVERYONE_OVERWRITE', overwrites.filter(overwrite => overwrite.id === guildId)],
+        [
+          'ROLE_OVERWRITE',
+          overwrites.filter(overwrite => overwrite.id !== guildId && !isMember(overwrite) && roleIds.has(overwrite.id)),
+        ],
+        ['MEMBER_OVERWRITE', memberId ? overwrites.filter(overwrite => overwrite.id === memberId) : []],
+      ];
+
+      // The overwrites of a layer deny their permissions together, then allow theirs together
+      for (const [layer, group] of groups) {
+        const allows = group.map(overwrite => Permissions.resolve(overwrite.allow ?? Permissions.defaultBit));
+        const denies = group.map(overwrite => Permissions.resolve(overwrite.deny ?? Permissions.defaultBit));
+        const allowed = allows.reduce((bits, allow) => bits | allow, Permissions.defaultBit);
+        const remaining = denies.reduce((bits, deny) => bits & ~deny, permissions);
+        let deniedBefore = Permissions.defaultBit;
+        let grantedBefore = Permissions.defaultBit;
+        group.forEach((overwrite, i) => {
+          const denied = permissions & denies[i] & ~allowed & ~deniedBefore;
+          const granted = allows[i] & ~remaining & ~grantedBefore;
+          deniedBefore |= denied;
+          grantedBefore |= granted;
+          addStep(layer, overwrite.id, granted, denied, synced);
+        });
+      }
+    }
+
+    const timedOut = communicationDisabledUntil && new Date(communicationDisabledUntil).getTime() > Date.now();
+    if (memberId && timedOut && !isOwner && !isAdmin) {
+      addStep('TIMEOUT', memberId, Permissions.defaultBit, permissions & ~timeoutPermissions);
+    }
+
+    return this._finish(steps, permissions);
+  }
+
+  /**
+   * Creates the explanation of a calculation from its steps.
+   * @param {PermissionExplanationStep[]} steps The steps of the calculation
+   * @param {bigint} permissions The resulting permissions
+   * @returns {PermissionExplanation}
+   * @private
+   */
+  static _finish(steps, permissions) {
+    const flags = {};
+    for (const [flag, bit] of Object.entries(Permissions.FLAGS)) {
+      flags[flag] = null;
+      for (const step of steps) {
+        if (step.granted.has(bit, false) || step.denied.has(bit, false)) flags[flag] = step;
+      }
+    }
+    return { permissions: new Permissions(permissions).freeze(), steps, flags };
+  }
+
+  /**
+   * Checks whether the overwrites of a channel are synced with the overwrites of its category,
+   * the same way as {@link GuildChannel#permissionsLocked}.
+   * @param {PermissionExplainOverwriteData[]} overwrites The overwrites of the channel
+   * @param {PermissionExplainOverwriteData[]} parentOverwrites The overwrites of the category
+   * @returns {boolean}
+   * @private
+   */
+  static _synced(overwrites, parentOverwrites) {
+    const resolve = list =>
+      new Map(
+        list.map(overwrite => [
+          overwrite.id,
+          [
+            Permissions.resolve(overwrite.allow ?? Permissions.defaultBit),
+            Permissions.resolve(overwrite.deny ?? Permissions.defaultBit),
+          ],
+        ]),
+      );
+    const channel = resolve(overwrites);
+    const parent = resolve(parentOverwrites);
+    const empty = [Permissions.defaultBit, Permissions.defaultBit];
+    return [...new Set([...channel.keys(), ...parent.keys()])].every(id => {
+      const [allow, deny] = channel.get(id) ?? empty;
+      const [parentAllow, parentDeny] = parent.get(id) ?? empty;
+      return allow === parentAllow && deny === parentDeny;
+    });
+  }
+}
+
+module.exports = PermissionExplainer;
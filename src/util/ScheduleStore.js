@@ -0,0 +1,43 @@
+'use strict';
+
+const { Error } = require('../errors');
+
+/**
+ * Saves the messages scheduled by a {@link MessageScheduler}, so they are still sent after the process restarts.
+ * Extend this class and implement its methods to store the messages anywhere, or use {@link FileScheduleStore}
+ * or {@link MemoryScheduleStore}.
+ * @abstract
+ */
+class ScheduleStore {
+  /**
+   * Loads all the scheduled messages.
+   * @returns {Promise<ScheduledMessage[]>}
+   * @abstract
+   */
+  list() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'list', this.constructor.name));
+  }
+
+  /**
+   * Saves a scheduled message.
+   * @param {string} id The id of the scheduled message
+   * @param {ScheduledMessage} message The scheduled message to save
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  set() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'set', this.constructor.name));
+  }
+
+  /**
+   * Deletes a scheduled message, once it is sent or canceled.
+   * @param {string} id The id of the scheduled message
+   * @returns {Promise<void>}
+   * @abstract
+   */
+  delete() {
+    return Promise.reject(new Error('NOT_IMPLEMENTED', 'delete', this.constructor.name));
+  }
+}
+
+module.exports = ScheduleStore;
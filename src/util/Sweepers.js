@@ -70,9 +70,9 @@ class Sweepers {
 
     const globalCommands = this.client.application?.commands.cache.sweep(filter) ?? 0;
 
-    this.client.emit(
-      Events.CACHE_SWEEP,
+    this._emitSweep(
       `Swept ${globalCommands} global application commands and ${guildCommands} guild commands in ${guilds} guilds.`,
+      { key: 'applicationCommands', items: globalCommands + guildCommands, guilds },
     );
     return guildCommands + globalCommands;
   }
@@ -141,7 +141,11 @@ class Sweepers {
       channels++;
       messages += channel.messages.cache.sweep(filter);
     }
-    this.client.emit(Events.CACHE_SWEEP, `Swept ${messages} messages in ${channels} text-based channels.`);
+    this._emitSweep(`Swept ${messages} messages in ${channels} text-based channels.`, {
+      key: 'messages',
+      items: messages,
+      channels,
+    });
     return messages;
   }
 
@@ -176,10 +180,12 @@ class Sweepers {
         reactions += message.reactions.cache.sweep(filter);
       }
     }
-    this.client.emit(
-      Events.CACHE_SWEEP,
-      `Swept ${reactions} reactions on ${messages} messages in ${channels} text-based channels.`,
-    );
+    this._emitSweep(`Swept ${reactions} reactions on ${messages} messages in ${channels} text-based channels.`, {
+      key: 'reactions',
+      items: reactions,
+      messages,
+      channels,
+    });
     return reactions;
   }
 
@@ -219,7 +225,11 @@ class Sweepers {
       threads++;
       members += channel.members.cache.sweep(filter);
     }
-    this.client.emit(Events.CACHE_SWEEP, `Swept ${members} thread members in ${threads} threads.`);
+    this._emitSweep(`Swept ${members} thread members in ${threads} threads.`, {
+      key: 'threadMembers',
+      items: members,
+      threads,
+    });
     return members;
   }
 
@@ -250,7 +260,7 @@ class Sweepers {
         this.client.channels._remove(key);
       }
     }
-    this.client.emit(Events.CACHE_SWEEP, `Swept ${threads} threads.`);
+    this._emitSweep(`Swept ${threads} threads.`, { key: 'threads', items: threads });
     return threads;
   }
 
@@ -266,7 +276,7 @@ class Sweepers {
 
     const users = this.client.users.cache.sweep(filter);
 
-    this.client.emit(Events.CACHE_SWEEP, `Swept ${users} users.`);
+    this._emitSweep(`Swept ${users} users.`, { key: 'users', items: users });
 
     return users;
   }
@@ -404,12 +414,23 @@ class Sweepers {
     }
 
     if (emit) {
-      this.client.emit(Events.CACHE_SWEEP, `Swept ${items} ${outputName ?? key} in ${guilds} guilds.`);
+      this._emitSweep(`Swept ${items} ${outputName ?? key} in ${guilds} guilds.`, { key, items, guilds });
     }
 
     return { guilds, items };
   }
 
+  /**
+   * Emits the `cacheSweep` event of the client and logs the sweep.
+   * @param {string} message The message of the event
+   * @param {Object} fields The data attached to the log record, such as the `key` and amount of `items` swept
+   * @private
+   */
+  _emitSweep(message, fields) {
+    this.client.emit(Events.CACHE_SWEEP, message);
+    this.client.log('debug', 'sweeper', message, fields);
+  }
+
   /**
    * Validates a set of properties
    * @param {string} key Key of the options object to check
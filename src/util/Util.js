@@ -570,6 +570,43 @@ class Util extends null {
     if (features.includes('THREE_DAY_THREAD_ARCHIVE')) return 4320;
     return 1440;
   }
+
+  /**
+   * Options used to iterate over paginated data.
+   * @typedef {Object} BaseIterateOptions
+   * @property {number} [limit=Infinity] The maximum number of items to return
+   * @property {boolean} [cache=true] Whether to cache the fetched items
+   * @property {AbortSignal} [signal] A signal to stop the iteration with,
+   * the iteration then throws before fetching the next page or returning the next item
+   */
+
+  /**
+   * Walks through the pages of a paginated API endpoint, one request at a time.
+   * @param {Object} options The options for the pagination
+   * @param {Function} options.fetchPage Fetches a page, called with the cursor and the size of the page,
+   * resolves with the items of the page
+   * @param {Function} options.getCursor Gets the cursor of the next page from the last item of a page
+   * @param {*} [options.cursor] The cursor of the first page
+   * @param {number} options.pageSize The maximum size of a page
+   * @param {number} [options.limit=Infinity] The maximum number of items to return
+   * @param {AbortSignal} [options.signal] A signal to stop the iteration with
+   * @returns {AsyncGenerator<*>}
+   * @private
+   */
+  static async *paginate({ fetchPage, getCursor, cursor, pageSize, limit = Infinity, signal }) {
+    while (limit > 0) {
+      if (signal?.aborted) throw new DiscordError('ITERATION_ABORTED');
+      const size = Math.min(limit, pageSize);
+      const items = await fetchPage(cursor, size); // eslint-disable-line no-await-in-loop
+      for (const item of items.slice(0, size)) {
+        if (signal?.aborted) throw new DiscordError('ITERATION_ABORTED');
+        yield item;
+        limit--;
+      }
+      if (items.length < size) return;
+      cursor = getCursor(items.at(-1));
+    }
+  }
 }
 
 module.exports = Util;
@@ -34,6 +34,9 @@ import {
   APIChannel,
   APIEmbed,
   APIEmoji,
+  APIGuild,
+  APIGuildMember,
+  APIInteraction,
   APIInteractionDataResolvedChannel,
   APIInteractionDataResolvedGuildMember,
   APIInteractionGuildMember,
@@ -59,10 +62,14 @@ import {
   LocaleString,
 } from 'discord-api-types/v9';
 import { ChildProcess } from 'node:child_process';
+import { KeyObject } from 'node:crypto';
 import { EventEmitter } from 'node:events';
+import { WriteStream } from 'node:fs';
+import { FileHandle } from 'node:fs/promises';
+import { IncomingMessage, Server, ServerResponse } from 'node:http';
 import { AgentOptions } from 'node:https';
 import { Response } from 'node-fetch';
-import { Stream } from 'node:stream';
+import { Stream, Writable } from 'node:stream';
 import { MessagePort, Worker } from 'node:worker_threads';
 import * as WebSocket from 'ws';
 import {
@@ -294,6 +301,7 @@ export class BaseClient extends EventEmitter {
   private rest: unknown;
   private decrementMaxListeners(): void;
   private incrementMaxListeners(): void;
+  private log(level: LogLevel, component: LogComponent, message: string, fields?: Record<string, unknown>): void;
 
   public on<K extends keyof BaseClientEvents>(
     event: K,
@@ -569,6 +577,8 @@ export class Client<Ready extends boolean = boolean> extends BaseClient {
   public readyAt: If<Ready, Date>;
   public readonly readyTimestamp: If<Ready, number>;
   public sweepers: Sweepers;
+  public scheduler: MessageScheduler;
+  public metrics: ClientMetrics;
   public shard: ShardClientUtil | null;
   public token: If<Ready, string, string | null>;
   public uptime: If<Ready, number>;
@@ -587,6 +597,7 @@ export class Client<Ready extends boolean = boolean> extends BaseClient {
   public fetchGuildWidget(guild: GuildResolvable): Promise<Widget>;
   public generateInvite(options?: InviteGenerationOptions): string;
   public login(token?: string): Promise<string>;
+  public replay(file: string, options?: GatewayReplayOptions): Promise<void>;
   public isReady(): this is Client<true>;
   public sweepMessages(lifetime?: number): number;
   public toJSON(): unknown;
@@ -632,6 +643,22 @@ export class ClientApplication extends Application {
   public fetch(): Promise<ClientApplication>;
 }
 
+export class ClientMetrics {
+  private constructor(client: Client);
+  public readonly client: Client;
+  public restRequestDuration: MetricHistogram;
+  public restRateLimits: MetricCounter;
+  public restRetries: MetricCounter;
+  public gatewayHeartbeatLatency: MetricHistogram;
+  public gatewayReconnects: MetricCounter;
+  public gatewayEvents: MetricCounter;
+  public cacheSize: MetricGauge;
+  public cacheSizes(): Collection<string, number>;
+  public toPrometheus(): string;
+  public reset(): void;
+  public static routeLabel(route: string): string;
+}
+
 export class ClientPresence extends Presence {
   private constructor(client: Client, data: RawPresenceData);
   private _parse(data: PresenceData): RawPresenceData;
@@ -761,6 +788,41 @@ export class AutocompleteInteraction<Cached extends CacheType = CacheType> exten
   public respond(options: ApplicationCommandOptionChoiceData[]): Promise<void>;
 }
 
+export class CommandRouter extends EventEmitter {
+  public constructor();
+  private _commands: Collection<string, CommandRouterCommandData>;
+  private _components: { customId: string | RegExp; run: CommandRouterCustomIdHandler<MessageComponentInteraction> }[];
+  private _modals: { customId: string | RegExp; run: CommandRouterCustomIdHandler<ModalSubmitInteraction> }[];
+  private _resolveCommand(
+    interaction: CommandInteraction | ContextMenuInteraction | AutocompleteInteraction,
+  ): CommandRouterCommandData | CommandRouterOptionData | null;
+  private _addCustomIdRoute(routes: unknown[], customId: string | RegExp, run: CommandRouterCustomIdHandler): void;
+  public command(data: CommandRouterCommandData): this;
+  public component(customId: string | RegExp, run: CommandRouterCustomIdHandler<MessageComponentInteraction>): this;
+  public modal(customId: string | RegExp, run: CommandRouterCustomIdHandler<ModalSubmitInteraction>): this;
+  public handle(interaction: Interaction): Promise<boolean>;
+  public listen(client: Client): this;
+  public toJSON(): RESTPostAPIApplicationCommandsJSONBody[];
+
+  public on(event: 'error', listener: (error: Error, interaction: Interaction) => Awaitable<void>): this;
+  public once(event: 'error', listener: (error: Error, interaction: Interaction) => Awaitable<void>): this;
+}
+
+export class ComponentRegistry extends EventEmitter {
+  public constructor(options?: ComponentRegistryOptions);
+  public handlers: Collection<string, ComponentHandler>;
+  public store: ComponentStateStore | null;
+  public register<State = any>(name: string, run: ComponentHandler<State>): this;
+  public customId(name: string, state?: unknown): Promise<string>;
+  public decode(customId: string): Promise<DecodedCustomId | null>;
+  public release(customId: string): Promise<void>;
+  public handle(interaction: Interaction): Promise<boolean>;
+  public listen(client: Client): this;
+
+  public on(event: 'error', listener: (error: Error, interaction: Interaction) => Awaitable<void>): this;
+  public once(event: 'error', listener: (error: Error, interaction: Interaction) => Awaitable<void>): this;
+}
+
 export class CommandInteractionOptionResolver<Cached extends CacheType = CacheType> {
   private constructor(client: Client, options: CommandInteractionOption[], resolved: CommandInteractionResolvedData);
   public readonly client: Client;
@@ -822,6 +884,7 @@ export class CommandInteractionOptionResolver<Cached extends CacheType = CacheTy
     name: string,
     required?: boolean,
   ): NonNullable<CommandInteractionOption<Cached>['attachment']> | null;
+  public parse<Schema extends OptionSchema>(schema: Schema): ParsedOptions<Schema, Cached>;
 }
 
 export class ContextMenuInteraction<Cached extends CacheType = CacheType> extends BaseCommandInteraction<Cached> {
@@ -865,6 +928,7 @@ export class DiscordAPIError extends Error {
   public method: string;
   public path: string;
   public httpStatus: number;
+  public rawError: unknown;
   public requestData: HTTPErrorData;
 }
 
@@ -896,6 +960,7 @@ export class Guild extends AnonymousGuild {
   private constructor(client: Client, data: RawGuildData);
   private _sortedRoles(): Collection<Snowflake, Role>;
   private _sortedChannels(channel: NonThreadGuildBasedChannel): Collection<Snowflake, NonThreadGuildBasedChannel>;
+  private _checkPermissions(permissions: PermissionResolvable, channel?: GuildChannel | ThreadChannel): void;
 
   public readonly afkChannel: VoiceChannel | null;
   public afkChannelId: Snowflake | null;
@@ -947,6 +1012,7 @@ export class Guild extends AnonymousGuild {
   public widgetChannelId: Snowflake | null;
   public widgetEnabled: boolean | null;
   public readonly maximumBitrate: number;
+  public backup(options?: GuildBackupOptions): Promise<GuildBackupData>;
   public createTemplate(name: string, description?: string): Promise<GuildTemplate>;
   public delete(): Promise<Guild>;
   public discoverySplashURL(options?: StaticImageURLOptions): string | null;
@@ -956,6 +1022,12 @@ export class Guild extends AnonymousGuild {
   public fetchAuditLogs<T extends GuildAuditLogsResolvable = 'ALL'>(
     options?: GuildAuditLogsFetchOptions<T>,
   ): Promise<GuildAuditLogs<T>>;
+  public iterateAuditLogs<T extends GuildAuditLogsResolvable = 'ALL'>(
+    options?: GuildAuditLogsIterateOptions<T>,
+  ): AsyncGenerator<GuildAuditLogsEntry<T>, void, undefined>;
+  public watchAuditLogs<T extends GuildAuditLogsResolvable = 'ALL'>(
+    options?: GuildAuditLogsWatcherOptions<T>,
+  ): GuildAuditLogsWatcher<T>;
   public fetchIntegrations(): Promise<Collection<Snowflake | string, Integration>>;
   public fetchOwner(options?: BaseFetchOptions): Promise<GuildMember>;
   public fetchPreview(): Promise<GuildPreview>;
@@ -966,6 +1038,7 @@ export class Guild extends AnonymousGuild {
   public fetchWidget(): Promise<Widget>;
   public fetchWidgetSettings(): Promise<GuildWidgetSettings>;
   public leave(): Promise<Guild>;
+  public restoreBackup(data: GuildBackupData, options?: GuildBackupRestoreOptions): Promise<GuildBackupRestoreResult>;
   public toJSON(): unknown;
 }
 
@@ -1016,6 +1089,28 @@ export class GuildAuditLogsEntry<
   public toJSON(): unknown;
 }
 
+export class GuildAuditLogsWatcher<T extends GuildAuditLogsResolvable = 'ALL'> extends EventEmitter {
+  public constructor(guild: Guild, options?: GuildAuditLogsWatcherOptions<T>);
+  private _timeout: NodeJS.Timeout | null;
+  private _schedule(): void;
+  public readonly client: Client;
+  public guild: Guild;
+  public interval: number;
+  public user: UserResolvable | null;
+  public type: T | null;
+  public lastEntryId: Snowflake | null;
+  public stopped: boolean;
+  public start(): this;
+  public stop(): this;
+  public poll(): Promise<void>;
+
+  public on(event: 'entry', listener: (entry: GuildAuditLogsEntry<T>) => Awaitable<void>): this;
+  public on(event: 'error', listener: (error: Error) => Awaitable<void>): this;
+
+  public once(event: 'entry', listener: (entry: GuildAuditLogsEntry<T>) => Awaitable<void>): this;
+  public once(event: 'error', listener: (error: Error) => Awaitable<void>): this;
+}
+
 export class GuildBan extends Base {
   private constructor(client: Client, data: RawGuildBanData, guild: Guild);
   public guild: Guild;
@@ -1050,6 +1145,11 @@ export abstract class GuildChannel extends Channel {
   public delete(reason?: string): Promise<this>;
   public edit(data: ChannelData, reason?: string): Promise<this>;
   public equals(channel: GuildChannel): boolean;
+  public explainPermissionsFor(memberOrRole: GuildMember | Role, checkAdmin?: boolean): PermissionExplanation;
+  public explainPermissionsFor(
+    memberOrRole: GuildMemberResolvable | RoleResolvable,
+    checkAdmin?: boolean,
+  ): PermissionExplanation | null;
   public lockPermissions(): Promise<this>;
   public permissionsFor(memberOrRole: GuildMember | Role, checkAdmin?: boolean): Readonly<Permissions>;
   public permissionsFor(
@@ -1111,6 +1211,7 @@ export class GuildMember extends PartialTextBasedChannel(Base) {
   public deleteDM(): Promise<DMChannel>;
   public displayAvatarURL(options?: ImageURLOptions): string;
   public edit(data: GuildMemberEditData, reason?: string): Promise<GuildMember>;
+  public explainPermissions(channel?: GuildChannelResolvable, checkAdmin?: boolean): PermissionExplanation;
   public isCommunicationDisabled(): this is GuildMember & {
     communicationDisabledUntilTimestamp: number;
     readonly communicationDisabledUntil: Date;
@@ -1179,6 +1280,9 @@ export class GuildScheduledEvent<S extends GuildScheduledEventStatus = GuildSche
   public fetchSubscribers<T extends FetchGuildScheduledEventSubscribersOptions>(
     options?: T,
   ): Promise<GuildScheduledEventManagerFetchSubscribersResult<T>>;
+  public iterateSubscribers<T extends GuildScheduledEventSubscriberIterateOptions>(
+    options?: T,
+  ): AsyncGenerator<GuildScheduledEventUser<T extends { withMember: true } ? true : false>, void>;
   public toString(): string;
 }
 
@@ -1228,6 +1332,42 @@ export class RateLimitError extends Error {
   public name: 'RateLimitError';
 }
 
+export class RateLimitStore {
+  public constructor();
+  private states: Collection<string, RateLimitState>;
+  public get(key: string): Promise<RateLimitState | null>;
+  public set(key: string, state: RateLimitState): Promise<void>;
+  public delete(key: string): Promise<boolean>;
+  public decrement(key: string, fallback?: RateLimitState): Promise<RateLimitState | null>;
+  public sweep(): Promise<number>;
+}
+
+export class IPCRateLimitStore extends RateLimitStore {
+  public constructor(client: BaseClient, options?: { timeout?: number });
+  private _nonce: number;
+  private _pending: Map<
+    number,
+    { resolve: (value: unknown) => void; reject: (error: Error) => void; timer: NodeJS.Timeout }
+  >;
+  private _listener: ((message: unknown) => void) | null;
+  private _request(method: string, ...args: unknown[]): Promise<unknown>;
+  private _handleMessage(message: unknown): void;
+  private static serialize(state: RateLimitState | null | undefined): unknown;
+  private static deserialize(data: unknown): RateLimitState | null;
+
+  public readonly client: BaseClient;
+  public timeout: number;
+}
+
+export class RESTProxy extends BaseClient {
+  public constructor(options?: RESTProxyOptions);
+  public server: Server | null;
+  public token: string | null;
+  public close(): Promise<void>;
+  public handle(req: IncomingMessage, res: ServerResponse): Promise<void>;
+  public listen(port: number, hostname?: string): Promise<Server>;
+}
+
 export class Integration extends Base {
   private constructor(client: Client, data: RawIntegrationData, guild: Guild);
   public account: IntegrationAccount;
@@ -1323,6 +1463,20 @@ export class Interaction<Cached extends CacheType = CacheType> extends Base {
   public isModalSubmit(): this is ModalSubmitInteraction<Cached>;
   public isSelectMenu(): this is SelectMenuInteraction<Cached>;
   public isRepliable(): this is this & InteractionResponseFields<Cached>;
+  private _httpResponse: ((response: unknown) => Promise<void>) | null;
+  private _sendResponse(data: unknown, files?: unknown[]): Promise<void>;
+}
+
+export class InteractionServer {
+  public constructor(client: Client, options: InteractionServerOptions);
+  private _publicKey: KeyObject;
+  public readonly client: Client;
+  public responseTimeout: number;
+  public server: Server | null;
+  public close(): Promise<void>;
+  public handle(req: IncomingMessage, res: ServerResponse): Promise<void>;
+  public listen(port: number, hostname?: string): Promise<Server>;
+  public verify(body: Buffer, signature: string, timestamp: string): boolean;
 }
 
 export class InteractionCollector<T extends Interaction> extends Collector<Snowflake, T> {
@@ -1417,6 +1571,149 @@ export class LimitedCollection<K, V> extends Collection<K, V> {
   public static filterByLifetime<K, V>(options?: LifetimeFilterOptions<K, V>): SweepFilter<K, V>;
 }
 
+export abstract class Logger {
+  public log(record: LogRecord): void;
+  public static format(record: LogRecord): string;
+}
+
+export abstract class CacheAdapter<K = string, V = unknown> {
+  public get(key: K): Promise<V | null>;
+  public set(key: K, data: V): Promise<void>;
+  public delete(key: K): Promise<boolean>;
+  public iterate(): AsyncIterableIterator<[K, V]>;
+  public clear(): Promise<void>;
+}
+
+export class JSONLinesCacheAdapter<K extends string = string, V = unknown> extends CacheAdapter<K, V> {
+  public constructor(file: string);
+  private _index: Map<K, { offset: number; length: number }> | null;
+  private _handle: FileHandle | null;
+  private _size: number;
+  private _stale: number;
+  private _queue: Promise<unknown>;
+  private _enqueue<T>(operation: () => Awaitable<T>): Promise<T>;
+  private _open(): Promise<void>;
+  private _read(key: K): Promise<V | null>;
+  private _append(entry: unknown): Promise<{ offset: number; length: number }>;
+  private _discard(key: K): void;
+  private _compactIfNeeded(): Promise<void>;
+  private _compact(): Promise<void>;
+  public file: string;
+  public compact(): Promise<void>;
+  public close(): Promise<void>;
+}
+
+export class ChannelExporter {
+  public constructor(channel: TextBasedChannel, options?: ChannelExporterOptions);
+  public channel: TextBasedChannel;
+  public after: Snowflake | null;
+  public before: Snowflake | null;
+  public limit: number;
+  public cache: boolean;
+  public signal: AbortSignal | null;
+  public messages(): AsyncGenerator<Message, void>;
+  public toJSONLines(stream: Writable): Promise<number>;
+  public toHTML(stream: Writable): Promise<number>;
+  public static serializeMessage(message: Message): ExportedMessage;
+  public static renderHTML(
+    messages: Iterable<ExportedMessage>,
+    options?: { title?: string; description?: string },
+  ): string;
+  private static _describeChannel(channel: TextBasedChannel): { title: string; description: string | null };
+  private static _renderHeader(options: { title: string; description?: string | null }): string;
+  private static _renderFooter(count: number): string;
+  private static _renderMessage(message: ExportedMessage): string;
+  private static _renderEmbed(embed: APIEmbed, mentions: ExportedMessage['mentions']): string;
+  private static _renderContent(text: string, mentions: ExportedMessage['mentions']): string;
+}
+
+export class GuildBackup extends null {
+  private constructor();
+  public static create(guild: Guild, options?: GuildBackupOptions): Promise<GuildBackupData>;
+  public static restore(
+    guild: Guild,
+    data: GuildBackupData,
+    options?: GuildBackupRestoreOptions,
+  ): Promise<GuildBackupRestoreResult>;
+  private static _clear(guild: Guild, reason?: string): Promise<void>;
+}
+
+export class MessageScheduler {
+  private constructor(client: Client);
+  public readonly client: Client;
+  public readonly store: ScheduleStore;
+  private _messages: Collection<string, ScheduledMessage> | null;
+  private _loading: Promise<Collection<string, ScheduledMessage>> | null;
+  private _timeout: NodeJS.Timeout | null;
+  public schedule(
+    target: TextBasedChannel | Webhook,
+    options: string | MessagePayload | MessageOptions | WebhookMessageOptions,
+    date: DateResolvable,
+  ): Promise<ScheduledMessage>;
+  public cancel(id: string): Promise<boolean>;
+  public list(target?: TextBasedChannel | Webhook | Snowflake): Promise<Collection<string, ScheduledMessage>>;
+  public start(): Promise<void>;
+  public destroy(): void;
+  private _load(): Promise<Collection<string, ScheduledMessage>>;
+  private _arm(): void;
+  private _flush(): Promise<void>;
+  private _send(message: ScheduledMessage): Promise<Message | APIMessage>;
+}
+
+export abstract class Metric {
+  public constructor(name: string, help: string, labelNames?: string[]);
+  public name: string;
+  public help: string;
+  public labelNames: string[];
+  private _samples: Map<string, unknown>;
+  public reset(): void;
+  public abstract toPrometheus(): string;
+  private _sample(labels: MetricLabels): unknown;
+  private _key(labels: MetricLabels): string;
+  private _header(type: string): string[];
+  public static formatLabels(labels: Record<string, string>): string;
+}
+
+export class MetricCounter extends Metric {
+  public inc(labels?: MetricLabels, value?: number): void;
+  public get(labels?: MetricLabels): number;
+  public toPrometheus(): string;
+}
+
+export class MetricGauge extends Metric {
+  public set(labels: MetricLabels, value: number): void;
+  public get(labels?: MetricLabels): number;
+  public toPrometheus(): string;
+}
+
+export class MetricHistogram extends Metric {
+  public constructor(name: string, help: string, labelNames?: string[], buckets?: number[]);
+  public buckets: number[];
+  public observe(labels: MetricLabels, value: number): void;
+  public get(labels?: MetricLabels): { sum: number; count: number };
+  public toPrometheus(): string;
+}
+
+export class MessageReplayer extends EventEmitter {
+  public constructor(webhook: Webhook | WebhookClient, options?: MessageReplayerOptions);
+  public webhook: Webhook | WebhookClient;
+  public interval: number;
+  public files: boolean;
+  public threads: boolean;
+  public progress: MessageReplayProgress;
+  public replay(
+    messages: Iterable<ExportedMessage> | AsyncIterable<ExportedMessage>,
+    options?: { signal?: AbortSignal },
+  ): Promise<MessageReplayProgress>;
+  private _send(message: ExportedMessage): Promise<Snowflake | null>;
+
+  public on(event: 'message', listener: (message: ExportedMessage, id: Snowflake | null) => Awaitable<void>): this;
+  public on(event: 'thread', listener: (message: ExportedMessage, id: Snowflake) => Awaitable<void>): this;
+
+  public once(event: 'message', listener: (message: ExportedMessage, id: Snowflake | null) => Awaitable<void>): this;
+  public once(event: 'thread', listener: (message: ExportedMessage, id: Snowflake) => Awaitable<void>): this;
+}
+
 export type MessageCollectorOptionsParams<T extends MessageComponentTypeResolvable, Cached extends boolean = boolean> =
   | {
       componentType?: T;
@@ -1788,6 +2085,123 @@ export class MessageSelectMenu extends BaseMessageComponent {
   public toJSON(): APISelectMenuComponent;
 }
 
+export class MissingPermissionsError extends Error {
+  private constructor(missing: PermissionString[], guild: Guild, channel?: GuildChannel | ThreadChannel | null);
+  public readonly code: 'MISSING_PERMISSIONS';
+  public missing: PermissionString[];
+  public guild: Guild;
+  public channel: GuildChannel | ThreadChannel | null;
+}
+
+export class OptionValidationError extends Error {
+  private constructor(issues: OptionValidationIssue[]);
+  public readonly code: 'OPTION_VALIDATION_FAILED';
+  public issues: OptionValidationIssue[];
+  public format(messages?: Partial<Record<OptionValidationIssueCode, OptionValidationMessage>>): string[];
+  public toReply(
+    messages?: Partial<Record<OptionValidationIssueCode, OptionValidationMessage>>,
+  ): InteractionReplyOptions & { content: string; ephemeral: true };
+  public static messages: Record<OptionValidationIssueCode, OptionValidationMessage>;
+}
+
+export class MockAPIError extends Error {
+  public constructor(status: number, code: number, message: string);
+  public status: number;
+  public code: number;
+  public static unknown(kind: string): MockAPIError;
+}
+
+export class MockDiscord extends EventEmitter {
+  public constructor(options?: MockDiscordOptions);
+  public options: MockDiscordOptions;
+  public readonly token: string;
+  public users: Collection<Snowflake, APIUser>;
+  public user: APIUser;
+  public application: Record<string, any>;
+  public guilds: Collection<Snowflake, APIGuild>;
+  public roles: Collection<Snowflake, Collection<Snowflake, APIRole>>;
+  public members: Collection<Snowflake, Collection<Snowflake, APIGuildMember>>;
+  public bans: Collection<Snowflake, Collection<Snowflake, Record<string, any>>>;
+  public channels: Collection<Snowflake, APIChannel>;
+  public messages: Collection<Snowflake, Collection<Snowflake, APIMessage>>;
+  public webhooks: Collection<Snowflake, Record<string, any>>;
+  private interactions: Collection<string, unknown>;
+  private _applicationCommands: Collection<string, Collection<Snowflake, unknown>>;
+  public gateway: MockGateway;
+  public rest: MockRESTServer;
+  public listen(hostname?: string): Promise<void>;
+  public close(): Promise<void>;
+  public createClient(options: ClientOptions): Client;
+  public dispatch(event: string, data: unknown): void;
+  public createUser(data?: Partial<APIUser>): APIUser;
+  public editUser(id: Snowflake, data: Partial<APIUser>): APIUser;
+  public createGuild(data?: Partial<APIGuild>): APIGuild;
+  public editGuild(id: Snowflake, data: Partial<APIGuild>): APIGuild;
+  public createChannel(data?: Record<string, any>): APIChannel;
+  public editChannel(id: Snowflake, data: Record<string, any>): APIChannel;
+  public deleteChannel(id: Snowflake): APIChannel;
+  public createRole(guildId: Snowflake, data?: Partial<APIRole>): APIRole;
+  public editRole(guildId: Snowflake, id: Snowflake, data: Partial<APIRole>): APIRole;
+  public deleteRole(guildId: Snowflake, id: Snowflake): void;
+  public addMember(guildId: Snowflake, user: APIUser | Snowflake, data?: Partial<APIGuildMember>): APIGuildMember;
+  public editMember(guildId: Snowflake, userId: Snowflake, data: Record<string, any>): APIGuildMember;
+  public removeMember(guildId: Snowflake, userId: Snowflake): void;
+  public ban(guildId: Snowflake, userId: Snowflake, reason?: string | null): void;
+  public unban(guildId: Snowflake, userId: Snowflake): void;
+  public createMessage(channelId: Snowflake, data?: Record<string, any>): APIMessage;
+  public editMessage(channelId: Snowflake, id: Snowflake, data: Record<string, any>): APIMessage;
+  public deleteMessage(channelId: Snowflake, id: Snowflake): void;
+  public deleteMessages(channelId: Snowflake, ids: Snowflake[]): void;
+  public addReaction(channelId: Snowflake, messageId: Snowflake, userId: Snowflake, emoji: string): void;
+  public removeReaction(channelId: Snowflake, messageId: Snowflake, userId: Snowflake, emoji: string): void;
+  public pinMessage(channelId: Snowflake, id: Snowflake, pinned?: boolean): void;
+  public createWebhook(channelId: Snowflake, data?: Record<string, any>): Record<string, any>;
+  public deleteWebhook(id: Snowflake): void;
+  public createInteraction(data: MockInteractionData): APIInteraction;
+
+  public on(event: 'request', listener: (request: MockRESTRequest) => Awaitable<void>): this;
+  public on(
+    event: 'interactionResponse',
+    listener: (interaction: APIInteraction, response: Record<string, any>) => Awaitable<void>,
+  ): this;
+
+  public once(event: 'request', listener: (request: MockRESTRequest) => Awaitable<void>): this;
+  public once(
+    event: 'interactionResponse',
+    listener: (interaction: APIInteraction, response: Record<string, any>) => Awaitable<void>,
+  ): this;
+}
+
+export class MockGateway {
+  public constructor(mock: MockDiscord, options?: { heartbeatInterval?: number });
+  public readonly mock: MockDiscord;
+  public heartbeatInterval: number;
+  public server: WebSocket.WebSocketServer | null;
+  private _sessions: Collection<string, unknown>;
+  private _hostname: string | null;
+  public readonly url: string | null;
+  public readonly sessions: Collection<string, MockGatewaySession>;
+  public listen(port?: number, hostname?: string): Promise<void>;
+  public close(): Promise<void>;
+  public dispatch(event: string, data: unknown, guildId?: Snowflake | null): void;
+  public reconnect(): void;
+  public invalidate(resumable?: boolean): void;
+  public static shardIdOf(guildId: Snowflake, shardCount: number): number;
+}
+
+export class MockRESTServer {
+  public constructor(mock: MockDiscord, options?: MockRateLimitOptions);
+  public readonly mock: MockDiscord;
+  public rateLimit: Required<MockRateLimitOptions>;
+  public server: Server | null;
+  private _buckets: Collection<string, unknown>;
+  private _hostname: string | null;
+  public readonly url: string | null;
+  public listen(port?: number, hostname?: string): Promise<void>;
+  public close(): Promise<void>;
+  public handle(req: IncomingMessage, res: ServerResponse): Promise<void>;
+}
+
 export class Modal {
   public constructor(data?: Modal | ModalOptions);
   public components: MessageActionRow<ModalActionRowComponent>[];
@@ -1837,6 +2251,18 @@ export interface ModalMessageModalSubmitInteraction<Cached extends CacheType = C
   inRawGuild(): this is ModalMessageModalSubmitInteraction<'raw'>;
 }
 
+export class ModalWizard {
+  public constructor(options: ModalWizardOptions);
+  private _resolveStep(index: number, answers: Record<string, string>): Promise<ModalWizardStep>;
+  private _createModal(step: ModalWizardStep, customId: string, values: Record<string, string> | null): Modal;
+  public continueButton: Partial<InteractionButtonOptions>;
+  public prompt: (completed: number, total: number) => string;
+  public steps: (ModalWizardStep | ModalWizardStepResolver)[];
+  public time: number;
+  public title: string | null;
+  public start(interaction: CommandInteraction | MessageComponentInteraction): Promise<ModalWizardResult>;
+}
+
 export class ModalSubmitInteraction<Cached extends CacheType = CacheType> extends Interaction<Cached> {
   protected constructor(client: Client, data: RawModalSubmitInteractionData);
   public customId: string;
@@ -1877,6 +2303,43 @@ export class OAuth2Guild extends BaseGuild {
   public permissions: Readonly<Permissions>;
 }
 
+export class Paginator extends EventEmitter {
+  public constructor(pages: PaginatorPage[] | PaginatorPageProvider, options?: PaginatorOptions);
+  private _prefix: string;
+  private _page: MessageOptions | null;
+  private _interaction: Interaction | null;
+  private _stopInteraction: MessageComponentInteraction | null;
+  private _handle(interaction: MessageComponentInteraction): Promise<void>;
+  private _end(reason: string): void;
+  private _error(error: Error): void;
+  private _edit(options: MessageEditOptions): Promise<Message | APIMessage>;
+  private _fetchPage(index: number): Promise<MessageOptions | null>;
+  private _render(): MessageOptions;
+  public collector: InteractionCollector<MessageComponentInteraction> | null;
+  public index: number;
+  public message: Message | APIMessage | null;
+  public options: PaginatorOptions;
+  public pageCount: number | null;
+  public pages: PaginatorPage[] | PaginatorPageProvider;
+  public users: Snowflake[] | null;
+  public send(target: TextBasedChannel | Interaction): Promise<Message | APIMessage>;
+  public setPage(index: number, interaction?: MessageComponentInteraction): Promise<void>;
+  public stop(reason?: string): void;
+
+  public on(
+    event: 'pageChange',
+    listener: (index: number, interaction: MessageComponentInteraction | null) => Awaitable<void>,
+  ): this;
+  public on(event: 'end', listener: (reason: string) => Awaitable<void>): this;
+  public on(event: 'error', listener: (error: Error) => Awaitable<void>): this;
+  public once(
+    event: 'pageChange',
+    listener: (index: number, interaction: MessageComponentInteraction | null) => Awaitable<void>,
+  ): this;
+  public once(event: 'end', listener: (reason: string) => Awaitable<void>): this;
+  public once(event: 'error', listener: (error: Error) => Awaitable<void>): this;
+}
+
 export class PartialGroupDMChannel extends Channel {
   private constructor(client: Client, data: RawPartialGroupDMChannelData);
   public name: string | null;
@@ -1885,6 +2348,11 @@ export class PartialGroupDMChannel extends Channel {
   public iconURL(options?: StaticImageURLOptions): string | null;
 }
 
+export class PermissionExplainer extends null {
+  private constructor();
+  public static explain(data: PermissionExplainData, checkAdmin?: boolean): PermissionExplanation;
+}
+
 export class PermissionOverwrites extends Base {
   private constructor(client: Client, data: RawPermissionOverwriteData, channel: NonThreadGuildBasedChannel);
   public allow: Readonly<Permissions>;
@@ -2039,8 +2507,13 @@ export class Shard extends EventEmitter {
   private _evals: Map<string, Promise<unknown>>;
   private _exitListener: (...args: any[]) => void;
   private _fetches: Map<string, Promise<unknown>>;
+  private _predecessor: Shard | null;
+  private _handedOver: boolean;
   private _handleExit(respawn?: boolean, timeout?: number): void;
   private _handleMessage(message: unknown): void;
+  private _takeOverSession(shardId: number): Promise<SessionData | null>;
+  private _detachSession(shardId: number, timeout?: number): Promise<SessionData | null>;
+  private _performRateLimitOperation(method: string, args: unknown[]): Promise<unknown>;
   private incrementMaxListeners(emitter: EventEmitter | ChildProcess): void;
   private decrementMaxListeners(emitter: EventEmitter | ChildProcess): void;
 
@@ -2076,6 +2549,7 @@ export class ShardClientUtil {
   private constructor(client: Client, mode: ShardingManagerMode);
   private _handleMessage(message: unknown): void;
   private _respond(type: string, message: unknown): void;
+  private takeOverSession(shardId: number): Promise<SessionData | null>;
   private incrementMaxListeners(emitter: EventEmitter | ChildProcess): void;
   private decrementMaxListeners(emitter: EventEmitter | ChildProcess): void;
 
@@ -2084,6 +2558,7 @@ export class ShardClientUtil {
   public readonly ids: number[];
   public mode: ShardingManagerMode;
   public parentPort: MessagePort | null;
+  public handover: boolean;
   public broadcastEval<T>(fn: (client: Client) => Awaitable<T>): Promise<Serialized<T>[]>;
   public broadcastEval<T>(fn: (client: Client) => Awaitable<T>, options: { shard: number }): Promise<Serialized<T>>;
   public broadcastEval<T, P>(
@@ -2107,8 +2582,11 @@ export class ShardingManager extends EventEmitter {
   public constructor(file: string, options?: ShardingManagerOptions);
   private _performOnShards(method: string, args: unknown[]): Promise<unknown[]>;
   private _performOnShards(method: string, args: unknown[], shard: number): Promise<unknown>;
+  private log(level: LogLevel, message: string, fields?: Record<string, unknown>): void;
 
   public file: string;
+  public logger: Logger | null;
+  public rateLimitStore: RateLimitStore;
   public respawn: boolean;
   public shardArgs: string[];
   public shards: Collection<number, Shard>;
@@ -2132,9 +2610,15 @@ export class ShardingManager extends EventEmitter {
   public respawnAll(options?: MultipleShardRespawnOptions): Promise<Collection<number, Shard>>;
   public spawn(options?: MultipleShardSpawnOptions): Promise<Collection<number, Shard>>;
 
+  private _replaceShard(shard: Shard, options: { timeout: number; handover: boolean }): Promise<Shard>;
+
   public on(event: 'shardCreate', listener: (shard: Shard) => Awaitable<void>): this;
+  public on(event: 'shardReplace', listener: (replacement: Shard, shard: Shard) => Awaitable<void>): this;
+  public on(event: 'respawnProgress', listener: (progress: ShardRespawnProgress) => Awaitable<void>): this;
 
   public once(event: 'shardCreate', listener: (shard: Shard) => Awaitable<void>): this;
+  public once(event: 'shardReplace', listener: (replacement: Shard, shard: Shard) => Awaitable<void>): this;
+  public once(event: 'respawnProgress', listener: (progress: ShardRespawnProgress) => Awaitable<void>): this;
 }
 
 export interface FetchRecommendedShardsOptions {
@@ -2142,6 +2626,64 @@ export interface FetchRecommendedShardsOptions {
   multipleOf?: number;
 }
 
+export abstract class SessionStore {
+  public get(shardId: number): Promise<SessionData | null>;
+  public set(shardId: number, session: SessionData): Promise<void>;
+  public delete(shardId: number): Promise<void>;
+}
+
+export class FileSessionStore extends SessionStore {
+  public constructor(file?: string);
+  private _file: unknown;
+  public readonly file: string;
+}
+
+export class GatewayRecorder {
+  public constructor(file: string, client?: Client | null);
+  public readonly client: Client | null;
+  public file: string;
+  private _stream: WriteStream | null;
+  public open(shards: number[], shardCount: number): void;
+  public record(shard: number, packet: unknown): void;
+  public close(): Promise<void>;
+  private _write(data: unknown): void;
+  public static read(file: string): AsyncGenerator<GatewayRecordingHeader | GatewayRecordingEntry>;
+}
+
+export abstract class ScheduleStore {
+  public list(): Promise<ScheduledMessage[]>;
+  public set(id: string, message: ScheduledMessage): Promise<void>;
+  public delete(id: string): Promise<void>;
+}
+
+export class MemoryScheduleStore extends ScheduleStore {
+  public constructor();
+  private _messages: Map<string, ScheduledMessage>;
+}
+
+export class FileScheduleStore extends ScheduleStore {
+  public constructor(file?: string);
+  private _file: unknown;
+  public readonly file: string;
+}
+
+export abstract class ComponentStateStore {
+  public get(key: string): Promise<unknown>;
+  public set(key: string, state: unknown): Promise<void>;
+  public delete(key: string): Promise<void>;
+}
+
+export class MemoryComponentStateStore extends ComponentStateStore {
+  public constructor();
+  private _states: Map<string, unknown>;
+}
+
+export class FileComponentStateStore extends ComponentStateStore {
+  public constructor(file?: string);
+  private _file: unknown;
+  public readonly file: string;
+}
+
 export class SnowflakeUtil extends null {
   private constructor();
   public static deconstruct(snowflake: Snowflake): DeconstructedSnowflake;
@@ -2378,6 +2920,10 @@ export class ThreadChannel extends TextBasedChannelMixin(Channel, ['fetchWebhook
   };
   public delete(reason?: string): Promise<this>;
   public edit(data: ThreadEditData, reason?: string): Promise<ThreadChannel>;
+  public explainPermissionsFor(
+    memberOrRole: GuildMemberResolvable | RoleResolvable,
+    checkAdmin?: boolean,
+  ): PermissionExplanation | null;
   public join(): Promise<ThreadChannel>;
   public leave(): Promise<ThreadChannel>;
   public permissionsFor(memberOrRole: GuildMember | Role, checkAdmin?: boolean): Readonly<Permissions>;
@@ -2594,6 +3140,10 @@ export class Webhook extends WebhookMixin() {
   public token: string | null;
   public type: WebhookType;
   public isIncoming(): this is this & { token: string };
+  public schedule(
+    options: string | MessagePayload | Omit<WebhookMessageOptions, 'flags'>,
+    date: DateResolvable,
+  ): Promise<ScheduledMessage>;
   public isChannelFollower(): this is this & {
     sourceGuild: Guild | APIPartialGuild;
     sourceChannel: NewsChannel | APIPartialChannel;
@@ -2624,9 +3174,11 @@ export class WebSocketManager extends EventEmitter {
   private packetQueue: unknown[];
   private destroyed: boolean;
   private reconnecting: boolean;
+  private replaying: boolean;
 
   public readonly client: Client;
   public gateway: string | null;
+  public recorder: GatewayRecorder | null;
   public shards: Collection<number, WebSocketShard>;
   public status: Status;
   public readonly ping: number;
@@ -2634,9 +3186,15 @@ export class WebSocketManager extends EventEmitter {
   public on(event: WSEventType, listener: (data: any, shardId: number) => void): this;
   public once(event: WSEventType, listener: (data: any, shardId: number) => void): this;
 
-  private debug(message: string, shard?: WebSocketShard): void;
+  private debug(message: string, shard?: WebSocketShard | null, fields?: Record<string, unknown>): void;
+  private log(level: LogLevel, message: string, shard?: WebSocketShard | null, fields?: Record<string, unknown>): void;
   private connect(): Promise<void>;
   private createShards(): Promise<void>;
+  private restoreSessions(): Promise<void>;
+  private detachSession(id: number): SessionData | null;
+  private replay(file: string, options?: GatewayReplayOptions): Promise<void>;
+  private replayShard(id: number): WebSocketShard;
+  private replayPacket(packet: unknown, shard: WebSocketShard): void;
   private reconnect(): Promise<void>;
   private broadcast(packet: unknown): void;
   private destroy(): void;
@@ -2659,6 +3217,7 @@ export class WebSocketShard extends EventEmitter {
   private sequence: number;
   private closeSequence: number;
   private sessionId: string | null;
+  private resumeURL: string | null;
   private lastPingTimestamp: number;
   private lastHeartbeatAcked: boolean;
   private ratelimit: { queue: unknown[]; total: number; remaining: number; time: 60e3; timer: NodeJS.Timeout | null };
@@ -2675,7 +3234,8 @@ export class WebSocketShard extends EventEmitter {
   public status: Status;
   public ping: number;
 
-  private debug(message: string): void;
+  private debug(message: string, fields?: Record<string, unknown>): void;
+  private log(level: LogLevel, message: string, fields?: Record<string, unknown>): void;
   private connect(): Promise<void>;
   private onOpen(): void;
   private onMessage(event: MessageEvent): void;
@@ -2688,6 +3248,7 @@ export class WebSocketShard extends EventEmitter {
   private setHeartbeatTimer(time: number): void;
   private sendHeartbeat(): void;
   private ackHeartbeat(): void;
+  private saveSession(): void;
   private identify(): void;
   private identifyNew(): void;
   private identifyResume(): void;
@@ -2872,6 +3433,8 @@ export const Constants: {
   ClientApplicationAssetTypes: ConstantsClientApplicationAssetTypes;
   IntegrationExpireBehaviors: IntegrationExpireBehaviors[];
   InviteScopes: InviteScope[];
+  LogComponents: LogComponent[];
+  LogLevels: LogLevel[];
   MessageTypes: MessageType[];
   SystemMessageTypes: SystemMessageType[];
   ActivityTypes: EnumHolder<typeof ActivityTypes>;
@@ -2927,7 +3490,15 @@ export abstract class DataManager<K, Holds, R> extends BaseManager {
 
 export abstract class CachedManager<K, Holds, R> extends DataManager<K, Holds, R> {
   protected constructor(client: Client, holds: Constructable<Holds>);
+  private _adapter: CacheAdapter<K> | null | undefined;
+  private _adapterWrites: Map<K, Promise<void>>;
+  private _restoring: boolean;
   private _add(data: unknown, cache?: boolean, { id, extras }?: { id: K; extras: unknown[] }): Holds;
+  private _remove(key: K): void;
+  private _persist(key: K, data: unknown): void;
+  private _queueAdapterWrite(key: K, write: () => Promise<unknown>): void;
+  private _restore(key: K, cache?: boolean): Promise<Holds | null>;
+  public readonly adapter: CacheAdapter<K> | null;
 }
 
 export type ApplicationCommandDataResolvable =
@@ -2976,6 +3547,10 @@ export class ApplicationCommandManager<
     commands: ApplicationCommandDataResolvable[],
     guildId: Snowflake,
   ): Promise<Collection<Snowflake, ApplicationCommand>>;
+  public sync(
+    commands: ApplicationCommandDataResolvable[],
+    options?: ApplicationCommandSyncOptions,
+  ): Promise<ApplicationCommandSyncReport<ApplicationCommandScope>>;
   private static transformCommand(command: ApplicationCommandDataResolvable): RESTPostAPIApplicationCommandsJSONBody;
 }
 
@@ -3054,6 +3629,10 @@ export class GuildApplicationCommandManager extends ApplicationCommandManager<Ap
     options?: FetchGuildApplicationCommandFetchOptions,
   ): Promise<Collection<Snowflake, ApplicationCommand>>;
   public set(commands: ApplicationCommandDataResolvable[]): Promise<Collection<Snowflake, ApplicationCommand>>;
+  public sync(
+    commands: ApplicationCommandDataResolvable[],
+    options?: Omit<ApplicationCommandSyncOptions, 'guildId'>,
+  ): Promise<ApplicationCommandSyncReport<ApplicationCommand>>;
 }
 
 export type MappedGuildChannelTypes = EnumValueMapped<
@@ -3091,7 +3670,9 @@ export class GuildChannelManager extends CachedManager<Snowflake, GuildBasedChan
     position: number,
     options?: SetChannelPositionOptions,
   ): Promise<GuildChannel>;
-  public setPositions(channelPositions: readonly ChannelPosition[]): Promise<Guild>;
+  public setPositions(channelPositions: readonly ChannelPosition[], reason?: string): Promise<Guild>;
+  public planPositions(order: readonly (GuildChannelResolvable | ChannelOrderData)[]): ChannelPosition[];
+  public reorder(order: readonly (GuildChannelResolvable | ChannelOrderData)[], reason?: string): Promise<Guild>;
   public fetchActiveThreads(cache?: boolean): Promise<FetchedThreads>;
   public delete(channel: GuildChannelResolvable, reason?: string): Promise<void>;
 }
@@ -3148,6 +3729,7 @@ export class GuildMemberManager extends CachedManager<Snowflake, GuildMember, Gu
   ): Promise<GuildMember>;
   public fetch(options?: FetchMembersOptions): Promise<Collection<Snowflake, GuildMember>>;
   public kick(user: UserResolvable, reason?: string): Promise<GuildMember | User | Snowflake>;
+  public iterate(options?: GuildMemberIterateOptions): AsyncGenerator<GuildMember, void>;
   public list(options?: GuildListMembersOptions): Promise<Collection<Snowflake, GuildMember>>;
   public prune(options: GuildPruneMembersOptions & { dry?: false; count: false }): Promise<null>;
   public prune(options?: GuildPruneMembersOptions): Promise<number>;
@@ -3161,6 +3743,7 @@ export class GuildBanManager extends CachedManager<Snowflake, GuildBan, GuildBan
   public create(user: UserResolvable, options?: BanOptions): Promise<GuildMember | User | Snowflake>;
   public fetch(options: UserResolvable | FetchBanOptions): Promise<GuildBan>;
   public fetch(options?: FetchBansOptions): Promise<Collection<Snowflake, GuildBan>>;
+  public iterate(options?: GuildBanIterateOptions): AsyncGenerator<GuildBan, void>;
   public remove(user: UserResolvable, reason?: string): Promise<User | null>;
 }
 
@@ -3194,6 +3777,10 @@ export class GuildScheduledEventManager extends CachedManager<
     guildScheduledEvent: GuildScheduledEventResolvable,
     options?: T,
   ): Promise<GuildScheduledEventManagerFetchSubscribersResult<T>>;
+  public iterateSubscribers<T extends GuildScheduledEventSubscriberIterateOptions>(
+    guildScheduledEvent: GuildScheduledEventResolvable,
+    options?: T,
+  ): AsyncGenerator<GuildScheduledEventUser<T extends { withMember: true } ? true : false>, void>;
 }
 
 export class GuildStickerManager extends CachedManager<Snowflake, Sticker, StickerResolvable> {
@@ -3247,6 +3834,7 @@ export class MessageManager extends CachedManager<Snowflake, Message, MessageRes
     cacheOptions?: BaseFetchOptions,
   ): Promise<Collection<Snowflake, Message>>;
   public fetchPinned(cache?: boolean): Promise<Collection<Snowflake, Message>>;
+  public iterate(options?: MessageIterateOptions): AsyncGenerator<Message, void>;
   public react(message: MessageResolvable, emoji: EmojiIdentifierResolvable): Promise<void>;
   public pin(message: MessageResolvable, reason?: string): Promise<void>;
   public unpin(message: MessageResolvable, reason?: string): Promise<void>;
@@ -3295,6 +3883,7 @@ export class ReactionUserManager extends CachedManager<Snowflake, User, UserReso
   private constructor(reaction: MessageReaction, iterable?: Iterable<RawUserData>);
   public reaction: MessageReaction;
   public fetch(options?: FetchReactionUsersOptions): Promise<Collection<Snowflake, User>>;
+  public iterate(options?: ReactionUserIterateOptions): AsyncGenerator<User, void>;
   public remove(user?: UserResolvable): Promise<MessageReaction>;
 }
 
@@ -3311,7 +3900,9 @@ export class RoleManager extends CachedManager<Snowflake, Role, RoleResolvable>
   public edit(role: RoleResolvable, options: RoleData, reason?: string): Promise<Role>;
   public delete(role: RoleResolvable, reason?: string): Promise<void>;
   public setPosition(role: RoleResolvable, position: number, options?: SetRolePositionOptions): Promise<Role>;
-  public setPositions(rolePositions: readonly RolePosition[]): Promise<Guild>;
+  public setPositions(rolePositions: readonly RolePosition[], reason?: string): Promise<Guild>;
+  public planPositions(order: readonly RoleResolvable[]): RolePosition[];
+  public reorder(order: readonly RoleResolvable[], reason?: string): Promise<Guild>;
   public comparePositions(role1: RoleResolvable, role2: RoleResolvable): number;
 }
 
@@ -3332,6 +3923,7 @@ export class ThreadManager<AllowedThreadType> extends CachedManager<Snowflake, T
   public fetch(options?: FetchThreadsOptions, cacheOptions?: { cache?: boolean }): Promise<FetchedThreads>;
   public fetchArchived(options?: FetchArchivedThreadOptions, cache?: boolean): Promise<FetchedThreads>;
   public fetchActive(cache?: boolean): Promise<FetchedThreads>;
+  public iterateArchived(options?: ArchivedThreadIterateOptions): AsyncGenerator<ThreadChannel, void>;
 }
 
 export class ThreadMemberManager extends CachedManager<Snowflake, ThreadMember, ThreadMemberResolvable> {
@@ -3398,6 +3990,7 @@ export interface TextBasedChannelFields extends PartialTextBasedChannelFields {
   createMessageCollector(options?: MessageCollectorOptions): MessageCollector;
   createWebhook(name: string, options?: ChannelWebhookCreateOptions): Promise<Webhook>;
   fetchWebhooks(): Promise<Collection<Snowflake, Webhook>>;
+  schedule(options: string | MessagePayload | MessageOptions, date: DateResolvable): Promise<ScheduledMessage>;
   sendTyping(): Promise<void>;
 }
 
@@ -3704,6 +4297,75 @@ export type ApplicationCommandData =
   | MessageApplicationCommandData
   | ChatInputApplicationCommandData;
 
+export interface ApplicationCommandSyncOptions {
+  guildId?: Snowflake;
+  dryRun?: boolean;
+  deleteMissing?: boolean;
+}
+
+export interface ApplicationCommandSyncChange<T = ApplicationCommand> {
+  name: string;
+  type: ApplicationCommandType;
+  command: T | null;
+  differences: string[];
+}
+
+export interface ApplicationCommandSyncReport<T = ApplicationCommand> {
+  created: ApplicationCommandSyncChange<T>[];
+  updated: ApplicationCommandSyncChange<T>[];
+  deleted: ApplicationCommandSyncChange<T>[];
+  unchanged: ApplicationCommandSyncChange<T>[];
+  dryRun: boolean;
+}
+
+export type CommandRouterHandler<T extends Interaction = Interaction> = (interaction: T) => Awaitable<unknown>;
+
+export type CommandRouterAutocompleteHandler = (
+  interaction: AutocompleteInteraction,
+  focused: AutocompleteFocusedOption,
+) => Awaitable<unknown>;
+
+export type CommandRouterCustomIdHandler<
+  T extends MessageComponentInteraction | ModalSubmitInteraction = MessageComponentInteraction | ModalSubmitInteraction,
+> = (interaction: T, match: RegExpExecArray | null) => Awaitable<unknown>;
+
+export type ComponentHandler<State = any> = (
+  interaction: MessageComponentInteraction | ModalSubmitInteraction,
+  state: State,
+) => Awaitable<unknown>;
+
+export interface ComponentRegistryOptions {
+  store?: ComponentStateStore | null;
+}
+
+export interface DecodedCustomId {
+  name: string;
+  state: unknown;
+  key: string | null;
+}
+
+export type CommandRouterOptionData =
+  | Exclude<
+      ApplicationCommandOptionData,
+      ApplicationCommandSubGroupData | ApplicationCommandSubCommandData | ApplicationCommandAutocompleteOption
+    >
+  | (Omit<ApplicationCommandAutocompleteOption, 'autocomplete'> & {
+      autocomplete: true | CommandRouterAutocompleteHandler;
+    })
+  | (Omit<ApplicationCommandSubCommandData, 'options'> & {
+      options?: CommandRouterOptionData[];
+      run: CommandRouterHandler<CommandInteraction>;
+    })
+  | (Omit<ApplicationCommandSubGroupData, 'options'> & { options?: CommandRouterOptionData[] });
+
+export type CommandRouterCommandData =
+  | (UserApplicationCommandData & { run: CommandRouterHandler<UserContextMenuInteraction> })
+  | (MessageApplicationCommandData & { run: CommandRouterHandler<MessageContextMenuInteraction> })
+  | (Omit<ChatInputApplicationCommandData, 'options'> & {
+      options?: CommandRouterOptionData[];
+      run?: CommandRouterHandler<CommandInteraction>;
+    });
+
 export interface ApplicationCommandChannelOptionData extends BaseApplicationCommandOptionsData {
   type: CommandOptionChannelResolvableType;
   channelTypes?: ExcludeEnum<typeof ChannelTypes, 'UNKNOWN'>[];
@@ -3887,6 +4549,12 @@ export interface BanOptions {
   reason?: string;
 }
 
+export interface BaseIterateOptions {
+  limit?: number;
+  cache?: boolean;
+  signal?: AbortSignal;
+}
+
 export type Base64Resolvable = Buffer | Base64String;
 
 export type Base64String = string;
@@ -3945,6 +4613,8 @@ export type CacheFactory = (
   holds: Caches[typeof manager['name']][1],
 ) => typeof manager['prototype'] extends DataManager<infer K, infer V, any> ? Collection<K, V> : never;
 
+export type CacheAdapterFactory = (manager: CachedManager<any, any, any>) => CacheAdapter<any> | null;
+
 export type CacheWithLimitsOptions = {
   [K in keyof Caches]?: Caches[K][0]['prototype'] extends DataManager<infer K, infer V, any>
     ? LimitedCollectionOptions<K, V> | number
@@ -3996,6 +4666,14 @@ export interface ChannelData {
   videoQualityMode?: VideoQualityMode | null;
 }
 
+export interface ChannelExporterOptions {
+  after?: MessageResolvable;
+  before?: MessageResolvable;
+  limit?: number;
+  cache?: boolean;
+  signal?: AbortSignal;
+}
+
 export interface ChannelLogsQueryOptions {
   limit?: number;
   before?: Snowflake;
@@ -4005,6 +4683,12 @@ export interface ChannelLogsQueryOptions {
 
 export type ChannelMention = `<#${Snowflake}>`;
 
+export interface ChannelOrderData {
+  channel: GuildChannelResolvable;
+  parent?: CategoryChannelResolvable | null;
+  lockPermissions?: boolean;
+}
+
 export interface ChannelPosition {
   channel: NonThreadGuildBasedChannel | Snowflake;
   lockPermissions?: boolean;
@@ -4107,6 +4791,8 @@ export interface ClientEvents extends BaseClientEvents {
   guildScheduledEventDelete: [guildScheduledEvent: GuildScheduledEvent];
   guildScheduledEventUserAdd: [guildScheduledEvent: GuildScheduledEvent, user: User];
   guildScheduledEventUserRemove: [guildScheduledEvent: GuildScheduledEvent, user: User];
+  scheduledMessageSend: [scheduledMessage: ScheduledMessage, message: Message | APIMessage];
+  scheduledMessageError: [scheduledMessage: ScheduledMessage, error: Error];
 }
 
 export interface ClientFetchInviteOptions {
@@ -4118,6 +4804,8 @@ export interface ClientOptions {
   shardCount?: number;
   closeTimeout?: number;
   makeCache?: CacheFactory;
+  makeCacheAdapter?: CacheAdapterFactory;
+  makeRateLimitStore?: RateLimitStoreFactory;
   allowedMentions?: MessageMentionOptions;
   invalidRequestWarningInterval?: number;
   partials?: PartialTypes[];
@@ -4127,11 +4815,16 @@ export interface ClientOptions {
   restSweepInterval?: number;
   retryLimit?: number;
   failIfNotExists?: boolean;
+  checkPermissions?: boolean;
   userAgentSuffix?: string[];
   presence?: PresenceData;
   intents: BitFieldResolvable<IntentsString, number>;
   waitGuildTimeout?: number;
   sweepers?: SweeperOptions;
+  sessionStore?: SessionStore | null;
+  scheduleStore?: ScheduleStore;
+  gatewayRecording?: string | null;
+  logger?: Logger | null;
   ws?: WebSocketOptions;
   http?: HTTPOptions;
   rejectOnRateLimit?: string[] | ((data: RateLimitData) => boolean | Promise<boolean>);
@@ -4354,6 +5047,8 @@ export interface ConstantsEvents {
   GUILD_SCHEDULED_EVENT_DELETE: 'guildScheduledEventDelete';
   GUILD_SCHEDULED_EVENT_USER_ADD: 'guildScheduledEventUserAdd';
   GUILD_SCHEDULED_EVENT_USER_REMOVE: 'guildScheduledEventUserRemove';
+  SCHEDULED_MESSAGE_SEND: 'scheduledMessageSend';
+  SCHEDULED_MESSAGE_ERROR: 'scheduledMessageError';
 }
 
 export interface ConstantsOpcodes {
@@ -4481,6 +5176,52 @@ export interface EscapeMarkdownOptions {
 
 export type ExplicitContentFilterLevel = keyof typeof ExplicitContentFilterLevels;
 
+export interface ExportedAttachment {
+  id: Snowflake;
+  name: string | null;
+  url: string;
+  proxyURL: string;
+  size: number;
+  contentType: string | null;
+  width: number | null;
+  height: number | null;
+  spoiler: boolean;
+}
+
+export interface ExportedMessage {
+  id: Snowflake;
+  type: MessageType;
+  channelId: Snowflake;
+  guildId: Snowflake | null;
+  author: {
+    id: Snowflake;
+    username: string;
+    discriminator: string;
+    displayName: string;
+    avatarURL: string;
+    bot: boolean;
+  };
+  webhookId: Snowflake | null;
+  content: string;
+  createdTimestamp: number;
+  editedTimestamp: number | null;
+  pinned: boolean;
+  tts: boolean;
+  flags: MessageFlagsString[];
+  embeds: APIEmbed[];
+  attachments: ExportedAttachment[];
+  stickers: { id: Snowflake; name: string; format: StickerFormatType; url: string }[];
+  components: APIActionRowComponent<APIMessageActionRowComponent>[];
+  reactions: { emoji: { id: Snowflake | null; name: string | null; animated: boolean }; count: number }[];
+  reference: MessageReference | null;
+  thread: { id: Snowflake; name: string | null } | null;
+  mentions: {
+    users: { id: Snowflake; username: string }[];
+    roles: { id: Snowflake; name: string }[];
+    channels: { id: Snowflake; name: string | null }[];
+  };
+}
+
 export interface FetchApplicationCommandOptions extends BaseFetchOptions {
   guildId?: Snowflake;
   locale?: LocaleString;
@@ -4494,6 +5235,12 @@ export interface FetchArchivedThreadOptions {
   limit?: number;
 }
 
+export interface ArchivedThreadIterateOptions extends BaseIterateOptions {
+  type?: 'public' | 'private';
+  fetchAll?: boolean;
+  before?: ThreadChannelResolvable | DateResolvable;
+}
+
 export interface FetchBanOptions extends BaseFetchOptions {
   user: UserResolvable;
 }
@@ -4579,6 +5326,22 @@ export interface FileOptions {
   description?: string;
 }
 
+export interface GatewayRecordingEntry {
+  shard: number;
+  timestamp: number;
+  packet: unknown;
+}
+
+export interface GatewayRecordingHeader {
+  shards: number[];
+  shardCount: number;
+  timestamp: number;
+}
+
+export interface GatewayReplayOptions {
+  speed?: number;
+}
+
 export type GlobalSweepFilter<K, V> = () => ((value: V, key: K, collection: Collection<K, V>) => boolean) | null;
 
 export interface GuildApplicationCommandPermissionData {
@@ -4736,11 +5499,21 @@ export interface GuildAuditLogsEntryTargetField<TActionType extends GuildAuditLo
 
 export interface GuildAuditLogsFetchOptions<T extends GuildAuditLogsResolvable> {
   before?: Snowflake | GuildAuditLogsEntry;
+  after?: Snowflake | GuildAuditLogsEntry;
   limit?: number;
   user?: UserResolvable;
   type?: T;
 }
 
+export type GuildAuditLogsIterateOptions<T extends GuildAuditLogsResolvable> = GuildAuditLogsFetchOptions<T>;
+
+export interface GuildAuditLogsWatcherOptions<T extends GuildAuditLogsResolvable> {
+  interval?: number;
+  after?: Snowflake | GuildAuditLogsEntry;
+  user?: UserResolvable;
+  type?: T;
+}
+
 export type GuildAuditLogsResolvable = keyof GuildAuditLogsIds | GuildAuditLogsAction | null;
 
 export type GuildAuditLogsTarget = GuildAuditLogsTypes[keyof GuildAuditLogsTypes][0] | 'ALL' | 'UNKNOWN';
@@ -4749,6 +5522,11 @@ export type GuildAuditLogsTargets = {
   [key in GuildAuditLogsTarget]?: string;
 };
 
+export interface GuildBanIterateOptions extends BaseIterateOptions {
+  before?: UserResolvable;
+  after?: UserResolvable;
+}
+
 export type GuildBanResolvable = GuildBan | UserResolvable;
 
 export interface GuildChannelOverwriteOptions {
@@ -4758,6 +5536,92 @@ export interface GuildChannelOverwriteOptions {
 
 export type GuildChannelResolvable = Snowflake | GuildBasedChannel;
 
+export interface GuildBackupData {
+  version: number;
+  createdTimestamp: number;
+  id: Snowflake;
+  settings: {
+    name: string;
+    icon: string | null;
+    banner: string | null;
+    splash: string | null;
+    discoverySplash: string | null;
+    description: string | null;
+    verificationLevel: VerificationLevel;
+    explicitContentFilter: ExplicitContentFilterLevel;
+    defaultMessageNotifications: DefaultMessageNotificationLevel | number;
+    afkChannelId: Snowflake | null;
+    afkTimeout: number;
+    systemChannelId: Snowflake | null;
+    systemChannelFlags: SystemChannelFlagsString[];
+    rulesChannelId: Snowflake | null;
+    publicUpdatesChannelId: Snowflake | null;
+    preferredLocale: string;
+    premiumProgressBarEnabled: boolean;
+  };
+  roles: {
+    id: Snowflake;
+    name: string;
+    color: number;
+    hoist: boolean;
+    mentionable: boolean;
+    permissions: `${bigint}`;
+    position: number;
+    managed: boolean;
+    icon: string | null;
+    unicodeEmoji: string | null;
+  }[];
+  channels: {
+    id: Snowflake;
+    type: Exclude<keyof typeof ChannelTypes, 'DM' | 'GROUP_DM' | 'UNKNOWN'>;
+    name: string;
+    parentId: Snowflake | null;
+    position: number;
+    topic: string | null;
+    nsfw: boolean;
+    rateLimitPerUser: number | null;
+    bitrate: number | null;
+    userLimit: number | null;
+    rtcRegion: string | null;
+    permissionOverwrites: { id: Snowflake; type: OverwriteType; allow: `${bigint}`; deny: `${bigint}` }[];
+  }[];
+  emojis: { id: Snowflake; name: string; animated: boolean; roles: Snowflake[]; image: string | null }[];
+  stickers: {
+    id: Snowflake;
+    name: string;
+    description: string | null;
+    tags: string;
+    format: StickerFormatType;
+    image: string | null;
+  }[];
+  welcomeScreen: {
+    enabled: boolean;
+    description: string | null;
+    welcomeChannels: {
+      channelId: Snowflake;
+      description: string;
+      emojiId: Snowflake | null;
+      emojiName: string | null;
+    }[];
+  } | null;
+}
+
+export interface GuildBackupOptions {
+  images?: boolean;
+}
+
+export interface GuildBackupRestoreOptions {
+  clear?: boolean;
+  reason?: string;
+}
+
+export interface GuildBackupRestoreResult {
+  roles: Collection<Snowflake, Role>;
+  channels: Collection<Snowflake, NonThreadGuildBasedChannel>;
+  emojis: Collection<Snowflake, GuildEmoji>;
+  stickers: Collection<Snowflake, Sticker>;
+}
+
 export interface GuildChannelCreateOptions extends Omit<CategoryCreateChannelOptions, 'type'> {
   parent?: CategoryChannelResolvable;
   type?: ExcludeEnum<
@@ -4869,6 +5733,10 @@ export interface GuildMemberEditData {
   communicationDisabledUntil?: DateResolvable | null;
 }
 
+export interface GuildMemberIterateOptions extends BaseIterateOptions {
+  after?: UserResolvable;
+}
+
 export type GuildMemberResolvable = GuildMember | UserResolvable;
 
 export type GuildResolvable = Guild | NonThreadGuildBasedChannel | GuildMember | GuildEmoji | Invite | Role | Snowflake;
@@ -4953,6 +5821,12 @@ export type GuildScheduledEventSetStatusArg<T extends GuildScheduledEventStatus>
 
 export type GuildScheduledEventStatus = keyof typeof GuildScheduledEventStatuses;
 
+export interface GuildScheduledEventSubscriberIterateOptions extends BaseIterateOptions {
+  withMember?: boolean;
+  before?: UserResolvable;
+  after?: UserResolvable;
+}
+
 export interface GuildScheduledEventUser<T> {
   guildScheduledEventId: Snowflake;
   user: User;
@@ -4986,6 +5860,7 @@ export interface HTTPOptions {
   template?: string;
   headers?: Record<string, string>;
   scheduledEvent?: string;
+  proxied?: boolean;
 }
 
 export interface ImageURLOptions extends Omit<StaticImageURLOptions, 'format'> {
@@ -5089,6 +5964,19 @@ export type InviteScope =
   | 'gdm.join'
   | 'webhook.incoming';
 
+export type LogComponent = 'client' | 'rest' | 'ws' | 'shard' | 'sweeper' | 'sharding';
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export interface LogRecord {
+  timestamp: Date;
+  level: LogLevel;
+  component: LogComponent;
+  shardId: number | null;
+  message: string;
+  fields: Record<string, unknown>;
+}
+
 export interface LifetimeFilterOptions<K, V> {
   excludeFromSweep?: (value: V, key: K, collection: LimitedCollection<K, V>) => boolean;
   getComparisonTimestamp?: (value: V, key: K, collection: LimitedCollection<K, V>) => number;
@@ -5271,6 +6159,11 @@ export interface MessageInteraction {
   user: User;
 }
 
+export interface MessageIterateOptions extends BaseIterateOptions {
+  before?: MessageResolvable;
+  after?: MessageResolvable;
+}
+
 export interface MessageMentionsHasOptions {
   ignoreDirect?: boolean;
   ignoreRoles?: boolean;
@@ -5309,6 +6202,18 @@ export type MessageReactionResolvable =
   | `<a:${string}:${Snowflake}>`
   | string;
 
+export interface MessageReplayerOptions {
+  interval?: number;
+  files?: boolean;
+  threads?: boolean;
+  progress?: MessageReplayProgress;
+}
+
+export interface MessageReplayProgress {
+  messages: Record<Snowflake, Snowflake | null>;
+  threads: Record<Snowflake, Snowflake>;
+}
+
 export interface MessageReference {
   channelId: Snowflake;
   guildId: Snowflake | undefined;
@@ -5355,8 +6260,74 @@ export type MessageTarget =
 
 export type MessageType = keyof typeof MessageTypes;
 
+export type MetricLabels = Record<string, string | number | boolean>;
+
 export type MFALevel = keyof typeof MFALevels;
 
+export interface MockDiscordOptions {
+  token?: string;
+  user?: Partial<APIUser>;
+  shards?: number;
+  version?: number;
+  heartbeatInterval?: number;
+  rateLimit?: MockRateLimitOptions;
+}
+
+export interface MockGatewaySession {
+  id: string;
+  shard: [number, number];
+  intents: number;
+  sequence: number;
+  connected: boolean;
+}
+
+export interface MockInteractionData {
+  type?: number;
+  channel_id: Snowflake;
+  user: APIUser | Snowflake;
+  data?: Record<string, any>;
+  message?: APIMessage;
+  [key: string]: unknown;
+}
+
+export interface MockRateLimitOptions {
+  limit?: number;
+  resetAfter?: number;
+}
+
+export interface MockRESTRequest {
+  method: string;
+  path: string;
+  route: string | null;
+  query: Record<string, string>;
+  body: Record<string, any> | null;
+  files: Record<string, any>[];
+  reason: string | null;
+  status: number;
+  response: unknown;
+}
+
+export interface ModalWizardStep {
+  title?: string;
+  fields: TextInputComponentOptions[];
+  validate?: (fields: ModalSubmitFieldsResolver, answers: Record<string, string>) => Awaitable<string | null | void>;
+}
+
+export type ModalWizardStepResolver = (answers: Record<string, string>) => Awaitable<ModalWizardStep>;
+
+export interface ModalWizardOptions {
+  steps: (ModalWizardStep | ModalWizardStepResolver)[];
+  title?: string;
+  time?: number;
+  prompt?: (completed: number, total: number) => string;
+  continueButton?: Partial<InteractionButtonOptions>;
+}
+
+export interface ModalWizardResult {
+  answers: Record<string, string>;
+  interaction: ModalSubmitInteraction;
+}
+
 export interface ModalOptions {
   components:
     | MessageActionRow<ModalActionRowComponent>[]
@@ -5374,6 +6345,14 @@ export interface MultipleShardRespawnOptions {
   shardDelay?: number;
   respawnDelay?: number;
   timeout?: number;
+  rolling?: boolean;
+  handover?: boolean;
+}
+
+export interface ShardRespawnProgress {
+  shard: Shard;
+  respawned: number;
+  total: number;
 }
 
 export interface MultipleShardSpawnOptions {
@@ -5407,6 +6386,53 @@ export interface PartialTextInputData {
   customId: string;
 }
 
+export interface PermissionExplainData {
+  guildId: Snowflake;
+  ownerId?: Snowflake;
+  memberId?: Snowflake;
+  roles: PermissionExplainRoleData[];
+  overwrites?: PermissionExplainOverwriteData[];
+  parentOverwrites?: PermissionExplainOverwriteData[];
+  communicationDisabledUntil?: DateResolvable | null;
+}
+
+export interface PermissionExplainOverwriteData {
+  id: Snowflake;
+  type: OverwriteType | OverwriteTypes;
+  allow?: PermissionResolvable;
+  deny?: PermissionResolvable;
+}
+
+export interface PermissionExplainRoleData {
+  id: Snowflake;
+  permissions: PermissionResolvable;
+}
+
+export interface PermissionExplanation {
+  permissions: Readonly<Permissions>;
+  steps: PermissionExplanationStep[];
+  flags: Record<PermissionString, PermissionExplanationStep | null>;
+}
+
+export type PermissionExplanationLayer =
+  | 'OWNER'
+  | 'EVERYONE_ROLE'
+  | 'ROLE'
+  | 'ADMINISTRATOR'
+  | 'EVERYONE_OVERWRITE'
+  | 'ROLE_OVERWRITE'
+  | 'MEMBER_OVERWRITE'
+  | 'TIMEOUT';
+
+export interface PermissionExplanationStep {
+  layer: PermissionExplanationLayer;
+  id: Snowflake | null;
+  synced: boolean;
+  granted: Readonly<Permissions>;
+  denied: Readonly<Permissions>;
+  permissions: Readonly<Permissions>;
+}
+
 export type PermissionFlags = Record<PermissionString, bigint>;
 
 export type PermissionOverwriteOptions = Partial<Record<PermissionString, boolean | null>>;
@@ -5479,6 +6505,31 @@ export interface PresenceData {
 
 export type PresenceResolvable = Presence | UserResolvable | Snowflake;
 
+export type PaginatorPage = string | MessageEmbed | MessageOptions;
+
+export type PaginatorPageProvider = (index: number) => Awaitable<PaginatorPage | null>;
+
+export type PaginatorButtonOptions = Partial<Omit<InteractionButtonOptions, 'customId' | 'type'>>;
+
+export interface PaginatorButtons {
+  first?: PaginatorButtonOptions | null;
+  previous?: PaginatorButtonOptions | null;
+  next?: PaginatorButtonOptions | null;
+  last?: PaginatorButtonOptions | null;
+  stop?: PaginatorButtonOptions | null;
+}
+
+export interface PaginatorOptions {
+  pageCount?: number;
+  users?: UserResolvable[] | null;
+  idle?: number;
+  time?: number;
+  buttons?: PaginatorButtons;
+  jumpMenu?: boolean;
+  pageLabel?: (index: number) => string;
+  deniedReply?: string | InteractionReplyOptions | null;
+}
+
 export interface PartialChannelData {
   id?: Snowflake | number;
   parentId?: Snowflake | number;
@@ -5558,6 +6609,94 @@ export interface RateLimitData {
   global: boolean;
 }
 
+export interface RateLimitState {
+  limit: number;
+  remaining: number;
+  reset: number;
+}
+
+export interface RESTProxyOptions extends Omit<ClientOptions, 'intents'> {
+  token?: string;
+}
+
+export type RateLimitStoreFactory = (client: BaseClient) => RateLimitStore;
+
+export type OptionSchemaType =
+  | 'STRING'
+  | 'INTEGER'
+  | 'BOOLEAN'
+  | 'USER'
+  | 'MEMBER'
+  | 'CHANNEL'
+  | 'ROLE'
+  | 'MENTIONABLE'
+  | 'NUMBER'
+  | 'ATTACHMENT';
+
+export interface OptionSchemaRule<Type extends OptionSchemaType = OptionSchemaType> {
+  type: Type;
+  required?: boolean;
+  default?: unknown;
+  choices?: (string | number | ApplicationCommandOptionChoiceData)[];
+  minValue?: number;
+  maxValue?: number;
+  minLength?: number;
+  maxLength?: number;
+  channelTypes?: (ChannelTypes | keyof typeof ChannelTypes)[];
+  validate?: (value: any) => unknown;
+}
+
+export type OptionSchema = Record<string, OptionSchemaRule>;
+
+export interface OptionSchemaValues<Cached extends CacheType = CacheType> {
+  STRING: string;
+  INTEGER: number;
+  BOOLEAN: boolean;
+  USER: NonNullable<CommandInteractionOption<Cached>['user']>;
+  MEMBER: NonNullable<CommandInteractionOption<Cached>['member']>;
+  CHANNEL: NonNullable<CommandInteractionOption<Cached>['channel']>;
+  ROLE: NonNullable<CommandInteractionOption<Cached>['role']>;
+  MENTIONABLE: NonNullable<CommandInteractionOption<Cached>['member' | 'role' | 'user']>;
+  NUMBER: number;
+  ATTACHMENT: NonNullable<CommandInteractionOption<Cached>['attachment']>;
+}
+
+export type ParsedOptions<Schema extends OptionSchema, Cached extends CacheType = CacheType> = {
+  [Name in keyof Schema]: Schema[Name] extends { required: true }
+    ? OptionSchemaValues<Cached>[Schema[Name]['type']]
+    : Schema[Name] extends { default: infer Default }
+    ? OptionSchemaValues<Cached>[Schema[Name]['type']] | Default
+    : OptionSchemaValues<Cached>[Schema[Name]['type']] | null;
+};
+
+export type OptionValidationIssueCode =
+  | 'REQUIRED'
+  | 'MIN_VALUE'
+  | 'MAX_VALUE'
+  | 'MIN_LENGTH'
+  | 'MAX_LENGTH'
+  | 'CHOICES'
+  | 'CHANNEL_TYPE'
+  | 'NOT_MEMBER'
+  | 'INVALID';
+
+export interface OptionValidationIssue {
+  option: string;
+  code: OptionValidationIssueCode;
+  value: unknown;
+  min?: number;
+  max?: number;
+  choices?: (string | number)[];
+  types?: (keyof typeof ChannelTypes)[];
+}
+
+export type OptionValidationMessage = (issue: OptionValidationIssue) => string;
+
+export interface InteractionServerOptions {
+  publicKey: string;
+  responseTimeout?: number;
+}
+
 export interface InvalidRequestWarningData {
   count: number;
   remainingTime: number;
@@ -5569,6 +6708,10 @@ export interface ReactionCollectorOptions extends CollectorOptions<[MessageReact
   maxUsers?: number;
 }
 
+export interface ReactionUserIterateOptions extends BaseIterateOptions {
+  after?: UserResolvable;
+}
+
 export interface ReplyOptions {
   messageReference: MessageResolvable;
   failIfNotExists?: boolean;
@@ -5621,6 +6764,30 @@ export interface SetRolePositionOptions {
 
 export type ShardingManagerMode = 'process' | 'worker';
 
+export interface ScheduledMessageFile {
+  name: string;
+  key?: string;
+  data: string;
+}
+
+export interface ScheduledMessage {
+  id: string;
+  timestamp: number;
+  channelId: Snowflake | null;
+  webhookId: Snowflake | null;
+  webhookToken: string | null;
+  threadId: Snowflake | null;
+  body: unknown;
+  files: ScheduledMessageFile[];
+}
+
+export interface SessionData {
+  sessionId: string;
+  sequence: number;
+  resumeURL: string | null;
+  shardCount: number;
+}
+
 export interface ShardingManagerOptions {
   totalShards?: number | 'auto';
   shardList?: number[] | 'auto';
@@ -5629,6 +6796,8 @@ export interface ShardingManagerOptions {
   shardArgs?: string[];
   token?: string;
   execArgv?: string[];
+  rateLimitStore?: RateLimitStore;
+  logger?: Logger | null;
 }
 
 export { Snowflake };
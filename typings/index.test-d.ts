@@ -1,4 +1,6 @@
 import type { ChildProcess } from 'child_process';
+import type { Server } from 'http';
+import type { Writable } from 'stream';
 import type { Worker } from 'worker_threads';
 import type {
   APIInteractionGuildMember,
@@ -20,8 +22,11 @@ import {
   ApplicationCommandResolvable,
   ApplicationCommandSubCommandData,
   ApplicationCommandSubGroupData,
+  ApplicationCommandSyncReport,
+  AutocompleteInteraction,
   BaseCommandInteraction,
   ButtonInteraction,
+  CacheAdapter,
   CacheType,
   CategoryChannel,
   Client,
@@ -32,39 +37,58 @@ import {
   CommandInteraction,
   CommandInteractionOption,
   CommandInteractionOptionResolver,
+  CommandRouter,
   CommandOptionNonChoiceResolvableType,
+  ComponentRegistry,
   Constants,
   ContextMenuInteraction,
+  DecodedCustomId,
   DMChannel,
+  FileComponentStateStore,
+  FileSessionStore,
   Guild,
   GuildApplicationCommandManager,
   GuildChannelManager,
   GuildEmoji,
   GuildEmojiManager,
   GuildMember,
+  GuildMemberManager,
   GuildResolvable,
   Intents,
+  IPCRateLimitStore,
   Interaction,
   InteractionCollector,
+  InteractionServer,
+  JSONLinesCacheAdapter,
   LimitedCollection,
+  Logger,
   Message,
   MessageActionRow,
   MessageAttachment,
   MessageButton,
   MessageCollector,
   MessageComponentInteraction,
+  ModalSubmitInteraction,
+  ModalWizard,
   MessageEmbed,
   MessageReaction,
   NewsChannel,
   Options,
+  OptionValidationError,
+  OptionValidationIssue,
+  Paginator,
   PartialTextBasedChannelFields,
   PartialUser,
   Permissions,
   ReactionCollector,
   Role,
+  RateLimitState,
+  RateLimitStore,
+  RESTProxy,
   RoleManager,
   SelectMenuInteraction,
   Serialized,
+  SessionData,
   ShardClientUtil,
   ShardingManager,
   Snowflake,
@@ -96,6 +120,33 @@ import {
   InteractionResponseFields,
   GuildBan,
   GuildBanManager,
+  GuildAuditLogsWatcher,
+  GuildScheduledEvent,
+  ChannelExporter,
+  ExportedMessage,
+  MessageReplayer,
+  MessageReplayProgress,
+  GuildBackupData,
+  PermissionExplainer,
+  PermissionExplanation,
+  PermissionExplanationStep,
+  MissingPermissionsError,
+  RolePosition,
+  ChannelPosition,
+  PermissionString,
+  GuildChannel,
+  Webhook,
+  UserContextMenuInteraction,
+  MemoryComponentStateStore,
+  MemoryScheduleStore,
+  ScheduledMessage,
+  MockDiscord,
+  MockRESTRequest,
+  GatewayRecorder,
+  GatewayRecordingEntry,
+  GatewayRecordingHeader,
+  MetricHistogram,
+  LogRecord,
 } from '.';
 import type { ApplicationCommandOptionTypes } from './enums';
 import { expectAssignable, expectDeprecated, expectNotAssignable, expectNotType, expectType } from 'tsd';
@@ -773,6 +824,182 @@ expectType<Promise<number[]>>(shardClientUtil.broadcastEval(() => 1));
 expectType<Promise<number[]>>(shardingManager.broadcastEval(async () => 1));
 expectType<Promise<number[]>>(shardClientUtil.broadcastEval(async () => 1));
 
+// Test rate limit stores:
+new Client({ intents: [], makeRateLimitStore: client => new IPCRateLimitStore(client) });
+expectType<RateLimitStore>(shardingManager.rateLimitStore);
+expectType<Promise<RateLimitState | null>>(shardingManager.rateLimitStore.get('global'));
+
+// Test rolling restarts:
+expectType<Promise<Collection<number, Shard>>>(shardingManager.respawnAll({ rolling: true, handover: false }));
+shardingManager.on('shardReplace', (replacement, shard) => expectType<number>(replacement.id - shard.id));
+shardingManager.on('respawnProgress', ({ respawned, total }) => expectType<number>(total - respawned));
+
+// Test session stores:
+const sessionStore = new FileSessionStore('./sessions.json');
+new Client({ intents: [], sessionStore });
+expectType<Promise<SessionData | null>>(sessionStore.get(0));
+
+// Test message scheduling:
+declare const scheduleWebhook: Webhook;
+new Client({ intents: [], scheduleStore: new MemoryScheduleStore() });
+expectType<Promise<ScheduledMessage>>(textChannel.schedule('Reminder', Date.now() + 60_000));
+expectType<Promise<ScheduledMessage>>(scheduleWebhook.schedule({ content: 'Announcement', threadId: '1' }, new Date()));
+expectType<Promise<Collection<string, ScheduledMessage>>>(client.scheduler.list(textChannel));
+expectType<Promise<boolean>>(client.scheduler.cancel('1'));
+client.on('scheduledMessageError', (scheduledMessage, error) => {
+  expectType<ScheduledMessage>(scheduledMessage);
+  expectType<Error>(error);
+});
+
+// Test cache adapters:
+new Client({
+  intents: [],
+  makeCacheAdapter: manager =>
+    manager instanceof GuildMemberManager ? new JSONLinesCacheAdapter(`cache/${manager.guild.id}.jsonl`) : null,
+});
+declare const guildMemberManager: GuildMemberManager;
+expectType<CacheAdapter<Snowflake> | null>(guildMemberManager.adapter);
+expectType<AsyncIterableIterator<[string, unknown]>>(new JSONLinesCacheAdapter('cache.jsonl').iterate());
+
+// Test command routers:
+const commandRouter = new CommandRouter()
+  .command({
+    name: 'tag',
+    description: 'Manages tags',
+    options: [
+      {
+        type: 'SUB_COMMAND',
+        name: 'show',
+        description: 'Shows a tag',
+        options: [
+          {
+            type: 'STRING',
+            name: 'name',
+            description: 'The name of the tag',
+            autocomplete: (interaction, focused) => {
+              expectType<AutocompleteInteraction>(interaction);
+              return interaction.respond([{ name: focused.value, value: focused.value }]);
+            },
+          },
+        ],
+        run: interaction => expectType<CommandInteraction>(interaction),
+      },
+    ],
+  })
+  .command({ type: 'USER', name: 'Info', run: interaction => expectType<UserContextMenuInteraction>(interaction) })
+  .component(/^delete:(\d+)$/, (interaction, match) => {
+    expectType<MessageComponentInteraction>(interaction);
+    expectType<RegExpExecArray | null>(match);
+  });
+expectType<CommandRouter>(commandRouter.listen(client));
+declare const routedInteraction: Interaction;
+expectType<Promise<boolean>>(commandRouter.handle(routedInteraction));
+client.application!.commands.set(commandRouter.toJSON());
+
+// Test application command syncs:
+client.application!.commands.sync(commandRouter.toJSON(), { dryRun: true }).then(report => {
+  expectType<boolean>(report.dryRun);
+  expectType<ApplicationCommand<{ guild: GuildResolvable }> | null>(report.updated[0].command);
+  expectType<string[]>(report.updated[0].differences);
+});
+declare const syncedGuild: Guild;
+expectType<Promise<ApplicationCommandSyncReport>>(syncedGuild.commands.sync([], { deleteMissing: false }));
+
+// Test REST proxy:
+const restProxy = new RESTProxy({ token: 'token', restGlobalRateLimit: 50 });
+expectType<Promise<Server>>(restProxy.listen(8080));
+new Client({ intents: [], http: { api: 'http://localhost:8080', proxied: true } });
+
+// Test interactions server:
+const interactionServer = new InteractionServer(client, { publicKey: 'a'.repeat(64), responseTimeout: 2_000 });
+expectType<Promise<Server>>(interactionServer.listen(8080));
+expectType<boolean>(interactionServer.verify(Buffer.from('{}'), 'signature', '1'));
+
+// Test component registries:
+const componentRegistry = new ComponentRegistry({ store: new FileComponentStateStore('./component-states.json') })
+  .register<{ poll: number }>('vote', (interaction, { poll }) => expectType<number>(poll))
+  .listen(client);
+expectType<Promise<string>>(componentRegistry.customId('vote', { poll: 1 }));
+expectType<Promise<DecodedCustomId | null>>(componentRegistry.decode('vote:{"poll":1}'));
+new ComponentRegistry({ store: new MemoryComponentStateStore() });
+
+// Test option schemas:
+declare const parsedInteraction: CommandInteraction<'cached'>;
+const parsedOptions = parsedInteraction.options.parse({
+  member: { type: 'MEMBER', required: true },
+  days: { type: 'INTEGER', minValue: 0, maxValue: 7, default: 0 },
+  reason: { type: 'STRING', maxLength: 512 },
+  channel: { type: 'CHANNEL', channelTypes: ['GUILD_TEXT'] },
+});
+expectType<GuildMember>(parsedOptions.member);
+expectType<number>(parsedOptions.days);
+expectType<string | null>(parsedOptions.reason);
+expectType<GuildBasedChannel | null>(parsedOptions.channel);
+declare const optionValidationError: OptionValidationError;
+expectType<OptionValidationIssue[]>(optionValidationError.issues);
+expectType<string>(optionValidationError.toReply({ REQUIRED: ({ option }) => `${option} manquant` }).content);
+
+// Test modal wizards:
+const modalWizard = new ModalWizard({
+  title: 'Application',
+  steps: [
+    { fields: [{ customId: 'name', label: 'Name', style: 'SHORT' }] },
+    answers => ({
+      fields: [{ customId: 'why', label: `Why, ${answers.name}?`, style: 'PARAGRAPH' }],
+      validate: fields => (fields.getTextInputValue('why').length > 10 ? null : 'Tell us more.'),
+    }),
+  ],
+  continueButton: { label: 'Next' },
+});
+declare const wizardInteraction: CommandInteraction;
+modalWizard.start(wizardInteraction).then(({ answers, interaction }) => {
+  expectType<Record<string, string>>(answers);
+  expectType<ModalSubmitInteraction>(interaction);
+});
+
+// Test paginators:
+const paginator = new Paginator([new MessageEmbed(), 'content', { content: 'content' }], {
+  jumpMenu: true,
+  buttons: { stop: { label: 'Stop' }, first: null },
+});
+expectType<Promise<Message | APIMessage>>(paginator.send(textChannel));
+new Paginator(async index => (index < 10 ? `Page ${index}` : null), { users: [user], idle: 30_000 });
+paginator.on('pageChange', (index, interaction) => expectType<MessageComponentInteraction | null>(interaction));
+
+// Test metrics:
+expectType<string>(client.metrics.toPrometheus());
+expectType<number>(client.metrics.restRetries.get({ route: '/channels/:id/messages', reason: 'rate_limit' }));
+expectType<number | undefined>(client.metrics.cacheSizes().get('GuildMemberManager'));
+const commandDuration = new MetricHistogram('bot_command_duration_seconds', 'Duration of the commands.', ['command']);
+commandDuration.observe({ command: 'ping' }, 0.2);
+
+// Test gateway recordings:
+new Client({ intents: [], gatewayRecording: './gateway.ndjson' });
+expectType<Promise<void>>(client.replay('./gateway.ndjson', { speed: 1 }));
+expectType<AsyncGenerator<GatewayRecordingHeader | GatewayRecordingEntry>>(GatewayRecorder.read('./gateway.ndjson'));
+
+// Test structured logging:
+class RecordLogger extends Logger {
+  public records: LogRecord[] = [];
+  public log(record: LogRecord): void {
+    expectType<number | null>(record.shardId);
+    this.records.push(record);
+  }
+}
+new Client({ intents: [], logger: new RecordLogger() });
+expectType<string>(Logger.format({ ...new RecordLogger().records[0], component: 'shard' }));
+
+// Test the mock of Discord:
+const mock = new MockDiscord({ shards: 2, rateLimit: { limit: 5 } });
+expectType<Promise<void>>(mock.listen());
+const mockGuild = mock.createGuild({ name: 'Test' });
+const mockChannel = mock.createChannel({ guild_id: mockGuild.id });
+expectType<Client>(mock.createClient({ intents: [] }));
+expectType<APIMessage>(mock.createMessage(mockChannel.id, { author: mock.user, content: '!ping' }));
+mock.on('request', request => expectType<MockRESTRequest>(request));
+mock.gateway.dispatch('TYPING_START', { channel_id: mockChannel.id }, mockGuild.id);
+expectType<number | undefined>(mock.gateway.sessions.first()?.sequence);
+
 declare const dmChannel: DMChannel;
 declare const threadChannel: ThreadChannel;
 declare const newsChannel: NewsChannel;
@@ -1253,6 +1480,15 @@ expectType<Promise<GuildAuditLogsEntry<'ALL', 'ALL', 'ALL', 'UNKNOWN'> | undefin
   guild.fetchAuditLogs().then(al => al.entries.first()),
 );
 
+(async () => {
+  for await (const entry of guild.iterateAuditLogs({ type: 'MEMBER_KICK', after: '123456789012345678' })) {
+    expectType<GuildAuditLogsEntry<'MEMBER_KICK', 'MEMBER_KICK', 'DELETE', 'USER'>>(entry);
+  }
+})();
+const auditLogsWatcher = guild.watchAuditLogs({ type: 'MESSAGE_DELETE', interval: 10_000 });
+expectType<GuildAuditLogsWatcher<'MESSAGE_DELETE'>>(auditLogsWatcher);
+auditLogsWatcher.on('entry', entry => expectType<'MESSAGE_DELETE'>(entry.action));
+
 expectType<Promise<null | undefined>>(
   guild.fetchAuditLogs({ type: 'MEMBER_KICK' }).then(al => al.entries.first()?.extra),
 );
@@ -1284,6 +1520,76 @@ expectType<Promise<User | undefined>>(
   guild.fetchAuditLogs({ type: 2000 }).then(al => al.entries.first()?.target),
 );
 
+declare const messageReaction: MessageReaction;
+declare const guildScheduledEvent: GuildScheduledEvent;
+(async () => {
+  const { signal } = new AbortController();
+  for await (const message of textChannel.messages.iterate({ after: '123456789012345678', signal })) {
+    expectType<Message>(message);
+  }
+  for await (const member of guild.members.iterate({ limit: 5_000, cache: false })) expectType<GuildMember>(member);
+  for await (const thread of textChannel.threads.iterateArchived({ type: 'private' })) {
+    expectType<ThreadChannel>(thread);
+  }
+  for await (const user of messageReaction.users.iterate()) expectType<User>(user);
+  for await (const ban of guild.bans.iterate({ before: '123456789012345678' })) expectType<GuildBan>(ban);
+  for await (const subscriber of guildScheduledEvent.iterateSubscribers({ withMember: true })) {
+    expectType<GuildMember>(subscriber.member);
+  }
+  for await (const subscriber of guild.scheduledEvents.iterateSubscribers(guildScheduledEvent)) {
+    expectType<null>(subscriber.member);
+  }
+})();
+
+declare const writable: Writable;
+declare const exportedMessage: Message;
+const channelExporter = new ChannelExporter(threadChannel, { after: '123456789012345678', limit: 500 });
+expectType<Promise<number>>(channelExporter.toJSONLines(writable));
+expectType<Promise<number>>(channelExporter.toHTML(writable));
+declare const exportedMessages: ExportedMessage[];
+expectType<string>(ChannelExporter.renderHTML(exportedMessages, { title: 'Ticket #42' }));
+expectType<ExportedMessage>(ChannelExporter.serializeMessage(exportedMessage));
+// @ts-expect-error
+new ChannelExporter(categoryChannel);
+
+declare const replayWebhook: Webhook;
+declare const replayProgress: MessageReplayProgress;
+const messageReplayer = new MessageReplayer(replayWebhook, { interval: 5_000, progress: replayProgress });
+expectType<Promise<MessageReplayProgress>>(messageReplayer.replay(exportedMessages));
+messageReplayer.on('message', (message, id) => {
+  expectType<ExportedMessage>(message);
+  expectType<Snowflake | null>(id);
+});
+
+expectType<Promise<GuildBackupData>>(guild.backup({ images: false }));
+declare const guildBackup: GuildBackupData;
+(async () => {
+  const restored = await guild.restoreBackup(guildBackup, { clear: true, reason: 'Restoring' });
+  expectType<Role | undefined>(restored.roles.get(guildBackup.roles[0].id));
+  expectType<number>(guildBackup.version);
+})();
+
+expectType<PermissionExplanation>(textChannel.explainPermissionsFor(guildMember));
+expectType<PermissionExplanation | null>(textChannel.explainPermissionsFor('123456789012345678', false));
+expectType<PermissionExplanation>(guildMember.explainPermissions(textChannel));
+const permissionExplanation = PermissionExplainer.explain({
+  guildId: '123456789012345678',
+  memberId: '123456789012345679',
+  roles: [{ id: '123456789012345678', permissions: '1024' }],
+  overwrites: [{ id: '123456789012345679', type: 1, deny: 'SEND_MESSAGES' }],
+});
+expectType<PermissionExplanationStep | null>(permissionExplanation.flags.SEND_MESSAGES);
+
+new Client({ intents: [], checkPermissions: true });
+declare const missingPermissionsError: MissingPermissionsError;
+expectType<PermissionString[]>(missingPermissionsError.missing);
+expectType<GuildChannel | ThreadChannel | null>(missingPermissionsError.channel);
+
+expectType<RolePosition[]>(guild.roles.planPositions(['123456789012345678', '123456789012345679']));
+expectType<Promise<Guild>>(guild.roles.reorder(['123456789012345678', '123456789012345679'], 'Tidying up'));
+expectType<ChannelPosition[]>(guild.channels.planPositions([{ channel: textChannel, parent: null }, voiceChannel]));
+expectType<Promise<Guild>>(guild.channels.reorder(['123456789012345678']));
+
 declare const TextBasedChannel: TextBasedChannel;
 declare const TextBasedChannelTypes: TextBasedChannelTypes;
 declare const VoiceBasedChannel: VoiceBasedChannel;